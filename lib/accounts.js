@@ -0,0 +1,246 @@
+const { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } = require('crypto');
+const { promisify } = require('util');
+
+// Optional customer accounts. Customers sign in with a password or with a
+// one-time link sent to their email address, and stay signed in through a
+// session cookie. Login-link and session tokens are only stored hashed.
+// A password only takes effect once the email address is verified, so
+// nobody can register someone else's address and keep a way in.
+//
+// Customer records:
+//   { id, email, name, password: { salt, hash } | null, emailVerifiedAt,
+//     squareCustomerId, cards: [{ id, brand, last4, expMonth, expYear }],
+//     createdAt, updatedAt }
+
+const CUSTOMERS = 'customers';
+const SESSIONS = 'sessions';
+const LOGIN_TOKENS = 'login_tokens';
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LOGIN_TOKEN_TTL_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_NAME_LENGTH = 100;
+
+const scryptAsync = promisify(scrypt);
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+async function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  const hash = await scryptAsync(password, salt, 64);
+  return { salt, hash: hash.toString('hex') };
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new AccountError(`Invalid password: use at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function checkName(name) {
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    throw new AccountError(`Invalid name: must be a string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name ? name.trim() : null;
+}
+
+async function getCustomer(store, id) {
+  return typeof id === 'string' && id ? store.get(CUSTOMERS, id) : null;
+}
+
+async function findCustomerByEmail(store, email) {
+  const target = normalizeEmail(email);
+  const [customer] = await store.list(CUSTOMERS, candidate => candidate.email === target);
+  return customer || null;
+}
+
+// Creates an account. `email` must already be a valid address; `password`
+// is optional for accounts that only sign in with login links.
+async function createCustomer(store, { email, password, name }, { now = new Date() } = {}) {
+  if (password !== undefined) checkPassword(password);
+  const customer = {
+    id: randomUUID(),
+    email: normalizeEmail(email),
+    name: checkName(name),
+    password: password === undefined ? null : await hashPassword(password),
+    emailVerifiedAt: null,
+    squareCustomerId: null,
+    cards: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+
+  // Checked again under the store lock, so one email gets one account
+  return store.update(CUSTOMERS, customer.id, async () => {
+    if (await findCustomerByEmail(store, customer.email)) {
+      throw new AccountError('An account with this email already exists', 409);
+    }
+    return customer;
+  });
+}
+
+async function updateCustomer(store, id, change, { now = new Date() } = {}) {
+  return store.update(CUSTOMERS, id, current => {
+    if (!current) {
+      throw new AccountError('Account not found', 404);
+    }
+    return { ...change(current), updatedAt: now.toISOString() };
+  });
+}
+
+// The customer with this email and password. A wrong password, an unknown
+// email and an unverified account all give the same error.
+async function verifyPassword(store, email, password) {
+  const customer = await findCustomerByEmail(store, email);
+  const expected = customer && customer.emailVerifiedAt && customer.password;
+  const { hash } = await hashPassword(String(password || ''), expected ? expected.salt : 'no-account');
+  if (!expected || !timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(expected.hash, 'hex'))) {
+    throw new AccountError('Email or password is incorrect', 401);
+  }
+  return customer;
+}
+
+async function findOrCreateCustomer(store, email, { name, now }) {
+  const customer = await findCustomerByEmail(store, email);
+  if (customer) return customer;
+  try {
+    return await createCustomer(store, { email, name }, { now });
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    return findCustomerByEmail(store, email);
+  }
+}
+
+// `password` is set on the account when the link is followed
+async function issueLoginToken(store, customer, { password = null, now }) {
+  const token = newToken();
+  const expiresAt = new Date(now.getTime() + LOGIN_TOKEN_TTL_MS).toISOString();
+  await store.put(LOGIN_TOKENS, hashToken(token), { customerId: customer.id, password, expiresAt });
+  return { customer, token, expiresAt };
+}
+
+// Starts a login link for `email`, creating the account on first use.
+// Resolves to { customer, token, expiresAt }; the token goes in the link
+// emailed to the customer.
+async function createLoginToken(store, email, { now = new Date() } = {}) {
+  const customer = await findOrCreateCustomer(store, email, { now });
+  return issueLoginToken(store, customer, { now });
+}
+
+// Registers `email` with a password. The password waits in the link
+// emailed to the address and is only set when that link is followed. An
+// address that is already verified just gets a plain login link, so
+// registering can't change someone's password or tell whether they have
+// an account. Resolves to createLoginToken's result plus `confirming`:
+// whether the link confirms a new password.
+async function registerCustomer(store, { email, password, name }, { now = new Date() } = {}) {
+  checkPassword(password);
+  const hashed = await hashPassword(password);
+  const customer = await findOrCreateCustomer(store, email, { name: checkName(name), now });
+  const confirming = !customer.emailVerifiedAt;
+  const result = await issueLoginToken(store, customer, { password: confirming ? hashed : null, now });
+  return { ...result, confirming };
+}
+
+// Uses up a login-link token. Following the link proves the customer owns
+// the email address, so the account is marked verified. A registration
+// link sets its password; a password set before the address was verified
+// is dropped, since whoever set it might not own the address.
+async function redeemLoginToken(store, token, { now = new Date() } = {}) {
+  // Reading and deleting the token in one update claims it, so a link
+  // followed twice at once only works once
+  let record = null;
+  await store.update(LOGIN_TOKENS, hashToken(token), current => {
+    record = current;
+    return current ? null : undefined;
+  });
+  if (!record || record.expiresAt <= now.toISOString()) {
+    throw new AccountError('This login link is invalid or has expired', 401);
+  }
+  return updateCustomer(store, record.customerId, customer => ({
+    ...customer,
+    password: record.password || (customer.emailVerifiedAt ? customer.password : null),
+    emailVerifiedAt: customer.emailVerifiedAt || now.toISOString(),
+  }), { now });
+}
+
+async function setPassword(store, id, password, { now } = {}) {
+  checkPassword(password);
+  const hashed = await hashPassword(password);
+  return updateCustomer(store, id, customer => ({ ...customer, password: hashed }), { now });
+}
+
+// Resolves to { token, expiresAt } for the session cookie
+async function createSession(store, customerId, { now = new Date() } = {}) {
+  const token = newToken();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+  await store.put(SESSIONS, hashToken(token), { customerId, createdAt: now.toISOString(), expiresAt });
+  return { token, expiresAt };
+}
+
+// The signed-in customer for a session token, or null. Sessions started
+// before the email address was verified don't count.
+async function getSessionCustomer(store, token, { now = new Date() } = {}) {
+  if (!token) return null;
+  const session = await store.get(SESSIONS, hashToken(token));
+  if (!session || session.expiresAt <= now.toISOString()) {
+    return null;
+  }
+  const customer = await getCustomer(store, session.customerId);
+  return customer && customer.emailVerifiedAt && session.createdAt >= customer.emailVerifiedAt ? customer : null;
+}
+
+async function deleteSession(store, token) {
+  return token ? store.delete(SESSIONS, hashToken(token)) : false;
+}
+
+// Account as shown to the customer
+function serializeCustomer(customer) {
+  return {
+    id: customer.id,
+    email: customer.email,
+    name: customer.name,
+    hasPassword: !!customer.password,
+    emailVerified: !!customer.emailVerifiedAt,
+    cards: customer.cards,
+    createdAt: customer.createdAt,
+  };
+}
+
+module.exports = {
+  AccountError,
+  SESSION_TTL_MS,
+  LOGIN_TOKEN_TTL_MS,
+  normalizeEmail,
+  getCustomer,
+  findCustomerByEmail,
+  createCustomer,
+  updateCustomer,
+  verifyPassword,
+  createLoginToken,
+  registerCustomer,
+  redeemLoginToken,
+  setPassword,
+  createSession,
+  getSessionCustomer,
+  deleteSession,
+  serializeCustomer,
+};
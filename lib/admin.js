@@ -0,0 +1,122 @@
+const { ORDER_STATUSES, OrderError, refundedAmount, serializeOrder } = require('./orders');
+const { formatDecimal } = require('./currency');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses a `from`/`to` query value. Plain dates cover the whole day, so
+// `to=2026-01-31` includes orders placed on the 31st.
+function parseDate(value, name, { endOfDay = false } = {}) {
+  const date = DATE_ONLY.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new OrderError(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+// Turns the order list query string into filters:
+//   status   one or more statuses, comma separated
+//   from/to  creation date range (ISO dates or timestamps, inclusive)
+//   email    part of the customer email, case-insensitive
+//   product  product ID, variant ID or SKU, or part of a product name
+function parseOrderFilters(query = {}) {
+  const filters = {};
+
+  if (query.status) {
+    filters.statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = filters.statuses.find(status => !ORDER_STATUSES.includes(status));
+    if (unknown) {
+      throw new OrderError(`Unknown order status: ${unknown}`);
+    }
+  }
+  if (query.from) {
+    filters.from = parseDate(String(query.from), 'from');
+  }
+  if (query.to) {
+    filters.to = parseDate(String(query.to), 'to', { endOfDay: true });
+  }
+  if (query.email) {
+    filters.email = String(query.email).trim().toLowerCase();
+  }
+  if (query.product) {
+    filters.product = String(query.product).trim().toLowerCase();
+  }
+
+  return filters;
+}
+
+function matchesFilters(order, { statuses, from, to, email, product }) {
+  const createdAt = new Date(order.createdAt);
+  if (statuses && !statuses.includes(order.status)) return false;
+  if (from && createdAt < from) return false;
+  if (to && createdAt > to) return false;
+  if (email && !(order.customerEmail || '').toLowerCase().includes(email)) return false;
+  if (product && !order.items.some(item =>
+    item.productId.toLowerCase() === product
+    || (item.variantId || '').toLowerCase() === product
+    || (item.sku || '').toLowerCase() === product
+    || item.name.toLowerCase().includes(product))) {
+    return false;
+  }
+  return true;
+}
+
+// Orders matching `filters`, newest first
+async function listOrders(store, filters = {}) {
+  const orders = await store.list('orders', order => matchesFilters(order, filters));
+  return orders.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Staff view of an order: everything customers see plus disputes and
+// payment attempts
+function serializeAdminOrder(order) {
+  return {
+    ...serializeOrder(order),
+    refundedAmount: refundedAmount(order),
+    paymentAttempts: order.paymentAttempts || 0,
+    disputes: order.disputes || [],
+  };
+}
+
+function itemLabel(item) {
+  return item.variantName ? `${item.name} (${item.variantName})` : item.name;
+}
+
+const CSV_COLUMNS = [
+  ['Order ID', order => order.id],
+  ['Created At', order => order.createdAt],
+  ['Status', order => order.status],
+  ['Customer Email', order => order.customerEmail],
+  ['Items', order => order.items.map(item => `${itemLabel(item)} x${item.quantity}`).join('; ')],
+  ['Total', order => formatDecimal(order.total, order.currency)],
+  ['Refunded', order => formatDecimal(refundedAmount(order), order.currency)],
+  ['Currency', order => order.currency],
+  ['Payment Provider', order => order.payment && order.payment.provider],
+  ['Payment ID', order => order.payment && order.payment.id],
+];
+
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheets from running customer-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One header row plus one row per order, CRLF line endings (RFC 4180)
+function ordersToCsv(orders) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...orders.map(order => CSV_COLUMNS.map(([, value]) => value(order))),
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseOrderFilters,
+  listOrders,
+  serializeAdminOrder,
+  ordersToCsv,
+};
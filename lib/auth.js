@@ -0,0 +1,48 @@
+const { createHash, timingSafeEqual } = require('crypto');
+
+// Constant-time string comparison (hashing first makes the lengths equal)
+function safeEqual(a, b) {
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function hasBearerToken(req, expected) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && !!token && safeEqual(token, expected);
+}
+
+// Protects staff-only routes with a shared bearer token from ADMIN_API_TOKEN:
+//   Authorization: Bearer <token>
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  if (!hasBearerToken(req, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Protects GET /api/metrics with METRICS_TOKEN, so the metrics scraper
+// doesn't need the staff token. Without METRICS_TOKEN the staff token works.
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN || process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Metrics are not configured' });
+  }
+
+  if (!hasBearerToken(req, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = {
+  safeEqual,
+  requireAdmin,
+  requireMetricsToken,
+};
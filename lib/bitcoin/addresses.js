@@ -0,0 +1,57 @@
+const { createHash } = require('crypto');
+const { HDKey } = require('@scure/bip32');
+const { bech32 } = require('@scure/base');
+
+// Extended public key version bytes. zpub/vpub are BIP84 (native segwit)
+// account keys; xpub/tpub are accepted and used the same way.
+const KEY_VERSIONS = {
+  xpub: { public: 0x0488b21e, private: 0x0488ade4 },
+  zpub: { public: 0x04b24746, private: 0x04b2430c },
+  tpub: { public: 0x043587cf, private: 0x04358394 },
+  vpub: { public: 0x045f1cf6, private: 0x045f18bc },
+};
+
+// Human-readable part of native segwit addresses per network
+const ADDRESS_PREFIXES = {
+  mainnet: 'bc',
+  testnet: 'tb',
+  signet: 'tb',
+  regtest: 'bcrt',
+};
+
+function hash160(buffer) {
+  const sha = createHash('sha256').update(buffer).digest();
+  return createHash('ripemd160').update(sha).digest();
+}
+
+// Derives receiving addresses from an account-level extended public key.
+// Only public derivation is possible, so the server never holds keys that
+// can spend the funds. Addresses are P2WPKH on the external chain (0/index).
+function createAddressDeriver({ xpub, network = 'mainnet' }) {
+  if (xpub.slice(1, 4) === 'prv') {
+    throw new Error('Refusing to use a private extended key; configure the account xpub instead');
+  }
+  const versions = KEY_VERSIONS[xpub.slice(0, 4)];
+  if (!versions) {
+    throw new Error('Unsupported extended public key: expected an xpub, zpub, tpub or vpub');
+  }
+
+  const prefix = ADDRESS_PREFIXES[network];
+  if (!prefix) {
+    throw new Error(`Unknown Bitcoin network: ${network}`);
+  }
+
+  const account = HDKey.fromExtendedKey(xpub, versions);
+
+  return {
+    deriveAddress(index) {
+      const child = account.deriveChild(0).deriveChild(index);
+      const program = hash160(Buffer.from(child.publicKey));
+      return bech32.encode(prefix, [0, ...bech32.toWords(program)]);
+    },
+  };
+}
+
+module.exports = {
+  createAddressDeriver,
+};
@@ -0,0 +1,41 @@
+// Blockchain source backed by an Esplora REST API (Blockstream, mempool.space
+// or a self-hosted instance). https://github.com/Blockstream/esplora/blob/master/API.md
+function createEsploraChain({ url, fetchImpl = fetch }) {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  async function get(path) {
+    const response = await fetchImpl(`${baseUrl}${path}`);
+    if (!response.ok) {
+      throw new Error(`Esplora GET ${path} failed: ${response.status}`);
+    }
+    return response.headers.get('content-type')?.includes('application/json')
+      ? response.json()
+      : response.text();
+  }
+
+  return {
+    name: 'esplora',
+
+    async getAddressPayments(address) {
+      const [transactions, tip] = await Promise.all([
+        get(`/address/${address}/txs`),
+        get('/blocks/tip/height'),
+      ]);
+      const tipHeight = Number(tip);
+
+      return transactions
+        .map(tx => ({
+          txid: tx.txid,
+          value: tx.vout
+            .filter(output => output.scriptpubkey_address === address)
+            .reduce((sum, output) => sum + output.value, 0),
+          confirmations: tx.status.confirmed ? tipHeight - tx.status.block_height + 1 : 0,
+        }))
+        .filter(payment => payment.value > 0);
+    },
+  };
+}
+
+module.exports = {
+  createEsploraChain,
+};
@@ -0,0 +1,41 @@
+const { createAddressDeriver } = require('./addresses');
+const { createEsploraChain } = require('./esplora-chain');
+const { createStubChain } = require('./stub-chain');
+
+const DEFAULT_ESPLORA_URLS = {
+  mainnet: 'https://blockstream.info/api',
+  testnet: 'https://blockstream.info/testnet/api',
+  signet: 'https://mempool.space/signet/api',
+};
+
+// Picks a blockchain source from the environment:
+//   BITCOIN_CHAIN=esplora  Esplora REST API at ESPLORA_URL (default: Blockstream)
+//   BITCOIN_CHAIN=stub     in-memory chain (local development and tests)
+// Returns null when on-chain payments are disabled (no BITCOIN_XPUB).
+function createBitcoinChain(env = process.env) {
+  if (!env.BITCOIN_XPUB) {
+    return null;
+  }
+
+  const network = env.BITCOIN_NETWORK || 'mainnet';
+  switch (env.BITCOIN_CHAIN || 'esplora') {
+    case 'stub':
+      return createStubChain();
+    case 'esplora': {
+      const url = env.ESPLORA_URL || DEFAULT_ESPLORA_URLS[network];
+      if (!url) {
+        throw new Error(`ESPLORA_URL is required for BITCOIN_NETWORK=${network}`);
+      }
+      return createEsploraChain({ url });
+    }
+    default:
+      throw new Error(`Unknown BITCOIN_CHAIN: ${env.BITCOIN_CHAIN}`);
+  }
+}
+
+module.exports = {
+  createAddressDeriver,
+  createBitcoinChain,
+  createEsploraChain,
+  createStubChain,
+};
@@ -0,0 +1,35 @@
+const { randomBytes } = require('crypto');
+
+// In-memory blockchain for local development and tests. Payments only
+// appear when addPayment() is called, and confirm as blocks are mined.
+function createStubChain() {
+  const payments = new Map();
+
+  return {
+    name: 'stub',
+
+    async getAddressPayments(address) {
+      return (payments.get(address) || []).map(payment => ({ ...payment }));
+    },
+
+    // Simulates a customer broadcasting a transaction to `address`
+    addPayment(address, { value, confirmations = 0, txid = randomBytes(32).toString('hex') }) {
+      const payment = { txid, value, confirmations };
+      payments.set(address, [...(payments.get(address) || []), payment]);
+      return { ...payment };
+    },
+
+    // Every transaction gains `count` confirmations
+    mineBlocks(count = 1) {
+      for (const list of payments.values()) {
+        for (const payment of list) {
+          payment.confirmations += count;
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createStubChain,
+};
@@ -0,0 +1,20 @@
+const SATS_PER_BTC = 100000000;
+
+// Converts a USD amount in cents to whole satoshis, rounding up so the
+// store never receives less than the order total
+function usdCentsToSats(cents, btcUsdRate) {
+  return Math.ceil((cents * SATS_PER_BTC) / (btcUsdRate * 100));
+}
+
+// Formats satoshis as a BTC decimal string without trailing zeros (BIP21 style)
+function satsToBtc(sats) {
+  const whole = Math.floor(sats / SATS_PER_BTC);
+  const fraction = String(sats % SATS_PER_BTC).padStart(8, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : String(whole);
+}
+
+module.exports = {
+  SATS_PER_BTC,
+  usdCentsToSats,
+  satsToBtc,
+};
@@ -0,0 +1,93 @@
+const { randomUUID } = require('crypto');
+const { AccountError, updateCustomer } = require('./accounts');
+
+// Cards on file through the Square Customers and Cards APIs. Each account
+// is linked to a Square Customer the first time it saves a card; Square
+// keeps the card details and we only keep what the customer needs to pick
+// one (brand, last 4 digits, expiry).
+
+// The account's Square Customer ID, creating the Square Customer if needed
+async function ensureSquareCustomer(store, squareClient, customer) {
+  if (customer.squareCustomerId) {
+    return customer;
+  }
+  const result = await squareClient.customers.create({
+    // Same key for the same account, so a retry never makes two
+    idempotencyKey: `customer-${customer.id}`,
+    emailAddress: customer.email,
+    givenName: customer.name || undefined,
+    referenceId: customer.id,
+  });
+  if (!result || !result.customer) {
+    throw new Error('Invalid customer response from Square');
+  }
+  return updateCustomer(store, customer.id, current => ({
+    ...current,
+    squareCustomerId: current.squareCustomerId || result.customer.id,
+  }));
+}
+
+function cardSummary(card) {
+  return {
+    id: card.id,
+    brand: card.cardBrand || null,
+    last4: card.last4 || null,
+    expMonth: card.expMonth === undefined ? null : Number(card.expMonth),
+    expYear: card.expYear === undefined ? null : Number(card.expYear),
+  };
+}
+
+// Saves a card on file. `sourceId` is a card token from the Web Payments
+// SDK, or the ID of a payment just made with the card; the customer must
+// have agreed to keep the card when it was entered.
+async function saveCard(store, squareClient, customer, { sourceId, verificationToken }) {
+  const linked = await ensureSquareCustomer(store, squareClient, customer);
+  const result = await squareClient.cards.create({
+    idempotencyKey: randomUUID(),
+    sourceId,
+    verificationToken,
+    card: {
+      customerId: linked.squareCustomerId,
+      referenceId: customer.id,
+    },
+  });
+  if (!result || !result.card) {
+    throw new Error('Invalid card response from Square');
+  }
+
+  const card = cardSummary(result.card);
+  await updateCustomer(store, customer.id, current => ({
+    ...current,
+    cards: [...current.cards.filter(saved => saved.id !== card.id), card],
+  }));
+  return card;
+}
+
+// Disables a saved card with Square and forgets it
+async function removeCard(store, squareClient, customer, cardId) {
+  if (!customer.cards.some(card => card.id === cardId)) {
+    throw new AccountError('Card not found', 404);
+  }
+  await squareClient.cards.disable({ cardId });
+  return updateCustomer(store, customer.id, current => ({
+    ...current,
+    cards: current.cards.filter(card => card.id !== cardId),
+  }));
+}
+
+// The saved card to charge for `cardId`, or an error if it isn't one of
+// the customer's cards
+function findSavedCard(customer, cardId) {
+  const card = customer && customer.cards.find(saved => saved.id === cardId);
+  if (!card) {
+    throw new AccountError('Saved card not found', 404);
+  }
+  return card;
+}
+
+module.exports = {
+  ensureSquareCustomer,
+  saveCard,
+  removeCard,
+  findSavedCard,
+};
@@ -0,0 +1,254 @@
+const { randomUUID } = require('crypto');
+const { listProducts, findVariant } = require('./catalog');
+const { PromotionError, normalizeCode } = require('./promotions');
+const { BASE_CURRENCY } = require('./currency');
+const { quoteOrder } = require('./pricing');
+
+const COLLECTION = 'carts';
+
+// Carts are kept for this long after their last change
+const CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MAX_LINES = 50;
+const MAX_QUANTITY = 99;
+
+class CartError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CartError';
+    this.status = status;
+  }
+}
+
+function checkQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_QUANTITY) {
+    throw new CartError(`Invalid quantity: must be an integer between 0 and ${MAX_QUANTITY}`);
+  }
+  return quantity;
+}
+
+function checkVariantId(variantId) {
+  if (typeof variantId !== 'string' || !variantId || variantId.length > 100) {
+    throw new CartError('Invalid variantId: must be a string');
+  }
+  return variantId;
+}
+
+// Adds `quantity` of a variant to cart lines, capped at MAX_QUANTITY
+function addLine(items, variantId, quantity) {
+  const line = items.find(item => item.variantId === variantId);
+  if (line) {
+    line.quantity = Math.min(MAX_QUANTITY, line.quantity + quantity);
+  } else if (quantity > 0) {
+    if (items.length >= MAX_LINES) {
+      throw new CartError(`A cart can hold at most ${MAX_LINES} different items`);
+    }
+    items.push({ variantId, quantity });
+  }
+  return items;
+}
+
+// Checks cart lines ([{ variantId, quantity }]); the same variant listed
+// twice becomes one line and zero quantities are dropped. Whether the
+// variants are still on sale is checked when the cart is priced.
+function validateItems(items) {
+  if (!Array.isArray(items)) {
+    throw new CartError('Invalid items: must be an array');
+  }
+  return items.reduce((lines, item) => {
+    if (!item || typeof item !== 'object') {
+      throw new CartError('Invalid item structure: variantId and quantity required');
+    }
+    return addLine(lines, checkVariantId(item.variantId), checkQuantity(item.quantity));
+  }, []);
+}
+
+// Checks the editable cart fields present in `input`. Promo codes are
+// only checked when the cart is priced, like the quote endpoint does.
+function validateCartFields(input, { currencies = [BASE_CURRENCY] } = {}) {
+  const fields = {};
+  if (input.items !== undefined) {
+    fields.items = validateItems(input.items);
+  }
+  if (input.promoCode !== undefined) {
+    if (input.promoCode !== null && typeof input.promoCode !== 'string') {
+      throw new CartError('Invalid promoCode: must be a string or null');
+    }
+    fields.promoCode = normalizeCode(input.promoCode) || null;
+  }
+  if (input.currency !== undefined) {
+    const currency = typeof input.currency === 'string' ? input.currency.toUpperCase() : input.currency;
+    if (!currencies.includes(currency)) {
+      throw new CartError(`Unsupported currency: ${input.currency}`);
+    }
+    fields.currency = currency;
+  }
+  return fields;
+}
+
+function isExpired(cart, now) {
+  return cart.expiresAt <= now.toISOString();
+}
+
+function touched(cart, now) {
+  return { ...cart, updatedAt: now.toISOString(), expiresAt: new Date(now.getTime() + CART_TTL_MS).toISOString() };
+}
+
+async function createCart(store, input = {}, { currencies, customerId = null, now = new Date() } = {}) {
+  const cart = touched({
+    id: randomUUID(),
+    customerId,
+    items: [],
+    promoCode: null,
+    currency: BASE_CURRENCY,
+    ...validateCartFields(input, { currencies }),
+    createdAt: now.toISOString(),
+  }, now);
+  return store.put(COLLECTION, cart.id, cart);
+}
+
+// The cart with `id`, or null when it doesn't exist or has expired
+async function getCart(store, id, { now = new Date() } = {}) {
+  const cart = typeof id === 'string' && id ? await store.get(COLLECTION, id) : null;
+  if (cart && isExpired(cart, now)) {
+    await store.delete(COLLECTION, id);
+    return null;
+  }
+  return cart;
+}
+
+// Applies `change(cart)` to a live cart and saves it
+async function changeCart(store, id, change, { now = new Date() } = {}) {
+  return store.update(COLLECTION, id, current => {
+    if (!current || isExpired(current, now)) {
+      throw new CartError('Cart not found', 404);
+    }
+    return touched(change({ ...current, items: current.items.map(item => ({ ...item })) }), now);
+  });
+}
+
+// Replaces any of the cart's `items`, `promoCode` and `currency`
+async function updateCart(store, id, input, { currencies, now } = {}) {
+  const fields = validateCartFields(input, { currencies });
+  return changeCart(store, id, cart => ({ ...cart, ...fields }), { now });
+}
+
+// Adds `quantity` of a variant, checking that it is on sale. A product ID
+// adds the product's first variant.
+async function addCartItem(store, id, { variantId, quantity = 1 } = {}, { now } = {}) {
+  checkVariantId(variantId);
+  if (checkQuantity(quantity) === 0) {
+    throw new CartError('Invalid quantity: must be at least 1');
+  }
+  const match = findVariant(await listProducts(store), variantId);
+  if (!match || match.variant.archived) {
+    throw new CartError(`Product not found: ${variantId}`, 404);
+  }
+  return changeCart(store, id, cart => ({ ...cart, items: addLine(cart.items, match.variant.id, quantity) }), { now });
+}
+
+// Sets a line's quantity; 0 removes the line
+async function setCartItemQuantity(store, id, variantId, quantity, { now } = {}) {
+  checkQuantity(quantity);
+  return changeCart(store, id, cart => {
+    const line = cart.items.find(item => item.variantId === variantId);
+    if (!line) {
+      throw new CartError('Item not in cart', 404);
+    }
+    line.quantity = quantity;
+    return { ...cart, items: cart.items.filter(item => item.quantity > 0) };
+  }, { now });
+}
+
+async function removeCartItem(store, id, variantId, { now } = {}) {
+  return changeCart(store, id, cart => ({ ...cart, items: cart.items.filter(item => item.variantId !== variantId) }), { now });
+}
+
+// The customer's own cart, if they have one
+async function findCustomerCart(store, customerId, { now = new Date() } = {}) {
+  const carts = await store.list(COLLECTION, cart => cart.customerId === customerId && !isExpired(cart, now));
+  return carts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+}
+
+// Called when a customer signs in: the guest cart's lines are added to the
+// customer's cart (or the guest cart becomes theirs if they have none).
+// The guest cart's promo code is kept when the customer's cart has none.
+// Resolves to the customer's cart.
+async function mergeCarts(store, guestCartId, customerId, { now = new Date() } = {}) {
+  const guest = await getCart(store, guestCartId, { now });
+  if (guest && guest.customerId === customerId) {
+    return guest;
+  }
+  const own = await findCustomerCart(store, customerId, { now });
+  // Another customer's cart is never merged
+  if (!guest || guest.customerId) {
+    return own;
+  }
+  if (!own) {
+    return changeCart(store, guest.id, cart => ({ ...cart, customerId }), { now });
+  }
+
+  const merged = await changeCart(store, own.id, cart => ({
+    ...cart,
+    items: guest.items.reduce((items, item) => addLine(items, item.variantId, item.quantity), cart.items),
+    promoCode: cart.promoCode || guest.promoCode,
+  }), { now });
+  await store.delete(COLLECTION, guest.id);
+  return merged;
+}
+
+// Prices a cart against the catalog as it is now, like the quote endpoint
+// (see lib/pricing.js). Lines whose variant is no longer on sale are left
+// out and listed in `unavailableItems`; a promo code that can't be used is
+// reported in `promoError`.
+async function serializeCart(store, cart, pricingOptions = {}) {
+  const products = await listProducts(store);
+  const available = cart.items.filter(item => {
+    const match = findVariant(products, item.variantId);
+    return match && !match.variant.archived;
+  });
+  const currency = (pricingOptions.currencies || [BASE_CURRENCY]).includes(cart.currency) ? cart.currency : BASE_CURRENCY;
+
+  let quote = { items: [], subtotal: 0, discount: 0, total: 0, promotion: null };
+  let promoError;
+  if (available.length > 0) {
+    const request = { items: available, promoCode: cart.promoCode, currency };
+    try {
+      quote = await quoteOrder(store, request, pricingOptions);
+    } catch (error) {
+      if (!(error instanceof PromotionError)) throw error;
+      quote = await quoteOrder(store, { ...request, promoCode: null }, pricingOptions);
+      promoError = error.message;
+    }
+  }
+
+  return {
+    id: cart.id,
+    items: quote.items,
+    unavailableItems: cart.items.filter(item => !available.includes(item)).map(item => item.variantId),
+    itemCount: quote.items.reduce((sum, item) => sum + item.quantity, 0),
+    promoCode: cart.promoCode,
+    promotion: quote.promotion,
+    ...(promoError ? { promoError } : {}),
+    currency,
+    subtotal: quote.subtotal,
+    discount: quote.discount,
+    total: quote.subtotal - quote.discount,
+    updatedAt: cart.updatedAt,
+    expiresAt: cart.expiresAt,
+  };
+}
+
+module.exports = {
+  CartError,
+  CART_TTL_MS,
+  createCart,
+  getCart,
+  updateCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  findCustomerCart,
+  mergeCarts,
+  serializeCart,
+};
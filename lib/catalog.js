@@ -0,0 +1,605 @@
+const fs = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const SEED_PRODUCTS = require('./seed/products.json');
+const { BASE_CURRENCY, isSupportedCurrency } = require('./currency');
+
+const COLLECTION = 'products';
+const META_COLLECTION = 'catalog_meta';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const SKU_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+// A file name in the originals directory, never a path
+const ORIGINAL_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,127}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Prints ship to the customer; digital variants are download licences
+const VARIANT_TYPES = ['print', 'digital'];
+
+// Accepted image uploads, recognised by their first bytes
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { extension: 'png', matches: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP' },
+  'image/gif': { extension: 'gif', matches: buf => buf.toString('latin1', 0, 4) === 'GIF8' },
+};
+
+class CatalogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CatalogError';
+    this.status = status;
+  }
+}
+
+// The six original photos are loaded into an empty catalog once. A marker
+// record stops them coming back after staff archive or edit them.
+const seeded = new WeakMap();
+
+function seedCatalog(store, { products = SEED_PRODUCTS, now = new Date() } = {}) {
+  if (!seeded.has(store)) {
+    seeded.set(store, (async () => {
+      if (await store.get(META_COLLECTION, 'seed')) {
+        return;
+      }
+      const at = now.toISOString();
+      for (const [position, product] of products.entries()) {
+        await store.update(COLLECTION, product.id, current => current ? undefined : {
+          ...product,
+          position,
+          archived: false,
+          createdAt: at,
+          updatedAt: at,
+        });
+      }
+      await store.put(META_COLLECTION, 'seed', { id: 'seed', seededAt: at });
+    })().catch(error => {
+      seeded.delete(store);
+      throw error;
+    }));
+  }
+  return seeded.get(store);
+}
+
+function byPosition(a, b) {
+  return a.position - b.position || a.createdAt.localeCompare(b.createdAt);
+}
+
+// Products saved before variants existed had a single `price`. They are
+// read as one "Standard" variant whose ID is the product ID.
+function withVariants(product) {
+  if (!product || product.variants) {
+    return product;
+  }
+  const { price, ...rest } = product;
+  return {
+    ...rest,
+    variants: [{
+      id: product.id,
+      sku: product.id.toUpperCase(),
+      name: 'Standard',
+      type: 'print',
+      price,
+      stock: null,
+      archived: false,
+    }],
+  };
+}
+
+function activeVariants(product) {
+  return product.variants.filter(variant => !variant.archived);
+}
+
+// Whether the store front shows the product: not archived, with at least
+// one variant on sale
+function isForSale(product) {
+  return !product.archived && activeVariants(product).length > 0;
+}
+
+// Products on sale, in display order. `includeArchived` also returns
+// archived products and products without any variant on sale.
+async function listProducts(store, { includeArchived = false } = {}) {
+  await seedCatalog(store);
+  const products = (await store.list(COLLECTION)).map(withVariants)
+    .filter(product => includeArchived || isForSale(product));
+  return products.sort(byPosition);
+}
+
+async function getProduct(store, id) {
+  await seedCatalog(store);
+  return withVariants(await store.get(COLLECTION, id));
+}
+
+// Finds a variant by its ID. A product ID also matches, meaning the
+// product's first variant on sale (for clients that predate variants).
+function findVariant(products, id) {
+  for (const product of products) {
+    const variant = product.variants.find(v => v.id === id)
+      || (product.id === id ? activeVariants(product)[0] : undefined);
+    if (variant) {
+      return { product, variant };
+    }
+  }
+  return null;
+}
+
+// Prices cart items ([{ variantId, quantity }]) from the catalog, never
+// from the client. A bare product `id` orders that product's first
+// variant, and the same variant listed twice becomes one line. Orders keep
+// these prices even if the catalog changes later. `priceOf(variant)`
+// picks the price to charge (see lib/currency.js).
+async function priceItems(store, items, { priceOf = variant => variant.price } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CatalogError('No items in order');
+  }
+  for (const item of items) {
+    if (!item || !(item.variantId || item.id) || !item.quantity) {
+      throw new CatalogError('Invalid item structure: variantId and quantity required');
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw new CatalogError('Invalid quantity: must be a positive integer');
+    }
+  }
+
+  const products = await listProducts(store);
+  const lines = [];
+  for (const item of items) {
+    const match = findVariant(products, item.variantId || item.id);
+    if (!match || match.variant.archived) {
+      throw new CatalogError(`Product not found: ${item.variantId || item.id}`);
+    }
+    const { product, variant } = match;
+    const line = lines.find(l => l.variantId === variant.id);
+    if (line) {
+      line.quantity += item.quantity;
+      continue;
+    }
+    lines.push({
+      productId: product.id,
+      variantId: variant.id,
+      sku: variant.sku,
+      name: product.name,
+      variantName: variant.name,
+      type: variant.type,
+      unitPrice: priceOf(variant),
+      quantity: item.quantity,
+    });
+  }
+  return lines;
+}
+
+// Checks the editable variant fields present in `input`
+function validateVariantFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+      throw new CatalogError(`Invalid variant name: must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = input.name.trim();
+  }
+  if (input.sku !== undefined || !partial) {
+    if (typeof input.sku !== 'string' || !SKU_PATTERN.test(input.sku)) {
+      throw new CatalogError('Invalid sku: use up to 64 letters, digits, dots, dashes and underscores');
+    }
+    fields.sku = input.sku;
+  }
+  if (input.type !== undefined || !partial) {
+    const type = input.type === undefined ? 'print' : input.type;
+    if (!VARIANT_TYPES.includes(type)) {
+      throw new CatalogError(`Invalid type: must be one of ${VARIANT_TYPES.join(', ')}`);
+    }
+    fields.type = type;
+  }
+  if (input.price !== undefined || !partial) {
+    if (!Number.isInteger(input.price) || input.price <= 0) {
+      throw new CatalogError('Invalid price: must be a positive integer in cents');
+    }
+    fields.price = input.price;
+  }
+  // Prices in other currencies, in their minor units ({ EUR: 2799, JPY: 4500 });
+  // currencies left out use the converted base price
+  if (input.prices !== undefined) {
+    const prices = input.prices === null ? {} : input.prices;
+    if (typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new CatalogError('Invalid prices: must be an object such as { "EUR": 2799 }');
+    }
+    for (const [currency, price] of Object.entries(prices)) {
+      if (!isSupportedCurrency(currency) || currency === BASE_CURRENCY) {
+        throw new CatalogError(`Invalid prices: unsupported currency ${currency}`);
+      }
+      if (!Number.isInteger(price) || price <= 0) {
+        throw new CatalogError(`Invalid price in ${currency}: must be a positive integer in its smallest unit`);
+      }
+    }
+    fields.prices = prices;
+  }
+  // Numbered limited edition of `editionSize` prints; null for open editions
+  if (input.editionSize !== undefined) {
+    if (input.editionSize !== null && (!Number.isInteger(input.editionSize) || input.editionSize <= 0)) {
+      throw new CatalogError('Invalid editionSize: must be a positive integer or null');
+    }
+    fields.editionSize = input.editionSize;
+  }
+  // null means unlimited stock
+  if (input.stock !== undefined || !partial) {
+    const stock = input.stock === undefined ? null : input.stock;
+    if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+      throw new CatalogError('Invalid stock: must be a non-negative integer or null');
+    }
+    fields.stock = stock;
+  }
+  if (input.archived !== undefined) {
+    if (typeof input.archived !== 'boolean') {
+      throw new CatalogError('Invalid archived: must be true or false');
+    }
+    fields.archived = input.archived;
+  }
+
+  return fields;
+}
+
+// Builds a new variant for `productId`, checking its ID is not used by
+// any variant in `products`
+function buildVariant(productId, input, products) {
+  if (!input || typeof input !== 'object') {
+    throw new CatalogError('Invalid variant: must be an object');
+  }
+  const fields = validateVariantFields(input);
+  const id = input.id !== undefined ? input.id : `${productId}-${slugify(fields.name)}`;
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new CatalogError('Invalid variant id: use lowercase letters, digits and dashes');
+  }
+  if (products.some(product => product.variants.some(variant => variant.id === id))) {
+    throw new CatalogError(`Variant already exists: ${id}`, 409);
+  }
+  const variant = { id, ...fields, archived: fields.archived || false };
+  return fields.editionSize ? startEdition(variant, fields.editionSize, input.stock) : variant;
+}
+
+// A limited edition's stock is the prints not yet sold or held, so it
+// starts at the edition size and only orders change it
+function startEdition(variant, editionSize, stock) {
+  if (stock !== undefined && stock !== null && stock !== editionSize) {
+    throw new CatalogError('Invalid stock: a limited edition starts with its whole editionSize in stock');
+  }
+  return { ...variant, editionSize, stock: editionSize, editionsIssued: 0 };
+}
+
+// Applies a variant update. Stock of a limited edition can't be set by
+// hand, and its size can only change before any print is sold or held.
+function applyVariantUpdate(variant, fields) {
+  if (!variant.editionSize && !fields.editionSize) {
+    return { ...variant, ...fields };
+  }
+  if (fields.stock !== undefined && fields.editionSize === undefined) {
+    throw new CatalogError('Stock of a limited edition follows its editionSize', 409);
+  }
+  if (fields.editionSize === undefined || fields.editionSize === variant.editionSize) {
+    return { ...variant, ...fields, stock: variant.stock };
+  }
+  if (variant.editionSize && (variant.editionsIssued > 0 || variant.stock !== variant.editionSize)) {
+    throw new CatalogError('The edition size can only change before any print is sold or held', 409);
+  }
+  if (fields.editionSize === null) {
+    const { editionsIssued, ...rest } = { ...variant, ...fields };
+    return rest;
+  }
+  return startEdition({ ...variant, ...fields }, fields.editionSize, fields.stock);
+}
+
+// Checks the editable product fields present in `input`; `partial` allows
+// leaving out required ones (updates). Prices live on variants.
+function validateProductFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+      throw new CatalogError(`Invalid name: must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = input.name.trim();
+  }
+  if (input.description !== undefined || !partial) {
+    const description = input.description === undefined ? '' : input.description;
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new CatalogError(`Invalid description: must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    fields.description = description.trim();
+  }
+  if (input.image !== undefined) {
+    if (typeof input.image !== 'string' || !/^(\/|https:\/\/)/.test(input.image)) {
+      throw new CatalogError('Invalid image: must be a site path or an https URL');
+    }
+    fields.image = input.image;
+  }
+  // Full-resolution file delivered for digital variants (see lib/downloads.js)
+  if (input.original !== undefined) {
+    if (input.original !== null && (typeof input.original !== 'string' || !ORIGINAL_PATTERN.test(input.original))) {
+      throw new CatalogError('Invalid original: must be a file name in the originals directory');
+    }
+    fields.original = input.original;
+  }
+
+  return fields;
+}
+
+function slugify(name) {
+  return name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+}
+
+// Creates a product with `variants`, or with a single `price` as
+// shorthand for one "Standard" print variant
+async function createProduct(store, input, { now = new Date() } = {}) {
+  const fields = validateProductFields(input);
+  const id = input.id !== undefined ? input.id : slugify(fields.name);
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new CatalogError('Invalid id: use lowercase letters, digits and dashes');
+  }
+
+  const products = await listProducts(store, { includeArchived: true });
+  const variantInputs = input.variants !== undefined
+    ? input.variants
+    : [{ id: `${id}-standard`, sku: id.toUpperCase(), name: 'Standard', price: input.price }];
+  if (!Array.isArray(variantInputs) || variantInputs.length === 0) {
+    throw new CatalogError('Invalid variants: must be a non-empty array');
+  }
+  const variants = [];
+  for (const variantInput of variantInputs) {
+    variants.push(buildVariant(id, variantInput, [...products, { variants }]));
+  }
+
+  const position = products.reduce((max, product) => Math.max(max, product.position + 1), 0);
+  const at = now.toISOString();
+
+  return store.update(COLLECTION, id, current => {
+    if (current) {
+      throw new CatalogError(`Product already exists: ${id}`, 409);
+    }
+    return {
+      id,
+      image: null,
+      ...fields,
+      variants,
+      position,
+      archived: false,
+      createdAt: at,
+      updatedAt: at,
+    };
+  });
+}
+
+async function updateProduct(store, id, input, { now = new Date() } = {}) {
+  await seedCatalog(store);
+  if (input.price !== undefined || input.variants !== undefined) {
+    throw new CatalogError('Prices and stock are set per variant: use the variants routes');
+  }
+  const fields = validateProductFields(input, { partial: true });
+  if (input.archived !== undefined) {
+    if (typeof input.archived !== 'boolean') {
+      throw new CatalogError('Invalid archived: must be true or false');
+    }
+    fields.archived = input.archived;
+  }
+
+  return store.update(COLLECTION, id, current => {
+    if (!current) {
+      throw new CatalogError('Product not found', 404);
+    }
+    return { ...withVariants(current), ...fields, updatedAt: now.toISOString() };
+  });
+}
+
+async function addVariant(store, productId, input, { now = new Date() } = {}) {
+  const products = await listProducts(store, { includeArchived: true });
+  if (!products.some(product => product.id === productId)) {
+    throw new CatalogError('Product not found', 404);
+  }
+  const variant = buildVariant(productId, input, products);
+
+  return store.update(COLLECTION, productId, current => {
+    const product = withVariants(current);
+    return { ...product, variants: [...product.variants, variant], updatedAt: now.toISOString() };
+  });
+}
+
+// Existing orders keep the unit price they were created with, so changing
+// a price here only affects new orders
+async function updateVariant(store, productId, variantId, input, { now = new Date() } = {}) {
+  await seedCatalog(store);
+  const fields = validateVariantFields(input, { partial: true });
+
+  return store.update(COLLECTION, productId, current => {
+    const product = withVariants(current);
+    if (!product || !product.variants.some(variant => variant.id === variantId)) {
+      throw new CatalogError('Variant not found', 404);
+    }
+    return {
+      ...product,
+      variants: product.variants.map(variant => variant.id === variantId ? applyVariantUpdate(variant, fields) : variant),
+      updatedAt: now.toISOString(),
+    };
+  });
+}
+
+// Adds `sign * quantity` to the stock of the line's variant. Variants
+// with unlimited stock (null) are left alone. The check and the change
+// happen under the store's lock, so two orders can't both take the last
+// print. Resolves to whether the stock changed.
+async function adjustStock(store, line, sign) {
+  let changed = false;
+  await store.update(COLLECTION, line.productId, current => {
+    const product = withVariants(current);
+    const variant = product && product.variants.find(v => v.id === line.variantId);
+    if (!variant || variant.stock === null || variant.stock === undefined) {
+      return undefined;
+    }
+    const stock = variant.stock + sign * line.quantity;
+    if (stock < 0) {
+      throw new CatalogError(`Not enough stock for ${product.name} (${variant.name}): ${variant.stock} left`, 409);
+    }
+    changed = true;
+    return {
+      ...product,
+      variants: product.variants.map(v => v.id === variant.id ? { ...v, stock } : v),
+    };
+  });
+  return changed;
+}
+
+// Takes the ordered quantities out of stock, all or nothing. Resolves to
+// the lines that were counted out (those with limited stock).
+async function takeStock(store, lines) {
+  const taken = [];
+  try {
+    for (const line of lines) {
+      if (await adjustStock(store, line, -1)) {
+        taken.push(line);
+      }
+    }
+  } catch (error) {
+    await returnStock(store, taken);
+    throw error;
+  }
+  return taken;
+}
+
+async function returnStock(store, lines) {
+  for (const line of lines) {
+    await adjustStock(store, line, 1);
+  }
+}
+
+// Numbers the next `line.quantity` prints of a limited edition, e.g.
+// [12, 13] of 50. Resolves to null for variants that aren't editions.
+async function issueEditionNumbers(store, line) {
+  let numbers = null;
+  await store.update(COLLECTION, line.productId, current => {
+    const product = withVariants(current);
+    const variant = product && product.variants.find(v => v.id === line.variantId);
+    if (!variant || !variant.editionSize) {
+      return undefined;
+    }
+    const issued = variant.editionsIssued || 0;
+    numbers = Array.from({ length: line.quantity }, (_, i) => issued + i + 1);
+    return {
+      ...product,
+      variants: product.variants.map(v => v.id === variant.id ? { ...v, editionsIssued: issued + line.quantity } : v),
+    };
+  });
+  return numbers;
+}
+
+// Archived products disappear from the store front and can't be ordered,
+// but stay on record for past orders
+function setProductArchived(store, id, archived, options) {
+  return updateProduct(store, id, { archived }, options);
+}
+
+// Puts the listed products first, in the given order; the rest keep their
+// relative order after them
+async function reorderProducts(store, ids, { now = new Date() } = {}) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+    throw new CatalogError('Invalid ids: must be a non-empty array of product IDs');
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new CatalogError('Invalid ids: product IDs must not repeat');
+  }
+
+  const products = await listProducts(store, { includeArchived: true });
+  const unknown = ids.find(id => !products.some(product => product.id === id));
+  if (unknown) {
+    throw new CatalogError(`Product not found: ${unknown}`, 404);
+  }
+
+  const ordered = [
+    ...ids.map(id => products.find(product => product.id === id)),
+    ...products.filter(product => !ids.includes(product.id)),
+  ];
+  for (const [position, product] of ordered.entries()) {
+    if (product.position !== position) {
+      await store.update(COLLECTION, product.id, current => current ? {
+        ...current,
+        position,
+        updatedAt: now.toISOString(),
+      } : undefined);
+    }
+  }
+  return listProducts(store, { includeArchived: true });
+}
+
+// Saves an uploaded image into `dir` and points the product at it.
+// `urlPrefix` is the path `dir` is served under.
+async function saveProductImage(store, id, { data, contentType, dir, urlPrefix }) {
+  const type = IMAGE_TYPES[contentType];
+  if (!type) {
+    throw new CatalogError(`Unsupported image type: use ${Object.keys(IMAGE_TYPES).join(', ')}`, 415);
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new CatalogError('Missing image data');
+  }
+  if (data.length > MAX_IMAGE_BYTES) {
+    throw new CatalogError('Image is too large', 413);
+  }
+  if (!type.matches(data)) {
+    throw new CatalogError(`Image data is not a valid ${contentType} file`);
+  }
+  if (!(await getProduct(store, id))) {
+    throw new CatalogError('Product not found', 404);
+  }
+
+  const filename = `${id}-${randomBytes(6).toString('hex')}.${type.extension}`;
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, filename), data);
+
+  return updateProduct(store, id, { image: `${urlPrefix}/${filename}` });
+}
+
+// Public product shape used by the store front (app.js). `price` is the
+// lowest variant price, shown as "from" in the product grid. `priceOf`
+// gives variant prices in another currency, as for priceItems.
+function serializeProduct(product, { priceOf = variant => variant.price } = {}) {
+  const variants = activeVariants(product);
+  const prices = variants.map(priceOf);
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    price: Math.min(...prices),
+    image: product.image,
+    soldOut: variants.every(variant => variant.stock === 0),
+    variants: variants.map((variant, i) => ({
+      id: variant.id,
+      sku: variant.sku,
+      name: variant.name,
+      type: variant.type,
+      price: prices[i],
+      stock: variant.stock,
+      available: variant.stock !== 0,
+      editionSize: variant.editionSize || null,
+    })),
+  };
+}
+
+module.exports = {
+  CatalogError,
+  MAX_IMAGE_BYTES,
+  seedCatalog,
+  listProducts,
+  getProduct,
+  isForSale,
+  createProduct,
+  updateProduct,
+  addVariant,
+  updateVariant,
+  findVariant,
+  priceItems,
+  takeStock,
+  returnStock,
+  issueEditionNumbers,
+  setProductArchived,
+  reorderProducts,
+  saveProductImage,
+  serializeProduct,
+};
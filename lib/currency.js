@@ -0,0 +1,136 @@
+// Currencies the store can price and charge in. Catalog prices are in the
+// base currency (USD cents). A variant may set its own price in another
+// currency (`prices: { EUR: 2799 }`); otherwise the base price is
+// converted with the stored exchange-rate table.
+//
+// Amounts are always integers in the currency's minor unit: cents for
+// USD, EUR and GBP, whole yen for JPY.
+
+const BASE_CURRENCY = 'USD';
+
+// Digits after the decimal point of each supported currency
+const CURRENCY_DECIMALS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  JPY: 0,
+};
+
+const SETTINGS_COLLECTION = 'settings';
+const RATES_ID = 'exchange_rates';
+
+class CurrencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CurrencyError';
+    this.status = status;
+  }
+}
+
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCY_DECIMALS, currency);
+}
+
+// Parses STORE_CURRENCIES ("USD,EUR,GBP,JPY"). The base currency is always
+// offered, and comes first.
+function parseCurrencies(value) {
+  const currencies = String(value || '').split(',').map(c => c.trim().toUpperCase()).filter(Boolean);
+  const unknown = currencies.find(currency => !isSupportedCurrency(currency));
+  if (unknown) {
+    throw new Error(`Unsupported currency in STORE_CURRENCIES: ${unknown}`);
+  }
+  return [BASE_CURRENCY, ...new Set(currencies.filter(currency => currency !== BASE_CURRENCY))];
+}
+
+// Checks an exchange-rate table: units of each currency per 1 USD
+function validateRates(rates) {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw new CurrencyError('Invalid rates: must be an object such as { "EUR": 0.92 }');
+  }
+  const valid = {};
+  for (const [currency, rate] of Object.entries(rates)) {
+    if (!isSupportedCurrency(currency) || currency === BASE_CURRENCY) {
+      throw new CurrencyError(`Invalid rates: unsupported currency ${currency}`);
+    }
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new CurrencyError(`Invalid rate for ${currency}: must be a positive number`);
+    }
+    valid[currency] = rate;
+  }
+  return valid;
+}
+
+// Parses EXCHANGE_RATES ("EUR=0.92,GBP=0.79,JPY=151")
+function parseExchangeRates(value) {
+  const rates = {};
+  for (const pair of String(value || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const [currency, rate] = pair.split('=');
+    rates[currency.trim().toUpperCase()] = Number(rate);
+  }
+  return validateRates(rates);
+}
+
+// The stored exchange-rate table, or `fallback` until staff save one
+async function getExchangeRates(store, fallback = {}) {
+  const record = await store.get(SETTINGS_COLLECTION, RATES_ID);
+  return record ? record.rates : fallback;
+}
+
+async function saveExchangeRates(store, rates, { now = new Date() } = {}) {
+  const valid = validateRates(rates);
+  return store.put(SETTINGS_COLLECTION, RATES_ID, {
+    id: RATES_ID,
+    base: BASE_CURRENCY,
+    rates: valid,
+    updatedAt: now.toISOString(),
+  });
+}
+
+// Converts a base-currency amount (USD cents) to `currency`
+function convertAmount(amount, currency, rates) {
+  if (currency === BASE_CURRENCY) {
+    return amount;
+  }
+  const rate = rates[currency];
+  if (!rate) {
+    throw new CurrencyError(`Prices in ${currency} are not available right now`, 503);
+  }
+  const baseUnits = 10 ** CURRENCY_DECIMALS[BASE_CURRENCY];
+  return Math.max(1, Math.round(amount / baseUnits * rate * 10 ** CURRENCY_DECIMALS[currency]));
+}
+
+// A variant's price in `currency`: its own price there if it has one,
+// otherwise the converted base price
+function variantPrice(variant, currency, rates) {
+  if (currency !== BASE_CURRENCY && variant.prices && variant.prices[currency]) {
+    return variant.prices[currency];
+  }
+  return convertAmount(variant.price, currency, rates);
+}
+
+// "€27.99", "¥4,500"
+function formatMoney(amount, currency = BASE_CURRENCY) {
+  const decimals = CURRENCY_DECIMALS[currency] !== undefined ? CURRENCY_DECIMALS[currency] : 2;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount / 10 ** decimals);
+}
+
+// "27.99", "4500": a plain decimal amount for exports
+function formatDecimal(amount, currency = BASE_CURRENCY) {
+  const decimals = CURRENCY_DECIMALS[currency] !== undefined ? CURRENCY_DECIMALS[currency] : 2;
+  return (amount / 10 ** decimals).toFixed(decimals);
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCY_DECIMALS,
+  CurrencyError,
+  isSupportedCurrency,
+  parseCurrencies,
+  parseExchangeRates,
+  getExchangeRates,
+  saveExchangeRates,
+  convertAmount,
+  variantPrice,
+  formatMoney,
+  formatDecimal,
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { createHmac } = require('crypto');
+const { safeEqual } = require('./auth');
+const { OrderError, getOrder, lineKey, refundedQuantities } = require('./orders');
+const { getProduct } = require('./catalog');
+const { logger } = require('./log');
+
+const COUNTS_COLLECTION = 'download_counts';
+
+// Orders whose digital lines may be downloaded
+const DOWNLOADABLE_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+// Download tokens are `<payload>.<signature>`, both base64url:
+//   payload    JSON { o: order ID, v: variant ID, e: expiry (unix seconds) }
+//   signature  HMAC-SHA256 of the payload with the signing secret
+function signDownloadToken({ orderId, variantId, expiresAt }, secret) {
+  const payload = Buffer.from(JSON.stringify({
+    o: orderId,
+    v: variantId,
+    e: Math.floor(expiresAt.getTime() / 1000),
+  })).toString('base64url');
+  const signature = createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Returns { orderId, variantId, expiresAt } for a genuine, unexpired token
+function verifyDownloadToken(token, secret, now = new Date()) {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) {
+    throw new OrderError('Invalid download link', 404);
+  }
+  const expected = createHmac('sha256', secret).update(payload).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    throw new OrderError('Invalid download link', 404);
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new OrderError('Invalid download link', 404);
+  }
+  const expiresAt = new Date(claims.e * 1000);
+  if (expiresAt <= now) {
+    throw new OrderError('This download link has expired', 410);
+  }
+  return { orderId: claims.o, variantId: claims.v, expiresAt };
+}
+
+// Order lines that can be downloaded right now: digital lines of a paid
+// order that have not been fully refunded
+function downloadableLines(order) {
+  if (!order || !DOWNLOADABLE_STATUSES.includes(order.status)) {
+    return [];
+  }
+  const refunded = refundedQuantities(order);
+  return order.items.filter(line =>
+    line.type === 'digital' && line.variantId && (refunded[lineKey(line)] || 0) < line.quantity);
+}
+
+// Digital delivery of purchased photos. Full-resolution originals live in
+// `originalsDir`, outside public/, and are only served through signed
+// links that expire after `ttlSeconds` or `maxDownloads` downloads per
+// order line.
+function createDownloadService({
+  store,
+  secret,
+  originalsDir,
+  ttlSeconds = 7 * 24 * 60 * 60,
+  maxDownloads = 5,
+  now = () => new Date(),
+}) {
+  const countId = (orderId, variantId) => `${orderId}:${variantId}`;
+
+  return {
+    // Fresh links for every downloadable line of `order`
+    async listDownloads(order) {
+      const expiresAt = new Date(now().getTime() + ttlSeconds * 1000);
+      const downloads = [];
+      for (const line of downloadableLines(order)) {
+        const counter = await store.get(COUNTS_COLLECTION, countId(order.id, line.variantId));
+        const remaining = Math.max(0, maxDownloads - (counter ? counter.count : 0));
+        downloads.push({
+          variantId: line.variantId,
+          name: line.name,
+          variantName: line.variantName,
+          url: remaining > 0
+            ? `/api/downloads/${signDownloadToken({ orderId: order.id, variantId: line.variantId, expiresAt }, secret)}`
+            : null,
+          expiresAt: remaining > 0 ? expiresAt.toISOString() : null,
+          downloadsRemaining: remaining,
+        });
+      }
+      return downloads;
+    },
+
+    // Checks a token and counts the download. Returns the file to send.
+    async redeem(token) {
+      const { orderId, variantId } = verifyDownloadToken(token, secret, now());
+
+      const order = await getOrder(store, orderId);
+      const line = downloadableLines(order).find(l => l.variantId === variantId);
+      if (!line) {
+        throw new OrderError('This download is no longer available', 403);
+      }
+
+      const product = await getProduct(store, line.productId);
+      const original = product && product.original;
+      const filePath = original && path.join(originalsDir, original);
+      if (!filePath || !fs.existsSync(filePath)) {
+        logger.error('Original missing for download', { productId: line.productId, variantId, filePath: filePath || null });
+        throw new OrderError('The file for this download is not available. Please contact support.', 404);
+      }
+
+      await store.update(COUNTS_COLLECTION, countId(orderId, variantId), current => {
+        const count = current ? current.count : 0;
+        if (count >= maxDownloads) {
+          throw new OrderError('The download limit for this purchase has been reached', 410);
+        }
+        return { id: countId(orderId, variantId), count: count + 1, lastDownloadAt: now().toISOString() };
+      });
+
+      return {
+        filePath,
+        filename: `${line.name}${path.extname(original)}`,
+      };
+    },
+  };
+}
+
+module.exports = {
+  DOWNLOADABLE_STATUSES,
+  signDownloadToken,
+  verifyDownloadToken,
+  downloadableLines,
+  createDownloadService,
+};
@@ -0,0 +1,21 @@
+const { randomUUID } = require('crypto');
+const { logger } = require('../log');
+
+// Logs that a message would have been sent, alongside the server's other
+// logs. Only the template and the hashed recipient are logged: bodies hold
+// download and login links, and subjects order IDs.
+function createConsoleTransport({ log = logger } = {}) {
+  return {
+    name: 'console',
+
+    async send(message) {
+      const messageId = randomUUID();
+      log.info('Email not sent (console transport)', { template: message.template, to: message.to, messageId });
+      return { messageId };
+    },
+  };
+}
+
+module.exports = {
+  createConsoleTransport,
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+// Writes each message to `dir` as a JSON file instead of sending it. Meant
+// for local development and tests, which can read the files back.
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    dir,
+
+    async send(message) {
+      const messageId = randomUUID();
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${messageId}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, filename),
+        JSON.stringify({ messageId, ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { messageId };
+    },
+
+    // Messages written so far, oldest first
+    async list() {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const messages = [];
+      for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+        messages.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+      }
+      return messages;
+    },
+  };
+}
+
+module.exports = {
+  createFileTransport,
+};
@@ -0,0 +1,48 @@
+const path = require('path');
+const { createSmtpTransport } = require('./smtp-transport');
+const { createFileTransport } = require('./file-transport');
+const { createConsoleTransport } = require('./console-transport');
+const { createOutbox, startOutboxWorker } = require('./outbox');
+const { createOrderNotifier } = require('./notifications');
+const { renderTemplate } = require('./templates');
+
+// Picks a mail transport from the environment:
+//   MAIL_TRANSPORT=console  print messages to the console (default)
+//   MAIL_TRANSPORT=file     write messages as JSON files to MAIL_DIR
+//   MAIL_TRANSPORT=smtp     send through SMTP_URL, or SMTP_HOST/SMTP_PORT/
+//                           SMTP_USER/SMTP_PASS (SMTP_SECURE=true for TLS)
+function createMailTransport(env = process.env) {
+  switch (env.MAIL_TRANSPORT) {
+    case undefined:
+    case '':
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport({ dir: path.resolve(env.MAIL_DIR || path.join(env.DATA_DIR || './data', 'mail')) });
+    case 'smtp':
+      if (!env.SMTP_URL && !env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_URL or SMTP_HOST');
+      }
+      return createSmtpTransport({
+        url: env.SMTP_URL,
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${env.MAIL_TRANSPORT}`);
+  }
+}
+
+module.exports = {
+  createMailTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createOutbox,
+  startOutboxWorker,
+  createOrderNotifier,
+  renderTemplate,
+};
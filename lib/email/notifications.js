@@ -0,0 +1,68 @@
+const { orderEvents } = require('../orders');
+const { logger } = require('../log');
+
+// Refund statuses that mean the money is on its way back
+const REFUND_SENT_STATUSES = ['PENDING', 'COMPLETED'];
+
+// Emails customers about their orders by listening to order events:
+//   order_confirmation  when the order is placed
+//   payment_receipt     when it is paid, with links for digital downloads
+//   payment_failed      each time a payment attempt fails
+//   order_shipped       when prints ship, with their tracking numbers
+//   refund_issued       for every refund that is not rejected
+// Orders without a customer email are skipped. Returns a function that
+// stops listening.
+function createOrderNotifier({ outbox, downloads, baseUrl, events = orderEvents }) {
+  function notify(order, key, template, data) {
+    if (!order.customerEmail) {
+      return;
+    }
+    outbox.enqueue({ id: `${order.id}:${key}`, to: order.customerEmail, template, data })
+      .then(() => outbox.flush())
+      .catch(error => logger.error('Failed to queue email', { template, orderId: order.id, error }));
+  }
+
+  async function receiptData(order) {
+    const links = downloads ? await downloads.listDownloads(order) : [];
+    return {
+      order,
+      downloads: links.map(link => ({ ...link, url: link.url && `${baseUrl}${link.url}` })),
+    };
+  }
+
+  function onCreated(order) {
+    notify(order, 'order_confirmation', 'order_confirmation', { order });
+  }
+
+  function onTransition({ order, to }) {
+    if (to === 'paid') {
+      receiptData(order)
+        .then(data => notify(order, 'payment_receipt', 'payment_receipt', data))
+        .catch(error => logger.error('Failed to prepare receipt', { orderId: order.id, error }));
+    } else if (to === 'failed') {
+      notify(order, `payment_failed:${order.history.length}`, 'payment_failed', { order, baseUrl });
+    } else if (to === 'fulfilled' && order.fulfillment?.shipments?.length > 0) {
+      notify(order, 'order_shipped', 'order_shipped', { order });
+    }
+  }
+
+  function onRefund({ order, refund }) {
+    if (refund && REFUND_SENT_STATUSES.includes(refund.status)) {
+      notify(order, `refund:${refund.id}`, 'refund_issued', { order, refund });
+    }
+  }
+
+  events.on('created', onCreated);
+  events.on('transition', onTransition);
+  events.on('refund', onRefund);
+
+  return () => {
+    events.off('created', onCreated);
+    events.off('transition', onTransition);
+    events.off('refund', onRefund);
+  };
+}
+
+module.exports = {
+  createOrderNotifier,
+};
@@ -0,0 +1,160 @@
+const { renderTemplate } = require('./templates');
+const { logger } = require('../log');
+
+const COLLECTION = 'email_outbox';
+
+// Persistent outbox for customer email. Messages are rendered and saved
+// when they are queued, then sent by `flush()`. A failed send is retried
+// with exponential backoff (baseDelayMs, doubling, at most maxDelayMs)
+// until `maxAttempts` is reached, so a mail outage delays messages
+// instead of losing them.
+//
+// Outbox records:
+//   { id, to, template, subject, text, html, status: pending|sent|failed,
+//     attempts, nextAttemptAt, lastError, messageId, createdAt, sentAt }
+function createOutbox({
+  store,
+  transport,
+  from,
+  now = () => new Date(),
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+}) {
+  let flushing = null;
+  let flushAgain = false;
+
+  function retryDelay(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async function deliver(message) {
+    let result;
+    let failure;
+    try {
+      result = await transport.send({
+        template: message.template,
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    return store.update(COLLECTION, message.id, current => {
+      if (!current || current.status !== 'pending') {
+        return undefined;
+      }
+      const attempts = current.attempts + 1;
+      const at = now();
+      if (!failure) {
+        return {
+          ...current,
+          status: 'sent',
+          attempts,
+          messageId: result && result.messageId,
+          lastError: null,
+          nextAttemptAt: null,
+          sentAt: at.toISOString(),
+        };
+      }
+
+      const gaveUp = attempts >= maxAttempts;
+      logger.error('Failed to send email', { emailId: current.id, attempt: attempts, gaveUp, error: failure.message });
+      return {
+        ...current,
+        status: gaveUp ? 'failed' : 'pending',
+        attempts,
+        lastError: failure.message,
+        nextAttemptAt: gaveUp ? null : new Date(at.getTime() + retryDelay(attempts)).toISOString(),
+      };
+    });
+  }
+
+  async function deliverDue() {
+    const at = now().toISOString();
+    const due = await store.list(COLLECTION, message =>
+      message.status === 'pending' && message.nextAttemptAt <= at);
+    due.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    let sent = 0;
+    for (const message of due) {
+      const result = await deliver(message);
+      if (result && result.status === 'sent') sent += 1;
+    }
+    return sent;
+  }
+
+  return {
+    // Queues `template` rendered with `data` for `to`. `id` identifies the
+    // message: queuing the same id twice sends it once.
+    async enqueue({ id, to, template, data }) {
+      const { subject, text, html } = renderTemplate(template, data);
+      const createdAt = now().toISOString();
+
+      return store.update(COLLECTION, id, current => current ? undefined : {
+        id,
+        to,
+        template,
+        subject,
+        text,
+        html,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastError: null,
+        messageId: null,
+        createdAt,
+        sentAt: null,
+      });
+    },
+
+    // Sends every message that is due. Calls made while a flush is running
+    // share it, and it makes one more pass for messages queued meanwhile.
+    // Resolves to the number of messages sent.
+    flush() {
+      if (flushing) {
+        flushAgain = true;
+        return flushing;
+      }
+      flushing = (async () => {
+        let sent = 0;
+        do {
+          flushAgain = false;
+          sent += await deliverDue();
+        } while (flushAgain);
+        return sent;
+      })().finally(() => {
+        flushing = null;
+      });
+      return flushing;
+    },
+
+    async get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async list(predicate) {
+      return store.list(COLLECTION, predicate);
+    },
+  };
+}
+
+// Retries due messages in the background. Returns a function that stops
+// the worker.
+function startOutboxWorker(outbox, { intervalMs = 30 * 1000 } = {}) {
+  const timer = setInterval(() => {
+    outbox.flush().catch(error => logger.error('Email outbox error', { error }));
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  createOutbox,
+  startOutboxWorker,
+};
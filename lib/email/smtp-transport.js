@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through an SMTP server. `url` is an smtp:// or smtps:// URL;
+// otherwise host/port/secure/user/pass are used.
+function createSmtpTransport({ url, host, port = 587, secure = false, user, pass }) {
+  const transporter = nodemailer.createTransport(url || {
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ template, ...message }) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+};
@@ -0,0 +1,257 @@
+// Customer emails. Each template takes `data` and returns
+// { subject, text, html }; the outbox renders them when a message is queued.
+
+const { formatMoney } = require('../currency');
+
+const STORE_NAME = 'Photo Store';
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function itemLabel(item) {
+  return item.variantName ? `${item.name} (${item.variantName})` : item.name;
+}
+
+function discountLabel(order) {
+  return `Discount (${order.promotion.code})`;
+}
+
+function taxLabel(order) {
+  const { name, rate, inclusive } = order.taxRule;
+  return inclusive ? `Includes ${name} (${rate}%)` : `${name} (${rate}%)`;
+}
+
+function shippingLabel(order) {
+  return `Shipping (${order.shipping.name})`;
+}
+
+function trackingLabel(shipment) {
+  return `${shipment.carrier} ${shipment.trackingNumber}`;
+}
+
+function itemLines(order) {
+  const lines = order.items.map(item =>
+    `  ${itemLabel(item)} x${item.quantity}  ${formatMoney(item.lineTotal, order.currency)}`);
+  if (order.discount) {
+    lines.push(`  ${discountLabel(order)}  -${formatMoney(order.discount, order.currency)}`);
+  }
+  if (order.taxRule) {
+    lines.push(`  ${taxLabel(order)}  ${formatMoney(order.tax, order.currency)}`);
+  }
+  if (order.shipping) {
+    lines.push(`  ${shippingLabel(order)}  ${formatMoney(order.shipping.amount, order.currency)}`);
+  }
+  return lines;
+}
+
+function itemRows(order) {
+  return order.items.map(item => `
+      <tr>
+        <td style="padding:4px 12px 4px 0">${escapeHtml(itemLabel(item))} &times; ${item.quantity}</td>
+        <td style="padding:4px 0;text-align:right">${escapeHtml(formatMoney(item.lineTotal, order.currency))}</td>
+      </tr>`).join('') + (order.discount ? `
+      <tr>
+        <td style="padding:4px 12px 4px 0">${escapeHtml(discountLabel(order))}</td>
+        <td style="padding:4px 0;text-align:right">-${escapeHtml(formatMoney(order.discount, order.currency))}</td>
+      </tr>` : '') + (order.taxRule ? `
+      <tr>
+        <td style="padding:4px 12px 4px 0">${escapeHtml(taxLabel(order))}</td>
+        <td style="padding:4px 0;text-align:right">${escapeHtml(formatMoney(order.tax, order.currency))}</td>
+      </tr>` : '') + (order.shipping ? `
+      <tr>
+        <td style="padding:4px 12px 4px 0">${escapeHtml(shippingLabel(order))}</td>
+        <td style="padding:4px 0;text-align:right">${escapeHtml(formatMoney(order.shipping.amount, order.currency))}</td>
+      </tr>` : '');
+}
+
+function itemTable(order) {
+  return `
+    <table style="border-collapse:collapse;width:100%">${itemRows(order)}
+      <tr>
+        <td style="padding:8px 12px 4px 0;border-top:1px solid #ddd"><strong>Total</strong></td>
+        <td style="padding:8px 0 4px;border-top:1px solid #ddd;text-align:right"><strong>${escapeHtml(formatMoney(order.total, order.currency))}</strong></td>
+      </tr>
+    </table>`;
+}
+
+// Wraps a message body in the shared HTML layout
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333">
+  <div style="max-width:560px;margin:0 auto;padding:24px;background:#fff;border-radius:8px">
+    <h1 style="margin-top:0;font-size:20px">${escapeHtml(title)}</h1>
+    ${body}
+    <p style="margin-top:24px;font-size:12px;color:#888">${STORE_NAME}</p>
+  </div>
+</body>
+</html>
+`;
+}
+
+function text(lines) {
+  return [...lines, '', STORE_NAME, ''].join('\n');
+}
+
+const templates = {
+  // data: { order }
+  order_confirmation({ order }) {
+    return {
+      subject: `Order ${order.id} received`,
+      text: text([
+        `Thanks for your order! We've saved it and are waiting for your payment.`,
+        '',
+        `Order: ${order.id}`,
+        ...itemLines(order),
+        `  Total  ${formatMoney(order.total, order.currency)}`,
+      ]),
+      html: layout('Thanks for your order!', `
+    <p>We've saved order <strong>${escapeHtml(order.id)}</strong> and are waiting for your payment.</p>
+    ${itemTable(order)}`),
+    };
+  },
+
+  // data: { order, downloads }; download URLs must be absolute
+  payment_receipt({ order, downloads = [] }) {
+    const available = downloads.filter(download => download.url);
+    const downloadText = available.length > 0
+      ? ['', 'Your downloads:', ...available.map(d => `  ${d.name} (${d.variantName}): ${d.url}`),
+        `Links expire on ${available[0].expiresAt}.`]
+      : [];
+    const downloadHtml = available.length > 0
+      ? `
+    <h2 style="font-size:16px">Your downloads</h2>
+    <ul>${available.map(d => `
+      <li><a href="${escapeHtml(d.url)}">${escapeHtml(d.name)} (${escapeHtml(d.variantName)})</a></li>`).join('')}
+    </ul>
+    <p style="font-size:12px;color:#888">Links expire on ${escapeHtml(available[0].expiresAt)}.</p>`
+      : '';
+    const receiptUrl = order.payment && order.payment.receiptUrl;
+
+    return {
+      subject: `Receipt for order ${order.id}`,
+      text: text([
+        `We've received your payment of ${formatMoney(order.total, order.currency)}.`,
+        '',
+        `Order: ${order.id}`,
+        ...itemLines(order),
+        ...(receiptUrl ? ['', `Receipt: ${receiptUrl}`] : []),
+        ...downloadText,
+      ]),
+      html: layout('Payment received', `
+    <p>We've received your payment for order <strong>${escapeHtml(order.id)}</strong>.</p>
+    ${itemTable(order)}
+    ${receiptUrl ? `<p><a href="${escapeHtml(receiptUrl)}">View your receipt</a></p>` : ''}${downloadHtml}`),
+    };
+  },
+
+  // data: { order, refund }
+  refund_issued({ order, refund }) {
+    const amount = formatMoney(refund.amount, order.currency);
+    return {
+      subject: `Refund for order ${order.id}`,
+      text: text([
+        `We've refunded ${amount} for order ${order.id}.`,
+        ...(refund.reason ? [`Reason: ${refund.reason}`] : []),
+        '',
+        'Depending on your bank it can take 5-10 business days to appear on your statement.',
+      ]),
+      html: layout('Refund issued', `
+    <p>We've refunded <strong>${escapeHtml(amount)}</strong> for order <strong>${escapeHtml(order.id)}</strong>.</p>
+    ${refund.reason ? `<p>Reason: ${escapeHtml(refund.reason)}</p>` : ''}
+    <p>Depending on your bank it can take 5-10 business days to appear on your statement.</p>`),
+    };
+  },
+
+  // data: { order }; order.fulfillment lists the shipments
+  order_shipped({ order }) {
+    const shipments = order.fulfillment.shipments;
+    return {
+      subject: `Order ${order.id} has shipped`,
+      text: text([
+        `Your prints from order ${order.id} are on their way.`,
+        '',
+        ...shipments.map(shipment => `Tracking: ${trackingLabel(shipment)}${shipment.trackingUrl ? ` ${shipment.trackingUrl}` : ''}`),
+      ]),
+      html: layout('Your order has shipped', `
+    <p>Your prints from order <strong>${escapeHtml(order.id)}</strong> are on their way.</p>
+    <ul>${shipments.map(shipment => `
+      <li>${shipment.trackingUrl
+        ? `<a href="${escapeHtml(shipment.trackingUrl)}">${escapeHtml(trackingLabel(shipment))}</a>`
+        : escapeHtml(trackingLabel(shipment))}</li>`).join('')}
+    </ul>`),
+    };
+  },
+
+  // data: { url, expiresAt }
+  login_link({ url, expiresAt }) {
+    return {
+      subject: `Sign in to ${STORE_NAME}`,
+      text: text([
+        'Use this link to sign in to your account:',
+        '',
+        url,
+        '',
+        `The link works once and expires at ${expiresAt}. If you didn't ask to sign in, you can ignore this email.`,
+      ]),
+      html: layout('Sign in to your account', `
+    <p><a href="${escapeHtml(url)}">Sign in to ${STORE_NAME}</a></p>
+    <p style="font-size:12px;color:#888">The link works once and expires at ${escapeHtml(expiresAt)}. If you didn't ask to sign in, you can ignore this email.</p>`),
+    };
+  },
+
+  // data: { url, expiresAt }
+  account_confirm({ url, expiresAt }) {
+    return {
+      subject: `Confirm your ${STORE_NAME} account`,
+      text: text([
+        'Use this link to confirm your email address and finish creating your account:',
+        '',
+        url,
+        '',
+        `The link works once and expires at ${expiresAt}. If you didn't create an account, you can ignore this email.`,
+      ]),
+      html: layout('Confirm your account', `
+    <p><a href="${escapeHtml(url)}">Confirm your email address</a> to finish creating your ${STORE_NAME} account.</p>
+    <p style="font-size:12px;color:#888">The link works once and expires at ${escapeHtml(expiresAt)}. If you didn't create an account, you can ignore this email.</p>`),
+    };
+  },
+
+  // data: { order, baseUrl }
+  payment_failed({ order, baseUrl }) {
+    return {
+      subject: `Payment failed for order ${order.id}`,
+      text: text([
+        `We couldn't take payment for order ${order.id}. You have not been charged.`,
+        '',
+        'You can try again with another payment method before the order expires.',
+        ...(baseUrl ? [`Try again: ${baseUrl}/`] : []),
+      ]),
+      html: layout('Payment failed', `
+    <p>We couldn't take payment for order <strong>${escapeHtml(order.id)}</strong>. You have not been charged.</p>
+    <p>You can try again with another payment method before the order expires.</p>
+    ${baseUrl ? `<p><a href="${escapeHtml(baseUrl)}/">Try again</a></p>` : ''}`),
+    };
+  },
+};
+
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  escapeHtml,
+  renderTemplate,
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stand-in print lab for local development and tests. Orders are written
+// to `dir`/orders/<orderId>.json. To ship one, drop
+// `dir`/shipments/<orderId>.json with { shipments: [{ carrier,
+// trackingNumber, trackingUrl }] }; the fulfillment worker picks it up.
+function createFileLab({ dir }) {
+  return {
+    name: 'file',
+    dir,
+
+    async submit(labOrder) {
+      const ordersDir = path.join(dir, 'orders');
+      await fs.promises.mkdir(ordersDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(ordersDir, `${labOrder.orderId}.json`),
+        JSON.stringify({ ...labOrder, receivedAt: new Date().toISOString() }, null, 2)
+      );
+      return { labOrderId: labOrder.orderId };
+    },
+
+    async checkStatus(labOrderId) {
+      try {
+        const update = JSON.parse(await fs.promises.readFile(path.join(dir, 'shipments', `${path.basename(labOrderId)}.json`), 'utf8'));
+        return { shipments: update.shipments };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFileLab,
+};
@@ -0,0 +1,49 @@
+const path = require('path');
+const { createFileLab } = require('./file-lab');
+const { createWebhookLab, verifyPrintLabSignature, SIGNATURE_HEADER } = require('./webhook-lab');
+const {
+  FulfillmentError,
+  hasPrints,
+  parseShipments,
+  recordShipments,
+  createFulfillmentQueue,
+  queuePaidOrders,
+  startFulfillmentWorker,
+} = require('./queue');
+
+// Picks a print lab from the environment:
+//   PRINT_LAB unset     no lab: staff ship prints and mark orders fulfilled
+//   PRINT_LAB=file      write lab orders as JSON files to PRINT_LAB_DIR
+//   PRINT_LAB=webhook   POST lab orders to PRINT_LAB_URL, signed with
+//                       PRINT_LAB_SECRET
+function createPrintLab(env = process.env) {
+  switch (env.PRINT_LAB) {
+    case undefined:
+    case '':
+      return null;
+    case 'file':
+      return createFileLab({ dir: path.resolve(env.PRINT_LAB_DIR || path.join(env.DATA_DIR || './data', 'print-lab')) });
+    case 'webhook':
+      if (!env.PRINT_LAB_URL || !env.PRINT_LAB_SECRET) {
+        throw new Error('PRINT_LAB=webhook requires PRINT_LAB_URL and PRINT_LAB_SECRET');
+      }
+      return createWebhookLab({ url: env.PRINT_LAB_URL, secret: env.PRINT_LAB_SECRET });
+    default:
+      throw new Error(`Unknown PRINT_LAB: ${env.PRINT_LAB}`);
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  FulfillmentError,
+  createPrintLab,
+  createFileLab,
+  createWebhookLab,
+  verifyPrintLabSignature,
+  hasPrints,
+  parseShipments,
+  recordShipments,
+  createFulfillmentQueue,
+  queuePaidOrders,
+  startFulfillmentWorker,
+};
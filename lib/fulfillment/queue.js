@@ -0,0 +1,353 @@
+const {
+  orderEvents,
+  getOrder,
+  canTransition,
+  transitionOrder,
+  recordFulfillment,
+} = require('../orders');
+const { logger } = require('../log');
+
+const COLLECTION = 'fulfillment_jobs';
+
+const MAX_SHIPMENTS = 20;
+const MAX_FIELD_LENGTH = 200;
+
+// Print labs
+//
+// A print lab prints and ships the physical part of paid orders. Every lab
+// implements the same interface:
+//
+//   name                     -> shown in logs and on the order
+//   submit(labOrder)         -> { labOrderId }
+//   checkStatus(labOrderId)  -> null until shipped, then { shipments }
+//                               (optional: labs without it report
+//                               shipments to POST /api/webhooks/print-lab)
+//
+// Fulfillment jobs, keyed by order ID:
+//   { id, status: queued|submitted|shipped|failed|cancelled, attempts,
+//     nextAttemptAt, lastError, labOrderId, createdAt, submittedAt, shippedAt }
+
+class FulfillmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FulfillmentError';
+    this.status = status;
+  }
+}
+
+function isPrint(line) {
+  return line.type !== 'digital';
+}
+
+function hasPrints(order) {
+  return order.items.some(isPrint);
+}
+
+// What the lab gets: the prints, where to send them and how
+function labOrderFor(order) {
+  return {
+    orderId: order.id,
+    createdAt: order.createdAt,
+    items: order.items.filter(isPrint).map(line => ({
+      sku: line.sku,
+      name: line.name,
+      variantName: line.variantName,
+      quantity: line.quantity,
+      ...(line.editionNumbers ? { editionNumbers: line.editionNumbers } : {}),
+    })),
+    shipping: order.shipping ? { method: order.shipping.method, name: order.shipping.name } : null,
+    shippingAddress: order.shippingAddress || null,
+  };
+}
+
+function shipmentField(input, name, { required = true } = {}) {
+  const value = input[name];
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new FulfillmentError(`Invalid shipment: ${name} is required`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH) {
+    throw new FulfillmentError(`Invalid shipment: ${name} must be a string of at most ${MAX_FIELD_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+// Checks shipments reported by a lab or entered by staff:
+// [{ carrier, trackingNumber, trackingUrl? }]
+function parseShipments(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_SHIPMENTS) {
+    throw new FulfillmentError(`Invalid shipments: must be a list of 1 to ${MAX_SHIPMENTS} shipments`);
+  }
+  return input.map(shipment => {
+    if (!shipment || typeof shipment !== 'object') {
+      throw new FulfillmentError('Invalid shipment: must be an object');
+    }
+    const trackingUrl = shipmentField(shipment, 'trackingUrl', { required: false });
+    if (trackingUrl && !/^https:\/\//.test(trackingUrl)) {
+      throw new FulfillmentError('Invalid shipment: trackingUrl must be an https URL');
+    }
+    return {
+      carrier: shipmentField(shipment, 'carrier'),
+      trackingNumber: shipmentField(shipment, 'trackingNumber'),
+      trackingUrl,
+    };
+  });
+}
+
+// Records shipments with their tracking numbers on the order. The first
+// shipment moves a paid order to `fulfilled`, so the customer is told it
+// is on its way; shipments already recorded are not added twice.
+async function recordShipments(store, orderId, input, { note, now = new Date() } = {}) {
+  const order = await getOrder(store, orderId);
+  if (!order) {
+    throw new FulfillmentError('Order not found', 404);
+  }
+  const known = new Set((order.fulfillment?.shipments || []).map(shipment => shipment.trackingNumber));
+  const added = parseShipments(input)
+    .filter(shipment => !known.has(shipment.trackingNumber))
+    .map(shipment => ({ ...shipment, shippedAt: now.toISOString() }));
+  const fulfillment = {
+    ...order.fulfillment,
+    status: 'shipped',
+    shipments: [...(order.fulfillment?.shipments || []), ...added],
+  };
+
+  if (canTransition(order.status, 'fulfilled')) {
+    const tracking = added.map(shipment => `${shipment.carrier} ${shipment.trackingNumber}`).join(', ');
+    return transitionOrder(store, orderId, 'fulfilled', {
+      note: note || `Shipped: ${tracking}`,
+      changes: { fulfillment },
+      now,
+    });
+  }
+  return recordFulfillment(store, orderId, fulfillment, { now });
+}
+
+// Queue handing paid orders with prints to `lab`. A failed submission is
+// retried with exponential backoff (baseDelayMs, doubling, at most
+// maxDelayMs) until `maxAttempts` is reached; staff can retry it after
+// that.
+function createFulfillmentQueue({
+  store,
+  lab,
+  now = () => new Date(),
+  maxAttempts = 8,
+  baseDelayMs = 60 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+}) {
+  let flushing = null;
+  let flushAgain = false;
+
+  function retryDelay(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async function submit(job) {
+    const order = await getOrder(store, job.id);
+    if (!order || ['refunded', 'cancelled'].includes(order.status)) {
+      return store.update(COLLECTION, job.id, current => ({ ...current, status: 'cancelled', nextAttemptAt: null }));
+    }
+
+    let result;
+    let failure;
+    try {
+      result = await lab.submit(labOrderFor(order));
+    } catch (error) {
+      failure = error;
+    }
+
+    const at = now();
+    const attempts = job.attempts + 1;
+    if (failure) {
+      const gaveUp = attempts >= maxAttempts;
+      logger.error('Failed to send order to the print lab', { orderId: job.id, lab: lab.name, attempt: attempts, gaveUp, error: failure });
+      return store.update(COLLECTION, job.id, current => ({
+        ...current,
+        status: gaveUp ? 'failed' : 'queued',
+        attempts,
+        lastError: failure.message,
+        nextAttemptAt: gaveUp ? null : new Date(at.getTime() + retryDelay(attempts)).toISOString(),
+      }));
+    }
+
+    await recordFulfillment(store, job.id, {
+      status: 'submitted',
+      lab: lab.name,
+      labOrderId: result.labOrderId,
+      submittedAt: at.toISOString(),
+    }, { now: at });
+    return store.update(COLLECTION, job.id, current => ({
+      ...current,
+      status: 'submitted',
+      attempts,
+      lastError: null,
+      nextAttemptAt: null,
+      labOrderId: result.labOrderId,
+      submittedAt: at.toISOString(),
+    }));
+  }
+
+  async function submitDue() {
+    const at = now().toISOString();
+    const due = await store.list(COLLECTION, job => job.status === 'queued' && job.nextAttemptAt <= at);
+    due.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    let submitted = 0;
+    for (const job of due) {
+      const result = await submit(job);
+      if (result.status === 'submitted') submitted += 1;
+    }
+    return submitted;
+  }
+
+  const queue = {
+    lab,
+
+    // Queues a paid order. Queuing the same order twice sends it once.
+    async enqueue(orderId) {
+      const createdAt = now().toISOString();
+      return store.update(COLLECTION, orderId, current => current ? undefined : {
+        id: orderId,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastError: null,
+        labOrderId: null,
+        createdAt,
+        submittedAt: null,
+        shippedAt: null,
+      });
+    },
+
+    // Sends every job that is due to the lab. Calls made while a flush is
+    // running share it, and it makes one more pass for jobs queued
+    // meanwhile. Resolves to the number of orders sent.
+    flush() {
+      if (flushing) {
+        flushAgain = true;
+        return flushing;
+      }
+      flushing = (async () => {
+        let submitted = 0;
+        do {
+          flushAgain = false;
+          submitted += await submitDue();
+        } while (flushAgain);
+        return submitted;
+      })().finally(() => {
+        flushing = null;
+      });
+      return flushing;
+    },
+
+    // Asks the lab about orders it is working on, for labs that can be
+    // asked. Resolves to the number of orders that shipped.
+    async poll() {
+      if (!lab.checkStatus) {
+        return 0;
+      }
+      let shipped = 0;
+      for (const job of await store.list(COLLECTION, entry => entry.status === 'submitted')) {
+        try {
+          const update = await lab.checkStatus(job.labOrderId);
+          if (update && update.shipments) {
+            await queue.markShipped(job.id, update.shipments);
+            shipped += 1;
+          }
+        } catch (error) {
+          logger.error('Failed to check print lab order', { orderId: job.id, lab: lab.name, error });
+        }
+      }
+      return shipped;
+    },
+
+    // Records shipments the lab reported for an order
+    async markShipped(orderId, shipments) {
+      const order = await recordShipments(store, orderId, shipments, { now: now() });
+      await store.update(COLLECTION, orderId, current => (current ? {
+        ...current,
+        status: 'shipped',
+        shippedAt: current.shippedAt || now().toISOString(),
+      } : undefined));
+      return order;
+    },
+
+    // Sends a failed job again
+    async retry(orderId) {
+      const job = await store.update(COLLECTION, orderId, current => {
+        if (!current) {
+          throw new FulfillmentError('Fulfillment job not found', 404);
+        }
+        if (current.status !== 'failed') {
+          throw new FulfillmentError(`Only failed jobs can be retried; this one is ${current.status}`, 409);
+        }
+        return { ...current, status: 'queued', attempts: 0, nextAttemptAt: now().toISOString(), lastError: null };
+      });
+      await queue.flush();
+      return store.get(COLLECTION, job.id);
+    },
+
+    async get(orderId) {
+      return store.get(COLLECTION, orderId);
+    },
+
+    async list(predicate) {
+      const jobs = await store.list(COLLECTION, predicate);
+      return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+  };
+  return queue;
+}
+
+// Queues paid orders with prints for the lab and sends them right away
+// (the worker retries failures). `prepare(order)` runs first; the server
+// uses it to wait for edition numbers. Returns a function that stops
+// listening.
+function queuePaidOrders(queue, { events = orderEvents, prepare = async () => {} } = {}) {
+  function onTransition({ order, to }) {
+    if (to === 'paid' && hasPrints(order)) {
+      prepare(order)
+        .then(() => queue.enqueue(order.id))
+        .then(() => queue.flush())
+        .catch(error => logger.error('Failed to queue order for the print lab', { orderId: order.id, error }));
+    }
+  }
+
+  events.on('transition', onTransition);
+  return () => events.off('transition', onTransition);
+}
+
+// Sends queued orders and checks on orders at the lab in the background.
+// Returns a function that stops the worker.
+function startFulfillmentWorker(queue, { intervalMs = 5 * 60 * 1000 } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await queue.flush();
+      await queue.poll();
+    } catch (error) {
+      logger.error('Fulfillment worker error', { error });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  FulfillmentError,
+  hasPrints,
+  labOrderFor,
+  parseShipments,
+  recordShipments,
+  createFulfillmentQueue,
+  queuePaidOrders,
+  startFulfillmentWorker,
+};
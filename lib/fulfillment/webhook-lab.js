@@ -0,0 +1,50 @@
+const { createHmac, timingSafeEqual } = require('crypto');
+
+// Print lab reached over HTTPS: each order is POSTed as JSON to `url`,
+// signed with `secret` in the X-Print-Lab-Signature header. The lab
+// answers with { id } (its own order ID) and reports shipments back to
+// POST /api/webhooks/print-lab, signed the same way.
+
+const SIGNATURE_HEADER = 'X-Print-Lab-Signature';
+
+// "sha256=" followed by the hex HMAC-SHA256 of the raw body
+function signPrintLabBody(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function verifyPrintLabSignature({ signature, body, secret }) {
+  if (!signature || !body || !secret) {
+    return false;
+  }
+  const a = Buffer.from(signature);
+  const b = Buffer.from(signPrintLabBody(body, secret));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function createWebhookLab({ url, secret, timeoutMs = 10 * 1000, fetch = globalThis.fetch }) {
+  return {
+    name: 'webhook',
+
+    async submit(labOrder) {
+      const body = JSON.stringify(labOrder);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPrintLabBody(body, secret) },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Print lab responded with ${response.status}`);
+      }
+      const result = await response.json().catch(() => ({}));
+      return { labOrderId: result.id ? String(result.id) : labOrder.orderId };
+    },
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPrintLabBody,
+  verifyPrintLabSignature,
+  createWebhookLab,
+};
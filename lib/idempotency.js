@@ -0,0 +1,114 @@
+const { createHash, randomUUID } = require('crypto');
+const { logger } = require('./log');
+
+const COLLECTION = 'idempotency_keys';
+
+// How long a stored response is replayed for
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted object keys, so logically equal bodies hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function hashRequestBody(body) {
+  return createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+// Express middleware honouring the `Idempotency-Key` request header.
+//
+// The first response for a key is stored and replayed for every later
+// request with the same key and body. Reusing a key with a different body
+// is rejected with 422, and a duplicate that arrives while the first
+// request is still running gets 409. Server errors (5xx) are not stored,
+// so the client may safely retry them with the same key.
+function idempotency(store, scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Invalid Idempotency-Key header: must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const id = `${scope}:${key}`;
+    const requestHash = hashRequestBody(req.body);
+    const claim = randomUUID();
+    const now = new Date();
+
+    let record;
+    try {
+      record = await store.update(COLLECTION, id, existing => {
+        if (existing && new Date(existing.expiresAt) > now) {
+          return undefined;
+        }
+        return {
+          id,
+          claim,
+          requestHash,
+          state: 'processing',
+          createdAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS).toISOString(),
+        };
+      });
+    } catch (error) {
+      logger.error('Idempotency lookup error', { error });
+      return res.status(500).json({ error: 'Failed to process idempotency key' });
+    }
+
+    if (record.claim !== claim) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+      }
+      if (record.state === 'processing') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // We own the key: capture the response this request produces
+    let settled = false;
+    const settle = (statusCode, body) => {
+      if (settled) return;
+      settled = true;
+      const release = statusCode === undefined || statusCode >= 500;
+      const write = release
+        ? store.delete(COLLECTION, id)
+        : store.put(COLLECTION, id, {
+          ...record,
+          state: 'completed',
+          responseStatus: statusCode,
+          responseBody: body,
+        });
+      write.catch(error => logger.error('Failed to save idempotent response', { error }));
+    };
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      settle(res.statusCode, body);
+      return json(body);
+    };
+    // Release the key if the handler ended without a JSON response
+    res.on('close', () => settle(undefined));
+
+    next();
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_MS,
+  idempotency,
+  hashRequestBody,
+};
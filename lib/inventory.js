@@ -0,0 +1,179 @@
+const { takeStock, returnStock, issueEditionNumbers } = require('./catalog');
+const { orderEvents, recordEditionNumbers } = require('./orders');
+const { logger } = require('./log');
+
+const COLLECTION = 'stock_reservations';
+
+// Stock reservations
+//
+// Placing an order counts its limited-stock lines out of stock and holds
+// them for the order, until the order expires (ORDER_TTL_MS). The hold is
+// committed when the order is paid, which also numbers limited-edition
+// prints, and released when the order is cancelled or expires unpaid.
+// Stock is counted out under the store's lock (see takeStock()), so two
+// checkouts can never both get the last print.
+//
+// Reservation records, keyed by order ID:
+//   { id, status: held|committed|released, lines: [{ productId, variantId,
+//     quantity }], expiresAt, editionNumbers, oversold, createdAt, updatedAt }
+
+// Takes the order's limited-stock lines out of stock and holds them until
+// `expiresAt`. Rejects with a 409 CatalogError when anything is sold out.
+async function reserveStock(store, orderId, lines, { expiresAt, now = new Date() }) {
+  const taken = await takeStock(store, lines);
+  const at = now.toISOString();
+  try {
+    return await store.put(COLLECTION, orderId, {
+      id: orderId,
+      status: 'held',
+      lines: taken.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })),
+      expiresAt: new Date(expiresAt).toISOString(),
+      createdAt: at,
+      updatedAt: at,
+    });
+  } catch (error) {
+    await returnStock(store, taken);
+    throw error;
+  }
+}
+
+async function getReservation(store, orderId) {
+  return store.get(COLLECTION, orderId);
+}
+
+// Moves a reservation to `status` in one atomic update, so a payment and
+// the sweeper can't both act on it. Committed reservations stay that way.
+// Resolves to the status it had (null when nothing changed) and the record.
+async function settle(store, orderId, status, now) {
+  let previous = null;
+  const reservation = await store.update(COLLECTION, orderId, current => {
+    if (!current || current.status === status || current.status === 'committed') {
+      return undefined;
+    }
+    previous = current.status;
+    return { ...current, status, updatedAt: now.toISOString() };
+  });
+  return { previous, reservation };
+}
+
+// Commits have side effects outside the reservation (edition numbers), so
+// a commit already running for an order is joined rather than repeated
+const committing = new Map();
+
+// Keeps the stock of a paid order and numbers its limited-edition prints.
+// A hold that ran out before the payment came in (e.g. a late Bitcoin
+// payment) takes the stock again; if it has sold out meanwhile the
+// reservation is flagged `oversold` for staff to sort out.
+function commitReservation(store, orderId, { now = new Date() } = {}) {
+  if (!committing.has(orderId)) {
+    const commit = commitOnce(store, orderId, now).finally(() => committing.delete(orderId));
+    committing.set(orderId, commit);
+  }
+  return committing.get(orderId);
+}
+
+async function commitOnce(store, orderId, now) {
+  const { previous, reservation } = await settle(store, orderId, 'committed', now);
+  if (!previous) {
+    return reservation;
+  }
+  if (previous === 'released') {
+    try {
+      await takeStock(store, reservation.lines);
+    } catch (error) {
+      logger.error('Paid order is oversold', { orderId, error });
+      return store.update(COLLECTION, orderId, current => ({ ...current, oversold: true }));
+    }
+  }
+
+  const editionNumbers = {};
+  for (const line of reservation.lines) {
+    const numbers = await issueEditionNumbers(store, line);
+    if (numbers) {
+      editionNumbers[line.variantId] = numbers;
+    }
+  }
+  if (Object.keys(editionNumbers).length === 0) {
+    return reservation;
+  }
+  await recordEditionNumbers(store, orderId, editionNumbers, { now });
+  return store.update(COLLECTION, orderId, current => ({ ...current, editionNumbers }));
+}
+
+// Gives a held reservation's stock back. Resolves to the reservation, or
+// null for orders placed before reservations existed.
+async function releaseReservation(store, orderId, { now = new Date() } = {}) {
+  const { previous, reservation } = await settle(store, orderId, 'released', now);
+  if (previous === 'held') {
+    await returnStock(store, reservation.lines);
+  }
+  return reservation;
+}
+
+// Hands every held reservation past its expiry to `expire(orderId)`,
+// which cancels the order and releases the hold (or commits it if the
+// order was paid after all). Resolves to the number of holds released.
+async function sweepExpiredReservations(store, expire, { now = new Date() } = {}) {
+  const at = now.toISOString();
+  const expired = await store.list(COLLECTION, reservation =>
+    reservation.status === 'held' && reservation.expiresAt <= at);
+
+  let released = 0;
+  for (const reservation of expired) {
+    try {
+      await expire(reservation.id);
+      if ((await getReservation(store, reservation.id)).status === 'released') {
+        released++;
+      }
+    } catch (error) {
+      logger.error('Failed to release expired reservation', { orderId: reservation.id, error });
+    }
+  }
+  return released;
+}
+
+// Releases expired holds in the background. Returns a function that
+// stops the sweeper.
+function startReservationSweeper(store, expire, { intervalMs = 60 * 1000 } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepExpiredReservations(store, expire);
+    } catch (error) {
+      logger.error('Reservation sweeper error', { error });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Commits an order's reservation as soon as it is paid, however the
+// payment arrived (checkout, payment watcher or webhook). Returns a
+// function that stops listening.
+function commitPaidReservations(store, { events = orderEvents } = {}) {
+  function onTransition({ order, to }) {
+    if (to === 'paid') {
+      commitReservation(store, order.id)
+        .catch(error => logger.error('Failed to commit reservation', { orderId: order.id, error }));
+    }
+  }
+
+  events.on('transition', onTransition);
+  return () => events.off('transition', onTransition);
+}
+
+module.exports = {
+  reserveStock,
+  getReservation,
+  commitReservation,
+  releaseReservation,
+  sweepExpiredReservations,
+  startReservationSweeper,
+  commitPaidReservations,
+};
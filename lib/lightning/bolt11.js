@@ -0,0 +1,129 @@
+// Minimal BOLT11 invoice encoder, used by the mock Lightning node so local
+// invoices have the same shape as real ones (amount, payment hash, expiry).
+// https://github.com/lightning/bolts/blob/master/11-payment-encoding.md
+//
+// The signature is left empty: these invoices decode fine but can't be paid
+// by a real wallet, which is exactly what a mock node should produce.
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const NETWORK_PREFIXES = {
+  mainnet: 'bc',
+  testnet: 'tb',
+  signet: 'tbs',
+  regtest: 'bcrt',
+};
+
+// Tagged field types
+const TAG_PAYMENT_HASH = 1;
+const TAG_DESCRIPTION = 13;
+const TAG_EXPIRY = 6;
+const TAG_PAYMENT_SECRET = 16;
+
+function polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const chars = [...hrp].map(c => c.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+function bech32Encode(hrp, words) {
+  const mod = polymod([...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) {
+    checksum.push((mod >>> (5 * (5 - i))) & 31);
+  }
+  return `${hrp}1${[...words, ...checksum].map(w => CHARSET[w]).join('')}`;
+}
+
+// Regroups 8-bit bytes into 5-bit words, zero-padding the last word
+function bytesToWords(bytes) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >>> bits) & 31);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    words.push((acc << (5 - bits)) & 31);
+  }
+  return words;
+}
+
+// Big-endian 5-bit words for a non-negative integer, padded to `length`
+function intToWords(value, length = 0) {
+  const words = [];
+  let n = value;
+  do {
+    words.unshift(n % 32);
+    n = Math.floor(n / 32);
+  } while (n > 0);
+  while (words.length < length) {
+    words.unshift(0);
+  }
+  return words;
+}
+
+function taggedField(type, words) {
+  return [type, ...intToWords(words.length, 2), ...words];
+}
+
+// Human-readable amount: the shortest multiplier that represents it exactly
+function encodeAmount(amountMsat) {
+  if (!amountMsat) return '';
+  if (amountMsat % 100000000 === 0) return `${amountMsat / 100000000}m`;
+  if (amountMsat % 100000 === 0) return `${amountMsat / 100000}u`;
+  if (amountMsat % 100 === 0) return `${amountMsat / 100}n`;
+  return `${amountMsat * 10}p`;
+}
+
+function encodeInvoice({
+  network = 'regtest',
+  amountMsat,
+  paymentHash,
+  paymentSecret,
+  description = '',
+  expirySeconds = 3600,
+  timestamp = Math.floor(Date.now() / 1000),
+}) {
+  const prefix = NETWORK_PREFIXES[network];
+  if (!prefix) {
+    throw new Error(`Unknown Lightning network: ${network}`);
+  }
+
+  const words = [
+    ...intToWords(timestamp, 7),
+    ...taggedField(TAG_PAYMENT_HASH, bytesToWords(paymentHash)),
+    ...taggedField(TAG_PAYMENT_SECRET, bytesToWords(paymentSecret)),
+    ...taggedField(TAG_DESCRIPTION, bytesToWords(Buffer.from(description, 'utf8'))),
+    ...taggedField(TAG_EXPIRY, intToWords(expirySeconds)),
+    // 65-byte signature + recovery ID, left empty
+    ...bytesToWords(Buffer.alloc(65)),
+  ];
+
+  return bech32Encode(`ln${prefix}${encodeAmount(amountMsat)}`, words);
+}
+
+module.exports = {
+  encodeInvoice,
+  encodeAmount,
+  bech32Encode,
+  bytesToWords,
+};
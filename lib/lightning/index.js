@@ -0,0 +1,29 @@
+const { createMockLightningNode } = require('./mock-node');
+const { createLndNode } = require('./lnd-node');
+
+// Picks a Lightning node from the environment:
+//   LIGHTNING_NODE=mock  in-process mock node (local development and tests)
+//   LIGHTNING_NODE=lnd   LND REST API at LND_REST_URL with LND_MACAROON (hex)
+// Returns null when Lightning payments are disabled.
+function createLightningNode(env = process.env) {
+  switch (env.LIGHTNING_NODE) {
+    case undefined:
+    case '':
+      return null;
+    case 'mock':
+      return createMockLightningNode({ network: env.LIGHTNING_NETWORK || 'regtest' });
+    case 'lnd':
+      if (!env.LND_REST_URL || !env.LND_MACAROON) {
+        throw new Error('LIGHTNING_NODE=lnd requires LND_REST_URL and LND_MACAROON');
+      }
+      return createLndNode({ url: env.LND_REST_URL, macaroon: env.LND_MACAROON });
+    default:
+      throw new Error(`Unknown LIGHTNING_NODE: ${env.LIGHTNING_NODE}`);
+  }
+}
+
+module.exports = {
+  createLightningNode,
+  createMockLightningNode,
+  createLndNode,
+};
@@ -0,0 +1,66 @@
+// Lightning node backed by LND's REST API.
+// https://lightning.engineering/api-docs/api/lnd/rest-endpoints
+//
+// Only the invoice macaroon is needed (create and look up invoices); the
+// server never holds keys that can spend funds.
+function createLndNode({ url, macaroon, fetchImpl = fetch }) {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Grpc-Metadata-macaroon': macaroon,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`LND ${method} ${path} failed: ${data.message || response.status}`);
+    }
+    return data;
+  }
+
+  function describe(invoice, paymentHash) {
+    const createdAt = Number(invoice.creation_date) * 1000;
+    const expiresAt = new Date(createdAt + Number(invoice.expiry) * 1000);
+    let state = invoice.state;
+    if (state === 'OPEN' && expiresAt <= new Date()) {
+      state = 'EXPIRED';
+    }
+
+    return {
+      paymentHash,
+      paymentRequest: invoice.payment_request,
+      amountMsat: Number(invoice.value_msat),
+      state,
+      expiresAt: expiresAt.toISOString(),
+      settledAt: Number(invoice.settle_date) ? new Date(Number(invoice.settle_date) * 1000).toISOString() : null,
+    };
+  }
+
+  return {
+    name: 'lnd',
+
+    async createInvoice({ amountMsat, memo, expirySeconds }) {
+      const created = await request('POST', '/v1/invoices', {
+        value_msat: String(amountMsat),
+        memo,
+        expiry: String(expirySeconds),
+      });
+      const paymentHash = Buffer.from(created.r_hash, 'base64').toString('hex');
+      return this.getInvoice(paymentHash);
+    },
+
+    async getInvoice(paymentHash) {
+      const invoice = await request('GET', `/v1/invoice/${paymentHash}`);
+      return describe(invoice, paymentHash);
+    },
+  };
+}
+
+module.exports = {
+  createLndNode,
+};
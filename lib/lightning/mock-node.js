@@ -0,0 +1,81 @@
+const { createHash, randomBytes } = require('crypto');
+const { encodeInvoice } = require('./bolt11');
+
+// In-process stand-in for a Lightning node, for local development and tests.
+// Invoices live in memory and are only ever settled by calling
+// settleInvoice(), e.g. from the dev route in server.js or from a test.
+function createMockLightningNode({ network = 'regtest', now = () => new Date() } = {}) {
+  const invoices = new Map();
+
+  function stateOf(invoice) {
+    if (invoice.state === 'OPEN' && new Date(invoice.expiresAt) <= now()) {
+      return 'EXPIRED';
+    }
+    return invoice.state;
+  }
+
+  function describe(invoice) {
+    return {
+      paymentHash: invoice.paymentHash,
+      paymentRequest: invoice.paymentRequest,
+      amountMsat: invoice.amountMsat,
+      state: stateOf(invoice),
+      expiresAt: invoice.expiresAt,
+      settledAt: invoice.settledAt,
+    };
+  }
+
+  return {
+    name: 'mock',
+
+    async createInvoice({ amountMsat, memo, expirySeconds }) {
+      const preimage = randomBytes(32);
+      const paymentHash = createHash('sha256').update(preimage).digest();
+      const created = now();
+
+      const invoice = {
+        paymentHash: paymentHash.toString('hex'),
+        preimage: preimage.toString('hex'),
+        paymentRequest: encodeInvoice({
+          network,
+          amountMsat,
+          paymentHash,
+          paymentSecret: randomBytes(32),
+          description: memo,
+          expirySeconds,
+          timestamp: Math.floor(created.getTime() / 1000),
+        }),
+        amountMsat,
+        state: 'OPEN',
+        expiresAt: new Date(created.getTime() + expirySeconds * 1000).toISOString(),
+        settledAt: null,
+      };
+
+      invoices.set(invoice.paymentHash, invoice);
+      return describe(invoice);
+    },
+
+    async getInvoice(paymentHash) {
+      const invoice = invoices.get(paymentHash);
+      return invoice ? describe(invoice) : null;
+    },
+
+    // Simulates a wallet paying the invoice
+    async settleInvoice(paymentHash) {
+      const invoice = invoices.get(paymentHash);
+      if (!invoice) {
+        throw new Error(`Unknown invoice: ${paymentHash}`);
+      }
+      if (stateOf(invoice) !== 'OPEN') {
+        throw new Error(`Invoice is ${stateOf(invoice).toLowerCase()}`);
+      }
+      invoice.state = 'SETTLED';
+      invoice.settledAt = now().toISOString();
+      return describe(invoice);
+    },
+  };
+}
+
+module.exports = {
+  createMockLightningNode,
+};
@@ -0,0 +1,178 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createHash, randomUUID } = require('crypto');
+
+// Structured logging: one JSON object per line, e.g.
+//
+//   {"time":"...","level":"error","msg":"Payment error","requestId":"...","orderId":"...","code":"card_declined"}
+//
+// Lines logged while handling a request carry its request ID (see
+// requestContext() below). Secrets, card sources and email addresses are
+// redacted before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged
+const SECRET_FIELD = /token|secret|password|authorization|cookie|macaroon|signature|nonce|sourceid|cardid|^source$|^card$/i;
+// Field names holding email addresses, logged as a short hash
+const EMAIL_FIELD = /email|^to$/i;
+
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+// Square card nonces, wallet nonces, cards on file and verification tokens
+const SQUARE_SOURCE_PATTERN = /\b(cnon|wnon|ccof|verf|cntok|gftc):[\w-]+/g;
+// Square access tokens and any bearer token
+const ACCESS_TOKEN_PATTERN = /\b(EAAA[\w-]{20,}|Bearer\s+[\w.~+/=-]+)/g;
+
+const MAX_DEPTH = 6;
+
+// Email addresses in logs are replaced by a short hash, so entries for one
+// address can be matched up without the address being logged
+function hashForLog(value) {
+  return createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+}
+
+function redactString(value) {
+  return value
+    .replace(EMAIL_PATTERN, email => `[email ${hashForLog(email.toLowerCase())}]`)
+    .replace(SQUARE_SOURCE_PATTERN, '$1:[redacted]')
+    .replace(ACCESS_TOKEN_PATTERN, '[redacted]');
+}
+
+// The parts of an error worth logging. Square SDK errors carry the whole
+// request and response; only Square's error list is kept.
+function serializeError(error) {
+  const squareErrors = error.body?.errors || error.errors;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.statusCode !== undefined ? { statusCode: error.statusCode } : {}),
+    ...(Array.isArray(squareErrors)
+      ? { squareErrors: squareErrors.map(({ category, code, detail, field }) => ({ category, code, detail, field })) }
+      : {}),
+    stack: error.stack,
+  };
+}
+
+// Copy of `value` that is safe to log
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_FIELD.test(key) && typeof value !== 'object') {
+    return '[redacted]';
+  }
+  if (EMAIL_FIELD.test(key) && typeof value === 'string') {
+    return value.includes('@') ? `[email ${hashForLog(value.trim().toLowerCase())}]` : value;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), key, depth + 1);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+// The request being handled, for the lines logged while handling it
+const requestStore = new AsyncLocalStorage();
+
+// Logger writing JSON lines: warnings and errors to stderr, the rest to
+// stdout. Entries below `level` (LOG_LEVEL, default "info") are dropped.
+// `fields` are added to every entry.
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  fields = {},
+  write = (line, entryLevel) => (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+  now = () => new Date(),
+} = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown LOG_LEVEL: ${level}`);
+  }
+
+  function log(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < LEVELS[level]) {
+      return;
+    }
+    const context = requestStore.getStore();
+    const entry = {
+      time: now().toISOString(),
+      level: entryLevel,
+      msg: redactString(String(msg)),
+      ...(context ? { requestId: context.requestId } : {}),
+      ...redact(fields),
+      ...redact(extra instanceof Error ? { error: extra } : extra || {}),
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg: entry.msg, logError: error.message });
+    }
+    write(line, entryLevel);
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: more => createLogger({ level, fields: { ...fields, ...more }, write, now }),
+  };
+}
+
+// The app's logger
+const logger = createLogger();
+
+// Request IDs sent by a proxy or client are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Express middleware giving every request an ID (the incoming X-Request-Id
+// header, or a new one), returned in the X-Request-Id response header and
+// added to every line logged while handling the request. Each request is
+// logged once it has been answered.
+function requestContext({ log = logger } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const start = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      requestStore.run({ requestId }, () => log.info('Request', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      }));
+    });
+    requestStore.run({ requestId }, next);
+  };
+}
+
+module.exports = {
+  LEVELS,
+  hashForLog,
+  redact,
+  createLogger,
+  logger,
+  requestContext,
+};
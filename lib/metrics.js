@@ -0,0 +1,150 @@
+const { orderEvents } = require('./orders');
+
+// Counters and histograms for GET /api/metrics, in the Prometheus text
+// format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// Values live in memory, so each server instance reports its own since it
+// started; Prometheus adds them up across instances.
+
+// Latency buckets (seconds) for calls to Square
+const SQUARE_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+}
+
+// Series are keyed by their label values, in the order of `labelNames`
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsOf(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      const metric = {
+        inc(labels = {}, value = 1) {
+          const key = seriesKey(labelNames, labels);
+          series.set(key, (series.get(key) || 0) + value);
+        },
+        get(labels = {}) {
+          return series.get(seriesKey(labelNames, labels)) || 0;
+        },
+        render() {
+          const lines = header(name, help, 'counter');
+          if (labelNames.length === 0 && series.size === 0) {
+            lines.push(`${name} 0`);
+          }
+          for (const [key, value] of series) {
+            lines.push(`${name}${formatLabels(labelsOf(labelNames, key))} ${value}`);
+          }
+          return lines;
+        },
+      };
+      metrics.push(metric);
+      return metric;
+    },
+
+    histogram(name, help, { labelNames = [], buckets }) {
+      const series = new Map();
+      const metric = {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+          series.set(key, entry);
+        },
+        render() {
+          const lines = header(name, help, 'histogram');
+          for (const [key, entry] of series) {
+            const labels = labelsOf(labelNames, key);
+            buckets.forEach((bound, i) => {
+              lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+          }
+          return lines;
+        },
+      };
+      metrics.push(metric);
+      return metric;
+    },
+
+    // Every metric in the Prometheus text format
+    render() {
+      return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    },
+  };
+}
+
+// The store's metrics. Orders placed and payments that succeed are counted
+// from order events, so Lightning and Bitcoin payments that settle later
+// and payments confirmed by webhooks count too; payment attempts, declines
+// and refunds are counted by the routes. Returns the metrics, plus `stop()`
+// to stop listening for order events.
+function createStoreMetrics({ events = orderEvents } = {}) {
+  const registry = createRegistry();
+  const metrics = {
+    registry,
+    ordersCreated: registry.counter('photo_store_orders_created_total', 'Orders placed', ['currency']),
+    paymentsAttempted: registry.counter('photo_store_payments_attempted_total', 'Payment attempts sent to a payment provider', ['provider']),
+    paymentsSucceeded: registry.counter('photo_store_payments_succeeded_total', 'Orders paid', ['provider']),
+    paymentsDeclined: registry.counter('photo_store_payments_declined_total', 'Payments declined, by reason (the payment error code)', ['provider', 'reason']),
+    paymentErrors: registry.counter('photo_store_payment_errors_total', 'Payments that failed for other reasons than a decline (outages, setup problems)', ['provider', 'code']),
+    requestsBlocked: registry.counter('photo_store_requests_blocked_total', 'Requests refused by a rate limit or the card-testing detector', ['path', 'reason']),
+    refunds: registry.counter('photo_store_refunds_total', 'Refunds issued', ['currency']),
+    refundedAmount: registry.counter('photo_store_refunded_amount_total', "Amount refunded, in the currency's smallest unit (e.g. cents)", ['currency']),
+    squareLatency: registry.histogram('photo_store_square_api_duration_seconds', 'Time taken by Square API calls', {
+      labelNames: ['method', 'outcome'],
+      buckets: SQUARE_LATENCY_BUCKETS,
+    }),
+  };
+
+  function onCreated(order) {
+    metrics.ordersCreated.inc({ currency: order.currency });
+  }
+
+  function onTransition({ order, to }) {
+    if (to === 'paid') {
+      metrics.paymentsSucceeded.inc({ provider: order.payment?.provider || 'unknown' });
+    }
+  }
+
+  events.on('created', onCreated);
+  events.on('transition', onTransition);
+
+  metrics.stop = () => {
+    events.off('created', onCreated);
+    events.off('transition', onTransition);
+  };
+  return metrics;
+}
+
+module.exports = {
+  SQUARE_LATENCY_BUCKETS,
+  createRegistry,
+  createStoreMetrics,
+};
@@ -0,0 +1,362 @@
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+
+const COLLECTION = 'orders';
+
+// How long a pending order can wait for payment
+const ORDER_TTL_MS = 30 * 60 * 1000;
+
+// Order lifecycle. Each status lists the statuses it may move to;
+// anything not listed here is rejected by transitionOrder().
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'failed', 'cancelled'],
+  failed: ['paid', 'failed', 'cancelled'],
+  paid: ['fulfilled', 'partially_refunded', 'refunded'],
+  fulfilled: ['partially_refunded', 'refunded'],
+  partially_refunded: ['fulfilled', 'refunded'],
+  refunded: [],
+  cancelled: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Emitted after an order change is saved, for side effects such as
+// customer email. Listeners must not throw.
+//   'created'     order
+//   'transition'  { order, from, to }
+//   'refund'      { order, refund }
+const orderEvents = new EventEmitter();
+
+class OrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderError';
+    this.status = status;
+  }
+}
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// Normalizes an email for lookups; addresses are compared case-insensitively
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+// Saves a new pending order from a quote (see lib/pricing.js). `items` are
+// priced lines; a line's `discount` is its share of the `promotion`
+// discount and its `tax` its share of the tax under `taxRule`, which
+// exclusive rules add to the total, as does the chosen `shipping` option
+// ({ method, name, amount, estimate }) for the prints sent to
+// `shippingAddress`. `id` lets the caller pick the order ID up front (e.g.
+// to reserve stock under it).
+async function createOrder(store, {
+  id = randomUUID(),
+  items,
+  customerEmail,
+  promotion = null,
+  currency = 'USD',
+  exchangeRate = null,
+  taxRule = null,
+  location = null,
+  shipping = null,
+  shippingAddress = null,
+  customerId = null,
+  now = new Date(),
+}) {
+  const lines = items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId || null,
+    sku: item.sku || null,
+    name: item.name,
+    variantName: item.variantName || null,
+    type: item.type || null,
+    unitPrice: item.unitPrice,
+    quantity: item.quantity,
+    lineTotal: item.unitPrice * item.quantity,
+    discount: item.discount || 0,
+    tax: item.tax || 0,
+  }));
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const discount = lines.reduce((sum, line) => sum + line.discount, 0);
+  const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+
+  const createdAt = now.toISOString();
+  const order = {
+    id,
+    status: 'pending',
+    items: lines,
+    subtotal,
+    discount,
+    promotion,
+    tax,
+    taxRule,
+    shipping,
+    shippingAddress,
+    total: subtotal - discount + (taxRule && !taxRule.inclusive ? tax : 0) + (shipping ? shipping.amount : 0),
+    currency,
+    exchangeRate,
+    customerLocation: location,
+    customerEmail: customerEmail || null,
+    customerId,
+    createdAt,
+    updatedAt: createdAt,
+    expiresAt: new Date(now.getTime() + ORDER_TTL_MS).toISOString(),
+    fulfillment: null,
+    payment: null,
+    paymentAttempts: 0,
+    refunds: [],
+    disputes: [],
+    history: [{ status: 'pending', at: createdAt }],
+  };
+
+  const saved = await store.put(COLLECTION, order.id, order);
+  orderEvents.emit('created', saved);
+  return saved;
+}
+
+async function getOrder(store, id) {
+  return store.get(COLLECTION, id);
+}
+
+async function listOrdersByEmail(store, email) {
+  const target = normalizeEmail(email);
+  const orders = await store.list(COLLECTION, order => normalizeEmail(order.customerEmail) === target);
+  return orders.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Orders placed while signed in to `customer`'s account, and, once the
+// account's email address is verified, guest orders placed with it
+async function listOrdersByCustomer(store, customer) {
+  const email = customer.emailVerifiedAt ? normalizeEmail(customer.email) : null;
+  const orders = await store.list(COLLECTION, order => order.customerId === customer.id
+    || (email !== null && normalizeEmail(order.customerEmail) === email));
+  return orders.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Returns `order` moved to `status` with the change added to its history
+function withStatus(order, status, { note, at }) {
+  const entry = { status, at };
+  if (note) entry.note = note;
+
+  return {
+    ...order,
+    status,
+    updatedAt: at,
+    history: [...order.history, entry],
+  };
+}
+
+// Moves an order to a new status, recording the change in its history.
+// `changes` are merged into the order in the same atomic update.
+async function transitionOrder(store, id, status, { note, changes = {}, now = new Date() } = {}) {
+  let from;
+  const order = await store.update(COLLECTION, id, current => {
+    if (!current) {
+      throw new OrderError('Order not found', 404);
+    }
+    if (!canTransition(current.status, status)) {
+      throw new OrderError(`Cannot move order from ${current.status} to ${status}`, 409);
+    }
+
+    from = current.status;
+    return withStatus({ ...current, ...changes }, status, { note, at: now.toISOString() });
+  });
+  orderEvents.emit('transition', { order, from, to: status });
+  return order;
+}
+
+// Attaches payment details to an order without changing its status
+async function setOrderPayment(store, id, payment, { now = new Date() } = {}) {
+  return store.update(COLLECTION, id, order => {
+    if (!order) {
+      throw new OrderError('Order not found', 404);
+    }
+    return { ...order, payment, updatedAt: now.toISOString() };
+  });
+}
+
+async function findOrderByPaymentId(store, paymentId) {
+  const [order] = await store.list(COLLECTION, o => o.payment && o.payment.id === paymentId);
+  return order || null;
+}
+
+// Inserts `entry` into `list`, replacing any existing entry with the same id
+function upsertById(list = [], entry) {
+  const index = list.findIndex(item => item.id === entry.id);
+  if (index === -1) {
+    return [...list, entry];
+  }
+  const next = [...list];
+  next[index] = { ...list[index], ...entry };
+  return next;
+}
+
+// Refunds that have not failed count against the amount still refundable
+function refundedAmount(order) {
+  return (order.refunds || [])
+    .filter(refund => !['FAILED', 'REJECTED'].includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+// Identifies an order line: its variant, or its product for orders placed
+// before products had variants
+function lineKey(line) {
+  return line.variantId || line.productId;
+}
+
+// Quantity of each order line already refunded, keyed by lineKey()
+function refundedQuantities(order) {
+  const quantities = {};
+  for (const refund of order.refunds || []) {
+    if (['FAILED', 'REJECTED'].includes(refund.status)) continue;
+    for (const item of refund.items || []) {
+      quantities[lineKey(item)] = (quantities[lineKey(item)] || 0) + item.quantity;
+    }
+  }
+  return quantities;
+}
+
+// Adds or updates a refund on an order. The order moves to
+// `partially_refunded` after the first refund and to `refunded` once the
+// whole total has been refunded.
+async function recordRefund(store, id, refund, { now = new Date() } = {}) {
+  const updated = await store.update(COLLECTION, id, order => {
+    if (!order) {
+      throw new OrderError('Order not found', 404);
+    }
+
+    const at = now.toISOString();
+    const next = { ...order, refunds: upsertById(order.refunds, refund), updatedAt: at };
+    const refunded = refundedAmount(next);
+
+    let status = null;
+    if (refunded >= next.total) {
+      status = 'refunded';
+    } else if (refunded > 0 && next.status !== 'partially_refunded') {
+      status = 'partially_refunded';
+    }
+
+    if (status && canTransition(next.status, status)) {
+      return withStatus(next, status, { note: `Refund ${refund.id} ${refund.status}`, at });
+    }
+    return next;
+  });
+  orderEvents.emit('refund', { order: updated, refund: updated.refunds.find(r => r.id === refund.id) });
+  return updated;
+}
+
+// Adds or updates a chargeback/dispute on an order
+async function recordDispute(store, id, dispute, { now = new Date() } = {}) {
+  return store.update(COLLECTION, id, order => {
+    if (!order) {
+      throw new OrderError('Order not found', 404);
+    }
+    return { ...order, disputes: upsertById(order.disputes, dispute), updatedAt: now.toISOString() };
+  });
+}
+
+// Saves the limited-edition numbers issued for an order's lines:
+// { [variantId]: [12, 13] }
+async function recordEditionNumbers(store, id, numbers, { now = new Date() } = {}) {
+  return store.update(COLLECTION, id, order => {
+    if (!order) {
+      throw new OrderError('Order not found', 404);
+    }
+    return {
+      ...order,
+      items: order.items.map(line => numbers[line.variantId] ? { ...line, editionNumbers: numbers[line.variantId] } : line),
+      updatedAt: now.toISOString(),
+    };
+  });
+}
+
+// Merges `changes` into the order's fulfillment record (print lab
+// submission, shipments and tracking numbers)
+async function recordFulfillment(store, id, changes, { now = new Date() } = {}) {
+  return store.update(COLLECTION, id, order => {
+    if (!order) {
+      throw new OrderError('Order not found', 404);
+    }
+    return { ...order, fulfillment: { ...order.fulfillment, ...changes }, updatedAt: now.toISOString() };
+  });
+}
+
+function isExpired(order, now = new Date()) {
+  return ['pending', 'failed'].includes(order.status) && new Date(order.expiresAt) <= now;
+}
+
+// Idempotency key for the order's current payment attempt. Retries of the
+// same attempt reuse the key, so the payment provider charges at most once;
+// the attempt counter only moves on after a definitive decline.
+function paymentIdempotencyKey(order) {
+  return `${order.id}-${order.paymentAttempts || 0}`;
+}
+
+// Throws an OrderError unless the order can still be charged
+function assertPayable(order, now = new Date()) {
+  if (!order) {
+    throw new OrderError('Order not found', 404);
+  }
+  if (!['pending', 'failed'].includes(order.status)) {
+    throw new OrderError(`Order is already ${order.status}`, 409);
+  }
+  if (isExpired(order, now)) {
+    throw new OrderError('Order has expired', 410);
+  }
+}
+
+// Shape returned by the public API
+function serializeOrder(order) {
+  return {
+    orderId: order.id,
+    status: order.status,
+    items: order.items,
+    subtotal: order.subtotal !== undefined ? order.subtotal : order.total,
+    discount: order.discount || 0,
+    promotion: order.promotion || null,
+    tax: order.tax || 0,
+    taxRule: order.taxRule || null,
+    shipping: order.shipping || null,
+    shippingAddress: order.shippingAddress || null,
+    fulfillment: order.fulfillment || null,
+    total: order.total,
+    currency: order.currency,
+    exchangeRate: order.exchangeRate || null,
+    customerLocation: order.customerLocation || null,
+    customerEmail: order.customerEmail,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    expiresAt: order.expiresAt,
+    payment: order.payment,
+    refunds: order.refunds || [],
+    history: order.history,
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TTL_MS,
+  OrderError,
+  orderEvents,
+  canTransition,
+  createOrder,
+  getOrder,
+  listOrdersByEmail,
+  listOrdersByCustomer,
+  transitionOrder,
+  setOrderPayment,
+  findOrderByPaymentId,
+  refundedAmount,
+  lineKey,
+  refundedQuantities,
+  recordRefund,
+  recordDispute,
+  recordEditionNumbers,
+  recordFulfillment,
+  isExpired,
+  assertPayable,
+  paymentIdempotencyKey,
+  serializeOrder,
+};
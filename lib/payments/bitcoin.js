@@ -0,0 +1,206 @@
+const { OrderError } = require('../orders');
+const { usdCentsToSats, satsToBtc } = require('../bitcoin/units');
+const { logger } = require('../log');
+
+const ADDRESS_INDEX_COLLECTION = 'bitcoin_address_index';
+
+// Hands out each derivation index exactly once, even across restarts
+async function nextAddressIndex(store) {
+  const counter = await store.update(ADDRESS_INDEX_COLLECTION, 'next', current => ({
+    id: 'next',
+    value: current ? current.value + 1 : 0,
+  }));
+  return counter.value;
+}
+
+// Payment URI shown as a QR code at checkout
+// https://github.com/bitcoin/bips/blob/master/bip-0021.mediawiki
+function bip21Uri(address, amountSats, orderId) {
+  const params = new URLSearchParams({
+    amount: satsToBtc(amountSats),
+    label: 'Photo Store',
+    message: `Order ${orderId}`,
+  });
+  return `bitcoin:${address}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// Works out where an on-chain payment stands from the transactions paying
+// its address:
+//   PENDING   nothing received yet
+//   SEEN      enough received, still unconfirmed
+//   CONFIRMED enough received, fewer confirmations than required
+//   COMPLETED enough received with the required confirmations -> order paid
+//   UNDERPAID less than the amount due received so far
+//   EXPIRED   the payment window closed before the full amount arrived
+function evaluatePayment(payment, transactions, { requiredConfirmations, now }) {
+  const receivedSats = transactions.reduce((sum, tx) => sum + tx.value, 0);
+  const confirmedSats = transactions
+    .filter(tx => tx.confirmations >= requiredConfirmations)
+    .reduce((sum, tx) => sum + tx.value, 0);
+  const confirmations = transactions.length
+    ? Math.min(...transactions.map(tx => tx.confirmations))
+    : 0;
+  const expired = new Date(payment.expiresAt) <= now;
+
+  let status;
+  if (receivedSats >= payment.amountSats) {
+    if (confirmedSats >= payment.amountSats) {
+      status = 'COMPLETED';
+    } else if (confirmations > 0) {
+      status = 'CONFIRMED';
+    } else {
+      status = 'SEEN';
+    }
+  } else if (expired) {
+    status = 'EXPIRED';
+  } else {
+    status = receivedSats > 0 ? 'UNDERPAID' : 'PENDING';
+  }
+
+  return {
+    status,
+    receivedSats,
+    confirmations,
+    transactions: transactions.map(tx => ({ txid: tx.txid, value: tx.value, confirmations: tx.confirmations })),
+    overpaidSats: Math.max(0, receivedSats - payment.amountSats),
+    underpaidSats: status === 'EXPIRED' && receivedSats > 0 ? payment.amountSats - receivedSats : 0,
+  };
+}
+
+// On-chain Bitcoin payments. Each order gets a fresh address derived from
+// the configured xpub; a blockchain source reports what arrived there.
+// Nothing stops a wallet paying an address after it expired, so an address
+// that expired with nothing received is still checked every
+// `lateCheckSeconds` for `lateGraceSeconds`.
+function createBitcoinProvider({
+  store,
+  deriver,
+  chain,
+  btcUsdRate,
+  requiredConfirmations = 2,
+  paymentExpirySeconds = 3600,
+  lateGraceSeconds = 86400,
+  lateCheckSeconds = 300,
+  now = () => new Date(),
+}) {
+  // Address -> when it was last checked for a late payment
+  const lateChecks = new Map();
+
+  function watchesExpired(payment) {
+    const watched = payment.status === 'EXPIRED' && payment.receivedSats === 0
+      && new Date(payment.expiresAt).getTime() + lateGraceSeconds * 1000 > now().getTime();
+    if (!watched) {
+      // Forget addresses once their grace period is over
+      lateChecks.delete(payment.address);
+    }
+    return watched;
+  }
+
+  return {
+    name: 'bitcoin',
+    label: 'Bitcoin',
+
+    isConfigured() {
+      return !!deriver && !!chain && btcUsdRate > 0;
+    },
+
+    validate() {
+      return null;
+    },
+
+    async createPayment(order) {
+      if (order.currency !== 'USD') {
+        throw new OrderError('Bitcoin payments are only available for USD orders');
+      }
+
+      // Keep the address we already handed out while it can still be paid,
+      // and for good once money has arrived there: a new address would
+      // replace the one the watcher checks
+      const current = order.payment;
+      if (current && current.provider === 'bitcoin'
+          && (['SEEN', 'CONFIRMED', 'UNDERPAID'].includes(current.status)
+            || (current.status === 'PENDING' && new Date(current.expiresAt) > now()))) {
+        return { payment: current, orderStatus: null };
+      }
+
+      const index = await nextAddressIndex(store);
+      const address = deriver.deriveAddress(index);
+      const amountSats = usdCentsToSats(order.total, btcUsdRate);
+
+      const payment = {
+        provider: 'bitcoin',
+        id: address,
+        status: 'PENDING',
+        amount: order.total,
+        currency: order.currency,
+        amountSats,
+        btcUsdRate,
+        address,
+        derivationIndex: index,
+        uri: bip21Uri(address, amountSats, order.id),
+        requiredConfirmations,
+        receivedSats: 0,
+        confirmations: 0,
+        transactions: [],
+        expiresAt: new Date(now().getTime() + paymentExpirySeconds * 1000).toISOString(),
+      };
+
+      return { payment, orderStatus: null };
+    },
+
+    watchesExpired,
+
+    async refreshPayment(order) {
+      const payment = order.payment;
+      if (watchesExpired(payment)) {
+        const checkedAt = lateChecks.get(payment.address);
+        if (checkedAt && now().getTime() - checkedAt < lateCheckSeconds * 1000) {
+          return null;
+        }
+        lateChecks.set(payment.address, now().getTime());
+      }
+
+      const transactions = await chain.getAddressPayments(payment.address);
+      const result = evaluatePayment(payment, transactions, {
+        requiredConfirmations: payment.requiredConfirmations,
+        now: now(),
+      });
+
+      const unchanged = result.status === payment.status
+        && result.receivedSats === payment.receivedSats
+        && result.confirmations === payment.confirmations;
+      if (unchanged) {
+        return null;
+      }
+
+      if (payment.status === 'EXPIRED' && result.receivedSats > payment.receivedSats) {
+        // The order may have been cancelled and its stock released by now,
+        // so staff must check whether to fulfil or refund it
+        result.receivedLate = true;
+        lateChecks.delete(payment.address);
+        logger[['pending', 'failed'].includes(order.status) ? 'warn' : 'error']('Bitcoin payment arrived after its address expired', {
+          orderId: order.id,
+          orderStatus: order.status,
+          address: payment.address,
+          receivedSats: result.receivedSats,
+        });
+      }
+
+      let orderStatus = null;
+      if (result.status === 'COMPLETED') {
+        orderStatus = 'paid';
+      } else if (result.status === 'EXPIRED' && result.receivedSats > 0) {
+        // Part of the money arrived but not all of it: staff must refund it
+        orderStatus = 'failed';
+      }
+
+      return { payment: { ...payment, ...result }, orderStatus };
+    },
+  };
+}
+
+module.exports = {
+  bip21Uri,
+  evaluatePayment,
+  createBitcoinProvider,
+};
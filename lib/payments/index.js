@@ -0,0 +1,155 @@
+const QRCode = require('qrcode');
+const { OrderError, canTransition, transitionOrder, setOrderPayment } = require('../orders');
+const { createAddressDeriver } = require('../bitcoin');
+const { createSquareProvider } = require('./square');
+const { createLightningProvider } = require('./lightning');
+const { createBitcoinProvider } = require('./bitcoin');
+const { logger } = require('../log');
+
+// Payment statuses that may still change, so the watcher keeps polling them
+const IN_FLIGHT_STATUSES = ['PENDING', 'SEEN', 'CONFIRMED', 'UNDERPAID'];
+
+// Payment providers
+//
+// Every way of paying for an order implements the same interface:
+//
+//   name                          -> key clients send as `provider`
+//   label                         -> name shown in error messages
+//   isConfigured()                -> false disables the provider
+//   validate(body)                -> error message for a bad request, or null
+//   createPayment(order, body)    -> { payment, orderStatus }
+//   refreshPayment(order)         -> { payment, orderStatus } | null   (optional)
+//   watchesExpired(payment)       -> true to keep refreshing a payment that
+//                                    expired, in case it is paid late  (optional)
+//
+// `payment` is the record stored on the order. `orderStatus` is the status
+// the order should move to ('paid' or 'failed'), or null while the payment
+// is still in flight. Asynchronous providers (Lightning, on-chain Bitcoin)
+// implement refreshPayment() so the order can be settled later.
+
+function createPaymentProviders({ env = process.env, store, squareClient, lightningNode, bitcoinChain }) {
+  const providers = {
+    square: createSquareProvider({ squareClient, locationId: env.SQUARE_LOCATION_ID }),
+  };
+
+  if (lightningNode) {
+    providers.lightning = createLightningProvider({
+      node: lightningNode,
+      btcUsdRate: Number(env.BTC_USD_RATE),
+      invoiceExpirySeconds: Number(env.LIGHTNING_INVOICE_EXPIRY_SECONDS) || undefined,
+    });
+  }
+
+  if (bitcoinChain) {
+    providers.bitcoin = createBitcoinProvider({
+      store,
+      deriver: createAddressDeriver({ xpub: env.BITCOIN_XPUB, network: env.BITCOIN_NETWORK }),
+      chain: bitcoinChain,
+      btcUsdRate: Number(env.BTC_USD_RATE),
+      requiredConfirmations: Number(env.BITCOIN_CONFIRMATIONS) || undefined,
+      paymentExpirySeconds: Number(env.BITCOIN_PAYMENT_EXPIRY_SECONDS) || undefined,
+      lateGraceSeconds: env.BITCOIN_LATE_PAYMENT_GRACE_SECONDS ? Number(env.BITCOIN_LATE_PAYMENT_GRACE_SECONDS) : undefined,
+    });
+  }
+
+  return providers;
+}
+
+// Stores a provider's result on the order, moving it to `orderStatus` when
+// that is a valid transition. A failed payment starts a new attempt.
+async function applyPaymentResult(store, order, { payment, orderStatus }) {
+  if (orderStatus && canTransition(order.status, orderStatus)) {
+    const changes = orderStatus === 'failed'
+      ? { payment, paymentAttempts: (order.paymentAttempts || 0) + 1 }
+      : { payment };
+    return transitionOrder(store, order.id, orderStatus, {
+      note: `${payment.provider} payment ${payment.id} ${payment.status}`,
+      changes,
+    });
+  }
+  return setOrderPayment(store, order.id, payment);
+}
+
+// Whether the provider still watches the order's expired payment for money
+// that arrives late, whatever became of the order
+function watchesLatePayment(provider, order) {
+  return !!provider.watchesExpired && provider.watchesExpired(order.payment);
+}
+
+// Asks the order's payment provider for news about an in-flight payment
+async function refreshOrderPayment(store, providers, order) {
+  const provider = order.payment && providers[order.payment.provider];
+  if (!provider || !provider.refreshPayment
+      || !(['pending', 'failed'].includes(order.status) || watchesLatePayment(provider, order))) {
+    return order;
+  }
+
+  const result = await provider.refreshPayment(order);
+  return result ? applyPaymentResult(store, order, result) : order;
+}
+
+// Throws an OrderError while the order has a payment in flight with a
+// provider other than `providerName`: an open Lightning invoice or Bitcoin
+// address could still be paid, so the customer must not be charged twice
+function assertNoOtherPayment(providers, order, providerName) {
+  const payment = order.payment;
+  if (payment && payment.provider !== providerName && IN_FLIGHT_STATUSES.includes(payment.status)) {
+    const label = providers[payment.provider] ? providers[payment.provider].label : payment.provider;
+    throw new OrderError(`This order already has a ${label} payment in progress. Complete it, or wait until it expires to pay another way.`, 409);
+  }
+}
+
+// Polls in-flight payments of asynchronous providers in the background
+// (open Lightning invoices, on-chain payments waiting for confirmations,
+// expired Bitcoin addresses that may still be paid). Returns a function
+// that stops the watcher.
+function startPaymentWatcher(store, providers, { intervalMs = 5000 } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const orders = await store.list('orders', order =>
+        order.payment
+        && providers[order.payment.provider]
+        && providers[order.payment.provider].refreshPayment
+        && ((['pending', 'failed'].includes(order.status) && IN_FLIGHT_STATUSES.includes(order.payment.status))
+          || watchesLatePayment(providers[order.payment.provider], order)));
+
+      for (const order of orders) {
+        await refreshOrderPayment(store, providers, order)
+          .catch(error => logger.error('Failed to refresh payment', { orderId: order.id, error }));
+      }
+    } catch (error) {
+      logger.error('Payment watcher error', { error });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Payment details for API responses, with a QR code for payment URIs
+async function describePayment(payment) {
+  if (!payment) {
+    return null;
+  }
+  const described = { ...payment, amount: String(payment.amount) };
+  if (payment.uri && payment.status === 'PENDING') {
+    described.qrCode = await QRCode.toDataURL(payment.uri.toUpperCase(), { margin: 1, width: 280 });
+  }
+  return described;
+}
+
+module.exports = {
+  IN_FLIGHT_STATUSES,
+  createPaymentProviders,
+  applyPaymentResult,
+  refreshOrderPayment,
+  assertNoOtherPayment,
+  startPaymentWatcher,
+  describePayment,
+};
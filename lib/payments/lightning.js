@@ -0,0 +1,88 @@
+const { OrderError } = require('../orders');
+const { usdCentsToSats } = require('../bitcoin/units');
+
+// Node invoice states mapped to our payment statuses
+const INVOICE_STATE_TO_PAYMENT_STATUS = {
+  OPEN: 'PENDING',
+  ACCEPTED: 'PENDING',
+  SETTLED: 'COMPLETED',
+  EXPIRED: 'EXPIRED',
+  CANCELED: 'CANCELED',
+};
+
+// Bitcoin Lightning payments. Each order gets a BOLT11 invoice for its
+// total at a configured BTC/USD rate; the order is paid once the invoice
+// settles, which refreshPayment() checks with the node.
+function createLightningProvider({ node, btcUsdRate, invoiceExpirySeconds = 900, now = () => new Date() }) {
+  return {
+    name: 'lightning',
+    label: 'Lightning',
+
+    isConfigured() {
+      return !!node && btcUsdRate > 0;
+    },
+
+    validate() {
+      return null;
+    },
+
+    async createPayment(order) {
+      if (order.currency !== 'USD') {
+        throw new OrderError('Lightning payments are only available for USD orders');
+      }
+
+      // Hand back the invoice we already issued while it can still be paid
+      const current = order.payment;
+      if (current && current.provider === 'lightning' && current.status === 'PENDING'
+          && new Date(current.expiresAt) > now()) {
+        return { payment: current, orderStatus: null };
+      }
+
+      const amountSats = usdCentsToSats(order.total, btcUsdRate);
+      const secondsLeft = Math.floor((new Date(order.expiresAt) - now()) / 1000);
+      const expirySeconds = Math.max(60, Math.min(invoiceExpirySeconds, secondsLeft));
+
+      const invoice = await node.createInvoice({
+        amountMsat: amountSats * 1000,
+        memo: `Photo Store Order: ${order.id}`,
+        expirySeconds,
+      });
+
+      const payment = {
+        provider: 'lightning',
+        id: invoice.paymentHash,
+        status: 'PENDING',
+        amount: order.total,
+        currency: order.currency,
+        amountSats,
+        btcUsdRate,
+        invoice: invoice.paymentRequest,
+        uri: `lightning:${invoice.paymentRequest}`,
+        expiresAt: invoice.expiresAt,
+      };
+
+      return { payment, orderStatus: null };
+    },
+
+    async refreshPayment(order) {
+      const invoice = await node.getInvoice(order.payment.id);
+      if (!invoice) {
+        return null;
+      }
+
+      const status = INVOICE_STATE_TO_PAYMENT_STATUS[invoice.state] || order.payment.status;
+      if (status === order.payment.status) {
+        return null;
+      }
+
+      return {
+        payment: { ...order.payment, status, settledAt: invoice.settledAt || null },
+        orderStatus: status === 'COMPLETED' ? 'paid' : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createLightningProvider,
+};
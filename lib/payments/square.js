@@ -0,0 +1,76 @@
+const { SQUARE_STATUS_TO_ORDER_STATUS, fromSquareMoney } = require('../square');
+const { paymentIdempotencyKey } = require('../orders');
+const { logger } = require('../log');
+
+// Card payments through the Square Payments API. The card is tokenized in
+// the browser by the Web Payments SDK and arrives here as `sourceId`, or
+// is a card on file (`sourceId` is the card ID and `customerId` the
+// account's Square Customer, see lib/cards.js). `verificationToken` comes
+// from the SDK's buyer verification (3-D Secure), which cards that need
+// Strong Customer Authentication can't be charged without.
+function createSquareProvider({ squareClient, locationId }) {
+  return {
+    name: 'square',
+    label: 'Square',
+
+    isConfigured() {
+      return !!locationId;
+    },
+
+    validate({ sourceId, verificationToken }) {
+      if (!sourceId) {
+        return 'Missing required payment information';
+      }
+      if (typeof sourceId !== 'string') {
+        return 'Invalid payment information: sourceId must be a string';
+      }
+      if (verificationToken !== undefined && (typeof verificationToken !== 'string' || !verificationToken)) {
+        return 'Invalid payment information: verificationToken must be a string';
+      }
+      return null;
+    },
+
+    async createPayment(order, { sourceId, customerId, verificationToken }) {
+      // Charge the total computed when the order was created, never a client amount
+      const result = await squareClient.payments.create({
+        sourceId,
+        idempotencyKey: paymentIdempotencyKey(order),
+        amountMoney: {
+          amount: BigInt(order.total),
+          currency: order.currency,
+        },
+        locationId,
+        customerId: customerId || undefined,
+        verificationToken: verificationToken || undefined,
+        referenceId: order.id,
+        note: `Photo Store Order: ${order.id}`,
+      });
+
+      // Validate response structure
+      if (!result || !result.payment) {
+        throw new Error('Invalid payment response from Square');
+      }
+
+      // Log warning if payment response is missing expected fields
+      if (!result.payment.amountMoney) {
+        logger.warn('Payment response missing amountMoney field, using order values', { orderId: order.id });
+      }
+
+      const payment = {
+        provider: 'square',
+        id: result.payment.id,
+        status: result.payment.status,
+        ...fromSquareMoney(result.payment.amountMoney, { amount: order.total, currency: order.currency }),
+        receiptUrl: result.payment.receiptUrl || null,
+        // CARD for cards, Apple Pay and Google Pay; WALLET for Cash App Pay
+        sourceType: result.payment.sourceType || null,
+      };
+
+      return { payment, orderStatus: SQUARE_STATUS_TO_ORDER_STATUS[payment.status] || null };
+    },
+  };
+}
+
+module.exports = {
+  createSquareProvider,
+};
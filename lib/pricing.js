@@ -0,0 +1,135 @@
+const { priceItems } = require('./catalog');
+const { getPromotion, applyPromotion } = require('./promotions');
+const {
+  BASE_CURRENCY,
+  CurrencyError,
+  getExchangeRates,
+  convertAmount,
+  variantPrice,
+} = require('./currency');
+const { TaxError, parseLocation, getTaxRules, findTaxRule, calculateTax } = require('./tax');
+const {
+  ShippingError,
+  getShippingRates,
+  shippableQuantity,
+  shippingOptions,
+  parseShippingAddress,
+} = require('./shipping');
+
+// Prices a cart the way an order placed now would be charged: catalog
+// prices in the chosen currency, the promo code's discount, tax for the
+// customer's country and region, then shipping for the prints.
+//
+// Resolves to { items, currency, exchangeRate, subtotal, discount, tax,
+// taxRule, shipping, shippingOptions, shippingAddress, total, promotion,
+// location }. Every line has its `lineTotal` and its share of the
+// `discount` and `tax`. With an inclusive tax rule the tax is already part
+// of the subtotal; otherwise it is added to the total. Shipping is added
+// to the total and not taxed.
+//
+// `currencies` lists the currencies on offer; `fallbackRates` is used
+// until staff save an exchange-rate table. `requireLocation` rejects carts
+// without a country when tax rules or shipping rates are configured, and
+// carts with prints but no `shippingAddress` when shipping rates are
+// (orders need them; cart previews don't). `shippingMethod` defaults to
+// the cheapest option.
+async function quoteOrder(store, {
+  items,
+  promoCode,
+  customerEmail,
+  currency = BASE_CURRENCY,
+  country,
+  region,
+  shippingAddress,
+  shippingMethod,
+  requireLocation = false,
+  now = new Date(),
+}, { currencies = [BASE_CURRENCY], fallbackRates = {} } = {}) {
+  if (!currencies.includes(currency)) {
+    throw new CurrencyError(`Unsupported currency: ${currency}`);
+  }
+  const location = parseLocation({ country, region });
+  const rates = currency === BASE_CURRENCY ? {} : await getExchangeRates(store, fallbackRates);
+  const lines = await priceItems(store, items, { priceOf: variant => variantPrice(variant, currency, rates) });
+
+  let promotion = null;
+  let lineDiscounts = lines.map(() => 0);
+  if (promoCode) {
+    promotion = await getPromotion(store, promoCode);
+    // Fixed discounts and minimums are set in the base currency
+    const localized = promotion && {
+      ...promotion,
+      value: promotion.type === 'fixed' ? convertAmount(promotion.value, currency, rates) : promotion.value,
+      minimumAmount: promotion.minimumAmount === null ? null : convertAmount(promotion.minimumAmount, currency, rates),
+    };
+    ({ lineDiscounts } = applyPromotion(localized, lines, { customerEmail, currency, now }));
+  }
+
+  const rules = await getTaxRules(store);
+  if (requireLocation && rules.length > 0 && !location.country) {
+    throw new TaxError('Country is required to work out tax');
+  }
+  const taxRule = findTaxRule(rules, location);
+  const { lineTaxes } = calculateTax(taxRule, lines.map((line, i) => line.unitPrice * line.quantity - lineDiscounts[i]));
+
+  const priced = lines.map((line, i) => ({
+    ...line,
+    lineTotal: line.unitPrice * line.quantity,
+    discount: lineDiscounts[i],
+    tax: lineTaxes[i],
+  }));
+  const subtotal = priced.reduce((sum, line) => sum + line.lineTotal, 0);
+  const discount = priced.reduce((sum, line) => sum + line.discount, 0);
+  const tax = priced.reduce((sum, line) => sum + line.tax, 0);
+
+  let shipping = null;
+  let options = [];
+  let address = null;
+  const shippingRates = await getShippingRates(store);
+  const itemCount = shippableQuantity(priced);
+  if (shippingRates.length > 0 && itemCount > 0) {
+    if (requireLocation && !location.country) {
+      throw new ShippingError('Country is required to work out shipping');
+    }
+    if (location.country) {
+      // Shipping rates are set in the base currency
+      options = shippingOptions(shippingRates, { country: location.country, itemCount })
+        .map(option => ({ ...option, amount: convertAmount(option.amount, currency, rates) }));
+      if (options.length === 0) {
+        throw new ShippingError(`Sorry, we can't ship ${itemCount === 1 ? 'this print' : `${itemCount} prints`} to ${location.country}`);
+      }
+      shipping = shippingMethod ? options.find(option => option.method === shippingMethod) : options[0];
+      if (!shipping) {
+        throw new ShippingError(`Unknown shipping option: ${shippingMethod}`);
+      }
+    }
+    if (requireLocation) {
+      address = parseShippingAddress(shippingAddress, location);
+    }
+  }
+
+  return {
+    items: priced,
+    currency,
+    exchangeRate: currency === BASE_CURRENCY ? null : rates[currency] || null,
+    subtotal,
+    discount,
+    tax,
+    taxRule,
+    shipping,
+    shippingOptions: options,
+    shippingAddress: address,
+    total: subtotal - discount + (taxRule && !taxRule.inclusive ? tax : 0) + (shipping ? shipping.amount : 0),
+    promotion: promotion && {
+      code: promotion.code,
+      description: promotion.description,
+      type: promotion.type,
+      value: promotion.value,
+    },
+    location,
+  };
+}
+
+module.exports = {
+  quoteOrder,
+};
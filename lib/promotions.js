@@ -0,0 +1,267 @@
+const { formatMoney } = require('./currency');
+
+const COLLECTION = 'promotions';
+
+const PROMOTION_TYPES = ['percent', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+class PromotionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+  }
+}
+
+// Codes are case-insensitive and stored upper case
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+function optionalPositiveInteger(input, name, fields) {
+  if (input[name] === undefined) return;
+  if (input[name] !== null && (!Number.isInteger(input[name]) || input[name] <= 0)) {
+    throw new PromotionError(`Invalid ${name}: must be a positive integer or null`);
+  }
+  fields[name] = input[name];
+}
+
+function optionalDate(input, name, fields) {
+  if (input[name] === undefined) return;
+  if (input[name] === null) {
+    fields[name] = null;
+    return;
+  }
+  const date = new Date(input[name]);
+  if (typeof input[name] !== 'string' || Number.isNaN(date.getTime())) {
+    throw new PromotionError(`Invalid ${name}: must be an ISO date or null`);
+  }
+  fields[name] = date.toISOString();
+}
+
+// Checks the editable promotion fields present in `input`:
+//   type           "percent" (value 1-100) or "fixed" (value in USD cents,
+//                  converted for orders in other currencies)
+//   minimumAmount  order subtotal needed, in USD cents, or null
+//   productIds     product or variant IDs the discount applies to; empty
+//                  means the whole order
+//   startsAt/endsAt  when the code can be used, ISO dates or null
+//   usageLimit     total number of orders, or null for unlimited
+//   perEmailLimit  orders per customer email, or null for unlimited
+function validatePromotionFields(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (input.description !== undefined || !partial) {
+    const description = input.description === undefined ? '' : input.description;
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new PromotionError(`Invalid description: must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    fields.description = description.trim();
+  }
+  if (input.type !== undefined || !partial) {
+    if (!PROMOTION_TYPES.includes(input.type)) {
+      throw new PromotionError(`Invalid type: must be one of ${PROMOTION_TYPES.join(', ')}`);
+    }
+    fields.type = input.type;
+  }
+  if (input.value !== undefined || !partial) {
+    if (!Number.isInteger(input.value) || input.value <= 0) {
+      throw new PromotionError('Invalid value: must be a positive integer (percent or cents)');
+    }
+    fields.value = input.value;
+  }
+  optionalPositiveInteger(input, 'minimumAmount', fields);
+  optionalPositiveInteger(input, 'usageLimit', fields);
+  optionalPositiveInteger(input, 'perEmailLimit', fields);
+  optionalDate(input, 'startsAt', fields);
+  optionalDate(input, 'endsAt', fields);
+  if (input.productIds !== undefined) {
+    if (!Array.isArray(input.productIds) || input.productIds.some(id => typeof id !== 'string')) {
+      throw new PromotionError('Invalid productIds: must be an array of product or variant IDs');
+    }
+    fields.productIds = [...new Set(input.productIds)];
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      throw new PromotionError('Invalid active: must be true or false');
+    }
+    fields.active = input.active;
+  }
+
+  return fields;
+}
+
+// Checks fields that depend on each other once a promotion is complete
+function assertConsistent(promotion) {
+  if (promotion.type === 'percent' && promotion.value > 100) {
+    throw new PromotionError('Invalid value: a percentage must be between 1 and 100');
+  }
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    throw new PromotionError('Invalid endsAt: must be after startsAt');
+  }
+  return promotion;
+}
+
+async function listPromotions(store) {
+  const promotions = await store.list(COLLECTION);
+  return promotions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function getPromotion(store, code) {
+  const id = normalizeCode(code);
+  return id ? store.get(COLLECTION, id) : null;
+}
+
+async function createPromotion(store, input, { now = new Date() } = {}) {
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    throw new PromotionError('Invalid code: use 3 to 32 letters, digits, dashes and underscores');
+  }
+  const promotion = assertConsistent({
+    code,
+    minimumAmount: null,
+    productIds: [],
+    startsAt: null,
+    endsAt: null,
+    usageLimit: null,
+    perEmailLimit: null,
+    active: true,
+    ...validatePromotionFields(input),
+    redemptions: { total: 0, byEmail: {} },
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  });
+
+  return store.update(COLLECTION, code, current => {
+    if (current) {
+      throw new PromotionError(`Promotion already exists: ${code}`, 409);
+    }
+    return promotion;
+  });
+}
+
+async function updatePromotion(store, code, input, { now = new Date() } = {}) {
+  const fields = validatePromotionFields(input, { partial: true });
+  return store.update(COLLECTION, normalizeCode(code), current => {
+    if (!current) {
+      throw new PromotionError('Promotion not found', 404);
+    }
+    return assertConsistent({ ...current, ...fields, updatedAt: now.toISOString() });
+  });
+}
+
+// Throws when `promotion` can't be used right now, or has been used up
+// (for `customerEmail` too, when given)
+function assertRedeemable(promotion, { customerEmail, now = new Date() } = {}) {
+  const at = now.toISOString();
+  if (!promotion || !promotion.active) {
+    throw new PromotionError('This promo code is not valid');
+  }
+  if (promotion.startsAt && at < promotion.startsAt) {
+    throw new PromotionError('This promo code is not active yet');
+  }
+  if (promotion.endsAt && at >= promotion.endsAt) {
+    throw new PromotionError('This promo code has expired');
+  }
+  if (promotion.usageLimit !== null && promotion.redemptions.total >= promotion.usageLimit) {
+    throw new PromotionError('This promo code has been fully redeemed', 409);
+  }
+  const email = normalizeEmail(customerEmail);
+  if (email && promotion.perEmailLimit !== null
+    && (promotion.redemptions.byEmail[email] || 0) >= promotion.perEmailLimit) {
+    throw new PromotionError('You have already used this promo code', 409);
+  }
+}
+
+// Works out the discount `promotion` gives on priced order `lines`
+// ([{ productId, variantId, unitPrice, quantity }]). Resolves to
+// { discount, lineDiscounts } with the discount spread over the eligible
+// lines in proportion to their amounts, so refunds of single lines give
+// back what was actually paid for them.
+function applyPromotion(promotion, lines, { customerEmail, currency = 'USD', now } = {}) {
+  assertRedeemable(promotion, { customerEmail, now });
+
+  const amounts = lines.map(line => line.unitPrice * line.quantity);
+  const subtotal = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (promotion.minimumAmount !== null && subtotal < promotion.minimumAmount) {
+    throw new PromotionError(`This promo code needs an order of at least ${formatMoney(promotion.minimumAmount, currency)}`);
+  }
+
+  const eligible = lines.map(line => promotion.productIds.length === 0
+    || promotion.productIds.includes(line.productId)
+    || promotion.productIds.includes(line.variantId));
+  const eligibleAmount = amounts.reduce((sum, amount, i) => sum + (eligible[i] ? amount : 0), 0);
+  if (eligibleAmount === 0) {
+    throw new PromotionError('This promo code does not apply to the items in your cart');
+  }
+
+  const discount = promotion.type === 'percent'
+    ? Math.round(eligibleAmount * promotion.value / 100)
+    : Math.min(promotion.value, eligibleAmount);
+  if (discount >= subtotal) {
+    throw new PromotionError('This promo code cannot make the order free');
+  }
+
+  // Largest remainder, so the line discounts add up to the discount exactly
+  const shares = amounts.map((amount, i) => (eligible[i] ? discount * amount / eligibleAmount : 0));
+  const lineDiscounts = shares.map(Math.floor);
+  let left = discount - lineDiscounts.reduce((sum, d) => sum + d, 0);
+  const byRemainder = shares
+    .map((share, i) => [share - Math.floor(share), i])
+    .sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) {
+    if (left === 0) break;
+    lineDiscounts[i] += 1;
+    left -= 1;
+  }
+
+  return { discount, lineDiscounts };
+}
+
+// Counts an order against the promotion's usage limits. Checked again
+// here, under the store lock, so two orders can't both take the last use.
+async function redeemPromotion(store, code, customerEmail, { now = new Date() } = {}) {
+  const email = normalizeEmail(customerEmail);
+  return store.update(COLLECTION, normalizeCode(code), current => {
+    assertRedeemable(current, { customerEmail, now });
+    if (current.perEmailLimit !== null && !email) {
+      throw new PromotionError('Enter your email address to use this promo code');
+    }
+    const byEmail = { ...current.redemptions.byEmail };
+    if (email) byEmail[email] = (byEmail[email] || 0) + 1;
+    return { ...current, redemptions: { total: current.redemptions.total + 1, byEmail } };
+  });
+}
+
+// Gives back a use taken by `redeemPromotion`, for orders that were never
+// paid
+async function releasePromotion(store, code, customerEmail) {
+  const email = normalizeEmail(customerEmail);
+  return store.update(COLLECTION, normalizeCode(code), current => {
+    if (!current) return undefined;
+    const byEmail = { ...current.redemptions.byEmail };
+    if (email && byEmail[email]) {
+      byEmail[email] -= 1;
+      if (byEmail[email] === 0) delete byEmail[email];
+    }
+    return { ...current, redemptions: { total: Math.max(0, current.redemptions.total - 1), byEmail } };
+  });
+}
+
+module.exports = {
+  PromotionError,
+  PROMOTION_TYPES,
+  normalizeCode,
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  applyPromotion,
+  redeemPromotion,
+  releasePromotion,
+};
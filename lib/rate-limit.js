@@ -0,0 +1,121 @@
+const { logger } = require('./log');
+
+// Rate limits and card-testing detection. Counters live in memory, so each
+// server instance counts on its own: behind a load balancer, or on a
+// serverless host that runs several instances, the limits apply per
+// instance.
+
+// Sweep expired keys after this many new events
+const SWEEP_EVERY = 1000;
+
+// Remembers when events happened for each key, over the last `windowMs`.
+// Only the latest `max` events per key are kept, which is all a limit of
+// `max` needs.
+function createCounter({ windowMs, max, now = () => Date.now() }) {
+  const events = new Map();
+  let added = 0;
+
+  function recent(key, at) {
+    const times = (events.get(key) || []).filter(time => time > at - windowMs);
+    if (times.length > 0) {
+      events.set(key, times);
+    } else {
+      events.delete(key);
+    }
+    return times;
+  }
+
+  function sweep(at) {
+    for (const key of events.keys()) recent(key, at);
+  }
+
+  return {
+    count(key) {
+      return recent(key, now()).length;
+    },
+
+    add(key) {
+      const at = now();
+      const times = recent(key, at);
+      times.push(at);
+      events.set(key, times.slice(-max));
+      if (++added % SWEEP_EVERY === 0) sweep(at);
+    },
+
+    // Milliseconds until `key` is back under `max` events, or 0
+    waitMs(key) {
+      const at = now();
+      const times = recent(key, at);
+      return times.length < max ? 0 : times[times.length - max] + windowMs - at;
+    },
+  };
+}
+
+// Express middleware that lets each key make `limit` requests per
+// `windowMs`. `rules` are [{ name, limit, windowMs, key(req) }]; `key` may
+// be async and returns null when the rule doesn't apply, and a limit of 0
+// turns the rule off. A request over any rule's limit gets a 429 with a
+// Retry-After header and is reported to `onBlocked(req, { rule, key })`.
+// Requests that were turned away don't count.
+function rateLimit(rules, { onBlocked = () => {}, now } = {}) {
+  const active = rules
+    .filter(rule => rule.limit > 0)
+    .map(rule => ({ ...rule, counter: createCounter({ windowMs: rule.windowMs, max: rule.limit, now }) }));
+
+  return async (req, res, next) => {
+    const counted = [];
+    try {
+      for (const rule of active) {
+        const key = await rule.key(req);
+        if (!key) continue;
+        const waitMs = rule.counter.waitMs(key);
+        if (waitMs > 0) {
+          onBlocked(req, { rule: rule.name, key });
+          res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+          return res.status(429).json({
+            error: 'Too many requests. Please wait a few minutes and try again.',
+            code: 'rate_limited',
+          });
+        }
+        counted.push([rule, key]);
+      }
+    } catch (error) {
+      // A limit that can't be checked never takes the store down
+      logger.error('Rate limit error', { error });
+    }
+    counted.forEach(([rule, key]) => rule.counter.add(key));
+    next();
+  };
+}
+
+// Card-testing detection. Bots try stolen cards one after another, so
+// `limit` declines within `windowMs` for a browser session, IP address or
+// email address trips the detector for that key until the oldest of them
+// leaves the window. A limit of 0 turns it off.
+function createDeclineTracker({ limit, windowMs, now }) {
+  const counter = createCounter({ windowMs, max: Math.max(limit, 1), now });
+  const keysOf = keys => keys.filter(Boolean);
+
+  return {
+    recordDecline(keys) {
+      keysOf(keys).forEach(key => counter.add(key));
+    },
+
+    // The first of `keys` that has tripped the detector, with how long it
+    // stays tripped: { key, waitMs }, or null
+    check(keys) {
+      if (!(limit > 0)) return null;
+      for (const key of keysOf(keys)) {
+        const waitMs = counter.waitMs(key);
+        if (waitMs > 0) return { key, waitMs };
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  createCounter,
+  rateLimit,
+  createDeclineTracker,
+};
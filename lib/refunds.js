@@ -0,0 +1,164 @@
+const { createHash } = require('crypto');
+const { fromSquareMoney } = require('./square');
+const {
+  OrderError,
+  getOrder,
+  refundedAmount,
+  lineKey,
+  refundedQuantities,
+  recordRefund,
+} = require('./orders');
+
+const REFUNDABLE_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+// Square rejects refund reasons longer than this
+const MAX_REASON_LENGTH = 192;
+
+// Refunds for the same order run one at a time, so two concurrent requests
+// can't both pass the "not yet refunded" check before either is recorded
+const orderLocks = new Map();
+
+function withOrderLock(orderId, fn) {
+  const previous = orderLocks.get(orderId) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  orderLocks.set(orderId, tail);
+  tail.then(() => {
+    if (orderLocks.get(orderId) === tail) orderLocks.delete(orderId);
+  });
+  return run;
+}
+
+// What the customer paid for the first `count` units of an order line,
+// after its share of any promo discount and with any tax added on top
+function paidForUnits(order, line, count) {
+  const addedTax = order.taxRule && !order.taxRule.inclusive ? line.tax || 0 : 0;
+  const paid = line.unitPrice * line.quantity - (line.discount || 0) + addedTax;
+  return Math.round(paid * count / line.quantity);
+}
+
+// Checks a refund request against the order and works out what to refund.
+// Exactly one of `amount` (cents) or `items` ([{ variantId, quantity }])
+// may be given; with neither, everything not yet refunded is refunded.
+// Items may name a `productId` instead when the order has one line for it.
+function planRefund(order, { amount, items, reason } = {}) {
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    throw new OrderError(`Invalid reason: must be a string of at most ${MAX_REASON_LENGTH} characters`);
+  }
+  if (amount !== undefined && items !== undefined) {
+    throw new OrderError('Provide either amount or items, not both');
+  }
+
+  const remaining = order.total - refundedAmount(order);
+  if (remaining <= 0) {
+    throw new OrderError('Order has already been fully refunded', 409);
+  }
+
+  let refundItems = [];
+  let refundAmount = remaining;
+
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new OrderError('Invalid items: must be a non-empty array');
+    }
+
+    const alreadyRefunded = refundedQuantities(order);
+    refundAmount = 0;
+    for (const item of items) {
+      if (!item || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+        throw new OrderError('Invalid item: variantId and a positive integer quantity required');
+      }
+      const lines = item.variantId
+        ? order.items.filter(l => lineKey(l) === item.variantId)
+        : order.items.filter(l => l.productId === item.productId);
+      if (lines.length === 0) {
+        throw new OrderError(`Product not in order: ${item.variantId || item.productId}`);
+      }
+      if (lines.length > 1) {
+        throw new OrderError(`Order has several variants of ${item.productId}: refund by variantId`);
+      }
+      const [line] = lines;
+      const key = lineKey(line);
+      const refunded = alreadyRefunded[key] || 0;
+      const refundable = line.quantity - refunded;
+      if (item.quantity > refundable) {
+        throw new OrderError(`Cannot refund ${item.quantity} of ${key}: only ${refundable} not yet refunded`);
+      }
+      refundItems.push(line.variantId
+        ? { productId: line.productId, variantId: line.variantId, quantity: item.quantity }
+        : { productId: line.productId, quantity: item.quantity });
+      refundAmount += paidForUnits(order, line, refunded + item.quantity) - paidForUnits(order, line, refunded);
+    }
+  } else if (amount !== undefined) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new OrderError('Invalid amount: must be a positive integer in cents');
+    }
+    refundAmount = amount;
+  }
+
+  if (refundAmount > remaining) {
+    throw new OrderError(`Refund amount exceeds the ${remaining} not yet refunded`);
+  }
+
+  return { amount: refundAmount, items: refundItems, reason: reason || null };
+}
+
+// Same order, refund number and amount always give the same key, so a
+// retried request reaches the same Square refund instead of a second one
+function refundIdempotencyKey(order, amount) {
+  const sequence = (order.refunds || []).length;
+  return createHash('sha256')
+    .update(`${order.id}:refund:${sequence}:${amount}`)
+    .digest('hex')
+    .slice(0, 40);
+}
+
+// Refunds all or part of an order's Square payment and records the refund
+// on the order. Resolves to { refund, order }.
+async function issueRefund(store, squareClient, orderId, request) {
+  return withOrderLock(orderId, async () => {
+    const order = await getOrder(store, orderId);
+    if (!order) {
+      throw new OrderError('Order not found', 404);
+    }
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+      throw new OrderError(`Cannot refund an order that is ${order.status}`, 409);
+    }
+    if (!order.payment || order.payment.provider !== 'square') {
+      throw new OrderError('Order has no Square payment to refund', 409);
+    }
+
+    const plan = planRefund(order, request);
+
+    const result = await squareClient.refunds.refundPayment({
+      idempotencyKey: refundIdempotencyKey(order, plan.amount),
+      paymentId: order.payment.id,
+      amountMoney: {
+        amount: BigInt(plan.amount),
+        currency: order.currency,
+      },
+      reason: plan.reason || undefined,
+    });
+
+    if (!result || !result.refund) {
+      throw new Error('Invalid refund response from Square');
+    }
+
+    const refund = {
+      id: result.refund.id,
+      status: result.refund.status,
+      ...fromSquareMoney(result.refund.amountMoney, { amount: plan.amount, currency: order.currency }),
+      reason: plan.reason,
+      items: plan.items,
+      createdAt: result.refund.createdAt || new Date().toISOString(),
+    };
+
+    const updated = await recordRefund(store, order.id, refund);
+    return { refund, order: updated };
+  });
+}
+
+module.exports = {
+  planRefund,
+  issueRefund,
+};
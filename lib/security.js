@@ -0,0 +1,89 @@
+const { logger } = require('./log');
+
+// Security headers, the CORS allow-list and security event logging.
+
+// Where the Square Web Payments SDK loads scripts, frames and API calls
+// from, including the Google Pay, Apple Pay and Cash App Pay wallets it
+// opens
+const SQUARE_CSP_SOURCES = {
+  script: ['https://*.squarecdn.com', 'https://js.squareup.com', 'https://js.squareupsandbox.com', 'https://pay.google.com', 'https://applepay.cdn-apple.com'],
+  connect: ['https://*.squareup.com', 'https://*.squareupsandbox.com', 'https://*.squarecdn.com', 'https://pay.google.com', 'https://*.cash.app'],
+  frame: ['https://*.squarecdn.com', 'https://*.squareup.com', 'https://*.squareupsandbox.com', 'https://pay.google.com', 'https://*.cash.app'],
+};
+
+// The Content-Security-Policy for the storefront and staff dashboard.
+// Styles allow 'unsafe-inline' because the card form and the page's
+// notifications set inline styles; scripts only run from files.
+function contentSecurityPolicy() {
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", ...SQUARE_CSP_SOURCES.script],
+    'style-src': ["'self'", "'unsafe-inline'"],
+    'img-src': ["'self'", 'data:', 'https:'],
+    'font-src': ["'self'", 'data:'],
+    'connect-src': ["'self'", ...SQUARE_CSP_SOURCES.connect],
+    'frame-src': SQUARE_CSP_SOURCES.frame,
+    'frame-ancestors': ["'none'"],
+    'form-action': ["'self'"],
+    'base-uri': ["'self'"],
+    'object-src': ["'none'"],
+  };
+  return Object.entries(directives).map(([name, sources]) => `${name} ${sources.join(' ')}`).join('; ');
+}
+
+// Express middleware adding security headers to every response. HSTS is
+// only sent when the store is served over HTTPS.
+function securityHeaders({ https = false } = {}) {
+  const policy = contentSecurityPolicy();
+  return (req, res, next) => {
+    res.set({
+      'Content-Security-Policy': policy,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+    });
+    if (https) {
+      res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+    next();
+  };
+}
+
+// Parses CORS_ORIGINS: a comma-separated list of origins allowed to call
+// the API from other sites, or "*" for any. The storefront itself is
+// served from the same origin and needs no entry.
+function parseCorsOrigins(value) {
+  const origins = (value || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+  for (const origin of origins) {
+    if (origin !== '*' && !/^https?:\/\/[^/\s]+$/.test(origin)) {
+      throw new Error(`Invalid origin in CORS_ORIGINS: ${origin}`);
+    }
+  }
+  return origins;
+}
+
+// Options for the cors middleware: only allow-listed origins get CORS
+// headers, so browsers refuse cross-site calls from anywhere else
+function corsOptions(origins) {
+  return {
+    origin: origins.includes('*') ? true : origins,
+    allowedHeaders: ['Content-Type', 'Idempotency-Key', 'Authorization'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After'],
+  };
+}
+
+// Logs a security event (blocked requests, suspected card testing). The
+// event name is kept in its own field for alerting.
+function logSecurityEvent(event, fields = {}) {
+  logger.warn(event, { event, ...fields });
+}
+
+module.exports = {
+  SQUARE_CSP_SOURCES,
+  contentSecurityPolicy,
+  securityHeaders,
+  parseCorsOrigins,
+  corsOptions,
+  logSecurityEvent,
+};
@@ -0,0 +1,167 @@
+// Shipping for physical prints. Staff configure a rate table; each rate
+// offers a shipping method for some destination countries and order sizes:
+//
+//   { method: "standard", name: "Standard", countries: ["US"], minItems: 1, maxItems: null,
+//     amount: 500, perItem: 100, estimate: "3-5 business days" }
+//
+// `amount` pays for the first print and `perItem` for each further one, in
+// cents of the base currency. `countries: ["*"]` matches every country.
+// For each method the first matching rate wins, so a country's rate listed
+// before a "*" rate overrides it. Digital downloads never ship. Until staff
+// save a rate table, prints ship free and checkout asks for no address.
+
+const { parseLocation } = require('./tax');
+
+const SETTINGS_COLLECTION = 'settings';
+const RATES_ID = 'shipping_rates';
+
+const METHOD_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_NAME_LENGTH = 50;
+const MAX_ESTIMATE_LENGTH = 50;
+const MAX_ADDRESS_FIELD_LENGTH = 100;
+
+class ShippingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ShippingError';
+    this.status = status;
+  }
+}
+
+function isAmount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function validateRate(input) {
+  if (!input || typeof input !== 'object') {
+    throw new ShippingError('Invalid shipping rate: must be an object');
+  }
+  if (typeof input.method !== 'string' || !METHOD_PATTERN.test(input.method)) {
+    throw new ShippingError('Invalid shipping rate: method must be a short lowercase ID such as "standard"');
+  }
+  if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+    throw new ShippingError(`Invalid shipping rate: name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(input.countries) || input.countries.length === 0) {
+    throw new ShippingError('Invalid shipping rate: countries must list country codes or "*"');
+  }
+  const countries = input.countries.map(country => (country === '*' ? '*' : parseShippingCountry(country)));
+  const minItems = input.minItems === undefined ? 1 : input.minItems;
+  const maxItems = input.maxItems === undefined ? null : input.maxItems;
+  if (!Number.isInteger(minItems) || minItems < 1) {
+    throw new ShippingError('Invalid shipping rate: minItems must be a positive integer');
+  }
+  if (maxItems !== null && (!Number.isInteger(maxItems) || maxItems < minItems)) {
+    throw new ShippingError('Invalid shipping rate: maxItems must be an integer of at least minItems, or null');
+  }
+  if (!isAmount(input.amount)) {
+    throw new ShippingError('Invalid shipping rate: amount must be a non-negative integer in cents');
+  }
+  const perItem = input.perItem === undefined ? 0 : input.perItem;
+  if (!isAmount(perItem)) {
+    throw new ShippingError('Invalid shipping rate: perItem must be a non-negative integer in cents');
+  }
+  if (input.estimate !== undefined && input.estimate !== null
+    && (typeof input.estimate !== 'string' || input.estimate.length > MAX_ESTIMATE_LENGTH)) {
+    throw new ShippingError(`Invalid shipping rate: estimate must be a string of at most ${MAX_ESTIMATE_LENGTH} characters`);
+  }
+  return {
+    method: input.method,
+    name: input.name.trim(),
+    countries,
+    minItems,
+    maxItems,
+    amount: input.amount,
+    perItem,
+    estimate: input.estimate || null,
+  };
+}
+
+function parseShippingCountry(country) {
+  try {
+    return parseLocation({ country }).country;
+  } catch (error) {
+    throw new ShippingError('Invalid shipping rate: use two-letter ISO country codes');
+  }
+}
+
+async function getShippingRates(store) {
+  const record = await store.get(SETTINGS_COLLECTION, RATES_ID);
+  return record ? record.rates : [];
+}
+
+// Replaces the whole rate table
+async function saveShippingRates(store, rates, { now = new Date() } = {}) {
+  if (!Array.isArray(rates)) {
+    throw new ShippingError('Invalid rates: must be an array');
+  }
+  const valid = rates.map(validateRate);
+  return store.put(SETTINGS_COLLECTION, RATES_ID, { id: RATES_ID, rates: valid, updatedAt: now.toISOString() });
+}
+
+// Number of prints in priced order lines; downloads don't ship
+function shippableQuantity(lines) {
+  return lines
+    .filter(line => line.type !== 'digital')
+    .reduce((sum, line) => sum + line.quantity, 0);
+}
+
+// Shipping methods on offer for `itemCount` prints sent to `country`,
+// cheapest first: [{ method, name, amount, estimate }] in base currency
+function shippingOptions(rates, { country, itemCount }) {
+  const options = new Map();
+  for (const rate of rates) {
+    const ships = rate.countries.includes(country) || rate.countries.includes('*');
+    const fits = itemCount >= rate.minItems && (rate.maxItems === null || itemCount <= rate.maxItems);
+    if (ships && fits && !options.has(rate.method)) {
+      options.set(rate.method, {
+        method: rate.method,
+        name: rate.name,
+        amount: rate.amount + rate.perItem * (itemCount - 1),
+        estimate: rate.estimate,
+      });
+    }
+  }
+  return [...options.values()].sort((a, b) => a.amount - b.amount);
+}
+
+function addressField(input, name, label, { required = true } = {}) {
+  const value = input[name];
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new ShippingError(`Shipping address is missing the ${label}`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_ADDRESS_FIELD_LENGTH) {
+    throw new ShippingError(`Invalid shipping address: ${label} must be a string of at most ${MAX_ADDRESS_FIELD_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+// Checks a shipping address ({ name, line1, line2?, city, postalCode? }).
+// The country and region come from the customer's location, which also
+// decides tax.
+function parseShippingAddress(input, { country, region }) {
+  if (!input || typeof input !== 'object') {
+    throw new ShippingError('Shipping address is required for prints');
+  }
+  return {
+    name: addressField(input, 'name', 'name'),
+    line1: addressField(input, 'line1', 'street address'),
+    line2: addressField(input, 'line2', 'second address line', { required: false }),
+    city: addressField(input, 'city', 'city'),
+    postalCode: addressField(input, 'postalCode', 'postal code', { required: false }),
+    region,
+    country,
+  };
+}
+
+module.exports = {
+  ShippingError,
+  getShippingRates,
+  saveShippingRates,
+  shippableQuantity,
+  shippingOptions,
+  parseShippingAddress,
+};
@@ -0,0 +1,155 @@
+const { randomUUID } = require('crypto');
+const { SquareError, SquareTimeoutError } = require('square');
+
+// In-process stand-in for the Square SDK client (SQUARE_CLIENT=fake), for
+// local development without Square credentials and for tests. It has the
+// resources and methods of the square SDK's SquareClient that this app
+// calls, resolves to the same response bodies and throws the SDK's own
+// errors. A test can script what the next call does:
+//
+//   client.script('payments.create', { decline: 'CVV_FAILURE' }, 'timeout')
+//
+// Each scripted outcome is used up by one call; calls with nothing
+// scripted succeed. Outcomes:
+//   { status: 'FAILED' }              succeed with this payment/refund status
+//   { decline: 'GENERIC_DECLINE' }    400 with a PAYMENT_METHOD_ERROR
+//   { error: { statusCode, code, category, detail } }   any Square error
+//   'timeout'                         Square never answered
+//   'malformed'                       resolves to {}
+//
+// Successful payments and refunds are remembered by idempotency key, like
+// Square does, so a retried call gets the original back.
+
+// What the SDK throws for an error response
+function errorResponse(statusCode, errors) {
+  return new SquareError({ statusCode, body: { errors } });
+}
+
+function createFakeSquareClient({ now = () => new Date() } = {}) {
+  const scripts = new Map();
+  const byIdempotencyKey = new Map();
+  const calls = [];
+
+  // Runs the next scripted outcome for `method`, or `succeed(status)`
+  async function respond(method, request, succeed) {
+    calls.push({ method, request });
+    const queue = scripts.get(method) || [];
+    const outcome = queue.shift() || {};
+
+    if (outcome === 'timeout') {
+      throw new SquareTimeoutError(`Timeout exceeded when calling ${method}.`);
+    }
+    if (outcome === 'malformed') {
+      return {};
+    }
+    if (outcome.decline) {
+      throw errorResponse(400, [{
+        category: 'PAYMENT_METHOD_ERROR',
+        code: outcome.decline,
+        detail: `Authorization error: '${outcome.decline}'`,
+      }]);
+    }
+    if (outcome.error) {
+      const { statusCode = 400, ...error } = outcome.error;
+      throw errorResponse(statusCode, [error]);
+    }
+
+    const key = request.idempotencyKey && `${method}:${request.idempotencyKey}`;
+    if (key && byIdempotencyKey.has(key)) {
+      return byIdempotencyKey.get(key);
+    }
+    const response = succeed(outcome.status);
+    if (key) byIdempotencyKey.set(key, response);
+    return response;
+  }
+
+  return {
+    name: 'fake',
+    calls,
+
+    // Queues outcomes for the next calls to `method` (e.g. 'payments.create')
+    script(method, ...outcomes) {
+      scripts.set(method, [...(scripts.get(method) || []), ...outcomes]);
+    },
+
+    // Forgets scripted outcomes, calls and idempotency keys
+    reset() {
+      scripts.clear();
+      byIdempotencyKey.clear();
+      calls.length = 0;
+    },
+
+    payments: {
+      create(request) {
+        return respond('payments.create', request, (status = 'COMPLETED') => {
+          const id = `fake-payment-${randomUUID()}`;
+          return {
+            payment: {
+              id,
+              status,
+              amountMoney: request.amountMoney,
+              sourceType: request.sourceId && request.sourceId.startsWith('wnon:') ? 'WALLET' : 'CARD',
+              customerId: request.customerId,
+              referenceId: request.referenceId,
+              receiptUrl: `https://squareupsandbox.com/receipt/preview/${id}`,
+              createdAt: now().toISOString(),
+            },
+          };
+        });
+      },
+    },
+
+    refunds: {
+      refundPayment(request) {
+        return respond('refunds.refundPayment', request, (status = 'PENDING') => ({
+          refund: {
+            id: `fake-refund-${randomUUID()}`,
+            status,
+            paymentId: request.paymentId,
+            amountMoney: request.amountMoney,
+            reason: request.reason,
+            createdAt: now().toISOString(),
+          },
+        }));
+      },
+    },
+
+    customers: {
+      create(request) {
+        return respond('customers.create', request, () => ({
+          customer: {
+            id: `fake-customer-${randomUUID()}`,
+            emailAddress: request.emailAddress,
+            givenName: request.givenName,
+            referenceId: request.referenceId,
+          },
+        }));
+      },
+    },
+
+    cards: {
+      create(request) {
+        return respond('cards.create', request, () => ({
+          card: {
+            id: `ccof:fake-${randomUUID()}`,
+            cardBrand: 'VISA',
+            last4: '1111',
+            expMonth: 12n,
+            expYear: BigInt(now().getUTCFullYear() + 3),
+            customerId: request.card.customerId,
+            referenceId: request.card.referenceId,
+            enabled: true,
+          },
+        }));
+      },
+
+      disable({ cardId }) {
+        return respond('cards.disable', { cardId }, () => ({ card: { id: cardId, enabled: false } }));
+      },
+    },
+  };
+}
+
+module.exports = {
+  createFakeSquareClient,
+};
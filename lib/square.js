@@ -0,0 +1,370 @@
+// Helpers shared by everything that talks to Square
+
+const { SquareError, SquareTimeoutError } = require('square');
+
+// Square payment statuses that settle an order one way or the other.
+// APPROVED and PENDING payments leave the order pending until Square
+// reports a final status.
+const SQUARE_STATUS_TO_ORDER_STATUS = {
+  COMPLETED: 'paid',
+  FAILED: 'failed',
+  CANCELED: 'failed',
+};
+
+// Converts a Square Money object ({ amount, currency }) from either the SDK
+// (BigInt amounts) or a webhook payload (plain numbers) into our shape
+function fromSquareMoney(money, fallback = {}) {
+  return {
+    amount: Number(money?.amount ?? fallback.amount ?? 0),
+    currency: money?.currency || fallback.currency || 'USD',
+  };
+}
+
+// Square's sandbox and production environments. The storefront must load
+// the Web Payments SDK for the same environment as the access token, and
+// each environment has its own application IDs.
+const SQUARE_ENVIRONMENTS = {
+  sandbox: {
+    sdkUrl: 'https://sandbox.web.squarecdn.com/v1/square.js',
+    applicationIdPrefix: 'sandbox-sq0idb-',
+  },
+  production: {
+    sdkUrl: 'https://web.squarecdn.com/v1/square.js',
+    applicationIdPrefix: 'sq0idp-',
+  },
+};
+
+// The Square environment named by SQUARE_ENVIRONMENT (sandbox by default),
+// and what's wrong with the Square settings for it: missing credentials,
+// an unknown environment name or an application ID from the other
+// environment. Each problem is { code, message }.
+function squareSetup(env = process.env) {
+  const name = (env.SQUARE_ENVIRONMENT || 'sandbox').trim().toLowerCase();
+  const environment = SQUARE_ENVIRONMENTS[name] ? name : 'sandbox';
+  const problems = [];
+
+  const missing = ['SQUARE_ACCESS_TOKEN', 'SQUARE_APPLICATION_ID', 'SQUARE_LOCATION_ID'].filter(key => !env[key]);
+  if (missing.length > 0) {
+    problems.push({ code: 'missing_credentials', message: `Missing ${missing.join(', ')}` });
+  }
+  if (!SQUARE_ENVIRONMENTS[name]) {
+    problems.push({
+      code: 'unknown_environment',
+      message: `SQUARE_ENVIRONMENT must be "sandbox" or "production", not "${env.SQUARE_ENVIRONMENT}"; using sandbox`,
+    });
+  }
+
+  const applicationId = env.SQUARE_APPLICATION_ID;
+  const expected = SQUARE_ENVIRONMENTS[environment].applicationIdPrefix;
+  if (applicationId && !applicationId.startsWith(expected)) {
+    const other = Object.keys(SQUARE_ENVIRONMENTS)
+      .find(key => applicationId.startsWith(SQUARE_ENVIRONMENTS[key].applicationIdPrefix));
+    problems.push({
+      code: 'application_id_mismatch',
+      message: other
+        ? `SQUARE_APPLICATION_ID is a ${other} application ID but SQUARE_ENVIRONMENT is ${environment}`
+        : `SQUARE_APPLICATION_ID should start with "${expected}" in the ${environment} environment`,
+    });
+  }
+
+  return {
+    environment,
+    sdkUrl: SQUARE_ENVIRONMENTS[environment].sdkUrl,
+    configured: missing.length === 0,
+    problems,
+  };
+}
+
+// The errors a failed Square call is reported as. `message` is safe to
+// show the customer; `retryable` says whether trying again (with the same
+// or corrected card details) can work. Declines are 402s; problems on
+// Square's side or with our setup are 502/503s.
+const PAYMENT_ERRORS = {
+  card_declined: {
+    category: 'declined', status: 402, retryable: false,
+    message: 'Your card was declined. Please use another card or contact your bank.',
+  },
+  insufficient_funds: {
+    category: 'declined', status: 402, retryable: false,
+    message: 'Your card was declined for insufficient funds. Please use another card.',
+  },
+  cvv_mismatch: {
+    category: 'card_details', status: 402, retryable: true,
+    message: "The card's security code (CVV) didn't match. Please check it and try again.",
+  },
+  postal_code_mismatch: {
+    category: 'card_details', status: 402, retryable: true,
+    message: "The postal code didn't match the card's billing address. Please check it and try again.",
+  },
+  card_expired: {
+    category: 'card_details', status: 402, retryable: true,
+    message: 'The card has expired or the expiry date is wrong. Please check it or use another card.',
+  },
+  invalid_card: {
+    category: 'card_details', status: 402, retryable: true,
+    message: "The card details couldn't be used. Please re-enter them and try again.",
+  },
+  verification_required: {
+    category: 'verification', status: 402, retryable: true,
+    message: 'Your bank needs you to confirm this payment. Please try again and complete the check.',
+  },
+  payment_rate_limited: {
+    category: 'unavailable', status: 503, retryable: true,
+    message: "We're handling a lot of payments right now. Please wait a moment and try again.",
+  },
+  payment_unavailable: {
+    category: 'unavailable', status: 503, retryable: true,
+    message: "Card payments are temporarily unavailable. Please try again in a moment; you won't be charged twice.",
+  },
+  payment_provider_error: {
+    category: 'unavailable', status: 502, retryable: true,
+    message: "Something went wrong taking your payment. Please try again; you won't be charged twice.",
+  },
+  payment_configuration_error: {
+    category: 'configuration', status: 502, retryable: false,
+    message: "We can't take card payments right now. Please use another payment method or contact us.",
+  },
+  payment_rejected: {
+    category: 'configuration', status: 502, retryable: false,
+    message: "We couldn't process this payment and you haven't been charged. Please contact us if this keeps happening.",
+  },
+};
+
+// Square `errors[].code` values and the error each is reported as
+const SQUARE_ERROR_CODES = {
+  GENERIC_DECLINE: 'card_declined',
+  CARD_DECLINED: 'card_declined',
+  CARD_DECLINED_CALL_ISSUER: 'card_declined',
+  CARD_NOT_SUPPORTED: 'card_declined',
+  INVALID_ACCOUNT: 'card_declined',
+  TRANSACTION_LIMIT: 'card_declined',
+  BLOCKED_BY_BLOCKLIST: 'card_declined',
+  ALLOWABLE_PIN_TRIES_EXCEEDED: 'card_declined',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  CVV_FAILURE: 'cvv_mismatch',
+  VERIFY_CVV_FAILURE: 'cvv_mismatch',
+  ADDRESS_VERIFICATION_FAILURE: 'postal_code_mismatch',
+  VERIFY_AVS_FAILURE: 'postal_code_mismatch',
+  INVALID_POSTAL_CODE: 'postal_code_mismatch',
+  EXPIRATION_FAILURE: 'card_expired',
+  INVALID_EXPIRATION: 'card_expired',
+  INVALID_EXPIRATION_DATE: 'card_expired',
+  INVALID_EXPIRATION_YEAR: 'card_expired',
+  CARD_EXPIRED: 'card_expired',
+  PAN_FAILURE: 'invalid_card',
+  INVALID_CARD: 'invalid_card',
+  INVALID_CARD_DATA: 'invalid_card',
+  CARD_TOKEN_EXPIRED: 'invalid_card',
+  CARD_TOKEN_USED: 'invalid_card',
+  CARD_DECLINED_VERIFICATION_REQUIRED: 'verification_required',
+  RATE_LIMITED: 'payment_rate_limited',
+  SERVICE_UNAVAILABLE: 'payment_unavailable',
+  GATEWAY_TIMEOUT: 'payment_unavailable',
+  INTERNAL_SERVER_ERROR: 'payment_provider_error',
+  BAD_GATEWAY: 'payment_provider_error',
+  UNAUTHORIZED: 'payment_configuration_error',
+  ACCESS_TOKEN_EXPIRED: 'payment_configuration_error',
+  ACCESS_TOKEN_REVOKED: 'payment_configuration_error',
+  CLIENT_DISABLED: 'payment_configuration_error',
+  FORBIDDEN: 'payment_configuration_error',
+  INSUFFICIENT_SCOPES: 'payment_configuration_error',
+  APPLICATION_DISABLED: 'payment_configuration_error',
+  MERCHANT_SUBSCRIPTION_NOT_FOUND: 'payment_configuration_error',
+  LOCATION_MISMATCH: 'payment_configuration_error',
+};
+
+// Square error categories, for codes not listed above
+const SQUARE_ERROR_CATEGORIES = {
+  PAYMENT_METHOD_ERROR: 'card_declined',
+  AUTHENTICATION_ERROR: 'payment_configuration_error',
+  RATE_LIMIT_ERROR: 'payment_rate_limited',
+  API_ERROR: 'payment_provider_error',
+};
+
+// Node network error codes: Square was never reached or didn't answer
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// One of PAYMENT_ERRORS with its code
+function paymentError(code) {
+  return { code, ...PAYMENT_ERRORS[code] };
+}
+
+function squareErrors(error) {
+  const errors = error?.body?.errors || error?.errors;
+  return Array.isArray(errors) ? errors : [];
+}
+
+function byStatus(statusCode) {
+  if (statusCode === 429) return 'payment_rate_limited';
+  if (statusCode === 401 || statusCode === 403) return 'payment_configuration_error';
+  if (statusCode === 503 || statusCode === 504) return 'payment_unavailable';
+  if (statusCode >= 500) return 'payment_provider_error';
+  return 'payment_rejected';
+}
+
+// Maps an error thrown by a Square API call (the SDK's SquareError, with
+// `statusCode` and the response `body.errors[]`, its SquareTimeoutError, or
+// a network error) to one of PAYMENT_ERRORS: { code, category, message,
+// retryable, status }. `squareCode` and `detail` are for our logs only.
+function mapSquareError(error) {
+  const errors = squareErrors(error);
+  const statusCode = Number(error?.statusCode) || null;
+
+  let code;
+  const known = errors.find(e => SQUARE_ERROR_CODES[e.code]) || errors.find(e => SQUARE_ERROR_CATEGORIES[e.category]);
+  if (known) {
+    code = SQUARE_ERROR_CODES[known.code] || SQUARE_ERROR_CATEGORIES[known.category];
+  } else if (statusCode) {
+    code = byStatus(statusCode);
+  } else if (error instanceof SquareTimeoutError
+    || NETWORK_ERROR_CODES.includes(error?.code || error?.cause?.code)
+    || ['AbortError', 'TimeoutError'].includes(error?.name)
+    // The SDK reports a request that got no response as a SquareError
+    // without a status code
+    || error instanceof SquareError) {
+    code = 'payment_unavailable';
+  } else {
+    code = 'payment_provider_error';
+  }
+
+  const first = known || errors[0] || {};
+  return {
+    ...paymentError(code),
+    squareCode: first.code || null,
+    detail: first.detail || error?.message || null,
+  };
+}
+
+// The fields of a mapped error that go in an API response
+function paymentErrorBody(failure) {
+  return { error: failure.message, code: failure.code, category: failure.category, retryable: failure.retryable };
+}
+
+// The errors a failed Square refund is reported as. Refunds are issued by
+// staff, so `message` says what to do about it in the store's own terms.
+const REFUND_ERRORS = {
+  refund_insufficient_balance: {
+    status: 409, retryable: false,
+    message: "Square couldn't take the refund from the account balance. Add funds to the Square account, then try again.",
+  },
+  refund_not_allowed: {
+    status: 409, retryable: false,
+    message: 'Square no longer refunds this payment, for example because it is too old or disputed. Refund the customer another way.',
+  },
+  refund_declined: {
+    status: 409, retryable: false,
+    message: "The customer's card issuer declined the refund. Refund the customer another way.",
+  },
+  refund_already_refunded: {
+    status: 409, retryable: false,
+    message: 'Square says the payment was already refunded, or has less left to refund. Check the payment in the Square Dashboard.',
+  },
+  refund_unavailable: {
+    status: 503, retryable: true,
+    message: "Square couldn't be reached. Try again in a moment; the customer won't be refunded twice.",
+  },
+  refund_failed: {
+    status: 502, retryable: false,
+    message: 'Square turned the refund down. Check the payment in the Square Dashboard.',
+  },
+};
+
+// Square `errors[].code` values from the Refunds API and the error each is
+// reported as
+const SQUARE_REFUND_ERROR_CODES = {
+  INSUFFICIENT_FUNDS: 'refund_insufficient_balance',
+  PAYMENT_NOT_REFUNDABLE: 'refund_not_allowed',
+  PAYMENT_NOT_REFUNDABLE_DUE_TO_DISPUTE: 'refund_not_allowed',
+  REFUND_DECLINED: 'refund_declined',
+  REFUND_ALREADY_PENDING: 'refund_already_refunded',
+  REFUND_AMOUNT_INVALID: 'refund_already_refunded',
+};
+
+// Maps an error thrown by a Square refund call to one of REFUND_ERRORS:
+// { code, message, retryable, status }, or null for errors that didn't
+// come from Square. Outages are recognised as for payments.
+function mapSquareRefundError(error) {
+  const errors = squareErrors(error);
+  const known = errors.find(e => SQUARE_REFUND_ERROR_CODES[e.code]);
+
+  let code;
+  if (known) {
+    code = SQUARE_REFUND_ERROR_CODES[known.code];
+  } else {
+    const failure = mapSquareError(error);
+    if (failure.code === 'payment_provider_error' && errors.length === 0 && !error?.statusCode) {
+      return null;
+    }
+    code = failure.category === 'unavailable' ? 'refund_unavailable' : 'refund_failed';
+  }
+
+  const first = known || errors[0] || {};
+  return {
+    code,
+    ...REFUND_ERRORS[code],
+    squareCode: first.code || null,
+    detail: first.detail || error?.message || null,
+  };
+}
+
+// The SquareClient resources this app calls
+const TIMED_RESOURCES = ['payments', 'refunds', 'customers', 'cards'];
+
+// Wraps a Square client so every API call reports how long it took:
+// `observe({ method, outcome }, seconds)`, with methods named like
+// "payments.create" and outcome "ok" or "error". Everything else on the
+// client is passed through.
+function timeSquareCalls(client, observe) {
+  const apis = new Map();
+
+  function timed(apiName, api) {
+    return new Proxy(api, {
+      get(target, name) {
+        const value = target[name];
+        if (typeof value !== 'function') {
+          return value;
+        }
+        return async (...args) => {
+          const start = process.hrtime.bigint();
+          const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+          const method = `${apiName}.${String(name)}`;
+          try {
+            const result = await value.apply(target, args);
+            observe({ method, outcome: 'ok' }, seconds());
+            return result;
+          } catch (error) {
+            observe({ method, outcome: 'error' }, seconds());
+            throw error;
+          }
+        };
+      },
+    });
+  }
+
+  return new Proxy(client, {
+    get(target, name) {
+      const value = target[name];
+      if (!TIMED_RESOURCES.includes(name) || !value || typeof value !== 'object') {
+        return value;
+      }
+      if (!apis.has(name)) {
+        apis.set(name, timed(name, value));
+      }
+      return apis.get(name);
+    },
+  });
+}
+
+module.exports = {
+  SQUARE_STATUS_TO_ORDER_STATUS,
+  SQUARE_ENVIRONMENTS,
+  PAYMENT_ERRORS,
+  REFUND_ERRORS,
+  fromSquareMoney,
+  squareSetup,
+  paymentError,
+  mapSquareError,
+  paymentErrorBody,
+  mapSquareRefundError,
+  timeSquareCalls,
+};
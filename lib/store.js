@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage layer
+//
+// Records are grouped into named collections (orders, products, ...) and
+// addressed by ID. Every driver exposes the same async interface so the
+// rest of the app never needs to know where data actually lives:
+//
+//   get(collection, id)            -> record | null
+//   put(collection, id, record)    -> record
+//   update(collection, id, fn)     -> record returned by fn(current)
+//   delete(collection, id)         -> boolean
+//   list(collection, predicate?)   -> record[]
+//
+// `update` is serialized per store, so read-modify-write cycles never
+// interleave even when two requests touch the same record.
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Serializes async work so only one mutation runs at a time
+function createLock() {
+  let tail = Promise.resolve();
+  return function withLock(fn) {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+function createMemoryStore() {
+  const collections = new Map();
+  const withLock = createLock();
+
+  function getCollection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  // Hook used by the file driver to persist a collection after a write
+  let onWrite = async () => {};
+
+  const store = {
+    driver: 'memory',
+
+    async get(collection, id) {
+      const record = getCollection(collection).get(id);
+      return record ? clone(record) : null;
+    },
+
+    async put(collection, id, record) {
+      return withLock(async () => {
+        getCollection(collection).set(id, clone(record));
+        await onWrite(collection);
+        return clone(record);
+      });
+    },
+
+    async update(collection, id, fn) {
+      return withLock(async () => {
+        const records = getCollection(collection);
+        const current = records.has(id) ? clone(records.get(id)) : null;
+        const next = await fn(current);
+        if (next === undefined) {
+          return current;
+        }
+        if (next === null) {
+          records.delete(id);
+        } else {
+          records.set(id, clone(next));
+        }
+        await onWrite(collection);
+        return clone(next);
+      });
+    },
+
+    async delete(collection, id) {
+      return withLock(async () => {
+        const deleted = getCollection(collection).delete(id);
+        if (deleted) {
+          await onWrite(collection);
+        }
+        return deleted;
+      });
+    },
+
+    async list(collection, predicate) {
+      const records = Array.from(getCollection(collection).values()).map(clone);
+      return predicate ? records.filter(predicate) : records;
+    },
+  };
+
+  // Internal accessors for drivers layered on top of the memory store
+  Object.defineProperty(store, '_collections', { value: collections });
+  Object.defineProperty(store, '_setWriteHook', {
+    value: (hook) => { onWrite = hook; },
+  });
+
+  return store;
+}
+
+// JSON-file driver for local development: one file per collection in
+// `dir`, loaded into memory at startup and rewritten atomically on change.
+function createFileStore(dir) {
+  const store = createMemoryStore();
+  store.driver = 'file';
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (error) {
+    throw new Error(`STORE_DRIVER=file can't use ${dir} (${error.code}); point DATA_DIR at a writable directory, or set STORE_DRIVER=memory on read-only hosts such as Vercel`);
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    const name = file.slice(0, -'.json'.length);
+    const contents = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    store._collections.set(name, new Map(Object.entries(contents)));
+  }
+
+  store._setWriteHook(async (collection) => {
+    const records = Object.fromEntries(store._collections.get(collection));
+    const target = path.join(dir, `${collection}.json`);
+    const tmp = `${target}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(records, null, 2));
+    await fs.promises.rename(tmp, target);
+  });
+
+  return store;
+}
+
+// Picks a driver from the environment. STORE_DRIVER=memory is handy for
+// tests and throwaway deployments; the default keeps data in DATA_DIR,
+// except on Vercel, whose filesystem is read-only.
+function createStore(env = process.env) {
+  const driver = env.STORE_DRIVER || (env.VERCEL ? 'memory' : 'file');
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(env.DATA_DIR || path.join(__dirname, '..', 'data'));
+    default:
+      throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+};
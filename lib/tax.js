@@ -0,0 +1,113 @@
+// Sales tax and VAT. Staff configure rules per country, optionally per
+// region (state, province), each with a rate in percent:
+//
+//   { country: "US", region: "CA", name: "CA sales tax", rate: 7.25, inclusive: false }
+//   { country: "GB", name: "VAT", rate: 20, inclusive: true }
+//
+// Exclusive tax is added on top of the prices. Inclusive tax is already
+// part of the prices and only shown as a breakdown. A region rule beats
+// the country-wide rule; customers in places without a rule pay no tax.
+
+const SETTINGS_COLLECTION = 'settings';
+const RULES_ID = 'tax_rules';
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const REGION_PATTERN = /^[A-Z0-9]{1,3}$/;
+const MAX_NAME_LENGTH = 50;
+
+class TaxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TaxError';
+    this.status = status;
+  }
+}
+
+// Normalizes a customer location ({ country, region }); both optional
+function parseLocation({ country, region } = {}) {
+  const location = { country: null, region: null };
+  if (country !== undefined && country !== null && country !== '') {
+    location.country = String(country).trim().toUpperCase();
+    if (!COUNTRY_PATTERN.test(location.country)) {
+      throw new TaxError('Invalid country: use a two-letter ISO country code');
+    }
+  }
+  if (region !== undefined && region !== null && region !== '') {
+    location.region = String(region).trim().toUpperCase();
+    if (!REGION_PATTERN.test(location.region)) {
+      throw new TaxError('Invalid region: use the state or province code');
+    }
+  }
+  return location;
+}
+
+function validateRule(input) {
+  if (!input || typeof input !== 'object') {
+    throw new TaxError('Invalid tax rule: must be an object');
+  }
+  const { country, region } = parseLocation(input);
+  if (!country) {
+    throw new TaxError('Invalid tax rule: country is required');
+  }
+  if (typeof input.rate !== 'number' || !Number.isFinite(input.rate) || input.rate < 0 || input.rate > 100) {
+    throw new TaxError('Invalid tax rule: rate must be a percentage between 0 and 100');
+  }
+  if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+    throw new TaxError(`Invalid tax rule: name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (input.inclusive !== undefined && typeof input.inclusive !== 'boolean') {
+    throw new TaxError('Invalid tax rule: inclusive must be true or false');
+  }
+  return { country, region, name: input.name.trim(), rate: input.rate, inclusive: input.inclusive === true };
+}
+
+async function getTaxRules(store) {
+  const record = await store.get(SETTINGS_COLLECTION, RULES_ID);
+  return record ? record.rules : [];
+}
+
+// Replaces the whole rule list
+async function saveTaxRules(store, rules, { now = new Date() } = {}) {
+  if (!Array.isArray(rules)) {
+    throw new TaxError('Invalid rules: must be an array');
+  }
+  const valid = rules.map(validateRule);
+  const places = valid.map(rule => `${rule.country}/${rule.region || '*'}`);
+  const duplicate = places.find((place, i) => places.indexOf(place) !== i);
+  if (duplicate) {
+    throw new TaxError(`Invalid rules: more than one rule for ${duplicate}`);
+  }
+  return store.put(SETTINGS_COLLECTION, RULES_ID, { id: RULES_ID, rules: valid, updatedAt: now.toISOString() });
+}
+
+// The rule for a customer location, or null when no tax applies
+function findTaxRule(rules, { country, region }) {
+  if (!country) {
+    return null;
+  }
+  return rules.find(rule => rule.country === country && region && rule.region === region)
+    || rules.find(rule => rule.country === country && !rule.region)
+    || null;
+}
+
+// Tax on each line's `amount` (after discounts). Returns
+// { tax, lineTaxes }; with an inclusive rule the tax is the part of the
+// amount that is tax.
+function calculateTax(rule, amounts) {
+  if (!rule) {
+    return { tax: 0, lineTaxes: amounts.map(() => 0) };
+  }
+  const lineTaxes = amounts.map(amount => (rule.inclusive
+    ? amount - Math.round(amount * 100 / (100 + rule.rate))
+    : Math.round(amount * rule.rate / 100)));
+  return { tax: lineTaxes.reduce((sum, tax) => sum + tax, 0), lineTaxes };
+}
+
+module.exports = {
+  TaxError,
+  parseLocation,
+  getTaxRules,
+  saveTaxRules,
+  findTaxRule,
+  calculateTax,
+};
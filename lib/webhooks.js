@@ -0,0 +1,160 @@
+const { createHmac, timingSafeEqual } = require('crypto');
+const { SQUARE_STATUS_TO_ORDER_STATUS, fromSquareMoney } = require('./square');
+const {
+  getOrder,
+  findOrderByPaymentId,
+  canTransition,
+  transitionOrder,
+  setOrderPayment,
+  recordRefund,
+  recordDispute,
+} = require('./orders');
+
+const EVENTS_COLLECTION = 'webhook_events';
+
+// Square signs each notification with HMAC-SHA256 over the notification
+// URL followed by the raw request body, base64 encoded.
+// https://developer.squareup.com/docs/webhooks/step3validate
+function verifySquareSignature({ signature, body, signatureKey, notificationUrl }) {
+  if (!signature || !body) {
+    return false;
+  }
+
+  const expected = createHmac('sha256', signatureKey)
+    .update(notificationUrl)
+    .update(body)
+    .digest('base64');
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Finds the order a Square payment belongs to. Payments we create carry
+// the order ID as their reference_id; fall back to the stored payment ID.
+async function findOrderForPayment(store, payment) {
+  if (payment.reference_id) {
+    const order = await getOrder(store, payment.reference_id);
+    if (order) return order;
+  }
+  return findOrderByPaymentId(store, payment.id);
+}
+
+async function handlePaymentUpdated(store, payment) {
+  const order = await findOrderForPayment(store, payment);
+  if (!order) {
+    return { ignored: 'Unknown payment' };
+  }
+
+  const current = order.payment;
+
+  // A late update about an older attempt must not clobber a newer payment,
+  // and an out-of-order delivery must not roll a payment back
+  if (current && current.id !== payment.id && payment.status !== 'COMPLETED') {
+    return { ignored: 'Superseded payment' };
+  }
+  if (current && current.id === payment.id && current.version > payment.version) {
+    return { ignored: 'Stale payment version' };
+  }
+
+  const record = {
+    provider: 'square',
+    id: payment.id,
+    status: payment.status,
+    version: payment.version,
+    ...fromSquareMoney(payment.amount_money, { amount: order.total, currency: order.currency }),
+    receiptUrl: payment.receipt_url || (current && current.receiptUrl) || null,
+  };
+
+  const nextStatus = SQUARE_STATUS_TO_ORDER_STATUS[payment.status];
+  if (nextStatus && nextStatus !== order.status && canTransition(order.status, nextStatus)) {
+    await transitionOrder(store, order.id, nextStatus, {
+      note: `Square payment ${payment.id} ${payment.status} (webhook)`,
+      changes: { payment: record },
+    });
+  } else {
+    await setOrderPayment(store, order.id, record);
+  }
+  return { orderId: order.id };
+}
+
+async function handleRefundUpdated(store, refund) {
+  const order = await findOrderByPaymentId(store, refund.payment_id);
+  if (!order) {
+    return { ignored: 'Unknown payment' };
+  }
+
+  // Refunds issued through our API already carry their reason and items;
+  // only fill in what the notification knows
+  const entry = {
+    id: refund.id,
+    status: refund.status,
+    ...fromSquareMoney(refund.amount_money, { currency: order.currency }),
+    createdAt: refund.created_at || new Date().toISOString(),
+  };
+  if (refund.reason) entry.reason = refund.reason;
+
+  await recordRefund(store, order.id, entry);
+  return { orderId: order.id };
+}
+
+async function handleDispute(store, dispute) {
+  const paymentId = dispute.disputed_payment && dispute.disputed_payment.payment_id;
+  const order = paymentId ? await findOrderByPaymentId(store, paymentId) : null;
+  if (!order) {
+    return { ignored: 'Unknown payment' };
+  }
+
+  await recordDispute(store, order.id, {
+    id: dispute.id || dispute.dispute_id,
+    state: dispute.state,
+    reason: dispute.reason || null,
+    ...fromSquareMoney(dispute.amount_money, { currency: order.currency }),
+    dueAt: dispute.due_at || null,
+    updatedAt: dispute.updated_at || new Date().toISOString(),
+  });
+  return { orderId: order.id };
+}
+
+async function applySquareEvent(store, event) {
+  const object = (event.data && event.data.object) || {};
+
+  if (event.type === 'payment.created' || event.type === 'payment.updated') {
+    return object.payment ? handlePaymentUpdated(store, object.payment) : { ignored: 'Missing payment' };
+  }
+  if (event.type === 'refund.created' || event.type === 'refund.updated') {
+    return object.refund ? handleRefundUpdated(store, object.refund) : { ignored: 'Missing refund' };
+  }
+  if (event.type.startsWith('dispute.')) {
+    return object.dispute ? handleDispute(store, object.dispute) : { ignored: 'Missing dispute' };
+  }
+  return { ignored: `Unhandled event type: ${event.type}` };
+}
+
+// Applies a verified Square event exactly once. Square retries deliveries
+// that fail and may send the same event more than once, so each event_id is
+// claimed before it is applied and released again if applying it fails.
+async function handleSquareEvent(store, event, { now = new Date() } = {}) {
+  let claimed = false;
+  await store.update(EVENTS_COLLECTION, event.event_id, existing => {
+    if (existing) return undefined;
+    claimed = true;
+    return { id: event.event_id, type: event.type, receivedAt: now.toISOString() };
+  });
+
+  if (!claimed) {
+    return { duplicate: true };
+  }
+
+  try {
+    return await applySquareEvent(store, event);
+  } catch (error) {
+    await store.delete(EVENTS_COLLECTION, event.event_id);
+    throw error;
+  }
+}
+
+module.exports = {
+  verifySquareSignature,
+  handleSquareEvent,
+};
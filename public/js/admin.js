@@ -0,0 +1,443 @@
+// Configuration
+const API_BASE_URL = window.location.origin;
+const TOKEN_STORAGE_KEY = 'adminToken';
+
+// State management
+let orders = [];
+let currentOrder = null;
+// Idempotency key for the refund being submitted, reused if it is retried
+let refundKey = null;
+
+// Admin API calls carry the staff token; a 401 sends staff back to sign in
+async function adminFetch(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            Authorization: `Bearer ${sessionStorage.getItem(TOKEN_STORAGE_KEY)}`,
+        },
+    });
+
+    if (response.status === 401) {
+        signOut();
+        throw new Error('Your session has expired. Please sign in again.');
+    }
+    return response;
+}
+
+async function adminJson(path, options) {
+    const response = await adminFetch(path, options);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+    return data;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+    })[char]);
+}
+
+// Amounts are in the currency's smallest unit (cents, or whole yen)
+function formatMoney(amount, currency) {
+    const format = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+    return format.format(Number(amount) / 10 ** format.resolvedOptions().maximumFractionDigits);
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+function itemLabel(item) {
+    return item.variantName ? `${item.name} (${item.variantName})` : item.name;
+}
+
+function statusBadge(status) {
+    return `<span class="status-badge status-${escapeHtml(status)}">${escapeHtml(status.replace('_', ' '))}</span>`;
+}
+
+// Sign in / out
+async function signIn(event) {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, document.getElementById('adminToken').value);
+
+    try {
+        await loadOrders();
+        document.getElementById('adminToken').value = '';
+        showOrders();
+    } catch (error) {
+        // A rejected token has already been cleared by adminFetch
+        showError(sessionStorage.getItem(TOKEN_STORAGE_KEY) ? error.message : 'Invalid admin token');
+    }
+}
+
+function signOut() {
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    hideAllSections();
+    document.getElementById('signOutBtn').classList.add('hidden');
+    document.getElementById('loginSection').classList.remove('hidden');
+}
+
+// Order list
+function getFilterQuery() {
+    const filters = {
+        status: document.getElementById('filterStatus').value,
+        from: document.getElementById('filterFrom').value,
+        to: document.getElementById('filterTo').value,
+        email: document.getElementById('filterEmail').value.trim(),
+        product: document.getElementById('filterProduct').value.trim(),
+    };
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+    });
+    return params.toString();
+}
+
+async function loadOrders() {
+    orders = await adminJson(`/api/admin/orders?${getFilterQuery()}`);
+    renderOrders();
+}
+
+function renderOrders() {
+    document.getElementById('ordersCount').textContent =
+        `${orders.length} order${orders.length === 1 ? '' : 's'}`;
+    document.getElementById('ordersTable').innerHTML = orders.map(order => `
+        <tr class="clickable" data-order-id="${escapeHtml(order.orderId)}">
+            <td>${escapeHtml(formatDate(order.createdAt))}</td>
+            <td>${escapeHtml(order.orderId.slice(0, 8))}</td>
+            <td>${escapeHtml(order.customerEmail || '—')}</td>
+            <td>${escapeHtml(order.items.map(item => `${itemLabel(item)} ×${item.quantity}`).join(', '))}</td>
+            <td>${escapeHtml(formatMoney(order.total, order.currency))}</td>
+            <td>${statusBadge(order.status)}</td>
+        </tr>
+    `).join('');
+}
+
+async function applyFilters(event) {
+    event.preventDefault();
+    try {
+        await loadOrders();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// The export needs the auth header, so fetch it and hand the file to the browser
+async function exportCsv() {
+    try {
+        const response = await adminFetch(`/api/admin/orders.csv?${getFilterQuery()}`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error || 'Export failed');
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Order detail
+async function showOrderDetail(orderId) {
+    try {
+        currentOrder = await adminJson(`/api/admin/orders/${encodeURIComponent(orderId)}`);
+        refundKey = null;
+        renderOrderDetail();
+        hideAllSections();
+        document.getElementById('orderDetailSection').classList.remove('hidden');
+        window.scrollTo(0, 0);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function renderOrderDetail() {
+    const order = currentOrder;
+    const payment = order.payment;
+    const refundable = ['paid', 'fulfilled', 'partially_refunded'].includes(order.status);
+
+    document.getElementById('detailOrderId').textContent = order.orderId;
+    document.getElementById('orderDetail').innerHTML = `
+        <dl class="admin-detail-grid">
+            <div><dt>Status</dt><dd>${statusBadge(order.status)}</dd></div>
+            <div><dt>Customer</dt><dd>${escapeHtml(order.customerEmail || '—')}</dd></div>
+            <div><dt>Created</dt><dd>${escapeHtml(formatDate(order.createdAt))}</dd></div>
+            ${order.discount ? `<div><dt>Discount</dt><dd>−${escapeHtml(formatMoney(order.discount, order.currency))} <small>(${escapeHtml(order.promotion.code)})</small></dd></div>` : ''}
+            ${order.taxRule ? `<div><dt>${order.taxRule.inclusive ? 'Included tax' : 'Tax'}</dt><dd>${escapeHtml(formatMoney(order.tax, order.currency))} <small>(${escapeHtml(order.taxRule.name)} ${order.taxRule.rate}%, ${escapeHtml([order.customerLocation.country, order.customerLocation.region].filter(Boolean).join('-'))})</small></dd></div>` : ''}
+            <div><dt>Total</dt><dd>${escapeHtml(formatMoney(order.total, order.currency))}</dd></div>
+            <div><dt>Refunded</dt><dd>${escapeHtml(formatMoney(order.refundedAmount, order.currency))}</dd></div>
+            <div><dt>Payment attempts</dt><dd>${order.paymentAttempts}</dd></div>
+        </dl>
+
+        <h3>Items</h3>
+        <table class="admin-table">
+            <thead><tr><th>Product</th><th>Unit price</th><th>Quantity</th><th>Line total</th>${refundable ? '<th>Refund qty</th>' : ''}</tr></thead>
+            <tbody>
+                ${order.items.map(item => `
+                    <tr>
+                        <td>${escapeHtml(itemLabel(item))} <small>(${escapeHtml(item.sku || item.productId)})</small></td>
+                        <td>${escapeHtml(formatMoney(item.unitPrice, order.currency))}</td>
+                        <td>${item.quantity}</td>
+                        <td>${escapeHtml(formatMoney(item.lineTotal, order.currency))}</td>
+                        ${refundable ? `<td><input type="number" class="refund-quantity" data-variant-id="${escapeHtml(item.variantId || '')}" data-product-id="${escapeHtml(item.productId)}" min="0" max="${item.quantity}" value="0"></td>` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        <h3>Payment</h3>
+        ${payment ? `
+            <table class="admin-table">
+                <tbody>
+                    <tr><th>Provider</th><td>${escapeHtml(payment.provider)}</td></tr>
+                    <tr><th>Payment ID</th><td>${escapeHtml(payment.id)}</td></tr>
+                    <tr><th>Status</th><td>${escapeHtml(payment.status)}</td></tr>
+                    <tr><th>Amount</th><td>${escapeHtml(formatMoney(payment.amount, payment.currency))}</td></tr>
+                    ${payment.receiptUrl ? `<tr><th>Receipt</th><td><a href="${escapeHtml(payment.receiptUrl)}" target="_blank" rel="noopener">View receipt</a></td></tr>` : ''}
+                </tbody>
+            </table>
+        ` : '<p>No payment yet.</p>'}
+
+        <h3>Refunds</h3>
+        ${order.refunds.length ? `
+            <table class="admin-table">
+                <thead><tr><th>Date</th><th>Refund ID</th><th>Amount</th><th>Status</th><th>Reason</th></tr></thead>
+                <tbody>
+                    ${order.refunds.map(refund => `
+                        <tr>
+                            <td>${escapeHtml(formatDate(refund.createdAt))}</td>
+                            <td>${escapeHtml(refund.id)}</td>
+                            <td>${escapeHtml(formatMoney(refund.amount, order.currency))}</td>
+                            <td>${escapeHtml(refund.status)}</td>
+                            <td>${escapeHtml(refund.reason || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p>No refunds.</p>'}
+
+        ${order.disputes.length ? `
+            <h3>Disputes</h3>
+            <table class="admin-table">
+                <thead><tr><th>Dispute ID</th><th>State</th><th>Reason</th><th>Amount</th></tr></thead>
+                <tbody>
+                    ${order.disputes.map(dispute => `
+                        <tr>
+                            <td>${escapeHtml(dispute.id)}</td>
+                            <td>${escapeHtml(dispute.state)}</td>
+                            <td>${escapeHtml(dispute.reason || '')}</td>
+                            <td>${escapeHtml(dispute.amount !== undefined ? formatMoney(dispute.amount, order.currency) : '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+
+        <h3>History</h3>
+        <table class="admin-table">
+            <thead><tr><th>Date</th><th>Status</th><th>Note</th></tr></thead>
+            <tbody>
+                ${order.history.map(entry => `
+                    <tr>
+                        <td>${escapeHtml(formatDate(entry.at))}</td>
+                        <td>${statusBadge(entry.status)}</td>
+                        <td>${escapeHtml(entry.note || '')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('fulfillPanel').classList.toggle('hidden', !['paid', 'partially_refunded'].includes(order.status));
+    document.getElementById('refundForm').classList.toggle('hidden', !refundable);
+    document.getElementById('fulfillNote').value = '';
+    document.getElementById('refundAmount').value = '';
+    document.getElementById('refundReason').value = '';
+}
+
+async function markFulfilled() {
+    const button = document.getElementById('fulfillBtn');
+    const note = document.getElementById('fulfillNote').value.trim();
+    button.disabled = true;
+
+    try {
+        currentOrder = await adminJson(`/api/admin/orders/${encodeURIComponent(currentOrder.orderId)}/fulfill`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(note ? { note } : {}),
+        });
+        renderOrderDetail();
+        showNotification('Order marked fulfilled');
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function getRefundRequest() {
+    const request = {};
+    const amount = document.getElementById('refundAmount').value;
+    const reason = document.getElementById('refundReason').value.trim();
+    const items = [...document.querySelectorAll('.refund-quantity')]
+        .map(input => input.dataset.variantId
+            ? { variantId: input.dataset.variantId, quantity: Number(input.value) }
+            : { productId: input.dataset.productId, quantity: Number(input.value) })
+        .filter(item => item.quantity > 0);
+
+    if (amount && items.length > 0) {
+        throw new Error('Refund either an amount or item quantities, not both');
+    }
+    if (amount) {
+        request.amount = Math.round(Number(amount) * 100);
+    }
+    if (items.length > 0) {
+        request.items = items;
+    }
+    if (reason) {
+        request.reason = reason;
+    }
+    return request;
+}
+
+async function issueRefund(event) {
+    event.preventDefault();
+    const button = document.getElementById('refundBtn');
+
+    try {
+        const request = getRefundRequest();
+        const amount = request.amount !== undefined ? formatMoney(request.amount, currentOrder.currency) : null;
+        const description = amount || (request.items ? 'the selected items' : 'the remaining balance');
+        if (!confirm(`Refund ${description} for order ${currentOrder.orderId}?`)) {
+            return;
+        }
+
+        button.disabled = true;
+        refundKey = refundKey || crypto.randomUUID();
+        const { order } = await adminJson(`/api/admin/orders/${encodeURIComponent(currentOrder.orderId)}/refunds`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': refundKey,
+            },
+            body: JSON.stringify(request),
+        });
+        refundKey = null;
+        currentOrder = order;
+        renderOrderDetail();
+        showNotification('Refund issued');
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Navigation
+function showOrders() {
+    hideAllSections();
+    document.getElementById('signOutBtn').classList.remove('hidden');
+    document.getElementById('ordersSection').classList.remove('hidden');
+}
+
+async function backToOrders() {
+    showOrders();
+    try {
+        await loadOrders();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function hideAllSections() {
+    ['loginSection', 'ordersSection', 'orderDetailSection'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+    document.querySelectorAll('.error').forEach(error => error.remove());
+}
+
+// Event listeners
+function setupEventListeners() {
+    document.getElementById('loginForm').addEventListener('submit', signIn);
+    document.getElementById('signOutBtn').addEventListener('click', signOut);
+    document.getElementById('filtersForm').addEventListener('submit', applyFilters);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('backToOrdersBtn').addEventListener('click', backToOrders);
+    document.getElementById('fulfillBtn').addEventListener('click', markFulfilled);
+    document.getElementById('refundForm').addEventListener('submit', issueRefund);
+    document.getElementById('ordersTable').addEventListener('click', event => {
+        const row = event.target.closest('tr[data-order-id]');
+        if (row) showOrderDetail(row.dataset.orderId);
+    });
+}
+
+// Utility functions
+function showNotification(message) {
+    const notification = document.createElement('div');
+    notification.className = 'notification';
+    notification.textContent = message;
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: #4caf50;
+        color: white;
+        padding: 1rem 2rem;
+        border-radius: 6px;
+        box-shadow: 0 4px 6px rgba(0,0,0,0.2);
+        z-index: 1000;
+    `;
+
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 3000);
+}
+
+function showError(message) {
+    const section = [...document.querySelectorAll('main section')]
+        .find(s => !s.classList.contains('hidden'));
+    if (!section) {
+        alert(message);
+        return;
+    }
+
+    const existing = section.querySelector('.error');
+    if (existing) existing.remove();
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error';
+    errorDiv.textContent = message;
+    section.insertBefore(errorDiv, section.firstChild);
+}
+
+async function init() {
+    setupEventListeners();
+
+    if (!sessionStorage.getItem(TOKEN_STORAGE_KEY)) {
+        signOut();
+        return;
+    }
+
+    showOrders();
+    try {
+        await loadOrders();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
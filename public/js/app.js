@@ -13,23 +13,76 @@ let config = {};
 let cardInitAttempts = 0;
 const MAX_CARD_INIT_ATTEMPTS = 3;
 
+// Digital wallets (Apple Pay, Google Pay, Cash App Pay) and the payment
+// request they show, built from the server's quote
+let wallets = null;
+
+// Idempotency keys for the current checkout attempt, reused on retry
+let checkoutAttempt = null;
+const MAX_REQUEST_RETRIES = 2;
+
+// Currency prices are shown and charged in
+let currency = localStorage.getItem('currency') || 'USD';
+
+// Promo code applied to the cart and the server's latest quote for it
+let promoCode = null;
+let cartQuote = null;
+let quoteRequest = 0;
+
+// Server-side cart. The server keeps the cart under a cookie, so it
+// survives reloads; a copy in localStorage covers the times the server
+// can't be reached. Changes are sent one at a time, in order.
+const CART_STORAGE_KEY = 'cart';
+let cartId = null;
+let cartSyncPending = false;
+let cartSync = Promise.resolve();
+let cartSyncsQueued = 0;
+// Local cart changes so far, and how many of them the server has through
+// an upload of the whole cart
+let cartChanges = 0;
+let cartChangesSent = 0;
+
+// Signed-in customer (null for guests) and the saved card chosen at
+// checkout (null to enter a new card)
+let customer = null;
+let savedCardId = null;
+
+// Countries offered at checkout, for tax
+const CHECKOUT_COUNTRIES = ['US', 'CA', 'GB', 'IE', 'DE', 'FR', 'ES', 'IT', 'NL', 'SE', 'JP', 'AU', 'NZ'];
+
+// Payment method and Lightning / on-chain Bitcoin checkout state
+let paymentMethod = 'card';
+let bitcoinTimers = null;
+const BITCOIN_POLL_INTERVAL_MS = 3000;
+
 // Initialize the app
 async function init() {
     // Load config and products first
     await loadConfig();
     await loadProducts();
+    await completeLoginLink();
+    await loadAccount();
+    await loadCart();
     setupEventListeners();
     updateCartCount();
+    const resumeCashAppPay = sessionStorage.getItem('cashAppCheckout');
     
-    // Check if Square SDK loaded
-    if (typeof Square === 'undefined') {
-        console.error('Square SDK failed to load');
-        showError('Payment system is currently unavailable. Please try again later.');
-        return;
+    // Offer Lightning and on-chain Bitcoin alongside cards when the server has them enabled
+    document.querySelector('[data-method="lightning"]').classList.toggle('hidden', !config.lightningConfigured);
+    document.querySelector('[data-method="bitcoin"]').classList.toggle('hidden', !config.bitcoinConfigured);
+    if (config.lightningConfigured || config.bitcoinConfigured) {
+        document.getElementById('paymentMethods').classList.remove('hidden');
     }
     
     // Initialize Square Payment Form
-    if (config.squareConfigured && typeof Square !== 'undefined') {
+    if (config.squareConfigured) {
+        try {
+            await loadSquareSdk(config.squareSdkUrl);
+        } catch (error) {
+            console.error('Square SDK failed to load:', error);
+            showError('Payment system is currently unavailable. Please try again later.');
+            return;
+        }
         try {
             if (!config.squareApplicationId || !config.squareLocationId) {
                 console.error('Square configuration incomplete');
@@ -38,6 +91,9 @@ async function init() {
             }
             squarePayments = Square.payments(config.squareApplicationId, config.squareLocationId);
             await initializeCard();
+            if (resumeCashAppPay) {
+                resumeCashAppCheckout(JSON.parse(resumeCashAppPay));
+            }
         } catch (error) {
             console.error('Error initializing Square:', error);
             showError(ERROR_PAYMENT_INIT_FAILED);
@@ -45,6 +101,24 @@ async function init() {
     }
 }
 
+// Loads the Web Payments SDK for the server's Square environment (sandbox
+// or production), unless the page already has it
+function loadSquareSdk(url) {
+    if (typeof Square !== 'undefined') {
+        return Promise.resolve();
+    }
+    if (!url) {
+        return Promise.reject(new Error('No Square SDK URL configured'));
+    }
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.addEventListener('load', () => resolve());
+        script.addEventListener('error', () => reject(new Error(`Failed to load ${url}`)));
+        document.head.appendChild(script);
+    });
+}
+
 // Load configuration from server
 async function loadConfig() {
     try {
@@ -54,12 +128,76 @@ async function loadConfig() {
         console.error('Error loading configuration:', error);
         config = { squareConfigured: false };
     }
+    
+    const currencies = config.currencies || ['USD'];
+    if (!currencies.includes(currency)) {
+        currency = config.baseCurrency || 'USD';
+    }
+    renderCurrencySelect(currencies);
+    renderCountrySelect();
+}
+
+// Currency picker in the header, shown when the store sells in more than one
+function renderCurrencySelect(currencies) {
+    const select = document.getElementById('currencySelect');
+    select.innerHTML = currencies.map(code => `<option value="${code}">${code}</option>`).join('');
+    select.value = currency;
+    select.classList.toggle('hidden', currencies.length < 2);
+}
+
+function renderCountrySelect() {
+    const names = typeof Intl.DisplayNames === 'function'
+        ? new Intl.DisplayNames(undefined, { type: 'region' })
+        : { of: code => code };
+    const countries = CHECKOUT_COUNTRIES
+        .map(code => ({ code, name: names.of(code) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    document.getElementById('customerCountry').innerHTML = '<option value="">Select your country</option>'
+        + countries.map(({ code, name }) => `<option value="${code}">${name}</option>`).join('');
+}
+
+// Switches the shop to another currency: reloads the prices and re-prices
+// the cart in the new currency
+async function changeCurrency(code) {
+    currency = code;
+    localStorage.setItem('currency', code);
+    await loadProducts();
+    cart = cart.filter(item => {
+        const product = products.find(p => p.id === item.productId);
+        const variant = product && product.variants.find(v => v.id === item.id);
+        if (variant) {
+            item.price = variant.price;
+        }
+        return !!variant;
+    });
+    updateCartCount();
+    syncCart();
+    if (!document.getElementById('cartSection').classList.contains('hidden')) {
+        renderCart();
+    } else if (!document.getElementById('checkoutSection').classList.contains('hidden')) {
+        showCheckout();
+    }
+}
+
+// Formats an amount in the currency's smallest unit (cents, or whole yen)
+function formatPrice(amount, currencyCode = currency) {
+    const format = new Intl.NumberFormat(undefined, { style: 'currency', currency: currencyCode });
+    return format.format(amount / 10 ** format.resolvedOptions().maximumFractionDigits);
+}
+
+function formatPercent(rate) {
+    return new Intl.NumberFormat(undefined, { style: 'percent', maximumFractionDigits: 3 }).format(rate / 100);
+}
+
+function formatBtc(sats) {
+    const format = new Intl.NumberFormat(undefined, { minimumFractionDigits: 8, maximumFractionDigits: 8 });
+    return `${format.format(sats / 100000000)} BTC`;
 }
 
 // Load products from API
 async function loadProducts() {
     try {
-        const response = await fetch(`${API_BASE_URL}/api/products`);
+        const response = await fetch(`${API_BASE_URL}/api/products?currency=${encodeURIComponent(currency)}`);
         products = await response.json();
         renderProducts();
     } catch (error) {
@@ -68,43 +206,101 @@ async function loadProducts() {
     }
 }
 
-// Render products grid
+// Render products grid. Each card has a picker for the product's variants
+// (print sizes and papers, download licences).
 function renderProducts() {
     const grid = document.getElementById('productsGrid');
     grid.innerHTML = products.map(product => `
-        <div class="product-card">
+        <div class="product-card${product.soldOut ? ' sold-out' : ''}">
             <img src="${product.image}" alt="${product.name}" class="product-image">
             <div class="product-info">
                 <h3>${product.name}</h3>
                 <p>${product.description}</p>
-                <div class="product-price">$${(product.price / 100).toFixed(2)}</div>
-                <button class="btn btn-primary" onclick="addToCart('${product.id}')">
+                <select class="variant-select" id="variant-${product.id}" data-product-id="${product.id}" aria-label="Choose an option for ${product.name}">
+                    ${product.variants.map(variant => `
+                        <option value="${variant.id}" ${variant.available ? '' : 'disabled'}>
+                            ${variant.name} – ${formatPrice(variant.price)}${variant.available ? '' : ' (sold out)'}
+                        </option>
+                    `).join('')}
+                </select>
+                <div class="product-price" id="price-${product.id}"></div>
+                <div class="product-stock" id="stock-${product.id}"></div>
+                <button class="btn btn-primary add-to-cart" id="add-${product.id}" data-product-id="${product.id}">
                     Add to Cart
                 </button>
             </div>
         </div>
     `).join('');
+    
+    products.forEach(product => {
+        // Start on the first variant that isn't sold out
+        const available = product.variants.find(variant => variant.available);
+        if (available) {
+            document.getElementById(`variant-${product.id}`).value = available.id;
+        }
+        updateProductCard(product.id);
+    });
+}
+
+function getSelectedVariant(product) {
+    const variantId = document.getElementById(`variant-${product.id}`).value;
+    return product.variants.find(variant => variant.id === variantId);
 }
 
-// Cart management
+// How many of a limited variant are left, e.g. "Limited edition of 50 · 12 left"
+function describeStock(variant) {
+    if (!variant || variant.stock === null || variant.stock === 0) {
+        return '';
+    }
+    return variant.editionSize
+        ? `Limited edition of ${variant.editionSize} · ${variant.stock} left`
+        : `${variant.stock} left`;
+}
+
+// Shows the price and stock of the chosen variant
+function updateProductCard(productId) {
+    const product = products.find(p => p.id === productId);
+    const variant = getSelectedVariant(product);
+    const soldOut = !variant || !variant.available;
+    
+    document.getElementById(`price-${productId}`).textContent = variant ? formatPrice(variant.price) : '';
+    document.getElementById(`stock-${productId}`).textContent = describeStock(variant);
+    const addButton = document.getElementById(`add-${productId}`);
+    addButton.disabled = soldOut;
+    addButton.textContent = soldOut ? 'Sold Out' : 'Add to Cart';
+}
+
+// Cart management. Cart lines are variants: `id` is the variant ID.
 function addToCart(productId) {
     const product = products.find(p => p.id === productId);
     if (!product) return;
+    const variant = getSelectedVariant(product);
+    if (!variant) return;
     
-    const existingItem = cart.find(item => item.id === productId);
+    const existingItem = cart.find(item => item.id === variant.id);
     if (existingItem) {
         existingItem.quantity++;
     } else {
-        cart.push({ ...product, quantity: 1 });
+        cart.push({
+            id: variant.id,
+            productId: product.id,
+            name: product.name,
+            variantName: variant.name,
+            price: variant.price,
+            image: product.image,
+            quantity: 1,
+        });
     }
     
     updateCartCount();
-    showNotification(`${product.name} added to cart!`);
+    syncCart('POST', '/items', { variantId: variant.id, quantity: 1 });
+    showNotification(`${product.name} (${variant.name}) added to cart!`);
 }
 
 function removeFromCart(productId) {
     cart = cart.filter(item => item.id !== productId);
     updateCartCount();
+    syncCart('DELETE', `/items/${encodeURIComponent(productId)}`);
     renderCart();
 }
 
@@ -115,24 +311,334 @@ function updateQuantity(productId, change) {
         if (item.quantity <= 0) {
             removeFromCart(productId);
         } else {
+            syncCart('PATCH', `/items/${encodeURIComponent(productId)}`, { quantity: item.quantity });
             renderCart();
         }
     }
     updateCartCount();
 }
 
+// Restores the cart: the server's copy, or the one saved on this device
+// when the server can't be reached. A device copy with changes the server
+// never got is uploaded over the server's.
+async function loadCart() {
+    restoreLocalCart();
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/carts/current`);
+        if (response.status === 404) {
+            if (cart.length > 0) syncCart();
+            return;
+        }
+        const serverCart = await response.json();
+        if (!response.ok) {
+            throw new Error(serverCart.error || 'Could not load your cart');
+        }
+        if (cartSyncPending) {
+            cartId = serverCart.id;
+            syncCart();
+            return;
+        }
+        applyServerCart(serverCart);
+        if (serverCart.currency !== currency) {
+            syncCart();
+        }
+    } catch (error) {
+        console.error('Error loading cart:', error);
+        cartSyncPending = true;
+    }
+}
+
+function restoreLocalCart() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable saved cart');
+    }
+    if (!saved || !Array.isArray(saved.items)) return;
+    
+    // Prices come from the catalog as it is now
+    cart = saved.items.filter(item => {
+        const product = products.find(p => p.id === item.productId);
+        const variant = product && product.variants.find(v => v.id === item.id);
+        if (variant) {
+            item.price = variant.price;
+        }
+        return !!variant;
+    });
+    promoCode = saved.promoCode || null;
+    cartSyncPending = !!saved.pending;
+}
+
+function saveLocalCart() {
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ items: cart, promoCode, pending: cartSyncPending }));
+}
+
+// Takes the server's priced cart as the cart
+function applyServerCart(serverCart) {
+    cartId = serverCart.id;
+    cart = serverCart.items.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return {
+            id: line.variantId,
+            productId: line.productId,
+            name: line.name,
+            variantName: line.variantName,
+            price: line.unitPrice,
+            image: product ? product.image : '',
+            quantity: line.quantity,
+        };
+    });
+    promoCode = serverCart.promoError ? null : serverCart.promoCode;
+    document.getElementById('promoCodeInput').value = promoCode || '';
+    saveLocalCart();
+    updateCartCount();
+    
+    if (serverCart.unavailableItems.length > 0) {
+        showNotification('Some items in your cart are no longer available and were removed');
+        syncCart();
+    }
+    if (!document.getElementById('cartSection').classList.contains('hidden')) {
+        renderCart();
+    }
+}
+
+// The whole cart, as the server stores it
+function getCartBody() {
+    return {
+        items: cart.map(item => ({ variantId: item.id, quantity: item.quantity })),
+        promoCode,
+        currency,
+    };
+}
+
+async function sendCartRequest(method, path, body) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        const error = new Error(result.error || 'Could not save your cart');
+        error.status = response.status;
+        throw error;
+    }
+    return result;
+}
+
+// Sends one change to the server cart, or the whole cart when there is
+// no server cart yet, an earlier change didn't get through or the change
+// was refused
+async function sendCartChange(method, path, body) {
+    if (cartId && !cartSyncPending && method) {
+        try {
+            return await sendCartRequest(method, `/api/carts/${encodeURIComponent(cartId)}${path}`, body);
+        } catch (error) {
+            if (!error.status) throw error;
+        }
+    }
+    cartChangesSent = cartChanges;
+    if (cartId) {
+        try {
+            return await sendCartRequest('PATCH', `/api/carts/${encodeURIComponent(cartId)}`, getCartBody());
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+    }
+    return sendCartRequest('POST', '/api/carts', getCartBody());
+}
+
+// Saves a cart change made locally: `syncCart('POST', '/items', {...})`
+// for a line change, `syncCart()` to upload the whole cart. When the
+// server can't be reached the cart stays on this device and is uploaded
+// with the next change, or when the browser is back online.
+function syncCart(method, path = '', body) {
+    const change = ++cartChanges;
+    cartSyncsQueued++;
+    saveLocalCart();
+    cartSync = cartSync.then(async () => {
+        try {
+            // A whole-cart upload since this change was made already has it
+            if (change <= cartChangesSent && !cartSyncPending) return;
+            const serverCart = await sendCartChange(method, path, body);
+            cartSyncPending = false;
+            // Later changes are already shown; only the last reply is applied
+            if (cartSyncsQueued === 1) {
+                applyServerCart(serverCart);
+            } else {
+                cartId = serverCart.id;
+            }
+        } catch (error) {
+            console.warn('Cart saved on this device only:', error.message);
+            cartSyncPending = true;
+        } finally {
+            cartSyncsQueued--;
+            saveLocalCart();
+        }
+    });
+    return cartSync;
+}
+
 function updateCartCount() {
     const count = cart.reduce((sum, item) => sum + item.quantity, 0);
     document.getElementById('cartCount').textContent = count;
 }
 
-function calculateTotal() {
+function calculateSubtotal() {
     return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 }
 
+// What the server needs to price the cart: items, promo code, currency,
+// the customer's location for tax and shipping, and the shipping option
+function getQuoteRequest() {
+    return {
+        items: cart.map(item => ({ variantId: item.id, quantity: item.quantity })),
+        promoCode: promoCode || undefined,
+        currency,
+        country: document.getElementById('customerCountry').value || undefined,
+        region: document.getElementById('customerRegion').value.trim() || undefined,
+        shippingMethod: document.getElementById('shippingMethod').value || undefined,
+    };
+}
+
+// Shipping options for the prints in the cart, once the server knows
+// where they go. The address form only shows when something ships.
+function renderShippingOptions(quote) {
+    const options = quote ? quote.shippingOptions || [] : [];
+    const select = document.getElementById('shippingMethod');
+    select.innerHTML = options.map(option => `
+        <option value="${option.method}">${option.name} – ${formatPrice(option.amount)}${option.estimate ? ` (${option.estimate})` : ''}</option>
+    `).join('');
+    if (quote && quote.shipping) {
+        select.value = quote.shipping.method;
+    }
+    document.getElementById('shippingDetails').classList.toggle('hidden', options.length === 0);
+}
+
+// The shipping address from the checkout form, when something ships
+function getShippingAddress() {
+    if (document.getElementById('shippingDetails').classList.contains('hidden')) {
+        return undefined;
+    }
+    const value = id => document.getElementById(id).value.trim() || undefined;
+    return {
+        name: value('shippingName'),
+        line1: value('shippingLine1'),
+        line2: value('shippingLine2'),
+        city: value('shippingCity'),
+        postalCode: value('shippingPostalCode'),
+    };
+}
+
+// The server's quote, if it is for the cart as it is now
+function currentQuote() {
+    return cartQuote && cartQuote.fingerprint === JSON.stringify(getQuoteRequest()) ? cartQuote : null;
+}
+
+function calculateTotal() {
+    const quote = currentQuote();
+    return quote ? quote.total : calculateSubtotal();
+}
+
+// Asks the server to price the cart: discount, tax and total. The server
+// checks the promo code; the order is charged what it quotes.
+async function refreshQuote() {
+    const request = ++quoteRequest;
+    if (cart.length === 0) {
+        cartQuote = null;
+        renderTotals();
+        return;
+    }
+    
+    try {
+        const quoteRequestBody = getQuoteRequest();
+        const response = await fetch(`${API_BASE_URL}/api/cart/quote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(quoteRequestBody),
+        });
+        const quote = await response.json();
+        if (request !== quoteRequest) return;
+        if (!response.ok) {
+            throw new Error(quote.error || 'Could not price your cart');
+        }
+        
+        if (quote.promoError) {
+            promoCode = null;
+            showPromoMessage(quote.promoError, true);
+        } else if (quote.promotion) {
+            showPromoMessage(quote.promotion.description || `Promo code ${quote.promotion.code} applied`, false);
+        }
+        // The options decide the chosen method, so they go in before the
+        // quote is matched to the form
+        renderShippingOptions(quote);
+        cartQuote = { ...quote, fingerprint: JSON.stringify(getQuoteRequest()) };
+    } catch (error) {
+        if (request !== quoteRequest) return;
+        console.error('Quote error:', error);
+        cartQuote = null;
+        renderShippingOptions(null);
+        showPromoMessage(error.message, true);
+    }
+    renderTotals();
+}
+
+function applyPromoCode(event) {
+    event.preventDefault();
+    const code = document.getElementById('promoCodeInput').value.trim().toUpperCase();
+    if (!code) return;
+    promoCode = code;
+    syncCart();
+    refreshQuote();
+}
+
+function removePromoCode() {
+    promoCode = null;
+    document.getElementById('promoCodeInput').value = '';
+    document.getElementById('promoMessage').classList.add('hidden');
+    syncCart();
+    refreshQuote();
+}
+
+function showPromoMessage(message, isError) {
+    const promoMessage = document.getElementById('promoMessage');
+    promoMessage.textContent = message;
+    promoMessage.classList.toggle('promo-error', isError);
+    promoMessage.classList.remove('hidden');
+}
+
+// Discount, tax, shipping and total lines of the cart and checkout
+// summaries
+function renderTotals() {
+    const quote = currentQuote();
+    const discount = quote ? quote.discount : 0;
+    const taxRule = quote && quote.taxRule;
+    const shipping = quote && quote.shipping;
+    const total = calculateTotal();
+    
+    for (const prefix of ['cart', 'checkout']) {
+        document.getElementById(`${prefix}DiscountLine`).classList.toggle('hidden', discount === 0);
+        document.getElementById(`${prefix}Discount`).textContent = formatPrice(-discount);
+        document.getElementById(`${prefix}PromoCode`).textContent = quote && quote.promotion ? quote.promotion.code : '';
+        document.getElementById(`${prefix}TaxLine`).classList.toggle('hidden', !taxRule);
+        document.getElementById(`${prefix}TaxLabel`).textContent = taxRule
+            ? `${taxRule.inclusive ? 'Includes ' : ''}${taxRule.name} (${formatPercent(taxRule.rate)})`
+            : '';
+        document.getElementById(`${prefix}Tax`).textContent = formatPrice(quote ? quote.tax : 0);
+        document.getElementById(`${prefix}ShippingLine`).classList.toggle('hidden', !shipping);
+        document.getElementById(`${prefix}ShippingLabel`).textContent = shipping ? `Shipping (${shipping.name})` : '';
+        document.getElementById(`${prefix}Shipping`).textContent = formatPrice(shipping ? shipping.amount : 0);
+        document.getElementById(`${prefix}Total`).textContent = formatPrice(total);
+    }
+    // Missing while the pay button says "Processing..."
+    const payAmount = document.getElementById('payAmount');
+    if (payAmount) payAmount.textContent = formatPrice(total);
+    updateWalletTotal();
+}
+
 function renderCart() {
     const cartItems = document.getElementById('cartItems');
-    const total = calculateTotal();
     
     if (cart.length === 0) {
         cartItems.innerHTML = '<p class="loading">Your cart is empty</p>';
@@ -142,17 +648,18 @@ function renderCart() {
             <div class="cart-item">
                 <div class="cart-item-info">
                     <h4>${item.name}</h4>
-                    <p>$${(item.price / 100).toFixed(2)} each</p>
+                    <p>${item.variantName}</p>
+                    <p>${formatPrice(item.price)} each</p>
                 </div>
                 <div class="quantity-control">
-                    <button class="quantity-btn" onclick="updateQuantity('${item.id}', -1)">−</button>
+                    <button class="quantity-btn" data-variant-id="${item.id}" data-change="-1">−</button>
                     <span class="quantity-value">${item.quantity}</span>
-                    <button class="quantity-btn" onclick="updateQuantity('${item.id}', 1)">+</button>
+                    <button class="quantity-btn" data-variant-id="${item.id}" data-change="1">+</button>
                 </div>
                 <div class="cart-item-price">
-                    $${((item.price * item.quantity) / 100).toFixed(2)}
+                    ${formatPrice(item.price * item.quantity)}
                 </div>
-                <button class="cart-item-remove" onclick="removeFromCart('${item.id}')">
+                <button class="cart-item-remove" data-variant-id="${item.id}">
                     Remove
                 </button>
             </div>
@@ -160,7 +667,8 @@ function renderCart() {
         document.getElementById('checkoutBtn').disabled = false;
     }
     
-    document.getElementById('cartTotal').textContent = (total / 100).toFixed(2);
+    renderTotals();
+    refreshQuote();
 }
 
 // View navigation
@@ -177,19 +685,31 @@ function showCart() {
 
 async function showCheckout() {
     hideAllSections();
-    const total = calculateTotal();
+    resetBitcoinPayment();
     
     // Render checkout items
     const checkoutItems = document.getElementById('checkoutItems');
     checkoutItems.innerHTML = cart.map(item => `
         <div class="checkout-item">
-            <span>${item.name} × ${item.quantity}</span>
-            <span>$${((item.price * item.quantity) / 100).toFixed(2)}</span>
+            <span>${item.name} (${item.variantName}) × ${item.quantity}</span>
+            <span>${formatPrice(item.price * item.quantity)}</span>
         </div>
     `).join('');
     
-    document.getElementById('checkoutTotal').textContent = (total / 100).toFixed(2);
-    document.getElementById('payAmount').textContent = (total / 100).toFixed(2);
+    renderTotals();
+    refreshQuote();
+    renderSavedCards();
+    initializeWallets();
+    
+    const emailInput = document.getElementById('customerEmail');
+    if (customer && !emailInput.value) {
+        emailInput.value = customer.email;
+    }
+    if (customer && customer.name && !document.getElementById('billingGivenName').value) {
+        const [givenName, ...rest] = customer.name.split(' ');
+        document.getElementById('billingGivenName').value = givenName;
+        document.getElementById('billingFamilyName').value = rest.join(' ');
+    }
     
     document.getElementById('checkoutSection').classList.remove('hidden');
     
@@ -208,6 +728,8 @@ async function showCheckout() {
 function showSuccess(orderId, receiptUrl) {
     hideAllSections();
     document.getElementById('successOrderId').textContent = orderId;
+    document.getElementById('receiptLink').innerHTML = '';
+    loadDownloads(orderId);
     
     if (receiptUrl) {
         // Validate URL is from Square - use strict hostname matching
@@ -234,16 +756,318 @@ function showSuccess(orderId, receiptUrl) {
     
     document.getElementById('successSection').classList.remove('hidden');
     
-    // Clear cart
+    // Clear cart (removing the promo code saves the empty cart)
+    cart = [];
+    checkoutAttempt = null;
+    removePromoCode();
+    updateCartCount();
+}
+
+// Lists download links for the digital photos in a paid order
+async function loadDownloads(orderId) {
+    const panel = document.getElementById('downloadsPanel');
+    panel.classList.add('hidden');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}`);
+        if (!response.ok) return;
+        const order = await response.json();
+        if (!order.downloads || order.downloads.length === 0) return;
+        
+        const list = document.getElementById('downloadsList');
+        list.innerHTML = '';
+        order.downloads.forEach(download => {
+            const item = document.createElement('li');
+            if (download.url) {
+                const link = document.createElement('a');
+                link.href = download.url;
+                link.textContent = `${download.name} (${download.variantName})`;
+                item.appendChild(link);
+                item.append(` · ${download.downloadsRemaining} downloads left, until ${new Date(download.expiresAt).toLocaleDateString()}`);
+            } else {
+                item.textContent = `${download.name} (${download.variantName}): download limit reached`;
+            }
+            list.appendChild(item);
+        });
+        panel.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading downloads:', error);
+    }
+}
+
+// Signs in with the token from an emailed login link (?login=...) and
+// takes it out of the address bar
+async function completeLoginLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('login');
+    if (!token) return;
+    params.delete('login');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/account/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not sign you in');
+        }
+        showNotification(`Signed in as ${result.email}`);
+    } catch (error) {
+        console.error('Login link error:', error);
+        showError(error.message);
+    }
+}
+
+async function loadAccount() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/account`);
+        customer = response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Error loading account:', error);
+        customer = null;
+    }
+    document.getElementById('accountBtn').textContent = customer ? '👤 My Account' : 'Sign in';
+}
+
+async function sendAccountRequest(method, path, body) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Something went wrong, please try again');
+    }
+    return result;
+}
+
+function showAccountMessage(message, isError) {
+    const accountMessage = document.getElementById('accountMessage');
+    accountMessage.textContent = message;
+    accountMessage.classList.toggle('account-error', isError);
+    accountMessage.classList.remove('hidden');
+}
+
+function showAccount() {
+    hideAllSections();
+    document.getElementById('signInPanel').classList.toggle('hidden', !!customer);
+    document.getElementById('accountPanel').classList.toggle('hidden', !customer);
+    document.getElementById('accountMessage').classList.add('hidden');
+    if (customer) {
+        renderAccount();
+    }
+    document.getElementById('accountSection').classList.remove('hidden');
+}
+
+// Password sign-in, or a sign-in link by email when no password is given
+async function signIn(event) {
+    event.preventDefault();
+    const email = document.getElementById('loginEmail').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    
+    try {
+        if (!password) {
+            await sendAccountRequest('POST', '/api/account/login-link', { email });
+            showAccountMessage(`We've emailed a sign-in link to ${email}.`, false);
+            return;
+        }
+        await sendAccountRequest('POST', '/api/account/login', { email, password });
+        await afterSignIn();
+    } catch (error) {
+        showAccountMessage(error.message, true);
+    }
+}
+
+async function registerAccount() {
+    const email = document.getElementById('loginEmail').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    if (!email || !password) {
+        showAccountMessage('Enter your email and choose a password of at least 8 characters', true);
+        return;
+    }
+    
+    try {
+        // The account is ready once the customer follows the emailed link
+        await sendAccountRequest('POST', '/api/account/register', { email, password });
+        document.getElementById('loginPassword').value = '';
+        showAccountMessage(`We've emailed a link to ${email}. Follow it to confirm your account and sign in.`, false);
+    } catch (error) {
+        showAccountMessage(error.message, true);
+    }
+}
+
+// The server merged this browser's cart into the account's cart
+async function afterSignIn() {
+    document.getElementById('loginPassword').value = '';
+    await loadAccount();
+    await loadCart();
+    updateCartCount();
+    showAccount();
+}
+
+async function signOut() {
+    try {
+        await sendAccountRequest('POST', '/api/account/logout');
+    } catch (error) {
+        console.error('Sign out error:', error);
+    }
+    // The cart belongs to the account; don't leave it on a shared device
+    customer = null;
     cart = [];
+    cartId = null;
+    cartSyncPending = false;
+    promoCode = null;
+    saveLocalCart();
     updateCartCount();
+    document.getElementById('customerEmail').value = '';
+    await loadAccount();
+    showProducts();
+}
+
+function renderAccount() {
+    document.getElementById('accountEmail').textContent = customer.email;
+    
+    const cardsList = document.getElementById('accountCards');
+    cardsList.innerHTML = '';
+    if (customer.cards.length === 0) {
+        cardsList.innerHTML = '<li>No saved cards. You can save one when you pay.</li>';
+    }
+    customer.cards.forEach(savedCard => {
+        const item = document.createElement('li');
+        item.textContent = `${describeCard(savedCard)} `;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'link-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => removeSavedCard(savedCard.id));
+        item.appendChild(removeButton);
+        cardsList.appendChild(item);
+    });
+    
+    loadAccountOrders();
+}
+
+// "My Orders": past orders with their download links
+async function loadAccountOrders() {
+    const container = document.getElementById('accountOrders');
+    container.innerHTML = '<p class="loading">Loading your orders...</p>';
+    
+    try {
+        const orders = await sendAccountRequest('GET', '/api/account/orders');
+        container.innerHTML = orders.length === 0 ? '<p>You have no orders yet.</p>' : '';
+        orders.forEach(order => {
+            const entry = document.createElement('div');
+            entry.className = 'account-order';
+            
+            const heading = document.createElement('h4');
+            const title = document.createElement('span');
+            title.textContent = `${new Date(order.createdAt).toLocaleDateString()} · ${order.status.replace(/_/g, ' ')}`;
+            const total = document.createElement('span');
+            total.textContent = formatPrice(order.total, order.currency);
+            heading.append(title, total);
+            
+            const summary = document.createElement('p');
+            summary.textContent = order.items.map(item => `${item.name} (${item.variantName}) × ${item.quantity}`).join(', ');
+            const orderId = document.createElement('small');
+            orderId.textContent = `Order ${order.orderId}`;
+            entry.append(heading, summary, orderId);
+            
+            const shipments = order.fulfillment ? order.fulfillment.shipments || [] : [];
+            shipments.forEach(shipment => {
+                const tracking = document.createElement('p');
+                tracking.className = 'tracking';
+                const label = `Shipped with ${shipment.carrier}: ${shipment.trackingNumber}`;
+                if (shipment.trackingUrl) {
+                    const link = document.createElement('a');
+                    link.href = shipment.trackingUrl;
+                    link.textContent = label;
+                    tracking.appendChild(link);
+                } else {
+                    tracking.textContent = label;
+                }
+                entry.appendChild(tracking);
+            });
+            
+            const available = order.downloads.filter(download => download.url);
+            if (available.length > 0) {
+                const list = document.createElement('ul');
+                available.forEach(download => {
+                    const item = document.createElement('li');
+                    const link = document.createElement('a');
+                    link.href = download.url;
+                    link.textContent = `Download ${download.name} (${download.variantName})`;
+                    item.appendChild(link);
+                    list.appendChild(item);
+                });
+                entry.appendChild(list);
+            }
+            container.appendChild(entry);
+        });
+    } catch (error) {
+        console.error('Error loading orders:', error);
+        container.textContent = error.message;
+    }
+}
+
+async function removeSavedCard(cardId) {
+    try {
+        customer.cards = await sendAccountRequest('DELETE', `/api/account/cards/${encodeURIComponent(cardId)}`);
+        renderAccount();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function describeCard(savedCard) {
+    const expiry = savedCard.expMonth ? ` · expires ${String(savedCard.expMonth).padStart(2, '0')}/${savedCard.expYear}` : '';
+    return `${savedCard.brand ? savedCard.brand.replace(/_/g, ' ') : 'Card'} ending in ${savedCard.last4}${expiry}`;
+}
+
+// Saved cards offered at checkout next to the card form. The first saved
+// card is picked by default.
+function renderSavedCards() {
+    const cards = customer ? customer.cards : [];
+    const options = document.getElementById('savedCardOptions');
+    options.innerHTML = '';
+    
+    [...cards, null].forEach(savedCard => {
+        const label = document.createElement('label');
+        label.className = 'saved-card';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'savedCard';
+        radio.value = savedCard ? savedCard.id : '';
+        radio.addEventListener('change', () => selectSavedCard(radio.value || null));
+        label.append(radio, ` ${savedCard ? describeCard(savedCard) : 'Use a new card'}`);
+        options.appendChild(label);
+    });
+    
+    document.getElementById('savedCardsPicker').classList.toggle('hidden', cards.length === 0);
+    document.getElementById('saveCardLabel').classList.toggle('hidden', !customer);
+    selectSavedCard(cards.length > 0 ? cards[0].id : null);
+}
+
+function selectSavedCard(cardId) {
+    savedCardId = cardId;
+    forgetUnansweredPayment();
+    for (const radio of document.querySelectorAll('input[name="savedCard"]')) {
+        radio.checked = radio.value === (cardId || '');
+    }
+    document.getElementById('newCard').classList.toggle('hidden', !!cardId);
 }
 
 function hideAllSections() {
+    stopBitcoinPayment();
     document.getElementById('productsSection').classList.add('hidden');
     document.getElementById('cartSection').classList.add('hidden');
     document.getElementById('checkoutSection').classList.add('hidden');
     document.getElementById('successSection').classList.add('hidden');
+    document.getElementById('accountSection').classList.add('hidden');
 }
 
 // Square Payment initialization
@@ -264,28 +1088,362 @@ async function initializeCard() {
             }
         });
         await card.attach('#card-container');
+        card.addEventListener('focusClassAdded', forgetUnansweredPayment);
     } catch (error) {
         console.error('Error initializing card:', error);
         showError(ERROR_PAYMENT_INIT_FAILED);
     }
 }
 
-// Payment processing
-async function processPayment(event) {
-    event.preventDefault();
+// The wallet payment sheets show the order total, so they need the
+// server's quote: `amount` is a decimal string in the currency's main unit
+function walletTotal() {
+    const quote = currentQuote();
+    return quote ? { amount: toDecimalAmount(quote.total, quote.currency), label: 'Total', cents: quote.total } : null;
+}
+
+function toDecimalAmount(amount, currencyCode) {
+    const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode })
+        .resolvedOptions().maximumFractionDigits;
+    return (amount / 10 ** digits).toFixed(digits);
+}
+
+// Sets up the wallet buttons for the checkout currency. Each wallet is
+// only shown when the SDK says it's available on this device; the Square
+// application must have Apple Pay (with a verified domain), Google Pay or
+// Cash App Pay enabled.
+async function initializeWallets() {
+    if (!squarePayments || (wallets && wallets.currency === currency)) return;
+    destroyWallets();
+    
+    const total = walletTotal() || { amount: toDecimalAmount(calculateTotal(), currency), label: 'Total', pending: true };
+    const paymentRequest = squarePayments.paymentRequest({
+        countryCode: config.storeCountry || 'US',
+        currencyCode: currency,
+        total: { amount: total.amount, label: total.label, pending: !!total.pending },
+    });
+    wallets = { currency, paymentRequest, total: total.cents || null };
+    const current = wallets;
     
+    try {
+        const googlePay = await squarePayments.googlePay(paymentRequest);
+        if (wallets !== current) return googlePay.destroy();
+        await googlePay.attach('#google-pay-button', { buttonColor: 'black', buttonSizeMode: 'fill' });
+        current.googlePay = googlePay;
+        document.getElementById('google-pay-button').classList.remove('hidden');
+    } catch (error) {
+        console.info('Google Pay is not available:', error.message);
+    }
+    
+    try {
+        // Apple Pay draws no button of its own; ours starts the payment sheet
+        const applePay = await squarePayments.applePay(paymentRequest);
+        if (wallets !== current) return;
+        current.applePay = applePay;
+        document.getElementById('apple-pay-button').classList.remove('hidden');
+    } catch (error) {
+        console.info('Apple Pay is not available:', error.message);
+    }
+    
+    try {
+        const cashAppPay = await squarePayments.cashAppPay(paymentRequest, {
+            redirectURL: window.location.href,
+            referenceId: cartId || undefined,
+        });
+        if (wallets !== current) return cashAppPay.destroy();
+        // Cash App Pay hands over its token in an event, possibly after
+        // sending the customer to the Cash App and back
+        cashAppPay.addEventListener('ontokenization', event => {
+            const { tokenResult, error } = event.detail;
+            if (error) {
+                showError(`Cash App Pay failed: ${error.message || error}`);
+                return;
+            }
+            payWithWallet(Promise.resolve(tokenResult));
+        });
+        await cashAppPay.attach('#cash-app-pay', { shape: 'semiround', width: 'full' });
+        current.cashAppPay = cashAppPay;
+        document.getElementById('cash-app-pay').classList.remove('hidden');
+    } catch (error) {
+        console.info('Cash App Pay is not available:', error.message);
+    }
+}
+
+// Cash App Pay on a phone sends the customer to the Cash App and back to
+// this page. Reopening the checkout sets Cash App Pay up again, which then
+// hands over the approved payment.
+function rememberCashAppCheckout() {
+    sessionStorage.setItem('cashAppCheckout', JSON.stringify({
+        email: document.getElementById('customerEmail').value,
+        country: document.getElementById('customerCountry').value,
+        region: document.getElementById('customerRegion').value,
+    }));
+}
+
+function resumeCashAppCheckout({ email, country, region }) {
+    sessionStorage.removeItem('cashAppCheckout');
+    if (cart.length === 0) return;
+    document.getElementById('customerEmail').value = email;
+    document.getElementById('customerCountry').value = country;
+    document.getElementById('customerRegion').value = region;
+    showCheckout();
+}
+
+function destroyWallets() {
+    if (wallets) {
+        for (const wallet of [wallets.googlePay, wallets.cashAppPay]) {
+            if (wallet) wallet.destroy().catch(() => {});
+        }
+    }
+    wallets = null;
+    ['google-pay-button', 'apple-pay-button', 'cash-app-pay'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+}
+
+// Keeps the wallet payment sheets on the latest quoted total
+function updateWalletTotal() {
+    const total = walletTotal();
+    if (!wallets || !total || wallets.total === total.cents || currentQuote().currency !== wallets.currency) return;
+    wallets.paymentRequest.update({ total: { amount: total.amount, label: total.label } });
+    wallets.total = total.cents;
+}
+
+// Starts Apple Pay or Google Pay. The payment sheet has to open straight
+// from the click, so the checks come first and tokenize() is not awaited
+// behind anything else.
+function startWalletPayment(walletName) {
+    const wallet = wallets && wallets[walletName];
+    if (!wallet) return;
+    if (!getCustomerEmail()) return;
+    if (!currentQuote() || wallets.total !== currentQuote().total) {
+        showError('Please wait a moment while we work out your total');
+        return;
+    }
+    payWithWallet(wallet.tokenize());
+}
+
+// Pays with a wallet token through the same /api/payment flow as cards.
+// The order is only charged if it comes to the total the customer just
+// approved in the wallet.
+async function payWithWallet(tokenization) {
     const payButton = document.getElementById('payButton');
+    if (payButton.disabled) return;
+    payButton.disabled = true;
+    
+    try {
+        const tokenResult = await tokenization;
+        if (tokenResult.status === 'Cancel') return;
+        if (tokenResult.status !== 'OK') {
+            throw new Error('The wallet payment could not be completed');
+        }
+        
+        const customerEmail = getCustomerEmail();
+        if (!customerEmail) return;
+        const order = await createOrder(customerEmail);
+        if (order.total !== wallets.total) {
+            throw new Error('Your total has changed. Please check it and try again');
+        }
+        
+        const paymentResult = await submitPayment({ sourceId: tokenResult.token, orderId: order.orderId });
+        showSuccess(order.orderId, paymentResult.payment.receiptUrl);
+    } catch (error) {
+        console.error('Wallet payment error:', error);
+        showError(paymentErrorMessage(error));
+    } finally {
+        payButton.disabled = false;
+    }
+}
+
+// Returns the entered email address, or null (after showing an error) if it
+// is invalid, the country, which tax depends on, is missing, or prints
+// have nowhere to ship
+function getCustomerEmail() {
     const customerEmail = document.getElementById('customerEmail').value;
     
     if (!customerEmail) {
         showError('Please enter your email address');
-        return;
+        return null;
     }
     
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(customerEmail)) {
         showError('Please enter a valid email address');
+        return null;
+    }
+    
+    if (!document.getElementById('customerCountry').value) {
+        showError('Please select your country');
+        return null;
+    }
+    
+    const shippingAddress = getShippingAddress();
+    if (shippingAddress && !(shippingAddress.name && shippingAddress.line1 && shippingAddress.city)) {
+        showError('Please enter the shipping address for your prints');
+        return null;
+    }
+    
+    return customerEmail;
+}
+
+// Billing contact for buyer verification, from the checkout form. The
+// card's bank uses it to decide whether to ask the customer to confirm
+// the payment.
+function getBillingContact(customerEmail) {
+    const givenName = document.getElementById('billingGivenName').value.trim();
+    const familyName = document.getElementById('billingFamilyName').value.trim();
+    if (!givenName || !familyName) {
+        showError('Please enter the name on the card');
+        return null;
+    }
+    
+    const contact = {
+        givenName,
+        familyName,
+        email: customerEmail,
+        countryCode: document.getElementById('customerCountry').value,
+    };
+    const addressLine = document.getElementById('billingAddress').value.trim();
+    const city = document.getElementById('billingCity').value.trim();
+    const postalCode = document.getElementById('billingPostalCode').value.trim();
+    const region = document.getElementById('customerRegion').value.trim();
+    if (addressLine) contact.addressLines = [addressLine];
+    if (city) contact.city = city;
+    if (postalCode) contact.postalCode = postalCode;
+    if (region) contact.state = region;
+    return contact;
+}
+
+// Buyer verification failed or was cancelled. Nothing was charged, so the
+// customer can simply try again.
+class BuyerVerificationError extends Error {
+    constructor() {
+        super("Your bank couldn't confirm this payment, so you haven't been charged. Please try again, or use another card.");
+        this.name = 'BuyerVerificationError';
+    }
+}
+
+// Strong Customer Authentication (3-D Secure): the card's bank may ask the
+// customer to confirm the order amount. Resolves to the verification token
+// that goes with the payment. `intent` is CHARGE, or CHARGE_AND_STORE when
+// the card is also being saved.
+async function verifyBuyer(sourceId, order, billingContact, intent) {
+    let verification;
+    try {
+        verification = await squarePayments.verifyBuyer(sourceId, {
+            amount: toDecimalAmount(order.total, order.currency),
+            currencyCode: order.currency,
+            intent,
+            billingContact,
+        });
+    } catch (error) {
+        console.error('Buyer verification error:', error);
+        throw new BuyerVerificationError();
+    }
+    if (!verification || !verification.token) {
+        throw new BuyerVerificationError();
+    }
+    return verification.token;
+}
+
+// Create the order for the current cart (replayed by the server if this
+// checkout attempt already created it)
+async function createOrder(customerEmail) {
+    const orderRequest = { ...getQuoteRequest(), customerEmail, shippingAddress: getShippingAddress() };
+    const attempt = getCheckoutAttempt(orderRequest);
+    
+    const orderResponse = await postWithIdempotency('/api/orders', orderRequest, attempt.orderKey);
+    const order = await orderResponse.json();
+    if (orderResponse.status === 409) {
+        // Something in the cart sold out meanwhile; show what is left
+        loadProducts();
+    }
+    if (!orderResponse.ok) {
+        throw new Error(order.error || 'Could not create order');
+    }
+    return order;
+}
+
+// A payment the server turned down. Card payment errors carry a
+// `category` (see lib/square.js) that decides what the customer is told.
+class PaymentError extends Error {
+    constructor(result) {
+        super(result.error || 'Payment failed');
+        this.name = 'PaymentError';
+        this.code = result.code || null;
+        this.category = result.category || null;
+        this.retryable = !!result.retryable;
+    }
+}
+
+// Headings for each category of card payment error; the server's message
+// says what to do next
+const PAYMENT_ERROR_HEADINGS = {
+    declined: 'Your payment was declined',
+    card_details: 'Please check your card details',
+    verification: 'Your bank needs to confirm this payment',
+    unavailable: 'Card payments are having problems',
+    configuration: 'Card payments are unavailable',
+};
+
+// What to tell the customer about a failed payment; `usedSavedCard` is
+// set when a card on file was charged
+function paymentErrorMessage(error, usedSavedCard = false) {
+    if (error instanceof BuyerVerificationError) {
+        return error.message;
+    }
+    const heading = error instanceof PaymentError && PAYMENT_ERROR_HEADINGS[error.category];
+    if (!heading) {
+        return `Payment failed: ${error.message}`;
+    }
+    if (error.category === 'declined' && usedSavedCard) {
+        return `${heading}. Please choose another card or enter a new one.`;
+    }
+    return `${heading}. ${error.message}`;
+}
+
+// Submit a payment for an order. The server charges the stored order
+// total, so only the order ID and provider details are sent. The payment
+// key is kept until the server answers, so sending the same request again
+// after a timeout replays it instead of paying twice.
+async function submitPayment(paymentRequest) {
+    const attempt = checkoutAttempt;
+    if (attempt.sentPayment && JSON.stringify(attempt.sentPayment) !== JSON.stringify(paymentRequest)) {
+        attempt.paymentKey = crypto.randomUUID();
+    }
+    attempt.sentPayment = paymentRequest;
+    
+    const paymentResponse = await postWithIdempotency('/api/payment', paymentRequest, attempt.paymentKey);
+    if (paymentResponse.status < 500) {
+        // The server has answered (a decline included); the next payment is a new one
+        attempt.sentPayment = null;
+        attempt.paymentKey = crypto.randomUUID();
+    }
+    const paymentResult = await paymentResponse.json();
+    
+    // The order can no longer be paid; start a fresh one next time
+    if (paymentResponse.status === 409 || paymentResponse.status === 410) {
+        checkoutAttempt = null;
+    }
+    
+    if (!paymentResult.success) {
+        throw new PaymentError(paymentResult);
+    }
+    return paymentResult;
+}
+
+// Payment processing
+async function processPayment(event) {
+    event.preventDefault();
+    
+    const payButton = document.getElementById('payButton');
+    const customerEmail = getCustomerEmail();
+    if (!customerEmail) {
+        return;
+    }
+    const billingContact = getBillingContact(customerEmail);
+    if (!billingContact) {
         return;
     }
     
@@ -294,58 +1452,286 @@ async function processPayment(event) {
     
     try {
         // Create order first
-        const orderResponse = await fetch(`${API_BASE_URL}/api/orders`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                items: cart.map(item => ({ id: item.id, quantity: item.quantity })),
-                customerEmail,
-            }),
-        });
+        const order = await createOrder(customerEmail);
         
-        const order = await orderResponse.json();
-        
-        // Tokenize card
-        const result = await card.tokenize();
-        if (result.status === 'OK') {
-            // Process payment
-            const paymentResponse = await fetch(`${API_BASE_URL}/api/payment`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    sourceId: result.token,
-                    amount: order.total,
-                    orderId: order.orderId,
-                }),
-            });
-            
-            const paymentResult = await paymentResponse.json();
-            
-            if (paymentResult.success) {
-                showSuccess(order.orderId, paymentResult.payment.receiptUrl);
-            } else {
-                throw new Error(paymentResult.error || 'Payment failed');
+        // A card payment that got no answer is sent again unchanged, so the
+        // server can replay it
+        let paymentRequest = unansweredCardPayment(order.orderId);
+        if (!paymentRequest) {
+            // A card on file needs no tokenizing; a new card is only kept if
+            // the customer agreed
+            const saveCard = !savedCardId && !!customer && document.getElementById('saveCardConsent').checked;
+            let sourceId = savedCardId;
+            if (!sourceId) {
+                const result = await card.tokenize();
+                if (result.status !== 'OK') {
+                    throw new Error('Card tokenization failed');
+                }
+                sourceId = result.token;
             }
-        } else {
-            throw new Error('Card tokenization failed');
+            
+            const verificationToken = await verifyBuyer(sourceId, order, billingContact, saveCard ? 'CHARGE_AND_STORE' : 'CHARGE');
+            paymentRequest = savedCardId
+                ? { cardId: savedCardId, orderId: order.orderId, verificationToken }
+                : { sourceId, orderId: order.orderId, verificationToken, saveCard };
         }
+        const paymentResult = await submitPayment(paymentRequest);
+        if (paymentResult.savedCard && customer) {
+            customer.cards.push(paymentResult.savedCard);
+        }
+        showSuccess(order.orderId, paymentResult.payment.receiptUrl);
     } catch (error) {
         console.error('Payment error:', error);
-        showError(`Payment failed: ${error.message}`);
+        showError(paymentErrorMessage(error, !!savedCardId));
     } finally {
         payButton.disabled = false;
-        payButton.innerHTML = `Pay $${(calculateTotal() / 100).toFixed(2)}`;
+        payButton.innerHTML = `Pay <span id="payAmount">${formatPrice(calculateTotal())}</span>`;
+    }
+}
+
+// Bitcoin payment methods and the labels their panel uses
+const BITCOIN_METHODS = {
+    lightning: { button: 'Create Lightning invoice', retry: 'Create new invoice', noun: 'Lightning invoice' },
+    bitcoin: { button: 'Get Bitcoin address', retry: 'Get new address', noun: 'Bitcoin payment window' },
+};
+
+// Payment method selection (card, Lightning or on-chain Bitcoin)
+function selectPaymentMethod(method) {
+    paymentMethod = method;
+    document.querySelectorAll('.payment-method').forEach(button => {
+        button.classList.toggle('active', button.dataset.method === method);
+    });
+    document.getElementById('cardPayment').classList.toggle('hidden', method !== 'card');
+    document.getElementById('btcPayment').classList.toggle('hidden', !BITCOIN_METHODS[method]);
+    
+    if (BITCOIN_METHODS[method]) {
+        stopBitcoinPayment();
+        resetBitcoinPayment();
+    }
+}
+
+// Lightning or on-chain payment: get an invoice or address, show it, and
+// wait for the payment to settle
+async function startBitcoinPayment() {
+    const btcButton = document.getElementById('btcButton');
+    const customerEmail = getCustomerEmail();
+    if (!customerEmail) {
+        return;
+    }
+    
+    const method = paymentMethod;
+    btcButton.disabled = true;
+    btcButton.textContent = 'Please wait...';
+    
+    try {
+        const order = await createOrder(customerEmail);
+        const paymentResult = await submitPayment({
+            orderId: order.orderId,
+            provider: method,
+        });
+        showBitcoinPayment(order.orderId, paymentResult.payment);
+        btcButton.classList.add('hidden');
+    } catch (error) {
+        console.error('Bitcoin payment error:', error);
+        showError(`Payment failed: ${error.message}`);
+    } finally {
+        btcButton.disabled = false;
+        btcButton.textContent = BITCOIN_METHODS[method].button;
+    }
+}
+
+function showBitcoinPayment(orderId, payment) {
+    stopBitcoinPayment();
+    
+    const isLightning = payment.provider === 'lightning';
+    document.getElementById('btcQr').src = payment.qrCode;
+    document.getElementById('btcAmount').textContent = isLightning
+        ? `${new Intl.NumberFormat().format(payment.amountSats)} sats`
+        : formatBtc(payment.amountSats);
+    document.getElementById('btcInvoiceText').value = isLightning ? payment.invoice : payment.address;
+    document.getElementById('btcWalletLink').href = payment.uri;
+    document.getElementById('btcStatus').textContent = 'Waiting for payment...';
+    document.getElementById('btcInvoice').classList.remove('hidden');
+    
+    const expiresAt = new Date(payment.expiresAt).getTime();
+    const updateCountdown = () => {
+        const secondsLeft = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+        const minutes = Math.floor(secondsLeft / 60);
+        const seconds = String(secondsLeft % 60).padStart(2, '0');
+        document.getElementById('btcCountdown').textContent = `Expires in ${minutes}:${seconds}`;
+        
+        if (secondsLeft === 0) {
+            expireBitcoinPayment(payment.provider);
+        }
+    };
+    updateCountdown();
+    
+    bitcoinTimers = {
+        countdown: setInterval(updateCountdown, 1000),
+        poll: setInterval(() => checkBitcoinPayment(orderId), BITCOIN_POLL_INTERVAL_MS),
+    };
+}
+
+function expireBitcoinPayment(provider) {
+    const labels = BITCOIN_METHODS[provider];
+    stopBitcoinPayment();
+    resetBitcoinPayment();
+    document.getElementById('btcButton').textContent = labels.retry;
+    showError(`The ${labels.noun} expired. Start again to pay.`);
+}
+
+async function checkBitcoinPayment(orderId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}/payment`);
+        const status = await response.json();
+        const payment = status.payment || {};
+        
+        if (status.orderStatus === 'paid') {
+            stopBitcoinPayment();
+            showSuccess(orderId, null);
+            return;
+        }
+        
+        const statusText = document.getElementById('btcStatus');
+        switch (payment.status) {
+            case 'SEEN':
+            case 'CONFIRMED':
+                // The money has arrived; only confirmations are outstanding
+                clearInterval(bitcoinTimers.countdown);
+                document.getElementById('btcCountdown').textContent = '';
+                statusText.textContent = `Payment received, waiting for confirmations (${payment.confirmations}/${payment.requiredConfirmations})`;
+                break;
+            case 'UNDERPAID':
+                statusText.textContent = `Received ${formatBtc(payment.receivedSats)}, please send the remaining ${formatBtc(payment.amountSats - payment.receivedSats)}`;
+                break;
+            case 'EXPIRED':
+                expireBitcoinPayment(payment.provider);
+                break;
+        }
+    } catch (error) {
+        console.error('Error checking Bitcoin payment:', error);
+    }
+}
+
+// The card payment for `orderId` that was sent but never answered, if the
+// customer is still paying with the same card
+function unansweredCardPayment(orderId) {
+    const sent = checkoutAttempt && checkoutAttempt.sentPayment;
+    if (!sent || sent.orderId !== orderId || sent.provider || (sent.cardId || null) !== savedCardId) {
+        return null;
+    }
+    return sent;
+}
+
+// The customer is changing the card details, so the next payment is a new one
+function forgetUnansweredPayment() {
+    if (checkoutAttempt && checkoutAttempt.sentPayment) {
+        checkoutAttempt.sentPayment = null;
+        checkoutAttempt.paymentKey = crypto.randomUUID();
+    }
+}
+
+function resetBitcoinPayment() {
+    document.getElementById('btcInvoice').classList.add('hidden');
+    const btcButton = document.getElementById('btcButton');
+    btcButton.textContent = (BITCOIN_METHODS[paymentMethod] || BITCOIN_METHODS.lightning).button;
+    btcButton.classList.remove('hidden');
+}
+
+function stopBitcoinPayment() {
+    if (bitcoinTimers) {
+        clearInterval(bitcoinTimers.countdown);
+        clearInterval(bitcoinTimers.poll);
+        bitcoinTimers = null;
+    }
+}
+
+// Returns the idempotency keys for this checkout. The same cart and email
+// keep the same order key, so pressing Pay again after a failure reuses
+// the order that was already created instead of making a new one. The
+// payment key changes with the payment details (see submitPayment).
+function getCheckoutAttempt(orderRequest) {
+    const fingerprint = JSON.stringify(orderRequest);
+    if (!checkoutAttempt || checkoutAttempt.fingerprint !== fingerprint) {
+        checkoutAttempt = { fingerprint, orderKey: crypto.randomUUID(), paymentKey: crypto.randomUUID(), sentPayment: null };
+    }
+    return checkoutAttempt;
+}
+
+// POST JSON with an Idempotency-Key header. Network errors and server
+// errors are retried with the same key, so the server can deduplicate them.
+async function postWithIdempotency(path, body, idempotencyKey) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(`${API_BASE_URL}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': idempotencyKey,
+                },
+                body: JSON.stringify(body),
+            });
+            if (response.status < 500 || attempt >= MAX_REQUEST_RETRIES) {
+                return response;
+            }
+        } catch (error) {
+            if (attempt >= MAX_REQUEST_RETRIES) {
+                throw error;
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
     }
 }
 
 // Event listeners
 function setupEventListeners() {
+    // Product cards and cart lines are re-rendered, so their controls are
+    // handled here rather than with inline handlers (which the CSP blocks)
+    const productsGrid = document.getElementById('productsGrid');
+    productsGrid.addEventListener('change', event => {
+        const select = event.target.closest('.variant-select');
+        if (select) updateProductCard(select.dataset.productId);
+    });
+    productsGrid.addEventListener('click', event => {
+        const button = event.target.closest('.add-to-cart');
+        if (button) addToCart(button.dataset.productId);
+    });
+    document.getElementById('cartItems').addEventListener('click', event => {
+        const quantityButton = event.target.closest('.quantity-btn');
+        const removeButton = event.target.closest('.cart-item-remove');
+        if (quantityButton) {
+            updateQuantity(quantityButton.dataset.variantId, Number(quantityButton.dataset.change));
+        } else if (removeButton) {
+            removeFromCart(removeButton.dataset.variantId);
+        }
+    });
     document.getElementById('cartIcon').addEventListener('click', showCart);
     document.getElementById('checkoutBtn').addEventListener('click', showCheckout);
     document.getElementById('continueShoppingBtn').addEventListener('click', showProducts);
     document.getElementById('backToCartBtn').addEventListener('click', showCart);
     document.getElementById('newOrderBtn').addEventListener('click', showProducts);
     document.getElementById('paymentForm').addEventListener('submit', processPayment);
+    document.getElementById('promoForm').addEventListener('submit', applyPromoCode);
+    document.getElementById('currencySelect').addEventListener('change', event => changeCurrency(event.target.value));
+    document.getElementById('customerCountry').addEventListener('change', refreshQuote);
+    document.getElementById('customerRegion').addEventListener('change', refreshQuote);
+    document.getElementById('shippingMethod').addEventListener('change', refreshQuote);
+    document.getElementById('removePromoBtn').addEventListener('click', removePromoCode);
+    document.getElementById('btcButton').addEventListener('click', startBitcoinPayment);
+    document.getElementById('accountBtn').addEventListener('click', showAccount);
+    document.getElementById('apple-pay-button').addEventListener('click', () => startWalletPayment('applePay'));
+    document.getElementById('google-pay-button').addEventListener('click', () => startWalletPayment('googlePay'));
+    document.getElementById('cash-app-pay').addEventListener('click', rememberCashAppCheckout);
+    document.getElementById('accountBackBtn').addEventListener('click', showProducts);
+    document.getElementById('loginForm').addEventListener('submit', signIn);
+    document.getElementById('registerBtn').addEventListener('click', registerAccount);
+    document.getElementById('logoutBtn').addEventListener('click', signOut);
+    window.addEventListener('online', () => {
+        if (cartSyncPending) syncCart();
+    });
+    document.querySelectorAll('.payment-method').forEach(button => {
+        button.addEventListener('click', () => selectPaymentMethod(button.dataset.method));
+    });
 }
 
 // Utility functions
@@ -377,7 +1763,7 @@ function showNotification(message) {
 
 function showError(message) {
     // Find the currently visible section
-    const sections = ['productsSection', 'cartSection', 'checkoutSection', 'successSection'];
+    const sections = ['productsSection', 'cartSection', 'checkoutSection', 'successSection', 'accountSection'];
     let visibleSection = null;
     
     sections.forEach(sectionId => {
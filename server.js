@@ -1,16 +1,154 @@
 require('dotenv').config();
+const path = require('path');
+const { randomBytes, randomUUID } = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const { SquareClient, SquareEnvironment } = require('square');
-const { randomUUID } = require('crypto');
+const { createStore } = require('./lib/store');
+const { idempotency } = require('./lib/idempotency');
+const { verifySquareSignature, handleSquareEvent } = require('./lib/webhooks');
+const { issueRefund } = require('./lib/refunds');
+const { paymentError, mapSquareError, mapSquareRefundError, paymentErrorBody, squareSetup, timeSquareCalls } = require('./lib/square');
+const { createFakeSquareClient } = require('./lib/square-fake');
+const { rateLimit, createDeclineTracker } = require('./lib/rate-limit');
+const { securityHeaders, parseCorsOrigins, corsOptions, logSecurityEvent } = require('./lib/security');
+const { logger, hashForLog, requestContext } = require('./lib/log');
+const { createStoreMetrics } = require('./lib/metrics');
+const { requireAdmin, requireMetricsToken } = require('./lib/auth');
+const { parseOrderFilters, listOrders, serializeAdminOrder, ordersToCsv } = require('./lib/admin');
+const {
+  CatalogError,
+  MAX_IMAGE_BYTES,
+  listProducts,
+  getProduct,
+  isForSale,
+  createProduct,
+  updateProduct,
+  addVariant,
+  updateVariant,
+  returnStock,
+  setProductArchived,
+  reorderProducts,
+  saveProductImage,
+  serializeProduct,
+} = require('./lib/catalog');
+const {
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  sweepExpiredReservations,
+  startReservationSweeper,
+  commitPaidReservations,
+} = require('./lib/inventory');
+const {
+  PromotionError,
+  listPromotions,
+  createPromotion,
+  updatePromotion,
+  redeemPromotion,
+  releasePromotion,
+} = require('./lib/promotions');
+const { quoteOrder } = require('./lib/pricing');
+const {
+  CartError,
+  CART_TTL_MS,
+  createCart,
+  getCart,
+  updateCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  findCustomerCart,
+  mergeCarts,
+  serializeCart,
+} = require('./lib/carts');
+const {
+  AccountError,
+  SESSION_TTL_MS,
+  getCustomer,
+  registerCustomer,
+  verifyPassword,
+  createLoginToken,
+  redeemLoginToken,
+  setPassword,
+  createSession,
+  getSessionCustomer,
+  deleteSession,
+  serializeCustomer,
+} = require('./lib/accounts');
+const { saveCard, removeCard, findSavedCard } = require('./lib/cards');
+const {
+  BASE_CURRENCY,
+  CurrencyError,
+  parseCurrencies,
+  parseExchangeRates,
+  getExchangeRates,
+  saveExchangeRates,
+  variantPrice,
+} = require('./lib/currency');
+const { TaxError, getTaxRules, saveTaxRules } = require('./lib/tax');
+const { ShippingError, getShippingRates, saveShippingRates } = require('./lib/shipping');
+const {
+  SIGNATURE_HEADER: PRINT_LAB_SIGNATURE_HEADER,
+  FulfillmentError,
+  createPrintLab,
+  createFulfillmentQueue,
+  queuePaidOrders,
+  startFulfillmentWorker,
+  recordShipments,
+  verifyPrintLabSignature,
+} = require('./lib/fulfillment');
+const { createDownloadService } = require('./lib/downloads');
+const { createMailTransport, createOutbox, startOutboxWorker, createOrderNotifier } = require('./lib/email');
+const { createLightningNode } = require('./lib/lightning');
+const { createBitcoinChain } = require('./lib/bitcoin');
+const {
+  IN_FLIGHT_STATUSES,
+  createPaymentProviders,
+  applyPaymentResult,
+  refreshOrderPayment,
+  assertNoOtherPayment,
+  startPaymentWatcher,
+  describePayment,
+} = require('./lib/payments');
+const {
+  ORDER_TTL_MS,
+  OrderError,
+  createOrder,
+  getOrder,
+  listOrdersByEmail,
+  listOrdersByCustomer,
+  transitionOrder,
+  isExpired,
+  assertPayable,
+  serializeOrder,
+} = require('./lib/orders');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Where customers reach the store; links in emails are built from it
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Behind a proxy or on Vercel, TRUST_PROXY makes req.ip the client's
+// address from X-Forwarded-For: "true", a number of hops or a subnet
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+// Every request gets an ID, returned in X-Request-Id and added to its log lines
+app.use(requestContext());
+app.use(securityHeaders({ https: PUBLIC_BASE_URL.startsWith('https:') }));
+// Only origins in CORS_ORIGINS may call the API from other sites
+app.use(cors(corsOptions(parseCorsOrigins(process.env.CORS_ORIGINS))));
+// Keep the raw body around: webhook signatures are computed over the exact bytes
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.static('public'));
 
 // Validate Square configuration
@@ -18,226 +156,1472 @@ const requiredSquareConfig = ['SQUARE_ACCESS_TOKEN', 'SQUARE_APPLICATION_ID', 'S
 const missingConfig = requiredSquareConfig.filter(key => !process.env[key]);
 
 if (missingConfig.length > 0) {
-  console.warn('⚠️  Warning: Missing Square credentials:', missingConfig.join(', '));
-  console.warn('   Payment processing will not work without valid credentials.');
-  console.warn('   Please configure all required values in your .env file.');
+  logger.warn('Missing Square credentials; payment processing will not work until they are set', { missing: missingConfig });
+}
+
+// The Square environment, and whether the credentials belong to it. A live
+// access token with the sandbox SDK (or the other way round) can't take
+// payments, so mismatches are reported here and by /api/health.
+const squareEnvironment = squareSetup();
+squareEnvironment.problems
+  .filter(problem => problem.code !== 'missing_credentials')
+  .forEach(problem => logger.warn(problem.message, { code: problem.code }));
+
+// Counters for GET /api/metrics (see lib/metrics.js)
+const metrics = createStoreMetrics();
+app.locals.metrics = metrics;
+
+// Initialize Square client. SQUARE_CLIENT=fake swaps in the in-process
+// fake from lib/square-fake.js, for local development and tests. Every
+// call is timed for the Square latency metrics.
+const squareClient = timeSquareCalls(process.env.SQUARE_CLIENT === 'fake'
+  ? createFakeSquareClient()
+  : new SquareClient({
+    token: process.env.SQUARE_ACCESS_TOKEN || 'PLACEHOLDER_TOKEN',
+    environment: squareEnvironment.environment === 'production' ? SquareEnvironment.Production : SquareEnvironment.Sandbox,
+  }), (labels, seconds) => metrics.squareLatency.observe(labels, seconds));
+app.locals.squareClient = squareClient;
+
+// Order storage (see lib/store.js for the available drivers)
+const store = createStore();
+app.locals.store = store;
+if (process.env.VERCEL && store.driver === 'memory') {
+  logger.warn('Orders are kept in memory and lost when the function instance stops; plug in a database-backed store driver to keep them');
+}
+
+// Payment providers (see lib/payments/index.js). Lightning is enabled by
+// setting LIGHTNING_NODE and on-chain Bitcoin by setting BITCOIN_XPUB; both
+// also need BTC_USD_RATE.
+const lightningNode = createLightningNode();
+app.locals.lightningNode = lightningNode;
+const bitcoinChain = createBitcoinChain();
+app.locals.bitcoinChain = bitcoinChain;
+const paymentProviders = createPaymentProviders({ store, squareClient, lightningNode, bitcoinChain });
+
+// Using a reasonable email validation regex that handles most common cases
+// For production, consider using a dedicated email validation library
+const emailRegex = /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && emailRegex.test(email);
+}
+
+// Currencies and exchange rates (see lib/currency.js). EXCHANGE_RATES is
+// used until staff save a rate table through the admin API.
+const pricingOptions = {
+  currencies: parseCurrencies(process.env.STORE_CURRENCIES),
+  fallbackRates: parseExchangeRates(process.env.EXCHANGE_RATES),
+};
+
+// Country the store sells from, for the wallet payment sheets (Apple Pay,
+// Google Pay, Cash App Pay)
+const STORE_COUNTRY = (process.env.STORE_COUNTRY || 'US').toUpperCase();
+
+// Errors that mean the cart can't be priced as asked
+function isPricingError(error) {
+  return error instanceof CatalogError
+    || error instanceof PromotionError
+    || error instanceof CurrencyError
+    || error instanceof TaxError
+    || error instanceof ShippingError;
 }
 
-// Initialize Square client
-const squareClient = new SquareClient({
-  accessToken: process.env.SQUARE_ACCESS_TOKEN || 'PLACEHOLDER_TOKEN',
-  environment: process.env.SQUARE_ENVIRONMENT === 'production' ? SquareEnvironment.Production : SquareEnvironment.Sandbox,
+// Product catalog (see lib/catalog.js). Uploaded product images are saved
+// to PRODUCT_IMAGE_DIR and served under /uploads/products.
+const PRODUCT_IMAGE_DIR = path.resolve(process.env.PRODUCT_IMAGE_DIR || path.join(__dirname, 'public', 'uploads', 'products'));
+const PRODUCT_IMAGE_URL_PREFIX = '/uploads/products';
+app.use(PRODUCT_IMAGE_URL_PREFIX, express.static(PRODUCT_IMAGE_DIR));
+
+// Digital delivery (see lib/downloads.js). Originals stay out of public/
+// and are only served through signed links.
+if (!process.env.DOWNLOAD_SIGNING_SECRET) {
+  logger.warn('DOWNLOAD_SIGNING_SECRET is not set; download links will stop working when the server restarts');
+}
+const downloads = createDownloadService({
+  store,
+  secret: process.env.DOWNLOAD_SIGNING_SECRET || randomBytes(32).toString('hex'),
+  originalsDir: path.resolve(process.env.ORIGINALS_DIR || path.join(__dirname, 'originals')),
+  ttlSeconds: Number(process.env.DOWNLOAD_LINK_TTL_SECONDS) || undefined,
+  maxDownloads: Number(process.env.DOWNLOAD_MAX_COUNT) || undefined,
 });
 
-// Photo products catalog
-const products = [
-  {
-    id: 'photo-1',
-    name: 'Mountain Sunset',
-    description: 'Beautiful sunset over mountain peaks',
-    price: 2999, // Price in cents
-    image: '/tiny/tiny1.webp',
-  },
-  {
-    id: 'photo-2',
-    name: 'Ocean Waves',
-    description: 'Serene ocean waves at dawn',
-    price: 3499,
-    image: '/tiny/tiny2.webp',
-  },
+// Customer email (see lib/email). Messages go through a persistent outbox
+// and are retried when the mail transport fails.
+const mailTransport = createMailTransport();
+const outbox = createOutbox({
+  store,
+  transport: mailTransport,
+  from: process.env.MAIL_FROM || 'Photo Store <orders@localhost>',
+});
+app.locals.outbox = outbox;
+app.locals.mailTransport = mailTransport;
+createOrderNotifier({ outbox, downloads, baseUrl: PUBLIC_BASE_URL });
+
+// Stock held by an order is kept once it is paid (see lib/inventory.js)
+commitPaidReservations(store);
+
+// Print lab (see lib/fulfillment). Paid orders with prints are queued and
+// sent to the lab once their edition numbers are issued; without a lab,
+// staff ship prints themselves and mark orders fulfilled.
+const printLab = createPrintLab();
+const fulfillment = printLab ? createFulfillmentQueue({ store, lab: printLab }) : null;
+app.locals.fulfillment = fulfillment;
+if (fulfillment) {
+  queuePaidOrders(fulfillment, { prepare: order => commitReservation(store, order.id) });
+}
+
+// Order as shown to the customer, with links for its digital downloads
+async function serializeCustomerOrder(order) {
+  return { ...serializeOrder(order), downloads: await downloads.listDownloads(order) };
+}
+
+// Rate limits on placing orders, paying and signing in, per client IP
+// address and per customer email, over RATE_LIMIT_WINDOW_SECONDS (see lib/rate-limit.js).
+// Each limit is set by an environment variable; 0 turns it off.
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value);
+}
+const RATE_LIMIT_WINDOW_MS = numberFromEnv('RATE_LIMIT_WINDOW_SECONDS', 15 * 60) * 1000;
+
+function ipKey(req) {
+  return `ip:${req.ip}`;
+}
+
+// Email addresses are only kept (and logged) hashed
+function emailKey(email) {
+  return isValidEmail(email) ? `email:${hashForLog(email.trim().toLowerCase())}` : null;
+}
+
+function logBlocked(req, fields) {
+  metrics.requestsBlocked.inc({ path: req.path, reason: fields.reason });
+  logSecurityEvent('request_blocked', { method: req.method, path: req.path, ip: req.ip, ...fields });
+}
+
+const orderRateLimit = rateLimit([
+  { name: 'orders_per_ip', limit: numberFromEnv('RATE_LIMIT_ORDERS_PER_IP', 60), windowMs: RATE_LIMIT_WINDOW_MS, key: ipKey },
   {
-    id: 'photo-3',
-    name: 'Forest Path',
-    description: 'Mystical forest path in autumn',
-    price: 2499,
-    image: '/tiny/tiny3.webp',
+    name: 'orders_per_email',
+    limit: numberFromEnv('RATE_LIMIT_ORDERS_PER_EMAIL', 20),
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    key: req => emailKey((req.body || {}).customerEmail),
   },
+], { onBlocked: (req, { rule, key }) => logBlocked(req, { reason: rule, key }) });
+
+const paymentRateLimit = rateLimit([
+  { name: 'payments_per_ip', limit: numberFromEnv('RATE_LIMIT_PAYMENTS_PER_IP', 30), windowMs: RATE_LIMIT_WINDOW_MS, key: ipKey },
   {
-    id: 'photo-4',
-    name: 'City Lights',
-    description: 'Urban cityscape at night',
-    price: 3999,
-    image: '/tiny/tiny4.webp',
+    name: 'payments_per_email',
+    limit: numberFromEnv('RATE_LIMIT_PAYMENTS_PER_EMAIL', 10),
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    key: async req => {
+      const { orderId } = req.body || {};
+      const order = typeof orderId === 'string' && orderId ? await getOrder(store, orderId) : null;
+      return order ? emailKey(order.customerEmail) : null;
+    },
   },
+], { onBlocked: (req, { rule, key }) => logBlocked(req, { reason: rule, key }) });
+
+// Password guesses, per IP address and per account email
+const loginRateLimit = rateLimit([
+  { name: 'logins_per_ip', limit: numberFromEnv('RATE_LIMIT_LOGINS_PER_IP', 30), windowMs: RATE_LIMIT_WINDOW_MS, key: ipKey },
   {
-    id: 'photo-5',
-    name: 'Desert Dunes',
-    description: 'Golden sand dunes at sunset',
-    price: 2799,
-    image: '/tiny/tiny5.webp',
+    name: 'logins_per_email',
+    limit: numberFromEnv('RATE_LIMIT_LOGINS_PER_EMAIL', 10),
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    key: req => emailKey((req.body || {}).email),
   },
+], { onBlocked: (req, { rule, key }) => logBlocked(req, { reason: rule, key }) });
+
+// Emails sent by registering and asking for login links, which share the
+// limits so neither can flood an inbox
+const loginLinkRateLimit = rateLimit([
+  { name: 'login_links_per_ip', limit: numberFromEnv('RATE_LIMIT_LOGIN_LINKS_PER_IP', 10), windowMs: RATE_LIMIT_WINDOW_MS, key: ipKey },
   {
-    id: 'photo-6',
-    name: 'Northern Lights',
-    description: 'Aurora borealis over snowy landscape',
-    price: 4999,
-    image: '/tiny/tiny6.webp',
+    name: 'login_links_per_email',
+    limit: numberFromEnv('RATE_LIMIT_LOGIN_LINKS_PER_EMAIL', 3),
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    key: req => emailKey((req.body || {}).email),
   },
-];
+], { onBlocked: (req, { rule, key }) => logBlocked(req, { reason: rule, key }) });
+
+// Card-testing detection (see lib/rate-limit.js): DECLINE_LIMIT declined
+// card payments within DECLINE_WINDOW_SECONDS from one browser session, IP
+// address or email address. DECLINE_ACTION=block (the default) refuses
+// its card payments until the declines age out; "flag" only logs them.
+const DECLINE_ACTION = process.env.DECLINE_ACTION || 'block';
+if (!['block', 'flag'].includes(DECLINE_ACTION)) {
+  throw new Error(`Unknown DECLINE_ACTION: ${DECLINE_ACTION}`);
+}
+const declineTracker = createDeclineTracker({
+  limit: numberFromEnv('DECLINE_LIMIT', 5),
+  windowMs: numberFromEnv('DECLINE_WINDOW_SECONDS', 60 * 60) * 1000,
+});
+
+// Who a card payment comes from, as far as the decline detector can tell
+function declineKeys(req, order) {
+  const session = readCookie(req, SESSION_COOKIE) || readCookie(req, CART_COOKIE);
+  return [ipKey(req), session ? `session:${hashForLog(session)}` : null, emailKey(order.customerEmail)];
+}
 
 // API Routes
 
 // Get configuration for frontend
 app.get('/api/config', (req, res) => {
-  const isConfigured = !!(process.env.SQUARE_ACCESS_TOKEN && 
-                          process.env.SQUARE_APPLICATION_ID && 
-                          process.env.SQUARE_LOCATION_ID);
-  
+  const lightningConfigured = !!(paymentProviders.lightning && paymentProviders.lightning.isConfigured());
+  const bitcoinConfigured = !!(paymentProviders.bitcoin && paymentProviders.bitcoin.isConfigured());
+
   res.json({
     squareApplicationId: process.env.SQUARE_APPLICATION_ID || '',
     squareLocationId: process.env.SQUARE_LOCATION_ID || '',
-    squareConfigured: isConfigured,
+    squareConfigured: squareEnvironment.configured,
+    squareEnvironment: squareEnvironment.environment,
+    squareSdkUrl: squareEnvironment.sdkUrl,
+    lightningConfigured,
+    bitcoinConfigured,
+    baseCurrency: BASE_CURRENCY,
+    currencies: pricingOptions.currencies,
+    storeCountry: STORE_COUNTRY,
   });
 });
 
+// Apple Pay domain verification. Download the file from the Square
+// Developer Dashboard (Apple Pay settings) and point
+// APPLE_PAY_DOMAIN_ASSOCIATION_FILE at it, or save it at the default path.
+const APPLE_PAY_DOMAIN_ASSOCIATION_FILE = path.resolve(process.env.APPLE_PAY_DOMAIN_ASSOCIATION_FILE
+  || path.join(__dirname, 'apple-developer-merchantid-domain-association'));
+
+app.get('/.well-known/apple-developer-merchantid-domain-association', (req, res) => {
+  res.type('text/plain').sendFile(APPLE_PAY_DOMAIN_ASSOCIATION_FILE, error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Apple Pay domain verification file not found' });
+    }
+  });
+});
+
+// Variant prices in the currency asked for with ?currency= (default USD)
+async function requestedPrices(req) {
+  const currency = String(req.query.currency || BASE_CURRENCY).toUpperCase();
+  if (!pricingOptions.currencies.includes(currency)) {
+    throw new CurrencyError(`Unsupported currency: ${currency}`);
+  }
+  const rates = currency === BASE_CURRENCY ? {} : await getExchangeRates(store, pricingOptions.fallbackRates);
+  return { priceOf: variant => variantPrice(variant, currency, rates) };
+}
+
 // Get all products
-app.get('/api/products', (req, res) => {
-  res.json(products);
+app.get('/api/products', async (req, res) => {
+  try {
+    const prices = await requestedPrices(req);
+    const products = await listProducts(store);
+    res.json(products.map(product => serializeProduct(product, prices)));
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Product list error', { error });
+    res.status(500).json({ error: 'Failed to load products' });
+  }
 });
 
 // Get single product
-app.get('/api/products/:id', (req, res) => {
-  const product = products.find(p => p.id === req.params.id);
-  if (product) {
-    res.json(product);
-  } else {
-    res.status(404).json({ error: 'Product not found' });
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const prices = await requestedPrices(req);
+    const product = await getProduct(store, req.params.id);
+    if (product && isForSale(product)) {
+      res.json(serializeProduct(product, prices));
+    } else {
+      res.status(404).json({ error: 'Product not found' });
+    }
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Product lookup error', { error });
+    res.status(500).json({ error: 'Failed to load product' });
   }
 });
 
-// Process payment
-app.post('/api/payment', async (req, res) => {
-  const { sourceId, amount, currency = 'USD', orderId } = req.body;
+// Process payment for a stored order through one of the payment providers
+app.post('/api/payment', paymentRateLimit, idempotency(store, 'payment'), async (req, res) => {
+  const { orderId, provider: providerName = 'square' } = req.body;
 
-  if (!sourceId || !amount) {
+  if (!orderId) {
     return res.status(400).json({ error: 'Missing required payment information' });
   }
 
-  // Validate amount is a positive integer
-  if (!Number.isInteger(amount) || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid amount: must be a positive integer in cents' });
+  if (typeof orderId !== 'string') {
+    return res.status(400).json({ error: 'Invalid payment information: orderId must be a string' });
   }
 
-  // Validate currency is a valid 3-letter code
-  if (!/^[A-Z]{3}$/.test(currency)) {
-    return res.status(400).json({ error: 'Invalid currency: must be a 3-letter code (e.g., USD)' });
+  const provider = Object.prototype.hasOwnProperty.call(paymentProviders, providerName)
+    ? paymentProviders[providerName]
+    : null;
+  if (!provider) {
+    return res.status(400).json({ error: `Unsupported payment provider: ${providerName}` });
   }
 
-  // Validate Square credentials are configured
-  if (!process.env.SQUARE_LOCATION_ID) {
-    return res.status(500).json({ error: 'Square payment system is not configured' });
+  // A saved card (`cardId`) is charged as the signed-in customer's card on
+  // file. `saveCard: true` keeps a newly entered card once it has been
+  // charged, if the customer agreed to that at checkout.
+  let customer;
+  let paymentDetails = req.body;
+  try {
+    customer = await currentCustomer(req);
+    if (req.body.cardId !== undefined) {
+      if (providerName !== 'square') {
+        return res.status(400).json({ error: 'Saved cards can only be used for card payments' });
+      }
+      if (!customer) {
+        return res.status(401).json({ error: 'Please sign in to use a saved card' });
+      }
+      const card = findSavedCard(customer, req.body.cardId);
+      paymentDetails = { ...req.body, sourceId: card.id, customerId: customer.squareCustomerId };
+    }
+  } catch (error) {
+    return sendAccountError(res, error, 'Failed to look up saved card');
   }
 
+  const validationError = provider.validate(paymentDetails);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // Validate the provider is configured
+  if (!provider.isConfigured()) {
+    return res.status(500).json({ error: `${provider.label} payment system is not configured` });
+  }
+
+  let order;
   try {
-    const { result } = await squareClient.paymentsApi.createPayment({
-      sourceId,
-      idempotencyKey: randomUUID(),
-      amountMoney: {
-        amount: BigInt(amount),
-        currency,
-      },
-      locationId: process.env.SQUARE_LOCATION_ID,
-      note: `Photo Store Order: ${orderId || 'N/A'}`,
+    order = await getOrder(store, orderId);
+    assertPayable(order);
+    if (order.payment && order.payment.provider !== providerName) {
+      // The other provider's payment may have settled or expired since the
+      // customer last looked
+      order = await refreshOrderPayment(store, paymentProviders, order).catch(error => {
+        logger.error('Failed to refresh payment', { orderId: order.id, error });
+        return order;
+      });
+      assertPayable(order);
+      assertNoOtherPayment(paymentProviders, order, providerName);
+    }
+  } catch (error) {
+    if (!(error instanceof OrderError)) {
+      logger.error('Order lookup error', { error });
+      return res.status(500).json({ success: false, error: 'Failed to look up order' });
+    }
+    if (error.status === 410) {
+      await cancelExpiredOrder(order.id)
+        .catch(err => logger.error('Failed to cancel expired order', { error: err }));
+    }
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
+  // Card testing: a run of declines from this browser, IP address or email
+  // address stops its card payments before they reach Square
+  const senders = declineKeys(req, order);
+  const tripped = providerName === 'square' ? declineTracker.check(senders) : null;
+  if (tripped) {
+    logSecurityEvent('card_testing_suspected', {
+      action: DECLINE_ACTION, ip: req.ip, key: tripped.key, orderId: order.id,
     });
+    if (DECLINE_ACTION === 'block') {
+      metrics.requestsBlocked.inc({ path: req.path, reason: 'too_many_declines' });
+      res.set('Retry-After', String(Math.ceil(tripped.waitMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many declined payments. Please try again later or contact us.',
+        code: 'too_many_declines',
+        retryable: false,
+      });
+    }
+  }
+
+  try {
+    metrics.paymentsAttempted.inc({ provider: providerName });
+    const result = await provider.createPayment(order, paymentDetails);
+    order = await applyPaymentResult(store, order, result);
+    if (order.status === 'paid') {
+      // Edition numbers are on the order by the time the customer sees it
+      await commitReservation(store, order.id)
+        .catch(error => logger.error('Failed to commit reservation', { orderId: order.id, error }));
+    }
 
-    // Validate response structure
-    if (!result || !result.payment) {
-      throw new Error('Invalid payment response from Square');
+    if (result.orderStatus === 'failed') {
+      if (providerName === 'square') declineTracker.recordDecline(senders);
+      metrics.paymentsDeclined.inc({ provider: providerName, reason: 'card_declined' });
+      return res.status(402).json({
+        success: false,
+        orderId: order.id,
+        ...paymentErrorBody(paymentError('card_declined')),
+      });
     }
 
-    // Log warning if payment response is missing expected fields
-    if (!result.payment.amountMoney) {
-      console.warn('Payment response missing amountMoney field, using request values');
+    let savedCard;
+    if (req.body.saveCard === true && customer && !req.body.cardId && providerName === 'square') {
+      // The payment went through either way, so a card that can't be
+      // saved is only logged
+      savedCard = await saveCard(store, squareClient, customer, { sourceId: result.payment.id })
+        .catch(error => logger.error('Failed to save card', { error }));
     }
 
     res.json({
       success: true,
-      payment: {
-        id: result.payment.id,
-        status: result.payment.status,
-        amount: result.payment.amountMoney?.amount?.toString() || amount.toString(),
-        currency: result.payment.amountMoney?.currency || currency,
-        receiptUrl: result.payment.receiptUrl,
-      },
+      orderId: order.id,
+      orderStatus: order.status,
+      payment: await describePayment(result.payment),
+      ...(savedCard ? { savedCard } : {}),
     });
   } catch (error) {
-    console.error('Payment error:', error);
+    if (error instanceof OrderError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    // Square errors are reported by category (see lib/square.js) so the
+    // customer sees why and the logs say whether it was a decline, our
+    // setup or an outage
+    const failure = providerName === 'square' ? mapSquareError(error) : null;
+    if (failure && failure.status === 402) {
+      declineTracker.recordDecline(senders);
+      metrics.paymentsDeclined.inc({ provider: providerName, reason: failure.code });
+    } else {
+      metrics.paymentErrors.inc({ provider: providerName, code: failure ? failure.code : 'error' });
+    }
+    if (failure) {
+      // Declines are the customer's card, not a problem with the store
+      logger[failure.status === 402 ? 'warn' : 'error']('Payment error', {
+        orderId: order.id,
+        code: failure.code,
+        squareCode: failure.squareCode,
+        statusCode: error.statusCode || null,
+        detail: failure.detail,
+      });
+    } else {
+      logger.error('Payment error', { orderId: order.id, provider: providerName, error });
+    }
+    // Only a definitive answer from the provider starts a new payment
+    // attempt. After a network error or outage the next try reuses the same
+    // idempotency key, so Square can't charge the card twice.
+    const declined = error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429;
+    await transitionOrder(store, order.id, 'failed', {
+      note: failure ? `${failure.code}: ${failure.detail || failure.message}` : error.message || 'Payment processing failed',
+      changes: declined ? { paymentAttempts: (order.paymentAttempts || 0) + 1 } : {},
+    }).catch(err => logger.error('Failed to record payment failure', { error: err }));
+    if (failure) {
+      return res.status(failure.status).json({ success: false, orderId: order.id, ...paymentErrorBody(failure) });
+    }
+    // Other providers' errors can describe the node or network behind
+    // them, so they stay in the log and the order history
     res.status(500).json({
       success: false,
-      error: error.message || 'Payment processing failed',
+      error: 'Payment processing failed',
     });
   }
 });
 
-// Create order endpoint
-app.post('/api/orders', async (req, res) => {
-  const { items, customerEmail } = req.body;
+// Current payment status of an order. Asynchronous payments (Lightning)
+// are checked with the provider, so clients can poll this while waiting.
+app.get('/api/orders/:id/payment', async (req, res) => {
+  try {
+    let order = await getOrder(store, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
-  if (!items || items.length === 0) {
-    return res.status(400).json({ error: 'No items in order' });
+    order = await refreshOrderPayment(store, paymentProviders, order);
+    res.json({
+      orderId: order.id,
+      orderStatus: order.status,
+      payment: await describePayment(order.payment),
+    });
+  } catch (error) {
+    logger.error('Payment status error', { error });
+    res.status(500).json({ error: 'Failed to check payment status' });
   }
+});
+
+// Gives back the stock and promo code use held by an order that was
+// never paid
+async function releaseOrderHolds(order) {
+  if (!await releaseReservation(store, order.id)) {
+    // Orders placed before stock reservations took their stock directly
+    await returnStock(store, order.items);
+  }
+  if (order.promotion) {
+    await releasePromotion(store, order.promotion.code, order.customerEmail);
+  }
+}
+
+// Cancels an order that expired unpaid and releases its holds. Orders
+// with a payment still in flight (an open Lightning invoice, an
+// unconfirmed Bitcoin payment) keep theirs; orders that were paid after
+// all keep their stock.
+async function cancelExpiredOrder(orderId) {
+  const order = await getOrder(store, orderId);
+  if (!order || order.status === 'cancelled') {
+    await releaseReservation(store, orderId);
+  } else if (isExpired(order) && !(order.payment && IN_FLIGHT_STATUSES.includes(order.payment.status))) {
+    await transitionOrder(store, order.id, 'cancelled', { note: 'Expired before payment' });
+    await releaseOrderHolds(order);
+  } else if (!['pending', 'failed'].includes(order.status)) {
+    await commitReservation(store, order.id);
+  }
+}
 
-  // Validate items structure
-  for (const item of items) {
-    if (!item.id || !item.quantity) {
-      return res.status(400).json({ error: 'Invalid item structure: id and quantity required' });
+// Holds the order's stock. When something is sold out, holds of
+// abandoned orders that expired since the sweeper last ran (or that no
+// sweeper will release, on serverless hosts) are released and the
+// reservation is tried once more.
+async function reserveOrderStock(orderId, items, options) {
+  try {
+    return await reserveStock(store, orderId, items, options);
+  } catch (error) {
+    if (!(error instanceof CatalogError) || error.status !== 409
+      || await sweepExpiredReservations(store, cancelExpiredOrder) === 0) {
+      throw error;
     }
-    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
-      return res.status(400).json({ error: 'Invalid quantity: must be a positive integer' });
+    return reserveStock(store, orderId, items, options);
+  }
+}
+
+// Promo code, currency, customer location and shipping of a quote or
+// order request
+function pricingRequest(body) {
+  const { items, promoCode, customerEmail, currency, country, region, shippingAddress, shippingMethod } = body;
+  return {
+    items,
+    promoCode,
+    customerEmail,
+    currency: typeof currency === 'string' ? currency.toUpperCase() : currency || BASE_CURRENCY,
+    country,
+    region,
+    shippingAddress,
+    shippingMethod,
+  };
+}
+
+// Price a cart without placing an order: line items, the promo code
+// discount, tax for the customer's country and region, and the final
+// total in the chosen currency. A code that can't be used is reported in
+// `promoError` alongside the undiscounted quote.
+app.post('/api/cart/quote', async (req, res) => {
+  const { promoCode, customerEmail } = req.body;
+
+  if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+    return res.status(400).json({ error: 'Invalid promoCode: must be a string' });
+  }
+  if (customerEmail && !isValidEmail(customerEmail)) {
+    return res.status(400).json({ error: 'Invalid email address format' });
+  }
+
+  try {
+    try {
+      res.json(await quoteOrder(store, pricingRequest(req.body), pricingOptions));
+    } catch (error) {
+      if (!(error instanceof PromotionError)) throw error;
+      const quote = await quoteOrder(store, { ...pricingRequest(req.body), promoCode: null }, pricingOptions);
+      res.json({ ...quote, promoError: error.message });
     }
-    const product = products.find(p => p.id === item.id);
-    if (!product) {
-      return res.status(400).json({ error: `Product not found: ${item.id}` });
+  } catch (error) {
+    if (isPricingError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Quote error', { error });
+    res.status(500).json({ error: 'Failed to price cart' });
+  }
+});
+
+// Customer accounts (see lib/accounts.js). Signed-in customers carry an
+// HTTP-only session cookie.
+const SESSION_COOKIE = 'session_id';
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: PUBLIC_BASE_URL.startsWith('https:'),
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+// The signed-in customer, or null
+async function currentCustomer(req) {
+  if (req.customer === undefined) {
+    req.customer = await getSessionCustomer(store, readCookie(req, SESSION_COOKIE));
+  }
+  return req.customer;
+}
+
+// Lets only signed-in customers through, with the account in req.customer
+async function requireCustomer(req, res, next) {
+  try {
+    if (!(await currentCustomer(req))) {
+      return res.status(401).json({ error: 'Please sign in' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function sendAccountError(res, error, message) {
+  if (error instanceof AccountError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+// Server-side carts (see lib/carts.js). The browser's cart is remembered
+// in an HTTP-only cookie; cart IDs are random, so knowing one is what
+// gives access to the cart.
+const CART_COOKIE = 'cart_id';
+
+function readCookie(req, name) {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function setCartCookie(res, cartId) {
+  res.cookie(CART_COOKIE, cartId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: PUBLIC_BASE_URL.startsWith('https:'),
+    maxAge: CART_TTL_MS,
+    path: '/',
+  });
+}
+
+function sendCartError(res, error, message) {
+  if (error instanceof CartError || isPricingError(error)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+// Responds with the cart, priced against the current catalog
+async function sendCart(res, cart, status = 200) {
+  res.status(status).json(await serializeCart(store, cart, pricingOptions));
+}
+
+// The cart this browser's cookie points at. Signed-in customers get their
+// account's cart on any device.
+app.get('/api/carts/current', async (req, res) => {
+  try {
+    let cart = await getCart(store, readCookie(req, CART_COOKIE));
+    const customer = await currentCustomer(req);
+    if (customer && (!cart || cart.customerId !== customer.id)) {
+      cart = await findCustomerCart(store, customer.id) || cart;
     }
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    setCartCookie(res, cart.id);
+    await sendCart(res, cart);
+  } catch (error) {
+    sendCartError(res, error, 'Failed to load cart');
+  }
+});
+
+// Start a cart, optionally with `{ items, promoCode, currency }`
+app.post('/api/carts', async (req, res) => {
+  try {
+    const customer = await currentCustomer(req);
+    const cart = await createCart(store, req.body || {}, {
+      ...pricingOptions,
+      customerId: customer ? customer.id : null,
+    });
+    setCartCookie(res, cart.id);
+    await sendCart(res, cart, 201);
+  } catch (error) {
+    sendCartError(res, error, 'Failed to create cart');
+  }
+});
+
+app.get('/api/carts/:id', async (req, res) => {
+  try {
+    const cart = await getCart(store, req.params.id);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    await sendCart(res, cart);
+  } catch (error) {
+    sendCartError(res, error, 'Failed to load cart');
+  }
+});
+
+// Replace any of the cart's `items`, `promoCode` and `currency`
+app.patch('/api/carts/:id', async (req, res) => {
+  try {
+    await sendCart(res, await updateCart(store, req.params.id, req.body || {}, pricingOptions));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to update cart');
+  }
+});
+
+// Add `{ variantId, quantity }` to the cart
+app.post('/api/carts/:id/items', async (req, res) => {
+  try {
+    await sendCart(res, await addCartItem(store, req.params.id, req.body || {}));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to update cart');
+  }
+});
+
+// Set a line's `{ quantity }`; 0 removes it
+app.patch('/api/carts/:id/items/:variantId', async (req, res) => {
+  try {
+    const quantity = (req.body || {}).quantity;
+    await sendCart(res, await setCartItemQuantity(store, req.params.id, req.params.variantId, quantity));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to update cart');
+  }
+});
+
+app.delete('/api/carts/:id/items/:variantId', async (req, res) => {
+  try {
+    await sendCart(res, await removeCartItem(store, req.params.id, req.params.variantId));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to update cart');
+  }
+});
+
+// Starts a session for `customer` and moves this browser's guest cart into
+// the account's cart
+async function signIn(req, res, customer) {
+  const session = await createSession(store, customer.id);
+  setSessionCookie(res, session.token);
+  const cart = await mergeCarts(store, readCookie(req, CART_COOKIE), customer.id);
+  if (cart) {
+    setCartCookie(res, cart.id);
+  }
+  res.json(serializeCustomer(customer));
+}
+
+// Emails a login link (`login_link`) or the link confirming a new
+// account (`account_confirm`)
+async function emailLoginLink(template, { customer, token, expiresAt }) {
+  await outbox.enqueue({
+    id: `login:${randomBytes(8).toString('hex')}`,
+    to: customer.email,
+    template,
+    data: { url: `${PUBLIC_BASE_URL}/?login=${encodeURIComponent(token)}`, expiresAt },
+  });
+  outbox.flush().catch(error => logger.error('Failed to send login link', { error }));
+}
+
+// Create an account with a password. The customer confirms the address
+// through the emailed link, which signs them in. The answer is the same
+// whether or not the address has an account.
+app.post('/api/account/register', loginLinkRateLimit, async (req, res) => {
+  const { email, password, name } = req.body || {};
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address format' });
+  }
+  try {
+    const registration = await registerCustomer(store, { email, password, name });
+    await emailLoginLink(registration.confirming ? 'account_confirm' : 'login_link', registration);
+    res.status(202).json({ sent: true });
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to create account');
+  }
+});
+
+// Sign in with `{ email, password }`, or with `{ token }` from a login link
+app.post('/api/account/login', loginRateLimit, async (req, res) => {
+  const { email, password, token } = req.body || {};
+  try {
+    const customer = typeof token === 'string' && token
+      ? await redeemLoginToken(store, token)
+      : await verifyPassword(store, email, password);
+    await signIn(req, res, customer);
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to sign in');
+  }
+});
+
+// Email a one-time login link. The answer is the same whether or not the
+// address has an account; one is created on first use.
+app.post('/api/account/login-link', loginLinkRateLimit, async (req, res) => {
+  const { email } = req.body || {};
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address format' });
+  }
+  try {
+    await emailLoginLink('login_link', await createLoginToken(store, email));
+    res.status(202).json({ sent: true });
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to send login link');
   }
+});
+
+app.post('/api/account/logout', async (req, res) => {
+  try {
+    await deleteSession(store, readCookie(req, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.clearCookie(CART_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to sign out');
+  }
+});
+
+app.get('/api/account', requireCustomer, (req, res) => {
+  res.json(serializeCustomer(req.customer));
+});
+
+// Set or change the password (accounts made through a login link start
+// without one)
+app.put('/api/account/password', requireCustomer, async (req, res) => {
+  try {
+    const customer = await setPassword(store, req.customer.id, (req.body || {}).password);
+    res.json(serializeCustomer(customer));
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to change password');
+  }
+});
+
+// "My Orders": the account's orders, newest first, with download links
+app.get('/api/account/orders', requireCustomer, async (req, res) => {
+  try {
+    const orders = await listOrdersByCustomer(store, req.customer);
+    res.json(await Promise.all(orders.map(serializeCustomerOrder)));
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to look up orders');
+  }
+});
+
+app.get('/api/account/cards', requireCustomer, (req, res) => {
+  res.json(req.customer.cards);
+});
+
+// Save a card on file: `{ sourceId }` is a card token from the Web
+// Payments SDK, tokenized with the customer's consent to keep the card
+app.post('/api/account/cards', requireCustomer, async (req, res) => {
+  const { sourceId, verificationToken } = req.body || {};
+  if (typeof sourceId !== 'string' || !sourceId) {
+    return res.status(400).json({ error: 'Invalid sourceId: must be a card token' });
+  }
+  if (verificationToken !== undefined && typeof verificationToken !== 'string') {
+    return res.status(400).json({ error: 'Invalid verificationToken: must be a string' });
+  }
+  try {
+    res.status(201).json(await saveCard(store, squareClient, req.customer, { sourceId, verificationToken }));
+  } catch (error) {
+    if (!(error instanceof AccountError) && error.statusCode) {
+      const failure = mapSquareError(error);
+      logger.error('Save card error', { code: failure.code, squareCode: failure.squareCode, detail: failure.detail });
+      return res.status(failure.status).json(paymentErrorBody(failure));
+    }
+    sendAccountError(res, error, 'Failed to save card');
+  }
+});
+
+app.delete('/api/account/cards/:id', requireCustomer, async (req, res) => {
+  try {
+    const customer = await removeCard(store, squareClient, req.customer, req.params.id);
+    res.json(customer.cards);
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to remove card');
+  }
+});
+
+// Create order endpoint
+app.post('/api/orders', orderRateLimit, idempotency(store, 'orders'), async (req, res) => {
+  const { promoCode } = req.body;
+  let { customerEmail } = req.body;
 
   // Validate email if provided
-  // Using a reasonable email validation regex that handles most common cases
-  // For production, consider using a dedicated email validation library
-  if (customerEmail) {
-    const emailRegex = /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    if (!emailRegex.test(customerEmail) || customerEmail.length > 254) {
-      return res.status(400).json({ error: 'Invalid email address format' });
+  if (customerEmail && !isValidEmail(customerEmail)) {
+    return res.status(400).json({ error: 'Invalid email address format' });
+  }
+  if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+    return res.status(400).json({ error: 'Invalid promoCode: must be a string' });
+  }
+
+  try {
+    // Orders placed while signed in belong to the account
+    const customer = await currentCustomer(req);
+    customerEmail = customerEmail || (customer ? customer.email : undefined);
+
+    // Items name a variant (`variantId`); a bare product `id` orders that
+    // product's first variant. Prices come from the catalog, never the
+    // client. Tax needs the customer's country once tax rules are set up.
+    const quote = await quoteOrder(store, {
+      ...pricingRequest(req.body),
+      customerEmail,
+      requireLocation: true,
+    }, pricingOptions);
+
+    // Limited-stock variants are held for the order until it is paid or
+    // expires (see lib/inventory.js), and the promo code use is taken when
+    // the order is placed
+    const orderId = randomUUID();
+    const now = new Date();
+    await reserveOrderStock(orderId, quote.items, { expiresAt: new Date(now.getTime() + ORDER_TTL_MS), now });
+    try {
+      if (quote.promotion) {
+        await redeemPromotion(store, quote.promotion.code, customerEmail);
+      }
+    } catch (error) {
+      await releaseReservation(store, orderId);
+      throw error;
     }
+    try {
+      const order = await createOrder(store, {
+        id: orderId,
+        now,
+        items: quote.items,
+        customerEmail,
+        promotion: quote.promotion,
+        currency: quote.currency,
+        exchangeRate: quote.exchangeRate,
+        taxRule: quote.taxRule,
+        location: quote.location,
+        shipping: quote.shipping,
+        shippingAddress: quote.shippingAddress,
+        customerId: customer ? customer.id : null,
+      });
+      res.json(serializeOrder(order));
+    } catch (error) {
+      await releaseOrderHolds({ id: orderId, items: quote.items, promotion: quote.promotion, customerEmail });
+      throw error;
+    }
+  } catch (error) {
+    if (isPricingError(error)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Order creation error', { error });
+    res.status(500).json({ error: 'Failed to create order' });
   }
+});
 
-  // Calculate total
-  const total = items.reduce((sum, item) => {
-    const product = products.find(p => p.id === item.id);
-    return sum + (product ? product.price * item.quantity : 0);
-  }, 0);
+// Look up orders by customer email
+app.get('/api/orders', async (req, res) => {
+  const { email } = req.query;
 
-  const orderId = randomUUID();
+  if (!email) {
+    return res.status(400).json({ error: 'Missing required query parameter: email' });
+  }
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address format' });
+  }
 
-  res.json({
-    orderId,
-    items,
-    total,
-    customerEmail,
-    createdAt: new Date().toISOString(),
+  try {
+    // Anyone can look up an email address, so download links and home
+    // addresses are left out; links come with the order ID, the receipt
+    // email and the signed-in customer's order history
+    const orders = await listOrdersByEmail(store, email);
+    res.json(orders.map(order => ({ ...serializeOrder(order), shippingAddress: undefined })));
+  } catch (error) {
+    logger.error('Order lookup error', { error });
+    res.status(500).json({ error: 'Failed to look up orders' });
+  }
+});
+
+// Get single order
+app.get('/api/orders/:id', async (req, res) => {
+  try {
+    const order = await getOrder(store, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(await serializeCustomerOrder(order));
+  } catch (error) {
+    logger.error('Order lookup error', { error });
+    res.status(500).json({ error: 'Failed to look up order' });
+  }
+});
+
+// Download a purchased photo through a signed link from the order
+app.get('/api/downloads/:token', async (req, res) => {
+  try {
+    const { filePath, filename } = await downloads.redeem(req.params.token);
+    res.set('Cache-Control', 'private, no-store');
+    res.download(filePath, filename, error => {
+      if (error && !res.headersSent) {
+        logger.error('Download error', { error });
+        res.status(500).json({ error: 'Download failed' });
+      }
+    });
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Download error', { error });
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+// Pay a mock Lightning invoice, standing in for a customer's wallet.
+// Only available when running against the mock node (LIGHTNING_NODE=mock).
+if (lightningNode && lightningNode.settleInvoice) {
+  app.post('/api/dev/lightning/invoices/:paymentHash/settle', async (req, res) => {
+    try {
+      const invoice = await lightningNode.settleInvoice(req.params.paymentHash);
+      res.json(invoice);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
+
+// Send coins to an address on the stub chain and mine blocks, standing in
+// for a customer's wallet and the network. Only available with BITCOIN_CHAIN=stub.
+if (bitcoinChain && bitcoinChain.addPayment) {
+  app.post('/api/dev/bitcoin/addresses/:address/payments', (req, res) => {
+    const { value, confirmations = 0 } = req.body;
+    if (!Number.isInteger(value) || value <= 0) {
+      return res.status(400).json({ error: 'Invalid value: must be a positive integer in satoshis' });
+    }
+    res.json(bitcoinChain.addPayment(req.params.address, { value, confirmations }));
+  });
+
+  app.post('/api/dev/bitcoin/blocks', (req, res) => {
+    const { count = 1 } = req.body;
+    if (!Number.isInteger(count) || count <= 0) {
+      return res.status(400).json({ error: 'Invalid count: must be a positive integer' });
+    }
+    bitcoinChain.mineBlocks(count);
+    res.json({ mined: count });
+  });
+}
+
+// Refund all or part of an order (staff only)
+function refundOrder(serialize) {
+  return async (req, res) => {
+    const { amount, items, reason } = req.body || {};
+
+    try {
+      const { refund, order } = await issueRefund(store, squareClient, req.params.id, { amount, items, reason });
+      metrics.refunds.inc({ currency: refund.currency });
+      metrics.refundedAmount.inc({ currency: refund.currency }, refund.amount);
+      res.status(201).json({ refund, order: serialize(order) });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Refund error', { orderId: req.params.id, error });
+      // Square's reasons are explained to staff (see lib/square.js);
+      // nothing else is
+      const failure = mapSquareRefundError(error);
+      if (failure) {
+        return res.status(failure.status).json({ error: failure.message, code: failure.code, retryable: failure.retryable });
+      }
+      res.status(500).json({ error: 'Refund failed' });
+    }
+  };
+}
+
+app.post('/api/orders/:id/refunds', requireAdmin, idempotency(store, 'refunds'), refundOrder(serializeOrder));
+
+// Admin API used by the staff dashboard at /admin. Every route needs the
+// ADMIN_API_TOKEN bearer token.
+app.use('/api/admin', requireAdmin);
+
+// List orders, filtered by ?status=&from=&to=&email=&product=
+app.get('/api/admin/orders', async (req, res) => {
+  try {
+    const orders = await listOrders(store, parseOrderFilters(req.query));
+    res.json(orders.map(serializeAdminOrder));
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Admin order list error', { error });
+    res.status(500).json({ error: 'Failed to list orders' });
+  }
+});
+
+// The same filtered list as a CSV download
+app.get('/api/admin/orders.csv', async (req, res) => {
+  try {
+    const orders = await listOrders(store, parseOrderFilters(req.query));
+    res.type('text/csv')
+      .attachment(`orders-${new Date().toISOString().slice(0, 10)}.csv`)
+      .send(ordersToCsv(orders));
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Admin order export error', { error });
+    res.status(500).json({ error: 'Failed to export orders' });
+  }
+});
+
+app.get('/api/admin/orders/:id', async (req, res) => {
+  try {
+    const order = await getOrder(store, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(serializeAdminOrder(order));
+  } catch (error) {
+    logger.error('Admin order lookup error', { error });
+    res.status(500).json({ error: 'Failed to look up order' });
+  }
+});
+
+// Catalog management. Product changes only affect orders placed afterwards.
+function sendCatalogError(res, error, message) {
+  if (error instanceof CatalogError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+// Every product, archived ones included, in display order
+app.get('/api/admin/products', async (req, res) => {
+  try {
+    res.json(await listProducts(store, { includeArchived: true }));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to list products');
+  }
+});
+
+app.post('/api/admin/products', async (req, res) => {
+  try {
+    res.status(201).json(await createProduct(store, req.body || {}));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to create product');
+  }
+});
+
+// Set the display order: { ids: ["photo-3", "photo-1", ...] }
+app.post('/api/admin/products/reorder', async (req, res) => {
+  try {
+    res.json(await reorderProducts(store, (req.body || {}).ids));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to reorder products');
+  }
+});
+
+app.patch('/api/admin/products/:id', async (req, res) => {
+  try {
+    res.json(await updateProduct(store, req.params.id, req.body || {}));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to update product');
+  }
+});
+
+app.post('/api/admin/products/:id/variants', async (req, res) => {
+  try {
+    res.status(201).json(await addVariant(store, req.params.id, req.body || {}));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to add variant');
+  }
+});
+
+// Change a variant's name, SKU, type, price, stock or archived flag
+app.patch('/api/admin/products/:id/variants/:variantId', async (req, res) => {
+  try {
+    res.json(await updateVariant(store, req.params.id, req.params.variantId, req.body || {}));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to update variant');
+  }
+});
+
+app.post('/api/admin/products/:id/archive', async (req, res) => {
+  try {
+    res.json(await setProductArchived(store, req.params.id, true));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to archive product');
+  }
+});
+
+app.post('/api/admin/products/:id/unarchive', async (req, res) => {
+  try {
+    res.json(await setProductArchived(store, req.params.id, false));
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to restore product');
+  }
+});
+
+// Upload a product image as the raw request body, e.g.
+//   curl -X PUT --data-binary @photo.jpg -H "Content-Type: image/jpeg" ...
+app.put('/api/admin/products/:id/image', express.raw({ type: 'image/*', limit: MAX_IMAGE_BYTES }), async (req, res) => {
+  try {
+    const product = await saveProductImage(store, req.params.id, {
+      data: req.body,
+      contentType: req.is('image/*') ? req.get('Content-Type').split(';')[0].trim().toLowerCase() : null,
+      dir: PRODUCT_IMAGE_DIR,
+      urlPrefix: PRODUCT_IMAGE_URL_PREFIX,
+    });
+    res.json(product);
+  } catch (error) {
+    sendCatalogError(res, error, 'Failed to upload product image');
+  }
+});
+
+// Promo codes (see lib/promotions.js)
+function sendPromotionError(res, error, message) {
+  if (error instanceof PromotionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+app.get('/api/admin/promotions', async (req, res) => {
+  try {
+    res.json(await listPromotions(store));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to list promotions');
+  }
+});
+
+app.post('/api/admin/promotions', async (req, res) => {
+  try {
+    res.status(201).json(await createPromotion(store, req.body || {}));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to create promotion');
+  }
+});
+
+app.patch('/api/admin/promotions/:code', async (req, res) => {
+  try {
+    res.json(await updatePromotion(store, req.params.code, req.body || {}));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to update promotion');
+  }
+});
+
+// Exchange rates ({ EUR: 0.92, ... } per 1 USD), tax rules and shipping
+// rates
+function sendSettingsError(res, error, message) {
+  if (error instanceof CurrencyError || error instanceof TaxError || error instanceof ShippingError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+app.get('/api/admin/exchange-rates', async (req, res) => {
+  try {
+    res.json({ base: BASE_CURRENCY, rates: await getExchangeRates(store, pricingOptions.fallbackRates) });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to load exchange rates');
+  }
+});
+
+app.put('/api/admin/exchange-rates', async (req, res) => {
+  try {
+    const { base, rates } = await saveExchangeRates(store, (req.body || {}).rates);
+    res.json({ base, rates });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to save exchange rates');
+  }
+});
+
+app.get('/api/admin/tax-rules', async (req, res) => {
+  try {
+    res.json({ rules: await getTaxRules(store) });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to load tax rules');
+  }
+});
+
+app.put('/api/admin/tax-rules', async (req, res) => {
+  try {
+    const { rules } = await saveTaxRules(store, (req.body || {}).rules);
+    res.json({ rules });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to save tax rules');
+  }
+});
+
+app.get('/api/admin/shipping-rates', async (req, res) => {
+  try {
+    res.json({ rates: await getShippingRates(store) });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to load shipping rates');
+  }
+});
+
+app.put('/api/admin/shipping-rates', async (req, res) => {
+  try {
+    const { rates } = await saveShippingRates(store, (req.body || {}).rates);
+    res.json({ rates });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to save shipping rates');
+  }
+});
+
+app.post('/api/admin/orders/:id/refunds', idempotency(store, 'admin_refunds'), refundOrder(serializeAdminOrder));
+
+// Marks a paid order fulfilled (prints shipped or downloads delivered).
+// Staff shipping prints themselves can add the `shipments` with their
+// tracking numbers.
+app.post('/api/admin/orders/:id/fulfill', async (req, res) => {
+  const { note, shipments } = req.body || {};
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return res.status(400).json({ error: 'Invalid note: must be a string of at most 500 characters' });
+  }
+
+  try {
+    const order = shipments === undefined
+      ? await transitionOrder(store, req.params.id, 'fulfilled', { note: note || 'Marked fulfilled by staff' })
+      : await recordShipments(store, req.params.id, shipments, { note });
+    res.json(serializeAdminOrder(order));
+  } catch (error) {
+    if (error instanceof OrderError || error instanceof FulfillmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Fulfillment error', { error });
+    res.status(500).json({ error: 'Failed to mark order fulfilled' });
+  }
+});
+
+// Orders sent to the print lab, newest first; `?status=failed` lists the
+// ones that need a retry
+app.get('/api/admin/fulfillment', async (req, res) => {
+  if (!fulfillment) {
+    return res.status(404).json({ error: 'No print lab is configured' });
+  }
+  try {
+    const { status } = req.query;
+    res.json(await fulfillment.list(job => !status || job.status === status));
+  } catch (error) {
+    logger.error('Fulfillment queue error', { error });
+    res.status(500).json({ error: 'Failed to load the fulfillment queue' });
+  }
+});
+
+app.post('/api/admin/fulfillment/:id/retry', async (req, res) => {
+  if (!fulfillment) {
+    return res.status(404).json({ error: 'No print lab is configured' });
+  }
+  try {
+    res.json(await fulfillment.retry(req.params.id));
+  } catch (error) {
+    if (error instanceof FulfillmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Fulfillment retry error', { error });
+    res.status(500).json({ error: 'Failed to retry' });
+  }
+});
+
+// Shipments reported by the print lab: { orderId, shipments: [{ carrier,
+// trackingNumber, trackingUrl }] }, signed with PRINT_LAB_SECRET (see
+// lib/fulfillment/webhook-lab.js)
+app.post('/api/webhooks/print-lab', async (req, res) => {
+  const secret = process.env.PRINT_LAB_SECRET;
+  if (!fulfillment || !secret) {
+    return res.status(500).json({ error: 'Print lab webhooks are not configured' });
+  }
+  if (!verifyPrintLabSignature({ signature: req.get(PRINT_LAB_SIGNATURE_HEADER), body: req.rawBody, secret })) {
+    return res.status(403).json({ error: 'Invalid webhook signature' });
+  }
+
+  const { orderId, shipments } = req.body || {};
+  if (typeof orderId !== 'string' || !orderId) {
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
+
+  try {
+    const order = await fulfillment.markShipped(orderId, shipments);
+    res.json({ received: true, orderStatus: order.status });
+  } catch (error) {
+    if (error instanceof FulfillmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // A non-2xx response tells the lab to retry the delivery later
+    logger.error('Print lab webhook error', { orderId, error });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Square webhook notifications
+app.post('/api/webhooks/square', async (req, res) => {
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  const notificationUrl = process.env.SQUARE_WEBHOOK_NOTIFICATION_URL;
+
+  if (!signatureKey || !notificationUrl) {
+    return res.status(500).json({ error: 'Square webhooks are not configured' });
+  }
+
+  const valid = verifySquareSignature({
+    signature: req.get('x-square-hmacsha256-signature'),
+    body: req.rawBody,
+    signatureKey,
+    notificationUrl,
   });
+  if (!valid) {
+    return res.status(403).json({ error: 'Invalid webhook signature' });
+  }
+
+  const event = req.body;
+  if (!event || !event.event_id || !event.type) {
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
+
+  try {
+    const outcome = await handleSquareEvent(store, event);
+    res.json({ received: true, ...outcome });
+  } catch (error) {
+    // A non-2xx response makes Square retry the delivery later
+    logger.error('Webhook processing error', { error });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
 });
 
 // Health check
 app.get('/api/health', (req, res) => {
+  const { environment, configured, problems } = squareEnvironment;
   res.json({
-    status: 'ok',
-    squareConfigured: !!(process.env.SQUARE_ACCESS_TOKEN && process.env.SQUARE_LOCATION_ID),
+    status: problems.length > 0 ? 'degraded' : 'ok',
+    square: { environment, configured, problems },
   });
 });
 
+// Metrics in the Prometheus text format (see lib/metrics.js), for a
+// scraper holding METRICS_TOKEN
+app.get('/api/metrics', requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+});
+
 // Start server (for local development)
 if (require.main === module) {
   app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Square environment: ${process.env.SQUARE_ENVIRONMENT || 'sandbox'}`);
-    
-    if (missingConfig.length > 0) {
-      console.warn('⚠️  Warning: Missing Square credentials:', missingConfig.join(', '));
-    } else {
-      console.log('✓ Square credentials configured');
-    }
+    logger.info(`Server running on http://localhost:${PORT}`, {
+      squareEnvironment: squareEnvironment.environment,
+      squareConfigured: squareEnvironment.configured,
+      lightningNode: lightningNode ? lightningNode.name : null,
+      bitcoinChain: bitcoinChain ? bitcoinChain.name : null,
+      mailTransport: mailTransport.name,
+      printLab: printLab ? printLab.name : null,
+    });
+  });
+
+  // Settle asynchronous payments (Lightning invoices, on-chain payments) in the background
+  startPaymentWatcher(store, paymentProviders);
+  // Send paid orders to the print lab and pick up their tracking numbers
+  if (fulfillment) {
+    startFulfillmentWorker(fulfillment, {
+      intervalMs: Math.max(1, numberFromEnv('PRINT_LAB_POLL_SECONDS', 300)) * 1000,
+    });
+  }
+  // Give back stock held by orders that expired unpaid
+  startReservationSweeper(store, cancelExpiredOrder, {
+    intervalMs: Math.max(1, numberFromEnv('RESERVATION_SWEEP_SECONDS', 60)) * 1000,
   });
+  // Retry customer email that could not be sent yet
+  startOutboxWorker(outbox);
 }
 
 // Export the Express app for Vercel serverless deployment
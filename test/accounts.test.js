@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+const app = require('../server');
+const { createMemoryStore } = require('../lib/store');
+const { createCustomer, getCustomer, createLoginToken, redeemLoginToken } = require('../lib/accounts');
+const { saveCard, removeCard } = require('../lib/cards');
+
+// Minimal stand-in for SquareClient#customers and #cards that records its
+// calls
+function createCardsStub() {
+  const calls = [];
+  return {
+    calls,
+    customers: {
+      async create(request) {
+        calls.push(['customers.create', request]);
+        return { customer: { id: 'SQ_CUSTOMER_1' } };
+      },
+    },
+    cards: {
+      async create(request) {
+        calls.push(['cards.create', request]);
+        return {
+          card: { id: `ccof:card-${calls.length}`, cardBrand: 'VISA', last4: '1111', expMonth: BigInt(12), expYear: BigInt(2030) },
+        };
+      },
+      async disable(request) {
+        calls.push(['cards.disable', request]);
+        return { card: { id: request.cardId, enabled: false } };
+      },
+    },
+  };
+}
+
+describe('Cards on file', () => {
+  it('links the account to a Square Customer once and keeps card summaries', async () => {
+    const store = createMemoryStore();
+    const squareClient = createCardsStub();
+    const customer = await createCustomer(store, { email: 'Saver@Example.com', password: 'correct horse' });
+
+    const card = await saveCard(store, squareClient, customer, { sourceId: 'cnon:card-nonce-ok' });
+    assert.deepEqual(card, { id: 'ccof:card-2', brand: 'VISA', last4: '1111', expMonth: 12, expYear: 2030 });
+    await saveCard(store, squareClient, await getCustomer(store, customer.id), { sourceId: 'cnon:another' });
+
+    const saved = await getCustomer(store, customer.id);
+    assert.equal(saved.squareCustomerId, 'SQ_CUSTOMER_1');
+    assert.equal(saved.cards.length, 2);
+    assert.equal(squareClient.calls.filter(([name]) => name === 'customers.create').length, 1);
+    assert.equal(squareClient.calls[1][1].card.customerId, 'SQ_CUSTOMER_1');
+
+    const updated = await removeCard(store, squareClient, saved, 'ccof:card-2');
+    assert.deepEqual(updated.cards.map(c => c.id), ['ccof:card-3']);
+    await assert.rejects(removeCard(store, squareClient, updated, 'ccof:someone-else'), { status: 404 });
+  });
+});
+
+describe('Login links', () => {
+  it('work only once, even when followed twice at the same time', async () => {
+    const store = createMemoryStore();
+    const { token } = await createLoginToken(store, 'twice@example.com');
+
+    const results = await Promise.allSettled([redeemLoginToken(store, token), redeemLoginToken(store, token)]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.status, 401);
+  });
+});
+
+describe('Customer accounts', () => {
+  let server;
+  let baseUrl;
+
+  // Minimal cookie jar: one per simulated browser
+  function createBrowser() {
+    const cookies = new Map();
+    return async function request(method, urlPath, body) {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; '),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      for (const header of response.headers.getSetCookie()) {
+        const [pair, ...attributes] = header.split(';');
+        const [name, value] = pair.split('=');
+        if (attributes.some(a => /expires=Thu, 01 Jan 1970/i.test(a)) || !value) cookies.delete(name);
+        else cookies.set(name, value);
+      }
+      return response;
+    };
+  }
+
+  // Follows the last link emailed to `email` with `template` in `browser`
+  async function followEmailedLink(browser, email, template = 'login_link') {
+    const messages = await app.locals.outbox.list(m => m.template === template && m.to === email);
+    const message = messages.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).at(-1);
+    const token = decodeURIComponent(message.text.match(/\?login=(\S+)/)[1]);
+    return browser('POST', '/api/account/login', { token });
+  }
+
+  // Registers and confirms the address, which signs `browser` in
+  async function register(browser, email, password) {
+    assert.equal((await browser('POST', '/api/account/register', { email, password })).status, 202);
+    return followEmailedLink(browser, email, 'account_confirm');
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('registers, signs in and out with a password', async () => {
+    const browser = createBrowser();
+    assert.equal((await browser('GET', '/api/account')).status, 401);
+    assert.equal((await browser('POST', '/api/account/register', { email: 'ada@example.com', password: 'short' })).status, 400);
+
+    const registered = await browser('POST', '/api/account/register', { email: 'Ada@Example.com', password: 'analytical engine', name: 'Ada' });
+    assert.equal(registered.status, 202);
+    assert.equal((await browser('POST', '/api/account/login', { email: 'ada@example.com', password: 'analytical engine' })).status, 401,
+      'the password works once the address is confirmed');
+
+    const confirmed = await followEmailedLink(browser, 'ada@example.com', 'account_confirm');
+    assert.equal(confirmed.status, 200);
+    assert.match(confirmed.headers.get('set-cookie'), /session_id=[^;]+; .*HttpOnly/);
+    const account = await (await browser('GET', '/api/account')).json();
+    assert.equal(account.email, 'ada@example.com');
+    assert.equal(account.name, 'Ada');
+    assert.equal(account.hasPassword, true);
+
+    // Registering a taken address looks the same and only emails a login link
+    const again = await createBrowser()('POST', '/api/account/register', { email: 'ada@example.com', password: 'different engine' });
+    assert.equal(again.status, 202);
+    assert.deepEqual(await again.json(), { sent: true });
+
+    await browser('POST', '/api/account/logout');
+    assert.equal((await browser('GET', '/api/account')).status, 401);
+    assert.equal((await browser('POST', '/api/account/login', { email: 'ada@example.com', password: 'wrong password' })).status, 401);
+    assert.equal((await browser('POST', '/api/account/login', { email: 'ada@example.com', password: 'analytical engine' })).status, 200);
+    assert.equal((await browser('GET', '/api/account')).status, 200);
+  });
+
+  it('signs in with a one-time emailed link', async () => {
+    const browser = createBrowser();
+    assert.equal((await browser('POST', '/api/account/login-link', { email: 'grace@example.com' })).status, 202);
+
+    const [message] = await app.locals.outbox.list(m => m.template === 'login_link' && m.to === 'grace@example.com');
+    const token = decodeURIComponent(message.text.match(/\?login=(\S+)/)[1]);
+
+    const response = await browser('POST', '/api/account/login', { token });
+    assert.equal(response.status, 200);
+    const account = await response.json();
+    assert.equal(account.emailVerified, true);
+    assert.equal(account.hasPassword, false);
+    assert.equal((await browser('POST', '/api/account/login', { token })).status, 401, 'links work once');
+  });
+
+  it('gives nothing to someone who registers another person\'s address', async () => {
+    const attacker = createBrowser();
+    assert.equal((await attacker('POST', '/api/account/register', { email: 'victim@example.com', password: 'attacker password' })).status, 202);
+    assert.equal((await attacker('GET', '/api/account')).status, 401);
+
+    // The owner signs in with an ordinary login link
+    const victim = createBrowser();
+    await victim('POST', '/api/account/login-link', { email: 'victim@example.com' });
+    const account = await (await followEmailedLink(victim, 'victim@example.com')).json();
+    assert.equal(account.emailVerified, true);
+    assert.equal(account.hasPassword, false);
+
+    assert.equal((await attacker('POST', '/api/account/login', { email: 'victim@example.com', password: 'attacker password' })).status, 401);
+  });
+
+  it('lists the account orders and merges the guest cart on sign-in', async () => {
+    const browser = createBrowser();
+    await register(browser, 'linus@example.com', 'penguins rule');
+    const items = [{ variantId: 'photo-5-digital-personal', quantity: 1 }];
+    const placed = await (await browser('POST', '/api/orders', { items })).json();
+    assert.equal(placed.customerEmail, 'linus@example.com');
+    await browser('POST', '/api/carts', { items });
+
+    // Guest orders with the confirmed email address are shown too
+    const guestOrder = await (await fetch(`${baseUrl}/api/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items, customerEmail: 'linus@example.com' }),
+    })).json();
+    const orders = await (await browser('GET', '/api/account/orders')).json();
+    assert.deepEqual(orders.map(order => order.orderId).sort(), [placed.orderId, guestOrder.orderId].sort());
+    assert.ok(Array.isArray(orders[0].downloads));
+
+    // Another device: a guest cart that is merged into the account cart
+    const phone = createBrowser();
+    await phone('POST', '/api/carts', { items: [{ variantId: 'photo-5-digital-personal', quantity: 2 }] });
+    await phone('POST', '/api/account/login', { email: 'linus@example.com', password: 'penguins rule' });
+    const cart = await (await phone('GET', '/api/carts/current')).json();
+    assert.deepEqual(cart.items.map(item => [item.variantId, item.quantity]), [['photo-5-digital-personal', 3]]);
+    assert.equal((await (await browser('GET', '/api/carts/current')).json()).id, cart.id);
+  });
+
+  it('needs a signed-in customer and one of their cards to pay with a saved card', async () => {
+    const guest = createBrowser();
+    const order = await (await guest('POST', '/api/orders', { items: [{ variantId: 'photo-6-8x10-matte', quantity: 1 }] })).json();
+    let response = await guest('POST', '/api/payment', { orderId: order.orderId, cardId: 'ccof:abc' });
+    assert.equal(response.status, 401);
+
+    await register(guest, 'nocards@example.com', 'no cards here');
+    response = await guest('POST', '/api/payment', { orderId: order.orderId, cardId: 'ccof:abc' });
+    assert.equal(response.status, 404);
+  });
+});
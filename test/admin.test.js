@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+const app = require('../server');
+const { createOrder, transitionOrder } = require('../lib/orders');
+const { parseOrderFilters, ordersToCsv } = require('../lib/admin');
+
+const SUNSET = { productId: 'photo-1', name: 'Mountain Sunset', unitPrice: 2999, quantity: 1 };
+const AURORA = { productId: 'photo-6', name: 'Northern Lights', unitPrice: 4999, quantity: 2 };
+
+describe('Admin API', () => {
+  let server;
+  let baseUrl;
+  const ids = {};
+
+  function adminFetch(path, options = {}) {
+    return fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer test-admin-token',
+        ...options.headers,
+      },
+    });
+  }
+
+  async function listOrderIds(query) {
+    const response = await adminFetch(`/api/admin/orders?${query}`);
+    assert.equal(response.status, 200);
+    return (await response.json()).map(order => order.orderId);
+  }
+
+  before(async () => {
+    const store = app.locals.store;
+    const early = await createOrder(store, {
+      items: [SUNSET],
+      customerEmail: 'alice@example.com',
+      now: new Date('2026-03-01T10:00:00Z'),
+    });
+    const late = await createOrder(store, {
+      items: [AURORA],
+      customerEmail: 'Bob@Example.com',
+      now: new Date('2026-03-15T18:30:00Z'),
+    });
+    await transitionOrder(store, late.id, 'paid', {
+      changes: { payment: { provider: 'square', id: 'payment-1', status: 'COMPLETED', amount: late.total, currency: 'USD' } },
+    });
+    ids.early = early.id;
+    ids.late = late.id;
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('rejects requests without the admin token', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/orders`);
+    assert.equal(response.status, 401);
+  });
+
+  it('lists orders newest first', async () => {
+    assert.deepEqual(await listOrderIds(''), [ids.late, ids.early]);
+  });
+
+  it('filters by status, date range, email and product', async () => {
+    assert.deepEqual(await listOrderIds('status=paid'), [ids.late]);
+    assert.deepEqual(await listOrderIds('status=pending,paid'), [ids.late, ids.early]);
+    assert.deepEqual(await listOrderIds('from=2026-03-02'), [ids.late]);
+    assert.deepEqual(await listOrderIds('to=2026-03-01'), [ids.early]);
+    assert.deepEqual(await listOrderIds('email=bob@'), [ids.late]);
+    assert.deepEqual(await listOrderIds('product=photo-1'), [ids.early]);
+    assert.deepEqual(await listOrderIds('product=northern'), [ids.late]);
+  });
+
+  it('rejects unknown statuses and invalid dates', async () => {
+    assert.equal((await adminFetch('/api/admin/orders?status=shipped')).status, 400);
+    assert.equal((await adminFetch('/api/admin/orders?from=yesterday')).status, 400);
+  });
+
+  it('returns an order with its payment, refunds and disputes', async () => {
+    const response = await adminFetch(`/api/admin/orders/${ids.late}`);
+    const order = await response.json();
+    assert.equal(order.payment.id, 'payment-1');
+    assert.deepEqual(order.refunds, []);
+    assert.deepEqual(order.disputes, []);
+    assert.equal(order.refundedAmount, 0);
+
+    assert.equal((await adminFetch('/api/admin/orders/missing')).status, 404);
+  });
+
+  it('marks paid orders fulfilled', async () => {
+    const response = await adminFetch(`/api/admin/orders/${ids.late}/fulfill`, {
+      method: 'POST',
+      body: JSON.stringify({ note: 'Shipped' }),
+    });
+    assert.equal(response.status, 200);
+    const order = await response.json();
+    assert.equal(order.status, 'fulfilled');
+    assert.equal(order.history.at(-1).note, 'Shipped');
+
+    const unpaid = await adminFetch(`/api/admin/orders/${ids.early}/fulfill`, { method: 'POST' });
+    assert.equal(unpaid.status, 409);
+  });
+
+  it('exports the filtered list as CSV', async () => {
+    const response = await adminFetch('/api/admin/orders.csv?email=alice');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="orders-/);
+
+    const lines = (await response.text()).trim().split('\r\n');
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^Order ID,Created At,Status,Customer Email,Items,Total/);
+    assert.match(lines[1], new RegExp(`^${ids.early},2026-03-01T10:00:00.000Z,pending,alice@example.com,Mountain Sunset x1,29.99,`));
+  });
+});
+
+describe('Admin helpers', () => {
+  it('treats a plain "to" date as the end of that day', () => {
+    assert.equal(parseOrderFilters({ to: '2026-03-01' }).to.toISOString(), '2026-03-01T23:59:59.999Z');
+  });
+
+  it('quotes CSV fields and neutralizes spreadsheet formulas', () => {
+    const csv = ordersToCsv([{
+      id: 'order-1',
+      createdAt: '2026-03-01T10:00:00.000Z',
+      status: 'paid',
+      customerEmail: '=HYPERLINK("x")@example.com',
+      items: [{ name: 'Sunset, "framed"', quantity: 1 }],
+      total: 2999,
+      currency: 'USD',
+      refunds: [],
+    }]);
+    const row = csv.split('\r\n')[1];
+    assert.equal(row, `order-1,2026-03-01T10:00:00.000Z,paid,"'=HYPERLINK(""x"")@example.com","Sunset, ""framed"" x1",29.99,0.00,USD,,`);
+  });
+});
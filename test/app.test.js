@@ -0,0 +1,323 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_ACCESS_TOKEN = 'test-access-token';
+process.env.SQUARE_APPLICATION_ID = 'sandbox-sq0idb-test';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+
+const app = require('../server');
+const { getCart } = require('../lib/carts');
+const { getProduct, updateVariant } = require('../lib/catalog');
+const { getOrder } = require('../lib/orders');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const INDEX_HTML = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+const APP_JS = new vm.Script(fs.readFileSync(path.join(PUBLIC_DIR, 'js', 'app.js'), 'utf8'), { filename: 'app.js' });
+
+// Stand-in for the Square Web Payments SDK (window.Square). Cards tokenize
+// to a nonce the fake Square client accepts and buyer verification always
+// passes; wallets report themselves unavailable.
+function createWebPaymentsFake() {
+  const calls = [];
+  return {
+    calls,
+    payments(applicationId, locationId) {
+      calls.push(['payments', applicationId, locationId]);
+      const unavailable = async () => { throw new Error('Not available on this device'); };
+      return {
+        async card() {
+          return {
+            async attach(selector) { calls.push(['attach', selector]); },
+            addEventListener() {},
+            async tokenize() {
+              calls.push(['tokenize']);
+              return { status: 'OK', token: 'cnon:card-nonce-ok' };
+            },
+            async destroy() {},
+          };
+        },
+        async verifyBuyer(sourceId, details) {
+          calls.push(['verifyBuyer', sourceId, details]);
+          return { token: 'verf:buyer-ok' };
+        },
+        paymentRequest() {
+          return { update() {} };
+        },
+        googlePay: unavailable,
+        applePay: unavailable,
+        cashAppPay: unavailable,
+      };
+    },
+  };
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for the page');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Storefront (public/js/app.js)', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+  const store = app.locals.store;
+  const pages = [];
+
+  // Loads the storefront in jsdom against the test server. `cookies` is the
+  // browser's cookie jar; while `network.offline` is set, cart requests fail
+  // like they would without a connection, and while `network.dropPayments`
+  // is set payments reach the server but their responses are lost.
+  // `page.paymentKeys` lists the Idempotency-Key of every payment request.
+  // With `sdk: 'load'` the page starts without the Web Payments SDK and the
+  // fake is installed once the page adds the SDK's script tag.
+  async function openStore({ cookies = new Map(), network = { offline: false }, sdk = 'preloaded' } = {}) {
+    const dom = new JSDOM(INDEX_HTML, { url: `${baseUrl}/`, runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+
+    const page = { window, document: window.document, cookies, network, requests: 0, paymentKeys: [], run: code => window.eval(code) };
+    window.fetch = async (url, options = {}) => {
+      if (network.offline && new URL(url).pathname.startsWith('/api/carts')) {
+        throw new TypeError('Failed to fetch');
+      }
+      const isPayment = new URL(url).pathname === '/api/payment';
+      if (isPayment) {
+        page.paymentKeys.push(options.headers['Idempotency-Key']);
+      }
+      page.requests++;
+      try {
+        const response = await fetch(url, {
+          ...options,
+          headers: { ...options.headers, Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') },
+        });
+        if (isPayment && network.dropPayments) {
+          throw new TypeError('Failed to fetch');
+        }
+        for (const header of response.headers.getSetCookie()) {
+          const [name, value] = header.split(';')[0].split('=');
+          if (value) cookies.set(name, value);
+          else cookies.delete(name);
+        }
+        // Read before returning, so the page has the body once requests is 0
+        const body = await response.text();
+        return new Response(body, { status: response.status, headers: response.headers });
+      } finally {
+        page.requests--;
+      }
+    };
+    window.alert = message => { throw new Error(`Unexpected alert: ${message}`); };
+    if (sdk === 'preloaded') {
+      window.Square = createWebPaymentsFake();
+    }
+
+    // Run as a classic script, so its top-level state can be read back
+    APP_JS.runInContext(dom.getInternalVMContext());
+    if (sdk === 'load') {
+      await waitFor(() => window.document.querySelector('head script[src]'));
+      const script = window.document.querySelector('head script[src]');
+      page.sdkUrl = script.src;
+      window.Square = createWebPaymentsFake();
+      script.dispatchEvent(new window.Event('load'));
+    }
+    await waitFor(() => window.document.querySelectorAll('.product-card').length > 0
+      && window.Square.calls.some(([name]) => name === 'attach'));
+    pages.push(page);
+    return page;
+  }
+
+  // Waits until every queued cart change has been sent
+  async function settled(page) {
+    await page.run('cartSync');
+  }
+
+  function selectVariant(page, productId, variantId) {
+    page.document.getElementById(`variant-${productId}`).value = variantId;
+    page.run(`updateProductCard('${productId}')`);
+  }
+
+  async function fillCheckout(page) {
+    await page.run('showCheckout()');
+    page.document.getElementById('customerEmail').value = 'jsdom@example.com';
+    page.document.getElementById('customerCountry').value = 'US';
+    page.document.getElementById('billingGivenName').value = 'Jay';
+    page.document.getElementById('billingFamilyName').value = 'Dom';
+    await page.run('refreshQuote()');
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => square.reset());
+
+  // Lets each page finish what it started (cart saves, quotes, downloads)
+  // before closing it
+  afterEach(async () => {
+    while (pages.length > 0) {
+      const page = pages.pop();
+      await settled(page);
+      await waitFor(() => page.requests === 0);
+      await settled(page);
+      page.window.close();
+    }
+  });
+
+  it('shows each product with its variants and prices', async () => {
+    const page = await openStore();
+    const select = page.document.getElementById('variant-photo-1');
+    assert.ok(select.options.length > 1);
+    selectVariant(page, 'photo-1', 'photo-1-8x10-glossy');
+    assert.equal(page.document.getElementById('price-photo-1').textContent, '$29.99');
+  });
+
+  it('shows limited editions and disables Add to Cart for sold-out items', async () => {
+    await updateVariant(store, 'photo-5', 'photo-5-8x10-glossy', { editionSize: 25 });
+    for (const variant of (await getProduct(store, 'photo-6')).variants) {
+      await updateVariant(store, 'photo-6', variant.id, { stock: 0 });
+    }
+    const page = await openStore();
+
+    selectVariant(page, 'photo-5', 'photo-5-8x10-glossy');
+    assert.equal(page.document.getElementById('stock-photo-5').textContent, 'Limited edition of 25 · 25 left');
+    const button = page.document.getElementById('add-photo-6');
+    assert.equal(button.disabled, true);
+    assert.equal(button.textContent, 'Sold Out');
+    assert.ok(button.closest('.product-card').classList.contains('sold-out'));
+  });
+
+  it("loads the Web Payments SDK for the server's Square environment", async () => {
+    const page = await openStore({ sdk: 'load' });
+    assert.equal(page.sdkUrl, 'https://sandbox.web.squarecdn.com/v1/square.js');
+    assert.deepEqual(page.window.Square.calls[0], ['payments', 'sandbox-sq0idb-test', 'LOC-TEST']);
+  });
+
+  it('keeps the cart on the server across reloads', async () => {
+    const page = await openStore();
+    selectVariant(page, 'photo-1', 'photo-1-8x10-glossy');
+    page.run("addToCart('photo-1')");
+    page.run("addToCart('photo-1')");
+    selectVariant(page, 'photo-3', 'photo-3-8x10-matte');
+    page.run("addToCart('photo-3')");
+    await settled(page);
+    page.run("updateQuantity('photo-3-8x10-matte', 1)");
+    page.run("removeFromCart('photo-1-8x10-glossy')");
+    await settled(page);
+
+    assert.equal(page.document.getElementById('cartCount').textContent, '2');
+    const saved = await getCart(store, page.cookies.get('cart_id'));
+    assert.deepEqual(saved.items, [{ variantId: 'photo-3-8x10-matte', quantity: 2 }]);
+
+    const reloaded = await openStore({ cookies: page.cookies });
+    assert.equal(reloaded.document.getElementById('cartCount').textContent, '2');
+    assert.deepEqual(JSON.parse(JSON.stringify(reloaded.run('getQuoteRequest()').items)),
+      [{ variantId: 'photo-3-8x10-matte', quantity: 2 }]);
+  });
+
+  it('keeps the cart on the device while offline and uploads it when back online', async () => {
+    const page = await openStore({ network: { offline: true } });
+    selectVariant(page, 'photo-2', 'photo-2-8x10-glossy');
+    page.run("addToCart('photo-2')");
+    await settled(page);
+
+    const local = JSON.parse(page.window.localStorage.getItem('cart'));
+    assert.equal(local.pending, true);
+    assert.equal(local.items[0].id, 'photo-2-8x10-glossy');
+    assert.equal(page.cookies.get('cart_id'), undefined);
+
+    page.network.offline = false;
+    page.window.dispatchEvent(new page.window.Event('online'));
+    await settled(page);
+    const saved = await getCart(store, page.cookies.get('cart_id'));
+    assert.deepEqual(saved.items, [{ variantId: 'photo-2-8x10-glossy', quantity: 1 }]);
+    assert.equal(JSON.parse(page.window.localStorage.getItem('cart')).pending, false);
+  });
+
+  it('checks out with a card, verifying the buyer first', async () => {
+    const page = await openStore();
+    selectVariant(page, 'photo-1', 'photo-1-8x10-glossy');
+    page.run("addToCart('photo-1')");
+    await settled(page);
+    await fillCheckout(page);
+    assert.equal(page.document.getElementById('checkoutTotal').textContent, '$29.99');
+
+    await page.run('processPayment({ preventDefault() {} })');
+
+    assert.ok(!page.document.getElementById('successSection').classList.contains('hidden'));
+    const orderId = page.document.getElementById('successOrderId').textContent;
+    const order = await getOrder(store, orderId);
+    assert.equal(order.status, 'paid');
+    assert.equal(order.customerEmail, 'jsdom@example.com');
+
+    const [, sourceId, details] = page.window.Square.calls.find(([name]) => name === 'verifyBuyer');
+    assert.equal(sourceId, 'cnon:card-nonce-ok');
+    assert.equal(details.amount, '29.99');
+    assert.equal(details.intent, 'CHARGE');
+    assert.equal(square.calls[0].request.verificationToken, 'verf:buyer-ok');
+    assert.equal(page.document.getElementById('cartCount').textContent, '0');
+  });
+
+  it('explains a declined card and lets the customer try again', async () => {
+    const page = await openStore();
+    page.run("addToCart('photo-4')");
+    await settled(page);
+    await fillCheckout(page);
+    square.script('payments.create', { decline: 'CVV_FAILURE' });
+
+    await page.run('processPayment({ preventDefault() {} })');
+    const error = page.document.querySelector('#checkoutSection .error');
+    assert.match(error.textContent, /^Please check your card details\. .*security code/);
+    assert.equal(page.document.getElementById('payButton').disabled, false);
+
+    await page.run('processPayment({ preventDefault() {} })');
+    assert.ok(!page.document.getElementById('successSection').classList.contains('hidden'));
+    assert.equal(square.calls.length, 2);
+    // A decline is an answer, so the second try is a new payment
+    assert.notEqual(page.paymentKeys[0], page.paymentKeys[1]);
+  });
+
+  it('sends an unanswered payment again with the same key', async () => {
+    const page = await openStore();
+    page.run("addToCart('photo-4')");
+    await settled(page);
+    await fillCheckout(page);
+
+    page.network.dropPayments = true;
+    await page.run('processPayment({ preventDefault() {} })');
+    assert.match(page.document.querySelector('#checkoutSection .error').textContent, /Failed to fetch/);
+
+    page.network.dropPayments = false;
+    await page.run('processPayment({ preventDefault() {} })');
+    assert.ok(!page.document.getElementById('successSection').classList.contains('hidden'));
+    assert.equal(new Set(page.paymentKeys).size, 1);
+    assert.equal(page.window.Square.calls.filter(([name]) => name === 'tokenize').length, 1);
+    assert.equal(square.calls.length, 1);
+  });
+
+  it('asks for the email address and country before charging', async () => {
+    const page = await openStore();
+    page.run("addToCart('photo-4')");
+    await settled(page);
+    await page.run('showCheckout()');
+
+    await page.run('processPayment({ preventDefault() {} })');
+    assert.match(page.document.querySelector('#checkoutSection .error').textContent, /email address/);
+    page.document.getElementById('customerEmail').value = 'jsdom@example.com';
+    await page.run('processPayment({ preventDefault() {} })');
+    assert.match(page.document.querySelector('#checkoutSection .error').textContent, /country/);
+    assert.equal(square.calls.length, 0);
+  });
+});
@@ -0,0 +1,210 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// BIP84 test vector: "abandon abandon ... about", account 0
+const ZPUB = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+
+process.env.STORE_DRIVER = 'memory';
+process.env.BITCOIN_XPUB = ZPUB;
+process.env.BITCOIN_CHAIN = 'stub';
+process.env.BTC_USD_RATE = '50000';
+
+const app = require('../server');
+const { createAddressDeriver } = require('../lib/bitcoin/addresses');
+const { createStubChain } = require('../lib/bitcoin');
+const { bip21Uri, evaluatePayment, createBitcoinProvider } = require('../lib/payments/bitcoin');
+const { refreshOrderPayment } = require('../lib/payments');
+const { createMemoryStore } = require('../lib/store');
+const { createOrder, transitionOrder, setOrderPayment } = require('../lib/orders');
+
+describe('On-chain Bitcoin payments', () => {
+  let server;
+  let baseUrl;
+
+  function post(path, body) {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async function createOrder() {
+    const response = await post('/api/orders', {
+      items: [{ id: 'photo-1', quantity: 2 }],
+      customerEmail: 'buyer@example.com',
+    });
+    return response.json();
+  }
+
+  async function requestAddress(orderId) {
+    const response = await post('/api/payment', { orderId, provider: 'bitcoin' });
+    assert.equal(response.status, 200);
+    return (await response.json()).payment;
+  }
+
+  async function paymentStatus(orderId) {
+    return (await fetch(`${baseUrl}/api/orders/${orderId}/payment`)).json();
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('derives BIP84 addresses from a zpub', () => {
+    const deriver = createAddressDeriver({ xpub: ZPUB });
+    assert.equal(deriver.deriveAddress(0), 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+    assert.equal(deriver.deriveAddress(1), 'bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g');
+  });
+
+  it('builds BIP21 payment URIs', () => {
+    assert.equal(
+      bip21Uri('bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', 119960, 'order-1'),
+      'bitcoin:bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu?amount=0.0011996&label=Photo%20Store&message=Order%20order-1'
+    );
+  });
+
+  it('advertises on-chain Bitcoin in /api/config', async () => {
+    const config = await (await fetch(`${baseUrl}/api/config`)).json();
+    assert.equal(config.bitcoinConfigured, true);
+  });
+
+  it('gives every order a fresh address and keeps it on retry', async () => {
+    const first = await createOrder();
+    const second = await createOrder();
+    const a = await requestAddress(first.orderId);
+    const again = await requestAddress(first.orderId);
+    const b = await requestAddress(second.orderId);
+
+    assert.equal(a.amountSats, 119960);
+    assert.match(a.uri, /^bitcoin:bc1q/);
+    assert.match(a.qrCode, /^data:image\/png;base64,/);
+    assert.equal(again.address, a.address);
+    assert.notEqual(b.address, a.address);
+  });
+
+  it('tracks a payment from seen to confirmed to paid', async () => {
+    const order = await createOrder();
+    const { address } = await requestAddress(order.orderId);
+    const chain = app.locals.bitcoinChain;
+
+    await chain.addPayment(address, { value: 119960 });
+    let status = await paymentStatus(order.orderId);
+    assert.equal(status.payment.status, 'SEEN');
+    assert.equal(status.orderStatus, 'pending');
+
+    await chain.mineBlocks(1);
+    status = await paymentStatus(order.orderId);
+    assert.equal(status.payment.status, 'CONFIRMED');
+    assert.equal(status.payment.confirmations, 1);
+
+    await chain.mineBlocks(1);
+    status = await paymentStatus(order.orderId);
+    assert.equal(status.payment.status, 'COMPLETED');
+    assert.equal(status.orderStatus, 'paid');
+  });
+
+  it('keeps the address once money has arrived', async () => {
+    const order = await createOrder();
+    const { address } = await requestAddress(order.orderId);
+    await app.locals.bitcoinChain.addPayment(address, { value: 50000 });
+    assert.equal((await paymentStatus(order.orderId)).payment.status, 'UNDERPAID');
+
+    const again = await requestAddress(order.orderId);
+    assert.equal(again.address, address);
+    assert.equal(again.status, 'UNDERPAID');
+
+    await app.locals.bitcoinChain.addPayment(address, { value: 69960 });
+    assert.equal((await paymentStatus(order.orderId)).payment.status, 'SEEN');
+
+    const last = await requestAddress(order.orderId);
+    assert.equal(last.address, address);
+    assert.equal(last.status, 'SEEN');
+  });
+
+  it('reports underpayments and overpayments', async () => {
+    const under = await createOrder();
+    const over = await createOrder();
+    const underAddress = (await requestAddress(under.orderId)).address;
+    const overAddress = (await requestAddress(over.orderId)).address;
+
+    await post(`/api/dev/bitcoin/addresses/${underAddress}/payments`, { value: 100000 });
+    await post(`/api/dev/bitcoin/addresses/${overAddress}/payments`, { value: 120000, confirmations: 2 });
+
+    const underStatus = await paymentStatus(under.orderId);
+    assert.equal(underStatus.payment.status, 'UNDERPAID');
+    assert.equal(underStatus.payment.receivedSats, 100000);
+
+    const overStatus = await paymentStatus(over.orderId);
+    assert.equal(overStatus.orderStatus, 'paid');
+    assert.equal(overStatus.payment.overpaidSats, 40);
+  });
+
+  it('expires payments that never arrived in full', () => {
+    const payment = { amountSats: 1000, expiresAt: '2026-01-01T01:00:00.000Z' };
+    const options = { requiredConfirmations: 2, now: new Date('2026-01-01T01:00:01Z') };
+
+    assert.equal(evaluatePayment(payment, [], options).status, 'EXPIRED');
+
+    const partial = evaluatePayment(payment, [{ txid: 'a', value: 400, confirmations: 3 }], options);
+    assert.equal(partial.status, 'EXPIRED');
+    assert.equal(partial.underpaidSats, 600);
+
+    // Money that arrived in time still counts once it confirms
+    const late = evaluatePayment(payment, [{ txid: 'b', value: 1000, confirmations: 0 }], options);
+    assert.equal(late.status, 'SEEN');
+  });
+});
+
+describe('Late Bitcoin payments (lib/payments/bitcoin.js)', () => {
+  it('keeps checking expired addresses for late payments', async () => {
+    let now = new Date('2026-01-01T00:00:00Z');
+    const store = createMemoryStore();
+    const chain = createStubChain();
+    const bitcoin = createBitcoinProvider({
+      store,
+      deriver: createAddressDeriver({ xpub: ZPUB }),
+      chain,
+      btcUsdRate: 50000,
+      lateGraceSeconds: 3600,
+      now: () => now,
+    });
+    const providers = { bitcoin };
+
+    const placed = await createOrder(store, {
+      items: [{ productId: 'photo-1', name: 'Mountain Sunset', unitPrice: 2999, quantity: 1 }],
+      now,
+    });
+    const { payment } = await bitcoin.createPayment(placed);
+    let order = await setOrderPayment(store, placed.id, payment);
+
+    // The address expires unpaid and the order is cancelled
+    now = new Date('2026-01-01T01:00:01Z');
+    order = await refreshOrderPayment(store, providers, order);
+    assert.equal(order.payment.status, 'EXPIRED');
+    order = await transitionOrder(store, order.id, 'cancelled');
+    assert.equal(bitcoin.watchesExpired(order.payment), true);
+
+    // Checked again at most every few minutes
+    now = new Date('2026-01-01T01:01:00Z');
+    assert.equal((await refreshOrderPayment(store, providers, order)).payment.status, 'EXPIRED');
+    chain.addPayment(payment.address, { value: payment.amountSats });
+    now = new Date('2026-01-01T01:03:00Z');
+    assert.equal((await refreshOrderPayment(store, providers, order)).payment.status, 'EXPIRED');
+
+    now = new Date('2026-01-01T01:06:00Z');
+    order = await refreshOrderPayment(store, providers, order);
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.payment.status, 'SEEN');
+    assert.equal(order.payment.receivedLate, true);
+
+    // Addresses past the grace period are left alone
+    now = new Date('2026-01-01T02:00:01Z');
+    assert.equal(bitcoin.watchesExpired({ ...payment, status: 'EXPIRED', receivedSats: 0 }), false);
+  });
+});
+
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+const app = require('../server');
+const { createCart, mergeCarts, getCart, findCustomerCart } = require('../lib/carts');
+const { createMemoryStore } = require('../lib/store');
+
+describe('mergeCarts', () => {
+  it('adds the guest cart to the customer cart when they sign in', async () => {
+    const store = createMemoryStore();
+    const own = await createCart(store, { items: [{ variantId: 'photo-1-8x10-matte', quantity: 1 }] }, { customerId: 'cus-1' });
+    const guest = await createCart(store, {
+      items: [{ variantId: 'photo-1-8x10-matte', quantity: 2 }, { variantId: 'photo-2-digital-personal', quantity: 1 }],
+      promoCode: 'spring',
+    });
+
+    const merged = await mergeCarts(store, guest.id, 'cus-1');
+    assert.equal(merged.id, own.id);
+    assert.deepEqual(merged.items, [
+      { variantId: 'photo-1-8x10-matte', quantity: 3 },
+      { variantId: 'photo-2-digital-personal', quantity: 1 },
+    ]);
+    assert.equal(merged.promoCode, 'SPRING');
+    assert.equal(await getCart(store, guest.id), null);
+  });
+
+  it('hands the guest cart over when the customer has none, and never merges another customer cart', async () => {
+    const store = createMemoryStore();
+    const guest = await createCart(store, { items: [{ variantId: 'photo-3-8x10-matte', quantity: 1 }] });
+    assert.equal((await mergeCarts(store, guest.id, 'cus-2')).id, guest.id);
+    assert.equal((await findCustomerCart(store, 'cus-2')).id, guest.id);
+
+    assert.equal(await mergeCarts(store, guest.id, 'cus-3'), null);
+    assert.equal((await getCart(store, guest.id)).items.length, 1);
+  });
+});
+
+describe('Cart API', () => {
+  let server;
+  let baseUrl;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('keeps the cart in a cookie and prices it on the server', async () => {
+    assert.equal((await request('GET', '/api/carts/current')).status, 404);
+
+    const created = await request('POST', '/api/carts', { items: [{ variantId: 'photo-1-8x10-matte', quantity: 1 }] });
+    assert.equal(created.status, 201);
+    const cookie = created.headers.get('set-cookie');
+    assert.match(cookie, /^cart_id=[0-9a-f-]{36};/);
+    assert.match(cookie, /HttpOnly/);
+    const cart = await created.json();
+
+    const current = await (await request('GET', '/api/carts/current', undefined, { Cookie: cookie.split(';')[0] })).json();
+    assert.equal(current.id, cart.id);
+    assert.equal(current.subtotal, 2999);
+
+    let response = await request('POST', `/api/carts/${cart.id}/items`, { variantId: 'photo-2', quantity: 2 });
+    let updated = await response.json();
+    assert.deepEqual(updated.items.map(item => [item.variantId, item.quantity, item.unitPrice]), [
+      ['photo-1-8x10-matte', 1, 2999],
+      ['photo-2-8x10-matte', 2, 3499],
+    ]);
+    assert.equal(updated.itemCount, 3);
+    assert.equal(updated.total, 9997);
+
+    response = await request('PATCH', `/api/carts/${cart.id}/items/photo-2-8x10-matte`, { quantity: 1 });
+    assert.equal((await response.json()).subtotal, 6498);
+    response = await request('DELETE', `/api/carts/${cart.id}/items/photo-1-8x10-matte`);
+    updated = await response.json();
+    assert.deepEqual(updated.items.map(item => item.variantId), ['photo-2-8x10-matte']);
+
+    assert.equal((await request('POST', `/api/carts/${cart.id}/items`, { variantId: 'no-such-photo' })).status, 404);
+    assert.equal((await request('PATCH', `/api/carts/${cart.id}/items/photo-2-8x10-matte`, { quantity: -1 })).status, 400);
+    assert.equal((await request('GET', '/api/carts/not-a-cart')).status, 404);
+  });
+
+  it('stores the promo code and currency and reports items no longer on sale', async () => {
+    const admin = { Authorization: 'Bearer test-admin-token' };
+    await request('POST', '/api/admin/promotions', { code: 'CART10', type: 'percent', value: 10 }, admin);
+    await request('POST', '/api/admin/products', {
+      id: 'cart-test-photo', name: 'Cart Test', description: 'Soon archived', price: 1000,
+    }, admin);
+
+    const cart = await (await request('POST', '/api/carts', {})).json();
+    await request('POST', `/api/carts/${cart.id}/items`, { variantId: 'photo-1-8x10-matte', quantity: 1 });
+    await request('POST', `/api/carts/${cart.id}/items`, { variantId: 'cart-test-photo' });
+    let updated = await (await request('PATCH', `/api/carts/${cart.id}`, { promoCode: 'cart10' })).json();
+    assert.equal(updated.promoCode, 'CART10');
+    assert.equal(updated.discount, 400);
+
+    await request('POST', '/api/admin/products/cart-test-photo/archive', {}, admin);
+    updated = await (await request('GET', `/api/carts/${cart.id}`)).json();
+    assert.deepEqual(updated.unavailableItems, ['cart-test-photo-standard']);
+    assert.equal(updated.subtotal, 2999);
+
+    updated = await (await request('PATCH', `/api/carts/${cart.id}`, { promoCode: 'NOPE' })).json();
+    assert.equal(updated.discount, 0);
+    assert.match(updated.promoError, /not valid/);
+    assert.equal((await request('PATCH', `/api/carts/${cart.id}`, { currency: 'CHF' })).status, 400);
+  });
+});
@@ -0,0 +1,205 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-images-'));
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.PRODUCT_IMAGE_DIR = imageDir;
+
+const app = require('../server');
+
+// Smallest valid PNG header, enough for the type check
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+describe('Catalog management', () => {
+  let server;
+  let baseUrl;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  function admin(method, urlPath, body) {
+    return request(method, urlPath, body, { Authorization: 'Bearer test-admin-token' });
+  }
+
+  async function productIds() {
+    return (await (await fetch(`${baseUrl}/api/products`)).json()).map(product => product.id);
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(imageDir, { recursive: true, force: true });
+  });
+
+  it('seeds the original six photos with the public product shape', async () => {
+    const products = await (await fetch(`${baseUrl}/api/products`)).json();
+    assert.equal(products.length, 6);
+    const { variants, ...product } = products[0];
+    assert.deepEqual(product, {
+      id: 'photo-1',
+      name: 'Mountain Sunset',
+      description: 'Beautiful sunset over mountain peaks',
+      price: 1999,
+      image: '/tiny/tiny1.webp',
+      soldOut: false,
+    });
+    assert.deepEqual(variants[0], {
+      id: 'photo-1-8x10-matte',
+      sku: 'P1-8X10-MAT',
+      name: '8×10 print, matte',
+      type: 'print',
+      price: 2999,
+      stock: null,
+      available: true,
+      editionSize: null,
+    });
+    assert.deepEqual(variants.map(variant => variant.type), ['print', 'print', 'print', 'print', 'digital', 'digital']);
+  });
+
+  it('requires the admin token', async () => {
+    const response = await request('POST', '/api/admin/products', { name: 'Lake', price: 1999 });
+    assert.equal(response.status, 401);
+  });
+
+  it('creates products and validates them', async () => {
+    const response = await admin('POST', '/api/admin/products', { name: 'Quiet Lake', description: 'Still water', price: 1999 });
+    assert.equal(response.status, 201);
+    const product = await response.json();
+    assert.equal(product.id, 'quiet-lake');
+    assert.equal(product.position, 6);
+    assert.deepEqual((await productIds()).at(-1), 'quiet-lake');
+
+    assert.equal((await admin('POST', '/api/admin/products', { name: 'Quiet Lake', price: 1999 })).status, 409);
+    assert.equal((await admin('POST', '/api/admin/products', { name: 'Free', price: 0 })).status, 400);
+  });
+
+  it('keeps the price of existing orders when a price changes', async () => {
+    const items = [{ variantId: 'photo-2-8x10-glossy', quantity: 1 }];
+    const order = await (await request('POST', '/api/orders', { items })).json();
+    assert.equal(order.total, 3499);
+
+    const response = await admin('PATCH', '/api/admin/products/photo-2/variants/photo-2-8x10-glossy', { price: 3999 });
+    assert.equal((await response.json()).variants[1].price, 3999);
+
+    const stored = await (await fetch(`${baseUrl}/api/orders/${order.orderId}`)).json();
+    assert.equal(stored.total, 3499);
+    assert.equal(stored.items[0].unitPrice, 3499);
+
+    const next = await (await request('POST', '/api/orders', { items })).json();
+    assert.equal(next.total, 3999);
+  });
+
+  it('prices order lines from the chosen variant', async () => {
+    const response = await request('POST', '/api/orders', {
+      items: [
+        { variantId: 'photo-1-16x20-glossy', quantity: 1 },
+        { variantId: 'photo-1-digital-commercial', quantity: 1 },
+        { variantId: 'photo-1-16x20-glossy', quantity: 1 },
+      ],
+    });
+    const order = await response.json();
+    assert.deepEqual(order.items.map(item => [item.variantId, item.sku, item.quantity, item.lineTotal]), [
+      ['photo-1-16x20-glossy', 'P1-16X20-GLO', 2, 11998],
+      ['photo-1-digital-commercial', 'P1-DL-COM', 1, 9999],
+    ]);
+    assert.equal(order.items[0].variantName, '16×20 print, glossy');
+  });
+
+  it('counts limited stock out when orders are placed', async () => {
+    await admin('PATCH', '/api/admin/products/photo-4/variants/photo-4-16x20-matte', { stock: 2 });
+    const order = items => request('POST', '/api/orders', { items });
+
+    assert.equal((await order([{ variantId: 'photo-4-16x20-matte', quantity: 3 }])).status, 409);
+    assert.equal((await order([{ variantId: 'photo-4-16x20-matte', quantity: 2 }])).status, 200);
+
+    const product = await (await fetch(`${baseUrl}/api/products/photo-4`)).json();
+    assert.equal(product.variants.find(v => v.id === 'photo-4-16x20-matte').stock, 0);
+    assert.equal((await order([{ variantId: 'photo-4-16x20-matte', quantity: 1 }])).status, 409);
+  });
+
+  it('adds variants and rejects duplicate variant IDs', async () => {
+    const variant = { id: 'photo-3-a3-canvas', sku: 'P3-A3-CAN', name: 'A3 canvas', price: 8999 };
+    const response = await admin('POST', '/api/admin/products/photo-3/variants', variant);
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).variants.at(-1).id, 'photo-3-a3-canvas');
+
+    assert.equal((await admin('POST', '/api/admin/products/photo-6/variants', variant)).status, 409);
+    assert.equal((await admin('PATCH', '/api/admin/products/photo-3', { price: 100 })).status, 400);
+  });
+
+  it('hides archived products from the store front and from new orders', async () => {
+    await admin('POST', '/api/admin/products/photo-5/archive');
+
+    assert.ok(!(await productIds()).includes('photo-5'));
+    assert.equal((await fetch(`${baseUrl}/api/products/photo-5`)).status, 404);
+    const order = await request('POST', '/api/orders', { items: [{ id: 'photo-5', quantity: 1 }] });
+    assert.equal(order.status, 400);
+
+    await admin('POST', '/api/admin/products/photo-5/unarchive');
+    assert.ok((await productIds()).includes('photo-5'));
+  });
+
+  it('hides products whose variants are all archived', async () => {
+    const created = await admin('POST', '/api/admin/products', { name: 'Empty Field', price: 1999 });
+    const [variant] = (await created.json()).variants;
+    await admin('PATCH', `/api/admin/products/empty-field/variants/${variant.id}`, { archived: true });
+
+    assert.ok(!(await productIds()).includes('empty-field'));
+    assert.equal((await fetch(`${baseUrl}/api/products/empty-field`)).status, 404);
+  });
+
+  it('reorders products', async () => {
+    const response = await admin('POST', '/api/admin/products/reorder', { ids: ['photo-6', 'photo-1'] });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await productIds()).slice(0, 3), ['photo-6', 'photo-1', 'photo-2']);
+
+    assert.equal((await admin('POST', '/api/admin/products/reorder', { ids: ['nope'] })).status, 404);
+  });
+
+  it('uploads product images into the configured directory', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/products/photo-3/image`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'image/png', Authorization: 'Bearer test-admin-token' },
+      body: PNG,
+    });
+    assert.equal(response.status, 200);
+    const { image } = await response.json();
+    assert.match(image, /^\/uploads\/products\/photo-3-[0-9a-f]+\.png$/);
+    assert.ok(fs.existsSync(path.join(imageDir, path.basename(image))));
+
+    const served = await fetch(`${baseUrl}${image}`);
+    assert.equal(served.status, 200);
+    assert.deepEqual(Buffer.from(await served.arrayBuffer()), PNG);
+  });
+
+  it('rejects uploads that are not the declared image type', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/products/photo-3/image`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'image/jpeg', Authorization: 'Bearer test-admin-token' },
+      body: PNG,
+    });
+    assert.equal(response.status, 400);
+
+    const text = await fetch(`${baseUrl}/api/admin/products/photo-3/image`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'text/plain', Authorization: 'Bearer test-admin-token' },
+      body: 'hello',
+    });
+    assert.equal(text.status, 415);
+  });
+});
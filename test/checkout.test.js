@@ -0,0 +1,257 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+process.env.LIGHTNING_NODE = 'mock';
+process.env.BTC_USD_RATE = '50000';
+// Every test checks out as the same customer; rate limits have their own tests
+process.env.RATE_LIMIT_PAYMENTS_PER_EMAIL = '0';
+process.env.RATE_LIMIT_ORDERS_PER_EMAIL = '0';
+process.env.DECLINE_LIMIT = '0';
+
+const app = require('../server');
+const { getOrder } = require('../lib/orders');
+
+const PRINT = 'photo-1-8x10-glossy';
+
+describe('Checkout API', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+  const store = app.locals.store;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  async function expectError(response, status, pattern) {
+    const body = await response.json();
+    assert.equal(response.status, status, body.error);
+    assert.match(body.error, pattern);
+    return body;
+  }
+
+  async function placeOrder(items = [{ variantId: PRINT, quantity: 1 }]) {
+    const response = await request('POST', '/api/orders', { items, customerEmail: 'buyer@example.com' });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  function pay(body, headers) {
+    return request('POST', '/api/payment', body, headers);
+  }
+
+  function admin(method, urlPath, body) {
+    return request(method, urlPath, body, { Authorization: 'Bearer test-admin-token' });
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => square.reset());
+
+  describe('POST /api/orders', () => {
+    it('rejects malformed requests', async () => {
+      const order = body => request('POST', '/api/orders', { items: [{ variantId: PRINT, quantity: 1 }], ...body });
+      await expectError(await order({ customerEmail: 'not-an-email' }), 400, /Invalid email/);
+      await expectError(await order({ promoCode: 42 }), 400, /Invalid promoCode/);
+      await expectError(await order({ items: [] }), 400, /No items/);
+      await expectError(await order({ items: 'photo-1' }), 400, /No items/);
+      await expectError(await order({ items: [{ variantId: PRINT }] }), 400, /Invalid item structure/);
+      await expectError(await order({ items: [{ variantId: PRINT, quantity: 1.5 }] }), 400, /Invalid quantity/);
+      await expectError(await order({ items: [{ variantId: PRINT, quantity: -1 }] }), 400, /Invalid quantity/);
+      await expectError(await order({ items: [{ variantId: 'no-such-photo', quantity: 1 }] }), 400, /Product not found/);
+      await expectError(await order({ currency: 'XYZ' }), 400, /Unsupported currency/);
+      await expectError(await order({ country: 'United States' }), 400, /Invalid country/);
+      await expectError(await order({ country: 'US', region: 'California!' }), 400, /Invalid region/);
+      await expectError(await order({ promoCode: 'NO-SUCH-CODE' }), 400, /not valid/);
+    });
+
+    it('prices the order from the catalog', async () => {
+      const order = await placeOrder([{ variantId: PRINT, quantity: 2, price: 1 }]);
+      assert.equal(order.status, 'pending');
+      assert.equal(order.total, 2 * 2999);
+      assert.equal(order.currency, 'USD');
+
+      // A bare product ID orders its first variant
+      const byProduct = await placeOrder([{ id: 'photo-1', quantity: 1 }]);
+      assert.equal(byProduct.items[0].variantId, 'photo-1-8x10-matte');
+    });
+
+    it('refuses more than the stock left', async () => {
+      await admin('PATCH', '/api/admin/products/photo-6/variants/photo-6-8x10-matte', { stock: 1 });
+      await expectError(
+        await request('POST', '/api/orders', { items: [{ variantId: 'photo-6-8x10-matte', quantity: 2 }] }),
+        409, /Not enough stock/,
+      );
+      await placeOrder([{ variantId: 'photo-6-8x10-matte', quantity: 1 }]);
+      await expectError(
+        await request('POST', '/api/orders', { items: [{ variantId: 'photo-6-8x10-matte', quantity: 1 }] }),
+        409, /0 left/,
+      );
+    });
+
+    it('replays orders for a repeated Idempotency-Key', async () => {
+      const body = { items: [{ variantId: PRINT, quantity: 1 }] };
+      await expectError(await request('POST', '/api/orders', body, { 'Idempotency-Key': 'k'.repeat(256) }), 400, /Idempotency-Key/);
+
+      const first = await (await request('POST', '/api/orders', body, { 'Idempotency-Key': 'order-key-1' })).json();
+      const again = await request('POST', '/api/orders', body, { 'Idempotency-Key': 'order-key-1' });
+      assert.equal(again.headers.get('idempotent-replayed'), 'true');
+      assert.equal((await again.json()).orderId, first.orderId);
+
+      const changed = { items: [{ variantId: PRINT, quantity: 2 }] };
+      await expectError(await request('POST', '/api/orders', changed, { 'Idempotency-Key': 'order-key-1' }), 422, /different request body/);
+    });
+
+    it('needs a country once tax rules are set up', async () => {
+      const saved = await admin('PUT', '/api/admin/tax-rules', { rules: [{ country: 'GB', rate: 20, name: 'VAT', inclusive: true }] });
+      assert.equal(saved.status, 200);
+      try {
+        await expectError(await request('POST', '/api/orders', { items: [{ variantId: PRINT, quantity: 1 }] }), 400, /Country is required/);
+        const order = await request('POST', '/api/orders', { items: [{ variantId: PRINT, quantity: 1 }], country: 'US' });
+        assert.equal(order.status, 200);
+      } finally {
+        await admin('PUT', '/api/admin/tax-rules', { rules: [] });
+      }
+    });
+  });
+
+  describe('POST /api/payment', () => {
+    it('rejects malformed requests', async () => {
+      const { orderId } = await placeOrder();
+      await expectError(await pay({ sourceId: 'cnon:card-nonce-ok' }), 400, /Missing required/);
+      await expectError(await pay({ orderId: 42, sourceId: 'cnon:card-nonce-ok' }), 400, /orderId must be a string/);
+      await expectError(await pay({ orderId, provider: 'cheque' }), 400, /Unsupported payment provider/);
+      await expectError(await pay({ orderId, provider: 'toString' }), 400, /Unsupported payment provider/);
+      await expectError(await pay({ orderId }), 400, /Missing required/);
+      await expectError(await pay({ orderId, sourceId: 42 }), 400, /sourceId must be a string/);
+      await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-ok', verificationToken: '' }), 400, /verificationToken/);
+      await expectError(await pay({ orderId, provider: 'lightning', cardId: 'ccof:card' }), 400, /Saved cards can only/);
+      await expectError(await pay({ orderId, cardId: 'ccof:card' }), 401, /sign in/);
+      assert.equal(square.calls.length, 0);
+    });
+
+    it('only charges orders that can still be paid', async () => {
+      await expectError(await pay({ orderId: 'no-such-order', sourceId: 'cnon:card-nonce-ok' }), 404, /Order not found/);
+
+      const expired = await placeOrder();
+      await store.update('orders', expired.orderId, order => ({ ...order, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+      await expectError(await pay({ orderId: expired.orderId, sourceId: 'cnon:card-nonce-ok' }), 410, /expired/);
+      assert.equal((await getOrder(store, expired.orderId)).status, 'cancelled');
+
+      const { orderId } = await placeOrder();
+      assert.equal((await pay({ orderId, sourceId: 'cnon:card-nonce-ok' })).status, 200);
+      await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-ok' }), 409, /already paid/);
+      assert.equal(square.calls.length, 1);
+    });
+
+    it('charges the stored order total', async () => {
+      const { orderId } = await placeOrder([{ variantId: PRINT, quantity: 3 }]);
+      const response = await pay({ orderId, sourceId: 'cnon:card-nonce-ok', verificationToken: 'verf:ok', amount: 1 });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.orderStatus, 'paid');
+      assert.match(body.payment.receiptUrl, /^https:\/\//);
+
+      const [{ request: charged }] = square.calls;
+      assert.equal(charged.amountMoney.amount, BigInt(3 * 2999));
+      assert.equal(charged.locationId, 'LOC-TEST');
+      assert.equal(charged.verificationToken, 'verf:ok');
+      assert.equal((await getOrder(store, orderId)).payment.id, body.payment.id);
+    });
+
+    it('reports a decline and lets the customer try another card', async () => {
+      const { orderId } = await placeOrder();
+      square.script('payments.create', { decline: 'INSUFFICIENT_FUNDS' });
+
+      const declined = await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-declined' }), 402, /insufficient funds/);
+      assert.deepEqual([declined.code, declined.category, declined.retryable], ['insufficient_funds', 'declined', false]);
+      const failed = await getOrder(store, orderId);
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.paymentAttempts, 1);
+
+      assert.equal((await pay({ orderId, sourceId: 'cnon:card-nonce-ok' })).status, 200);
+      const [first, second] = square.calls.map(call => call.request.idempotencyKey);
+      assert.notEqual(first, second);
+    });
+
+    it('reports a payment Square marks as failed', async () => {
+      const { orderId } = await placeOrder();
+      square.script('payments.create', { status: 'FAILED' });
+      const body = await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-ok' }), 402, /declined/);
+      assert.equal(body.code, 'card_declined');
+      assert.equal((await getOrder(store, orderId)).status, 'failed');
+    });
+
+    it('retries a timeout with the same idempotency key', async () => {
+      const { orderId } = await placeOrder();
+      square.script('payments.create', 'timeout');
+
+      const body = await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-ok' }), 503, /temporarily unavailable/);
+      assert.deepEqual([body.code, body.retryable], ['payment_unavailable', true]);
+      assert.equal((await getOrder(store, orderId)).paymentAttempts || 0, 0);
+
+      assert.equal((await pay({ orderId, sourceId: 'cnon:card-nonce-ok' })).status, 200);
+      const [first, second] = square.calls.map(call => call.request.idempotencyKey);
+      assert.equal(first, second);
+    });
+
+    it('treats a malformed Square response as an upstream error', async () => {
+      const { orderId } = await placeOrder();
+      square.script('payments.create', 'malformed');
+      const body = await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-ok' }), 502, /went wrong/);
+      assert.equal(body.code, 'payment_provider_error');
+      assert.doesNotMatch(body.error, /Square/);
+    });
+
+    it('reports configuration problems without blaming the card', async () => {
+      const { orderId } = await placeOrder();
+      square.script('payments.create', { error: { statusCode: 401, code: 'ACCESS_TOKEN_EXPIRED', category: 'AUTHENTICATION_ERROR' } });
+      const body = await expectError(await pay({ orderId, sourceId: 'cnon:card-nonce-ok' }), 502, /can't take card payments/);
+      assert.deepEqual([body.code, body.retryable], ['payment_configuration_error', false]);
+    });
+
+    it('saves a card after paying and charges it as a card on file', async () => {
+      await request('POST', '/api/account/login-link', { email: 'saver@example.com' });
+      const [link] = await app.locals.outbox.list(m => m.template === 'login_link' && m.to === 'saver@example.com');
+      const token = decodeURIComponent(link.text.match(/\?login=(\S+)/)[1]);
+      const signedIn = await request('POST', '/api/account/login', { token });
+      const cookie = signedIn.headers.getSetCookie().map(header => header.split(';')[0]).join('; ');
+
+      const first = await request('POST', '/api/orders', { items: [{ variantId: PRINT, quantity: 1 }] }, { Cookie: cookie });
+      const paid = await (await pay({ orderId: (await first.json()).orderId, sourceId: 'cnon:card-nonce-ok', saveCard: true }, { Cookie: cookie })).json();
+      assert.equal(paid.savedCard.last4, '1111');
+
+      const second = await (await request('POST', '/api/orders', { items: [{ variantId: PRINT, quantity: 1 }] }, { Cookie: cookie })).json();
+      await expectError(await pay({ orderId: second.orderId, cardId: 'ccof:not-mine' }, { Cookie: cookie }), 404, /Saved card not found/);
+      const response = await pay({ orderId: second.orderId, cardId: paid.savedCard.id }, { Cookie: cookie });
+      assert.equal(response.status, 200);
+      const charge = square.calls.filter(call => call.method === 'payments.create').at(-1).request;
+      assert.equal(charge.sourceId, paid.savedCard.id);
+      assert.match(charge.customerId, /^fake-customer-/);
+    });
+  });
+
+  describe('GET /api/health', () => {
+    it('reports Square settings that need attention', async () => {
+      const health = await (await request('GET', '/api/health')).json();
+      assert.equal(health.status, 'degraded');
+      assert.equal(health.square.environment, 'sandbox');
+      assert.equal(health.square.configured, false);
+      assert.deepEqual(health.square.problems.map(problem => problem.code), ['missing_credentials']);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const originalsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'originals-'));
+fs.writeFileSync(path.join(originalsDir, 'photo-1.jpg'), 'full resolution sunset');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.DOWNLOAD_SIGNING_SECRET = 'test-download-secret';
+process.env.ORIGINALS_DIR = originalsDir;
+process.env.DOWNLOAD_MAX_COUNT = '2';
+
+const app = require('../server');
+const { transitionOrder, recordRefund } = require('../lib/orders');
+const { signDownloadToken } = require('../lib/downloads');
+
+describe('Digital downloads', () => {
+  let server;
+  let baseUrl;
+
+  async function placeOrder(items, { paid = true } = {}) {
+    const response = await fetch(`${baseUrl}/api/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items, customerEmail: 'buyer@example.com' }),
+    });
+    const order = await response.json();
+    if (paid) {
+      await transitionOrder(app.locals.store, order.orderId, 'paid', {
+        changes: { payment: { provider: 'square', id: `payment-${order.orderId}`, status: 'COMPLETED' } },
+      });
+    }
+    return order.orderId;
+  }
+
+  async function getDownloads(orderId) {
+    return (await (await fetch(`${baseUrl}/api/orders/${orderId}`)).json()).downloads;
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(originalsDir, { recursive: true, force: true });
+  });
+
+  it('lists links for the digital lines of a paid order only, never by email', async () => {
+    const orderId = await placeOrder([
+      { variantId: 'photo-1-digital-personal', quantity: 1 },
+      { variantId: 'photo-1-8x10-matte', quantity: 1 },
+    ]);
+    const downloads = await getDownloads(orderId);
+
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].variantId, 'photo-1-digital-personal');
+    assert.equal(downloads[0].downloadsRemaining, 2);
+    assert.match(downloads[0].url, /^\/api\/downloads\/[\w-]+\.[\w-]+$/);
+
+    const byEmail = await (await fetch(`${baseUrl}/api/orders?email=buyer@example.com`)).json();
+    assert.equal(byEmail.find(order => order.orderId === orderId).downloads, undefined);
+  });
+
+  it('serves the original as an attachment until the download limit is reached', async () => {
+    const orderId = await placeOrder([{ variantId: 'photo-1-digital-commercial', quantity: 1 }]);
+    const [{ url }] = await getDownloads(orderId);
+
+    const response = await fetch(`${baseUrl}${url}`);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'full resolution sunset');
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="Mountain Sunset.jpg"/);
+    assert.equal(response.headers.get('cache-control'), 'private, no-store');
+
+    assert.equal((await fetch(`${baseUrl}${url}`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}${url}`)).status, 410);
+
+    const [download] = await getDownloads(orderId);
+    assert.equal(download.downloadsRemaining, 0);
+    assert.equal(download.url, null);
+  });
+
+  it('rejects tampered and expired links', async () => {
+    const orderId = await placeOrder([{ variantId: 'photo-1-digital-personal', quantity: 1 }]);
+    const [{ url }] = await getDownloads(orderId);
+    const [payload, signature] = url.split('/').pop().split('.');
+
+    const forged = Buffer.from(JSON.stringify({ o: orderId, v: 'photo-2-digital-personal', e: 4102444800 })).toString('base64url');
+    assert.equal((await fetch(`${baseUrl}/api/downloads/${forged}.${signature}`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/downloads/${payload}.x${signature}`)).status, 404);
+
+    const expired = signDownloadToken(
+      { orderId, variantId: 'photo-1-digital-personal', expiresAt: new Date(Date.now() - 1000) },
+      'test-download-secret'
+    );
+    assert.equal((await fetch(`${baseUrl}/api/downloads/${expired}`)).status, 410);
+  });
+
+  it('refuses downloads for unpaid orders and refunded lines', async () => {
+    const variantId = 'photo-1-digital-personal';
+    const expiresAt = new Date(Date.now() + 60000);
+
+    const unpaid = await placeOrder([{ variantId, quantity: 1 }], { paid: false });
+    assert.deepEqual(await getDownloads(unpaid), []);
+    const unpaidToken = signDownloadToken({ orderId: unpaid, variantId, expiresAt }, 'test-download-secret');
+    assert.equal((await fetch(`${baseUrl}/api/downloads/${unpaidToken}`)).status, 403);
+
+    const refunded = await placeOrder([{ variantId, quantity: 1 }]);
+    const [{ url }] = await getDownloads(refunded);
+    await recordRefund(app.locals.store, refunded, {
+      id: 'refund-1',
+      status: 'COMPLETED',
+      amount: 1999,
+      items: [{ productId: 'photo-1', variantId, quantity: 1 }],
+    });
+    assert.equal((await fetch(`${baseUrl}${url}`)).status, 403);
+  });
+});
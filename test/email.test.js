@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+
+process.env.STORE_DRIVER = 'memory';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = mailDir;
+process.env.MAIL_FROM = 'Photo Store <orders@example.com>';
+process.env.PUBLIC_BASE_URL = 'https://photos.example.com/';
+process.env.DOWNLOAD_SIGNING_SECRET = 'test-download-secret';
+
+const app = require('../server');
+const { transitionOrder, recordRefund } = require('../lib/orders');
+const { createMemoryStore } = require('../lib/store');
+const { createOutbox, createConsoleTransport } = require('../lib/email');
+const { createLogger } = require('../lib/log');
+
+// Waits until the file transport has written a message matching `predicate`
+async function waitForMessage(predicate) {
+  for (let i = 0; i < 100; i++) {
+    const message = (await app.locals.mailTransport.list()).find(predicate);
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for email');
+}
+
+describe('Order email', () => {
+  let server;
+  let baseUrl;
+
+  async function placeOrder(items, customerEmail) {
+    const response = await fetch(`${baseUrl}/api/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items, customerEmail }),
+    });
+    return (await response.json()).orderId;
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  it('sends an order confirmation in HTML and plain text', async () => {
+    const orderId = await placeOrder([{ variantId: 'photo-1-8x10-matte', quantity: 2 }], 'confirm@example.com');
+    const message = await waitForMessage(m => m.to === 'confirm@example.com');
+
+    assert.equal(message.from, 'Photo Store <orders@example.com>');
+    assert.equal(message.subject, `Order ${orderId} received`);
+    assert.match(message.text, /Mountain Sunset \(8×10 print, matte\) x2 {2}\$59\.98/);
+    assert.match(message.html, /<strong>\$59\.98<\/strong>/);
+  });
+
+  it('sends a receipt with absolute download links once paid, and only once', async () => {
+    const orderId = await placeOrder([{ variantId: 'photo-2-digital-personal', quantity: 1 }], 'receipt@example.com');
+    await transitionOrder(app.locals.store, orderId, 'paid', {
+      changes: { payment: { provider: 'square', id: 'payment-1', status: 'COMPLETED', receiptUrl: 'https://squareup.com/receipt/1' } },
+    });
+    const receipt = await waitForMessage(m => m.subject === `Receipt for order ${orderId}`);
+
+    assert.match(receipt.text, /Receipt: https:\/\/squareup\.com\/receipt\/1/);
+    assert.match(receipt.text, /https:\/\/photos\.example\.com\/api\/downloads\/[\w-]+\.[\w-]+/);
+    assert.match(receipt.html, /<a href="https:\/\/photos\.example\.com\/api\/downloads\//);
+
+    await app.locals.outbox.enqueue({ id: `${orderId}:payment_receipt`, to: 'receipt@example.com', template: 'payment_receipt', data: { order: { id: orderId, items: [], total: 0 } } });
+    await app.locals.outbox.flush();
+    const receipts = (await app.locals.mailTransport.list()).filter(m => m.subject === receipt.subject);
+    assert.equal(receipts.length, 1);
+  });
+
+  it('emails failed payments and refunds, escaping customer text', async () => {
+    const orderId = await placeOrder([{ variantId: 'photo-3-8x10-matte', quantity: 1 }], 'refund@example.com');
+    await transitionOrder(app.locals.store, orderId, 'failed', { note: 'Card declined' });
+    await waitForMessage(m => m.subject === `Payment failed for order ${orderId}`);
+
+    await transitionOrder(app.locals.store, orderId, 'paid');
+    await recordRefund(app.locals.store, orderId, { id: 'refund-1', status: 'REJECTED', amount: 500 });
+    await recordRefund(app.locals.store, orderId, { id: 'refund-2', status: 'PENDING', amount: 1000, reason: '<b>Damaged</b>' });
+    const refund = await waitForMessage(m => m.subject === `Refund for order ${orderId}`);
+
+    assert.match(refund.text, /We've refunded \$10\.00/);
+    assert.match(refund.html, /Reason: &lt;b&gt;Damaged&lt;\/b&gt;/);
+    const refunds = (await app.locals.mailTransport.list()).filter(m => m.subject === refund.subject);
+    assert.equal(refunds.length, 1);
+  });
+
+  it('skips orders without an email address', async () => {
+    const before = (await app.locals.mailTransport.list()).length;
+    await placeOrder([{ variantId: 'photo-4-8x10-matte', quantity: 1 }]);
+    await app.locals.outbox.flush();
+    assert.equal((await app.locals.mailTransport.list()).length, before);
+  });
+});
+
+describe('Email outbox', () => {
+  function setup({ failures }) {
+    let clock = new Date('2026-01-01T00:00:00Z');
+    const sent = [];
+    const transport = {
+      async send(message) {
+        if (failures-- > 0) throw new Error('SMTP unavailable');
+        sent.push(message);
+        return { messageId: `msg-${sent.length}` };
+      },
+    };
+    const outbox = createOutbox({
+      store: createMemoryStore(),
+      transport,
+      from: 'shop@example.com',
+      now: () => clock,
+      maxAttempts: 3,
+      baseDelayMs: 1000,
+    });
+    const advance = ms => { clock = new Date(clock.getTime() + ms); };
+    const order = { id: 'order-1', items: [], total: 1000, currency: 'USD' };
+    return { outbox, sent, advance, order };
+  }
+
+  it('retries failed sends with exponential backoff', async () => {
+    const { outbox, sent, advance, order } = setup({ failures: 2 });
+    await outbox.enqueue({ id: 'order-1:order_confirmation', to: 'a@example.com', template: 'order_confirmation', data: { order } });
+
+    assert.equal(await outbox.flush(), 0);
+    let message = await outbox.get('order-1:order_confirmation');
+    assert.equal(message.status, 'pending');
+    assert.equal(message.lastError, 'SMTP unavailable');
+    assert.equal(message.nextAttemptAt, '2026-01-01T00:00:01.000Z');
+
+    assert.equal(await outbox.flush(), 0, 'not due yet');
+    advance(1000);
+    await outbox.flush();
+    message = await outbox.get('order-1:order_confirmation');
+    assert.equal(message.nextAttemptAt, '2026-01-01T00:00:03.000Z');
+
+    advance(2000);
+    assert.equal(await outbox.flush(), 1);
+    message = await outbox.get('order-1:order_confirmation');
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 3);
+    assert.equal(message.messageId, 'msg-1');
+    assert.equal(sent[0].from, 'shop@example.com');
+  });
+
+  it('gives up after the last attempt', async () => {
+    const { outbox, sent, advance, order } = setup({ failures: 10 });
+    await outbox.enqueue({ id: 'order-1:order_confirmation', to: 'a@example.com', template: 'order_confirmation', data: { order } });
+
+    for (let i = 0; i < 5; i++) {
+      await outbox.flush();
+      advance(60 * 60 * 1000);
+    }
+    const message = await outbox.get('order-1:order_confirmation');
+    assert.equal(message.status, 'failed');
+    assert.equal(message.attempts, 3);
+    assert.equal(sent.length, 0);
+  });
+
+  it('logs only the template and a hashed recipient with the console transport', async () => {
+    const lines = [];
+    const transport = createConsoleTransport({ log: createLogger({ write: line => lines.push(line) }) });
+    await transport.send({
+      template: 'login_link',
+      to: 'secret-customer@example.com',
+      subject: 'Sign in to Photo Store',
+      text: 'https://photos.example.com/?login=very-secret-token',
+    });
+
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.template, 'login_link');
+    assert.match(entry.to, /^\[email [0-9a-f]+\]$/);
+    assert.doesNotMatch(lines[0], /secret-customer|very-secret-token|Sign in/);
+  });
+});
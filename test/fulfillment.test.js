@@ -0,0 +1,214 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const labDir = fs.mkdtempSync(path.join(os.tmpdir(), 'print-lab-'));
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+process.env.PRINT_LAB = 'file';
+process.env.PRINT_LAB_DIR = labDir;
+process.env.PRINT_LAB_SECRET = 'test-print-lab-secret';
+
+const app = require('../server');
+const { shippingOptions } = require('../lib/shipping');
+const { createWebhookLab, signPrintLabBody, verifyPrintLabSignature } = require('../lib/fulfillment/webhook-lab');
+
+const RATES = [
+  { method: 'standard', name: 'Standard', countries: ['US'], minItems: 1, maxItems: null, amount: 500, perItem: 100, estimate: '3-5 business days' },
+  { method: 'express', name: 'Express', countries: ['US'], minItems: 1, maxItems: 5, amount: 2000, perItem: 0, estimate: null },
+  { method: 'standard', name: 'International', countries: ['*'], minItems: 1, maxItems: null, amount: 1500, perItem: 300, estimate: null },
+];
+
+const ADDRESS = { name: 'Ada Lovelace', line1: '1 Main St', city: 'Springfield', postalCode: '12345' };
+
+describe('Shipping rates (lib/shipping.js)', () => {
+  it('offers each method once, cheapest first, for the destination and size', () => {
+    assert.deepEqual(shippingOptions(RATES, { country: 'US', itemCount: 3 }).map(option => [option.method, option.amount]), [
+      ['standard', 700],
+      ['express', 2000],
+    ]);
+    assert.deepEqual(shippingOptions(RATES, { country: 'US', itemCount: 6 }).map(option => option.method), ['standard']);
+    assert.deepEqual(shippingOptions(RATES, { country: 'FR', itemCount: 2 }), [
+      { method: 'standard', name: 'International', amount: 1800, estimate: null },
+    ]);
+  });
+});
+
+describe('Webhook print lab (lib/fulfillment/webhook-lab.js)', () => {
+  it('posts signed lab orders and uses the lab\'s order ID', async () => {
+    const requests = [];
+    const lab = createWebhookLab({
+      url: 'https://lab.example.com/orders',
+      secret: 'shh',
+      fetch: async (url, options) => {
+        requests.push({ url, options });
+        return new Response(JSON.stringify({ id: 'LAB-42' }), { status: 201 });
+      },
+    });
+
+    assert.deepEqual(await lab.submit({ orderId: 'order-1', items: [] }), { labOrderId: 'LAB-42' });
+    const { options } = requests[0];
+    assert.ok(verifyPrintLabSignature({ signature: options.headers['X-Print-Lab-Signature'], body: options.body, secret: 'shh' }));
+    assert.equal(verifyPrintLabSignature({ signature: options.headers['X-Print-Lab-Signature'], body: options.body, secret: 'other' }), false);
+  });
+
+  it('fails the submission when the lab turns it down', async () => {
+    const lab = createWebhookLab({
+      url: 'https://lab.example.com/orders',
+      secret: 'shh',
+      fetch: async () => new Response('busy', { status: 503 }),
+    });
+    await assert.rejects(lab.submit({ orderId: 'order-1', items: [] }), /503/);
+  });
+});
+
+describe('Shipping and fulfillment (server.js)', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+  const store = app.locals.store;
+  const fulfillment = app.locals.fulfillment;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  function admin(method, urlPath, body) {
+    return request(method, urlPath, body, { Authorization: 'Bearer test-admin-token' });
+  }
+
+  function printLabWebhook(payload, secret = process.env.PRINT_LAB_SECRET) {
+    const body = JSON.stringify(payload);
+    return fetch(`${baseUrl}/api/webhooks/print-lab`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Print-Lab-Signature': signPrintLabBody(body, secret) },
+      body,
+    });
+  }
+
+  // Places and pays for an order of two 8x10 prints shipped to the US,
+  // then waits for it to reach the lab
+  async function paidPrintOrder() {
+    const placed = await request('POST', '/api/orders', {
+      items: [{ variantId: 'photo-1-8x10-matte', quantity: 2 }],
+      customerEmail: 'ada@example.com',
+      country: 'US',
+      region: 'CA',
+      shippingMethod: 'express',
+      shippingAddress: ADDRESS,
+    });
+    assert.equal(placed.status, 200);
+    const order = await placed.json();
+    const paid = await request('POST', '/api/payment', { orderId: order.orderId, sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(paid.status, 200);
+
+    const file = path.join(labDir, 'orders', `${order.orderId}.json`);
+    for (let i = 0; i < 100 && !fs.existsSync(file); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return { order, labOrder: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+    assert.equal((await admin('PUT', '/api/admin/shipping-rates', { rates: RATES })).status, 200);
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(labDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => square.reset());
+
+  it('validates the rate table', async () => {
+    const invalid = await admin('PUT', '/api/admin/shipping-rates', { rates: [{ ...RATES[0], countries: ['USA'] }] });
+    assert.equal(invalid.status, 400);
+    const { rates } = await (await admin('GET', '/api/admin/shipping-rates')).json();
+    assert.equal(rates.length, 3);
+    assert.equal((await request('PUT', '/api/admin/shipping-rates', { rates: [] })).status, 401);
+  });
+
+  it('adds the chosen shipping option to the total', async () => {
+    const response = await request('POST', '/api/cart/quote', {
+      items: [{ variantId: 'photo-1-8x10-matte', quantity: 2 }],
+      country: 'US',
+      region: 'CA',
+      shippingMethod: 'express',
+    });
+    assert.equal(response.status, 200);
+    const quote = await response.json();
+    assert.deepEqual(quote.shippingOptions.map(option => option.method), ['standard', 'express']);
+    assert.equal(quote.shipping.method, 'express');
+    assert.equal(quote.total, quote.subtotal - quote.discount + quote.tax + 2000);
+  });
+
+  it('requires a shipping address for prints but not for downloads', async () => {
+    const prints = { items: [{ variantId: 'photo-1-8x10-matte', quantity: 1 }], country: 'US', region: 'CA' };
+    const missing = await request('POST', '/api/orders', prints);
+    assert.equal(missing.status, 400);
+    assert.match((await missing.json()).error, /Shipping address/);
+
+    const unknown = await request('POST', '/api/orders', { ...prints, shippingAddress: ADDRESS, shippingMethod: 'pigeon' });
+    assert.equal(unknown.status, 400);
+
+    const download = await request('POST', '/api/orders', { items: [{ variantId: 'photo-1-digital-personal', quantity: 1 }], country: 'US', region: 'CA' });
+    assert.equal(download.status, 200);
+    assert.equal((await download.json()).shipping, null);
+  });
+
+  it('sends paid orders to the lab and shows its tracking numbers', async () => {
+    const { order, labOrder } = await paidPrintOrder();
+    assert.equal(labOrder.items[0].quantity, 2);
+    assert.equal(labOrder.shipping.method, 'express');
+    assert.equal(labOrder.shippingAddress.city, 'Springfield');
+    assert.equal(labOrder.shippingAddress.country, 'US');
+    assert.equal((await fulfillment.get(order.orderId)).status, 'submitted');
+
+    fs.mkdirSync(path.join(labDir, 'shipments'), { recursive: true });
+    fs.writeFileSync(path.join(labDir, 'shipments', `${order.orderId}.json`), JSON.stringify({
+      shipments: [{ carrier: 'UPS', trackingNumber: '1Z999', trackingUrl: 'https://ups.example.com/1Z999' }],
+    }));
+    assert.equal(await fulfillment.poll(), 1);
+
+    const status = await (await request('GET', `/api/orders/${order.orderId}`)).json();
+    assert.equal(status.status, 'fulfilled');
+    assert.equal(status.fulfillment.shipments[0].trackingNumber, '1Z999');
+    assert.equal((await fulfillment.get(order.orderId)).status, 'shipped');
+
+    const email = await app.locals.outbox.get(`${order.orderId}:order_shipped`);
+    assert.ok(email);
+    assert.equal(email.to, 'ada@example.com');
+
+    // Polling again adds nothing
+    assert.equal(await fulfillment.poll(), 0);
+    assert.equal((await store.get('orders', order.orderId)).fulfillment.shipments.length, 1);
+  });
+
+  it('takes tracking numbers from signed print lab webhooks', async () => {
+    const { order } = await paidPrintOrder();
+    const shipments = [{ carrier: 'USPS', trackingNumber: '9400100000000000000000' }];
+
+    assert.equal((await printLabWebhook({ orderId: order.orderId, shipments }, 'wrong-secret')).status, 403);
+    assert.equal((await printLabWebhook({ orderId: order.orderId, shipments: [{ carrier: 'USPS' }] })).status, 400);
+
+    const response = await printLabWebhook({ orderId: order.orderId, shipments });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { received: true, orderStatus: 'fulfilled' });
+
+    const jobs = await (await admin('GET', '/api/admin/fulfillment?status=shipped')).json();
+    assert.ok(jobs.some(job => job.id === order.orderId));
+    assert.equal((await admin('POST', `/api/admin/fulfillment/${order.orderId}/retry`)).status, 409);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+
+const app = require('../server');
+const { createStore } = require('../lib/store');
+const { getProduct, updateVariant } = require('../lib/catalog');
+const { getOrder } = require('../lib/orders');
+const { reserveStock, getReservation, releaseReservation, commitReservation, sweepExpiredReservations } = require('../lib/inventory');
+
+describe('Stock reservations (lib/inventory.js)', () => {
+  const variantOf = async (store, variantId) =>
+    (await getProduct(store, 'photo-2')).variants.find(variant => variant.id === variantId);
+
+  it('holds stock until the reservation is released, once', async () => {
+    const store = createStore({ STORE_DRIVER: 'memory' });
+    await updateVariant(store, 'photo-2', 'photo-2-8x10-matte', { stock: 3 });
+    const line = { productId: 'photo-2', variantId: 'photo-2-8x10-matte', quantity: 2 };
+
+    const held = await reserveStock(store, 'order-1', [line], { expiresAt: new Date(1000) });
+    assert.equal(held.status, 'held');
+    assert.equal((await variantOf(store, 'photo-2-8x10-matte')).stock, 1);
+
+    await releaseReservation(store, 'order-1');
+    await releaseReservation(store, 'order-1');
+    assert.equal((await variantOf(store, 'photo-2-8x10-matte')).stock, 3);
+    assert.equal(await releaseReservation(store, 'no-such-order'), null);
+
+    // A payment that arrives after the hold ran out takes the stock again
+    await commitReservation(store, 'order-1');
+    assert.equal((await getReservation(store, 'order-1')).status, 'committed');
+    assert.equal((await variantOf(store, 'photo-2-8x10-matte')).stock, 1);
+  });
+
+  it('sweeps only held reservations past their expiry', async () => {
+    const store = createStore({ STORE_DRIVER: 'memory' });
+    await reserveStock(store, 'expired', [], { expiresAt: new Date(1000) });
+    await reserveStock(store, 'current', [], { expiresAt: new Date(5000) });
+    await reserveStock(store, 'paid', [], { expiresAt: new Date(1000) });
+    await commitReservation(store, 'paid');
+
+    const expired = [];
+    const released = await sweepExpiredReservations(store, async id => {
+      expired.push(id);
+      await releaseReservation(store, id);
+    }, { now: new Date(2000) });
+    assert.deepEqual(expired, ['expired']);
+    assert.equal(released, 1);
+  });
+});
+
+describe('Inventory (server.js)', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+  const store = app.locals.store;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  function admin(method, urlPath, body) {
+    return request(method, urlPath, body, { Authorization: 'Bearer test-admin-token' });
+  }
+
+  function placeOrder(variantId, quantity = 1) {
+    return request('POST', '/api/orders', { items: [{ variantId, quantity }] });
+  }
+
+  async function variant(productId, variantId) {
+    const product = await (await request('GET', `/api/products/${productId}`)).json();
+    return { product, variant: product.variants.find(v => v.id === variantId) };
+  }
+
+  // Moves an order and its hold past their expiry
+  async function expire(orderId) {
+    const past = new Date(Date.now() - 1000).toISOString();
+    await store.update('orders', orderId, order => ({ ...order, expiresAt: past }));
+    await store.update('stock_reservations', orderId, reservation => ({ ...reservation, expiresAt: past }));
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => square.reset());
+
+  it('never oversells when checkouts run at the same time', async () => {
+    await admin('PATCH', '/api/admin/products/photo-3/variants/photo-3-8x10-matte', { stock: 3 });
+    const responses = await Promise.all(Array.from({ length: 6 }, () => placeOrder('photo-3-8x10-matte')));
+    const statuses = responses.map(response => response.status).sort();
+    assert.deepEqual(statuses, [200, 200, 200, 409, 409, 409]);
+
+    const { product, variant: sold } = await variant('photo-3', 'photo-3-8x10-matte');
+    assert.equal(sold.stock, 0);
+    assert.equal(sold.available, false);
+    assert.equal(product.soldOut, false);
+  });
+
+  it('numbers limited-edition prints when the order is paid', async () => {
+    const created = await admin('PATCH', '/api/admin/products/photo-4/variants/photo-4-8x10-glossy', { editionSize: 10 });
+    assert.equal(created.status, 200);
+    assert.equal((await admin('PATCH', '/api/admin/products/photo-4/variants/photo-4-8x10-glossy', { stock: 20 })).status, 409);
+
+    const first = await (await placeOrder('photo-4-8x10-glossy', 2)).json();
+    const second = await (await placeOrder('photo-4-8x10-glossy')).json();
+    assert.equal((await variant('photo-4', 'photo-4-8x10-glossy')).variant.stock, 7);
+
+    // Numbers follow the order of payment, not of ordering
+    for (const orderId of [second.orderId, first.orderId]) {
+      const paid = await request('POST', '/api/payment', { orderId, sourceId: 'cnon:card-nonce-ok' });
+      assert.equal(paid.status, 200);
+    }
+    const numbers = async orderId => (await getOrder(store, orderId)).items[0].editionNumbers;
+    assert.deepEqual(await numbers(second.orderId), [1]);
+    assert.deepEqual(await numbers(first.orderId), [2, 3]);
+
+    // The edition size is fixed once prints are sold
+    const resized = await admin('PATCH', '/api/admin/products/photo-4/variants/photo-4-8x10-glossy', { editionSize: 20 });
+    assert.equal(resized.status, 409);
+    const { variant: edition } = await variant('photo-4', 'photo-4-8x10-glossy');
+    assert.equal(edition.editionSize, 10);
+    assert.equal(edition.stock, 7);
+  });
+
+  it('releases the hold of an order that expired unpaid', async () => {
+    await admin('PATCH', '/api/admin/products/photo-5/variants/photo-5-8x10-matte', { stock: 1 });
+    const abandoned = await (await placeOrder('photo-5-8x10-matte')).json();
+    assert.equal((await variant('photo-5', 'photo-5-8x10-matte')).variant.available, false);
+
+    await expire(abandoned.orderId);
+    const response = await placeOrder('photo-5-8x10-matte');
+    assert.equal(response.status, 200);
+    assert.equal((await getOrder(store, abandoned.orderId)).status, 'cancelled');
+    assert.equal((await getReservation(store, abandoned.orderId)).status, 'released');
+
+    const late = await request('POST', '/api/payment', { orderId: abandoned.orderId, sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(late.status, 409);
+    assert.equal((await variant('photo-5', 'photo-5-8x10-matte')).variant.stock, 0);
+  });
+
+  it('keeps the hold while a customer retries after a decline', async () => {
+    await admin('PATCH', '/api/admin/products/photo-6/variants/photo-6-8x10-matte', { stock: 1 });
+    const order = await (await placeOrder('photo-6-8x10-matte')).json();
+    square.script('payments.create', { decline: 'GENERIC_DECLINE' });
+    const declined = await request('POST', '/api/payment', { orderId: order.orderId, sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(declined.status, 402);
+    assert.equal((await placeOrder('photo-6-8x10-matte')).status, 409);
+
+    const paid = await request('POST', '/api/payment', { orderId: order.orderId, sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(paid.status, 200);
+    assert.equal((await getReservation(store, order.orderId)).status, 'committed');
+  });
+});
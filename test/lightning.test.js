@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.LIGHTNING_NODE = 'mock';
+process.env.BTC_USD_RATE = '50000';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+// Every test pays as the same customer; rate limits have their own tests
+process.env.RATE_LIMIT_PAYMENTS_PER_EMAIL = '0';
+
+const app = require('../server');
+const { encodeAmount } = require('../lib/lightning/bolt11');
+const { createMockLightningNode } = require('../lib/lightning/mock-node');
+const { usdCentsToSats } = require('../lib/bitcoin/units');
+
+describe('Lightning payments', () => {
+  let server;
+  let baseUrl;
+
+  function post(path, body) {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async function createOrder() {
+    const response = await post('/api/orders', {
+      items: [{ id: 'photo-1', quantity: 2 }],
+      customerEmail: 'buyer@example.com',
+    });
+    return response.json();
+  }
+
+  async function createInvoice(orderId) {
+    const response = await post('/api/payment', { orderId, provider: 'lightning' });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('converts USD cents to satoshis at the configured rate, rounding up', () => {
+    assert.equal(usdCentsToSats(5000, 50000), 100000);
+    assert.equal(usdCentsToSats(5998, 50000), 119960);
+    assert.equal(usdCentsToSats(1, 60000), 17);
+  });
+
+  it('encodes invoice amounts with the shortest exact multiplier', () => {
+    assert.equal(encodeAmount(250000000), '2500u');
+    assert.equal(encodeAmount(100000000), '1m');
+    assert.equal(encodeAmount(119960000), '1199600n');
+    assert.equal(encodeAmount(1500), '15n');
+    assert.equal(encodeAmount(1), '10p');
+  });
+
+  it('advertises Lightning in /api/config', async () => {
+    const config = await (await fetch(`${baseUrl}/api/config`)).json();
+    assert.equal(config.lightningConfigured, true);
+  });
+
+  it('creates a BOLT11 invoice for the order total', async () => {
+    const order = await createOrder();
+    const result = await createInvoice(order.orderId);
+
+    assert.equal(result.success, true);
+    assert.equal(result.orderStatus, 'pending');
+    assert.equal(result.payment.provider, 'lightning');
+    assert.equal(result.payment.status, 'PENDING');
+    assert.equal(result.payment.amountSats, 119960);
+    assert.match(result.payment.invoice, /^lnbcrt1199600n1/);
+    assert.equal(result.payment.uri, `lightning:${result.payment.invoice}`);
+    assert.match(result.payment.qrCode, /^data:image\/png;base64,/);
+  });
+
+  it('returns the same open invoice when asked again', async () => {
+    const order = await createOrder();
+    const first = await createInvoice(order.orderId);
+    const second = await createInvoice(order.orderId);
+    assert.equal(second.payment.id, first.payment.id);
+  });
+
+  it('marks the order paid once the invoice settles', async () => {
+    const order = await createOrder();
+    const { payment } = await createInvoice(order.orderId);
+
+    let status = await (await fetch(`${baseUrl}/api/orders/${order.orderId}/payment`)).json();
+    assert.equal(status.orderStatus, 'pending');
+
+    await app.locals.lightningNode.settleInvoice(payment.id);
+
+    status = await (await fetch(`${baseUrl}/api/orders/${order.orderId}/payment`)).json();
+    assert.equal(status.orderStatus, 'paid');
+    assert.equal(status.payment.status, 'COMPLETED');
+    assert.ok(status.payment.settledAt);
+
+    const again = await post('/api/payment', { orderId: order.orderId, provider: 'lightning' });
+    assert.equal(again.status, 409);
+  });
+
+  it('refuses card payments while the invoice is open', async () => {
+    const order = await createOrder();
+    const { payment } = await createInvoice(order.orderId);
+
+    const card = await post('/api/payment', { orderId: order.orderId, sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(card.status, 409);
+    assert.match((await card.json()).error, /Lightning payment in progress/);
+    assert.equal(app.locals.squareClient.calls.length, 0);
+
+    // Once the invoice is paid, the card payment is turned down as a repeat
+    await app.locals.lightningNode.settleInvoice(payment.id);
+    const late = await post('/api/payment', { orderId: order.orderId, sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(late.status, 409);
+    assert.match((await late.json()).error, /already paid/);
+    assert.equal(app.locals.squareClient.calls.length, 0);
+  });
+
+  it('keeps node errors from the customer', async () => {
+    const order = await createOrder();
+    const node = app.locals.lightningNode;
+    const createInvoice = node.createInvoice;
+    node.createInvoice = async () => {
+      throw new Error('LND POST /v1/invoices failed: permission denied for macaroon at 10.0.0.5:8080');
+    };
+
+    try {
+      const response = await post('/api/payment', { orderId: order.orderId, provider: 'lightning' });
+      assert.equal(response.status, 500);
+      assert.deepEqual(await response.json(), { success: false, error: 'Payment processing failed' });
+    } finally {
+      node.createInvoice = createInvoice;
+    }
+
+    const stored = await app.locals.store.get('orders', order.orderId);
+    assert.match(stored.history.at(-1).note, /LND POST/);
+  });
+
+  it('settles invoices through the mock node dev route', async () => {
+    const order = await createOrder();
+    const { payment } = await createInvoice(order.orderId);
+
+    const response = await post(`/api/dev/lightning/invoices/${payment.id}/settle`, {});
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).state, 'SETTLED');
+
+    const stored = await (await fetch(`${baseUrl}/api/orders/${order.orderId}`)).json();
+    assert.equal(stored.status, 'pending');
+
+    const status = await (await fetch(`${baseUrl}/api/orders/${order.orderId}/payment`)).json();
+    assert.equal(status.orderStatus, 'paid');
+  });
+
+  it('rejects unknown payment providers', async () => {
+    const order = await createOrder();
+    const response = await post('/api/payment', { orderId: order.orderId, provider: 'paypal' });
+    assert.equal(response.status, 400);
+  });
+
+  it('does not settle expired invoices', async () => {
+    let now = new Date('2026-01-01T00:00:00Z');
+    const node = createMockLightningNode({ now: () => now });
+    const invoice = await node.createInvoice({ amountMsat: 1000, memo: 'test', expirySeconds: 60 });
+
+    now = new Date('2026-01-01T00:01:01Z');
+    assert.equal((await node.getInvoice(invoice.paymentHash)).state, 'EXPIRED');
+    await assert.rejects(node.settleInvoice(invoice.paymentHash), /expired/);
+  });
+});
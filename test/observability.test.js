@@ -0,0 +1,231 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.METRICS_TOKEN = 'test-metrics-token';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+
+const app = require('../server');
+const { createLogger, redact, hashForLog } = require('../lib/log');
+const { createRegistry } = require('../lib/metrics');
+
+const PRINT = 'photo-1-8x10-glossy';
+
+// Runs `fn` with the log lines written to stdout and stderr collected.
+// Anything else (such as the test runner's own output) is passed through.
+async function captureLogs(fn) {
+  const lines = [];
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const collect = stream => (chunk, ...rest) => {
+    if (!String(chunk).startsWith('{')) {
+      return writes[stream].call(process[stream], chunk, ...rest);
+    }
+    lines.push(...String(chunk).split('\n').filter(Boolean).map(line => JSON.parse(line)));
+    return true;
+  };
+  process.stdout.write = collect('stdout');
+  process.stderr.write = collect('stderr');
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return lines;
+}
+
+describe('Structured logs (lib/log.js)', () => {
+  it('redacts tokens, card sources and email addresses', () => {
+    const logged = redact({
+      customerEmail: 'Buyer@Example.com',
+      sourceId: 'cnon:card-nonce-ok',
+      accessToken: 'EAAAEexampleexampleexample',
+      headers: { Authorization: 'Bearer abc.def', Cookie: 'session_id=secret' },
+      note: 'Card ccof:abc123 for buyer@example.com failed',
+      amount: 2999n,
+      to: 'paid',
+    });
+    const hash = hashForLog('buyer@example.com');
+    assert.deepEqual(logged, {
+      customerEmail: `[email ${hash}]`,
+      sourceId: '[redacted]',
+      accessToken: '[redacted]',
+      headers: { Authorization: '[redacted]', Cookie: '[redacted]' },
+      note: `Card ccof:[redacted] for [email ${hash}] failed`,
+      amount: '2999',
+      to: 'paid',
+    });
+  });
+
+  it('logs only the Square error list of an SDK error', () => {
+    const error = Object.assign(new Error('Response status code was not ok: 400.'), {
+      statusCode: 400,
+      errors: [{ category: 'PAYMENT_METHOD_ERROR', code: 'CVV_FAILURE', detail: 'Authorization error' }],
+      request: { body: '{"source_id":"cnon:card-nonce-ok"}', headers: { authorization: 'Bearer EAAAEsecret' } },
+    });
+    const { error: logged } = redact({ error });
+    assert.equal(logged.statusCode, 400);
+    assert.deepEqual(logged.squareErrors, [{ category: 'PAYMENT_METHOD_ERROR', code: 'CVV_FAILURE', detail: 'Authorization error' }]);
+    assert.equal(logged.request, undefined);
+    assert.ok(!JSON.stringify(logged).includes('cnon:card-nonce-ok'));
+  });
+
+  it('writes one JSON line per entry at or above the log level', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'warn', write: line => lines.push(JSON.parse(line)), now: () => new Date(0) })
+      .child({ service: 'photo-store' });
+    logger.info('Not logged');
+    logger.error('Refund error', { orderId: 'order-1', error: new Error('Square is down') });
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].time, '1970-01-01T00:00:00.000Z');
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].msg, 'Refund error');
+    assert.equal(lines[0].service, 'photo-store');
+    assert.equal(lines[0].error.message, 'Square is down');
+    assert.throws(() => createLogger({ level: 'loud' }), /Unknown LOG_LEVEL/);
+  });
+});
+
+describe('Metrics registry (lib/metrics.js)', () => {
+  it('renders counters and histograms in the Prometheus text format', () => {
+    const registry = createRegistry();
+    const orders = registry.counter('orders_total', 'Orders placed');
+    const declines = registry.counter('declines_total', 'Declines', ['reason']);
+    const latency = registry.histogram('latency_seconds', 'Latency', { labelNames: ['method'], buckets: [0.1, 1] });
+    declines.inc({ reason: 'card "declined"' });
+    declines.inc({ reason: 'card "declined"' });
+    latency.observe({ method: 'createPayment' }, 0.5);
+
+    assert.equal(orders.get(), 0);
+    assert.equal(registry.render(), [
+      '# HELP orders_total Orders placed',
+      '# TYPE orders_total counter',
+      'orders_total 0',
+      '# HELP declines_total Declines',
+      '# TYPE declines_total counter',
+      'declines_total{reason="card \\"declined\\""} 2',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{method="createPayment",le="0.1"} 0',
+      'latency_seconds_bucket{method="createPayment",le="1"} 1',
+      'latency_seconds_bucket{method="createPayment",le="+Inf"} 1',
+      'latency_seconds_sum{method="createPayment"} 0.5',
+      'latency_seconds_count{method="createPayment"} 1',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('Request IDs and metrics (server.js)', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  async function placeOrder() {
+    const response = await request('POST', '/api/orders', {
+      items: [{ variantId: PRINT, quantity: 1 }],
+      customerEmail: 'metrics@example.com',
+    });
+    assert.equal(response.status, 200);
+    return (await response.json()).orderId;
+  }
+
+  function pay(orderId) {
+    return request('POST', '/api/payment', { orderId, sourceId: 'cnon:card-nonce-ok' });
+  }
+
+  async function scrape() {
+    const response = await request('GET', '/api/metrics', undefined, { Authorization: 'Bearer test-metrics-token' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    return response.text();
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => square.reset());
+
+  it('tags every response and its log lines with a request ID', async () => {
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await request('GET', '/api/products', undefined, { 'X-Request-Id': 'lb-1234' });
+      await response.text();
+      const generated = await request('GET', '/api/health', undefined, { 'X-Request-Id': 'not a valid id!' });
+      assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+      await generated.text();
+    });
+    assert.equal(response.headers.get('x-request-id'), 'lb-1234');
+
+    const logged = lines.find(line => line.msg === 'Request' && line.requestId === 'lb-1234');
+    assert.equal(logged.path, '/api/products');
+    assert.equal(logged.status, 200);
+    assert.equal(typeof logged.durationMs, 'number');
+  });
+
+  it('logs payment errors without the card source or email address', async () => {
+    const orderId = await placeOrder();
+    square.script('payments.create', { decline: 'CVV_FAILURE' });
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await pay(orderId);
+      await response.json();
+    });
+    const logged = lines.find(line => line.msg === 'Payment error');
+    assert.equal(logged.requestId, response.headers.get('x-request-id'));
+    assert.equal(logged.code, 'cvv_mismatch');
+    assert.equal(logged.level, 'warn');
+    const text = JSON.stringify(lines);
+    assert.ok(!text.includes('cnon:card-nonce-ok'));
+    assert.ok(!text.includes('metrics@example.com'));
+  });
+
+  it('serves metrics only with the metrics token', async () => {
+    assert.equal((await request('GET', '/api/metrics')).status, 401);
+    const wrong = await request('GET', '/api/metrics', undefined, { Authorization: 'Bearer nope' });
+    assert.equal(wrong.status, 401);
+  });
+
+  it('counts orders, payments, declines, refunds and Square latency', async () => {
+    const count = (text, series) => {
+      const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+      return line ? Number(line.split(' ')[1]) : 0;
+    };
+    const before = await scrape();
+
+    const orderId = await placeOrder();
+    square.script('payments.create', { decline: 'GENERIC_DECLINE' });
+    assert.equal((await pay(orderId)).status, 402);
+    assert.equal((await pay(orderId)).status, 200);
+    const refund = await request('POST', `/api/orders/${orderId}/refunds`, { amount: 500 }, { Authorization: 'Bearer test-admin-token' });
+    assert.equal(refund.status, 201);
+
+    const text = await scrape();
+    const added = series => count(text, series) - count(before, series);
+    assert.equal(added('photo_store_orders_created_total{currency="USD"}'), 1);
+    assert.equal(added('photo_store_payments_attempted_total{provider="square"}'), 2);
+    assert.equal(added('photo_store_payments_declined_total{provider="square",reason="card_declined"}'), 1);
+    assert.equal(added('photo_store_payments_succeeded_total{provider="square"}'), 1);
+    assert.equal(added('photo_store_refunds_total{currency="USD"}'), 1);
+    assert.equal(added('photo_store_refunded_amount_total{currency="USD"}'), 500);
+    assert.equal(added('photo_store_square_api_duration_seconds_count{method="payments.create",outcome="error"}'), 1);
+    assert.equal(added('photo_store_square_api_duration_seconds_count{method="payments.create",outcome="ok"}'), 1);
+    assert.equal(added('photo_store_square_api_duration_seconds_count{method="refunds.refundPayment",outcome="ok"}'), 1);
+    assert.match(text, /# TYPE photo_store_square_api_duration_seconds histogram/);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.STORE_CURRENCIES = 'USD,EUR,GBP,JPY';
+process.env.EXCHANGE_RATES = 'EUR=0.9,GBP=0.8,JPY=150';
+
+const app = require('../server');
+const { convertAmount, formatMoney, parseCurrencies } = require('../lib/currency');
+const { findTaxRule, calculateTax } = require('../lib/tax');
+const { getOrder, transitionOrder } = require('../lib/orders');
+const { planRefund } = require('../lib/refunds');
+
+const RULES = [
+  { country: 'US', region: null, name: 'Sales tax', rate: 5, inclusive: false },
+  { country: 'US', region: 'CA', name: 'CA sales tax', rate: 7.25, inclusive: false },
+  { country: 'GB', region: null, name: 'VAT', rate: 20, inclusive: true },
+];
+
+describe('Currency helpers', () => {
+  it('converts USD cents to other currencies in their smallest unit', () => {
+    assert.equal(convertAmount(2999, 'EUR', { EUR: 0.9 }), 2699);
+    assert.equal(convertAmount(2999, 'JPY', { JPY: 150 }), 4499);
+    assert.throws(() => convertAmount(2999, 'GBP', {}), /not available/);
+  });
+
+  it('formats zero-decimal currencies', () => {
+    assert.equal(formatMoney(4499, 'JPY'), '¥4,499');
+    assert.equal(formatMoney(2699, 'EUR'), '€26.99');
+  });
+
+  it('always offers the base currency first', () => {
+    assert.deepEqual(parseCurrencies('jpy,USD,eur'), ['USD', 'JPY', 'EUR']);
+    assert.deepEqual(parseCurrencies(undefined), ['USD']);
+    assert.throws(() => parseCurrencies('CHF'), /Unsupported currency/);
+  });
+});
+
+describe('Tax rules', () => {
+  it('prefers the region rule over the country-wide one', () => {
+    assert.equal(findTaxRule(RULES, { country: 'US', region: 'CA' }).name, 'CA sales tax');
+    assert.equal(findTaxRule(RULES, { country: 'US', region: 'OR' }).name, 'Sales tax');
+    assert.equal(findTaxRule(RULES, { country: 'DE', region: null }), null);
+    assert.equal(findTaxRule(RULES, { country: null, region: null }), null);
+  });
+
+  it('adds exclusive tax and extracts inclusive tax', () => {
+    assert.deepEqual(calculateTax(RULES[1], [2999, 1000]), { tax: 290, lineTaxes: [217, 73] });
+    assert.deepEqual(calculateTax(RULES[2], [1200]), { tax: 200, lineTaxes: [200] });
+  });
+});
+
+describe('Multi-currency pricing and tax', () => {
+  let server;
+  let baseUrl;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  function admin(method, urlPath, body) {
+    return request(method, urlPath, body, { Authorization: 'Bearer test-admin-token' });
+  }
+
+  async function quote(body) {
+    return (await request('POST', '/api/cart/quote', body)).json();
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('lists the currencies on offer and prices products in them', async () => {
+    const config = await (await fetch(`${baseUrl}/api/config`)).json();
+    assert.deepEqual(config.currencies, ['USD', 'EUR', 'GBP', 'JPY']);
+
+    const [product] = await (await fetch(`${baseUrl}/api/products?currency=jpy`)).json();
+    assert.equal(product.variants[0].price, 4499);
+    assert.equal((await fetch(`${baseUrl}/api/products?currency=CHF`)).status, 400);
+  });
+
+  it('uses variant price overrides and the stored exchange-rate table', async () => {
+    await admin('PATCH', '/api/admin/products/photo-1/variants/photo-1-8x10-matte', { prices: { EUR: 2500 } });
+    assert.equal((await admin('PUT', '/api/admin/exchange-rates', { rates: { EUR: 1, GBP: -1 } })).status, 400);
+    const saved = await admin('PUT', '/api/admin/exchange-rates', { rates: { EUR: 1, GBP: 0.5, JPY: 100 } });
+    assert.deepEqual((await saved.json()).rates, { EUR: 1, GBP: 0.5, JPY: 100 });
+
+    const items = [{ variantId: 'photo-1-8x10-matte', quantity: 1 }, { variantId: 'photo-2-8x10-matte', quantity: 1 }];
+    const eur = await quote({ items, currency: 'EUR' });
+    assert.deepEqual(eur.items.map(item => item.unitPrice), [2500, 3499]);
+    assert.equal(eur.exchangeRate, 1);
+    const gbp = await quote({ items, currency: 'GBP' });
+    assert.deepEqual(gbp.items.map(item => item.unitPrice), [1500, 1750]);
+  });
+
+  it('quotes exclusive and inclusive tax by customer location', async () => {
+    assert.equal((await admin('PUT', '/api/admin/tax-rules', { rules: [{ country: 'US', rate: 5 }] })).status, 400);
+    const saved = await admin('PUT', '/api/admin/tax-rules', { rules: RULES });
+    assert.equal(saved.status, 200);
+
+    const items = [{ variantId: 'photo-1-8x10-glossy', quantity: 2 }];
+    const california = await quote({ items, country: 'us', region: 'ca' });
+    assert.equal(california.subtotal, 5998);
+    assert.equal(california.tax, 435);
+    assert.equal(california.total, 6433);
+    assert.equal(california.taxRule.name, 'CA sales tax');
+
+    const uk = await quote({ items, country: 'GB', currency: 'GBP' });
+    assert.equal(uk.subtotal, 3000);
+    assert.equal(uk.tax, 500);
+    assert.equal(uk.total, 3000);
+
+    const untaxed = await quote({ items });
+    assert.equal(untaxed.tax, 0);
+    assert.equal(untaxed.taxRule, null);
+  });
+
+  it('records the tax and currency breakdown on orders and refunds tax too', async () => {
+    const items = [{ variantId: 'photo-1-8x10-glossy', quantity: 2 }];
+    assert.equal((await request('POST', '/api/orders', { items, currency: 'JPY' })).status, 400, 'country needed for tax');
+
+    const response = await request('POST', '/api/orders', { items, currency: 'JPY', country: 'US', region: 'CA' });
+    const order = await response.json();
+    assert.equal(order.currency, 'JPY');
+    assert.equal(order.exchangeRate, 100);
+    assert.equal(order.subtotal, 5998);
+    assert.equal(order.tax, 435);
+    assert.equal(order.total, 6433);
+    assert.deepEqual(order.customerLocation, { country: 'US', region: 'CA' });
+    assert.deepEqual(order.items[0].tax, 435);
+
+    await transitionOrder(app.locals.store, order.orderId, 'paid');
+    const plan = planRefund(await getOrder(app.locals.store, order.orderId), {
+      items: [{ variantId: 'photo-1-8x10-glossy', quantity: 1 }],
+    });
+    assert.equal(plan.amount, 3217);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+const app = require('../server');
+const { applyPromotion } = require('../lib/promotions');
+const { getOrder, transitionOrder } = require('../lib/orders');
+const { planRefund } = require('../lib/refunds');
+
+const PROMOTION = {
+  code: 'SPRING',
+  type: 'percent',
+  value: 10,
+  minimumAmount: null,
+  productIds: [],
+  startsAt: null,
+  endsAt: null,
+  usageLimit: null,
+  perEmailLimit: null,
+  active: true,
+  redemptions: { total: 0, byEmail: {} },
+};
+
+const LINES = [
+  { productId: 'photo-1', variantId: 'photo-1-8x10-matte', unitPrice: 2999, quantity: 1 },
+  { productId: 'photo-2', variantId: 'photo-2-8x10-matte', unitPrice: 3499, quantity: 2 },
+];
+
+describe('applyPromotion', () => {
+  it('takes a percentage off and spreads it over the lines', () => {
+    const { discount, lineDiscounts } = applyPromotion(PROMOTION, LINES);
+    assert.equal(discount, 1000);
+    assert.deepEqual(lineDiscounts, [300, 700]);
+  });
+
+  it('limits the discount to the listed products', () => {
+    const promotion = { ...PROMOTION, type: 'fixed', value: 5000, productIds: ['photo-1'] };
+    assert.deepEqual(applyPromotion(promotion, LINES), { discount: 2999, lineDiscounts: [2999, 0] });
+
+    const other = { ...PROMOTION, productIds: ['photo-6'] };
+    assert.throws(() => applyPromotion(other, LINES), /does not apply to the items/);
+  });
+
+  it('checks the minimum order amount and the dates', () => {
+    const now = new Date('2026-04-01T00:00:00Z');
+    assert.throws(() => applyPromotion({ ...PROMOTION, minimumAmount: 10000 }, LINES), /at least \$100\.00/);
+    assert.throws(() => applyPromotion({ ...PROMOTION, startsAt: '2026-04-02T00:00:00.000Z' }, LINES, { now }), /not active yet/);
+    assert.throws(() => applyPromotion({ ...PROMOTION, endsAt: '2026-04-01T00:00:00.000Z' }, LINES, { now }), /expired/);
+    assert.throws(() => applyPromotion({ ...PROMOTION, value: 100 }, LINES), /cannot make the order free/);
+  });
+});
+
+describe('Promo codes at checkout', () => {
+  let server;
+  let baseUrl;
+
+  function post(urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  }
+
+  function createPromotion(body) {
+    return post('/api/admin/promotions', body, { Authorization: 'Bearer test-admin-token' });
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('lets staff create codes and validates them', async () => {
+    const response = await createPromotion({ code: 'summer25', description: '25% off everything', type: 'percent', value: 25 });
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).code, 'SUMMER25');
+
+    assert.equal((await createPromotion({ code: 'SUMMER25', type: 'percent', value: 10 })).status, 409);
+    assert.equal((await createPromotion({ code: 'HALF', type: 'percent', value: 150 })).status, 400);
+    assert.equal((await post('/api/admin/promotions', { code: 'FREE', type: 'fixed', value: 100 })).status, 401);
+  });
+
+  it('quotes line items, the discount and the total', async () => {
+    const items = [{ variantId: 'photo-1-8x10-matte', quantity: 2 }];
+    const quote = await (await post('/api/cart/quote', { items, promoCode: 'summer25' })).json();
+
+    assert.equal(quote.subtotal, 5998);
+    assert.equal(quote.discount, 1500);
+    assert.equal(quote.total, 4498);
+    assert.equal(quote.items[0].discount, 1500);
+    assert.deepEqual(quote.promotion, { code: 'SUMMER25', description: '25% off everything', type: 'percent', value: 25 });
+
+    const invalid = await (await post('/api/cart/quote', { items, promoCode: 'NOPE' })).json();
+    assert.equal(invalid.promoError, 'This promo code is not valid');
+    assert.equal(invalid.total, 5998);
+  });
+
+  it('charges the discounted total and refunds lines at what was paid', async () => {
+    const response = await post('/api/orders', {
+      items: [{ variantId: 'photo-1-8x10-matte', quantity: 2 }],
+      promoCode: 'SUMMER25',
+    });
+    const { orderId, total, discount } = await response.json();
+    assert.equal(total, 4498);
+    assert.equal(discount, 1500);
+
+    await transitionOrder(app.locals.store, orderId, 'paid');
+    const plan = planRefund(await getOrder(app.locals.store, orderId), {
+      items: [{ variantId: 'photo-1-8x10-matte', quantity: 1 }],
+    });
+    assert.equal(plan.amount, 2249);
+
+    const invalid = await post('/api/orders', { items: [{ variantId: 'photo-1-8x10-matte', quantity: 1 }], promoCode: 'NOPE' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('enforces total and per-email usage caps', async () => {
+    await createPromotion({ code: 'ONCE', type: 'fixed', value: 500, usageLimit: 2, perEmailLimit: 1 });
+    const order = customerEmail => post('/api/orders', {
+      items: [{ variantId: 'photo-3-8x10-matte', quantity: 1 }],
+      customerEmail,
+      promoCode: 'ONCE',
+    });
+
+    assert.equal((await order()).status, 400, 'an email is needed for a per-email cap');
+    assert.equal((await order('a@example.com')).status, 200);
+    const again = await order('A@Example.com');
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error, 'You have already used this promo code');
+    assert.equal((await order('b@example.com')).status, 200);
+    assert.equal((await order('c@example.com')).status, 409);
+  });
+});
@@ -0,0 +1,236 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.SQUARE_CLIENT = 'fake';
+
+const app = require('../server');
+const { createMemoryStore } = require('../lib/store');
+const { OrderError, createOrder, transitionOrder, getOrder } = require('../lib/orders');
+const { planRefund, issueRefund } = require('../lib/refunds');
+
+const ITEMS = [
+  { productId: 'photo-1', name: 'Mountain Sunset', unitPrice: 2999, quantity: 2 },
+  { productId: 'photo-6', name: 'Northern Lights', unitPrice: 4999, quantity: 1 },
+];
+
+// Minimal stand-in for SquareClient#refunds that records its calls
+function createRefundsStub() {
+  const calls = [];
+  return {
+    calls,
+    refunds: {
+      async refundPayment(request) {
+        calls.push(request);
+        return {
+          refund: {
+            id: `refund-${calls.length}`,
+            status: 'PENDING',
+            amountMoney: request.amountMoney,
+            createdAt: '2026-01-01T00:00:00.000Z',
+          },
+        };
+      },
+    },
+  };
+}
+
+async function createPaidOrder(store) {
+  const order = await createOrder(store, { items: ITEMS, customerEmail: 'buyer@example.com' });
+  return transitionOrder(store, order.id, 'paid', {
+    changes: {
+      payment: { provider: 'square', id: 'payment-1', status: 'COMPLETED', amount: order.total, currency: 'USD' },
+    },
+  });
+}
+
+describe('planRefund', () => {
+  const order = {
+    total: 10997,
+    items: ITEMS.map(item => ({ ...item, lineTotal: item.unitPrice * item.quantity })),
+    refunds: [{ id: 'r1', status: 'COMPLETED', amount: 2999, items: [{ productId: 'photo-1', quantity: 1 }] }],
+  };
+
+  it('refunds everything not yet refunded when no amount or items are given', () => {
+    assert.deepEqual(planRefund(order, {}), { amount: 7998, items: [], reason: null });
+  });
+
+  it('accepts a partial amount', () => {
+    assert.equal(planRefund(order, { amount: 500, reason: 'Damaged print' }).amount, 500);
+  });
+
+  it('prices line items from the order', () => {
+    const plan = planRefund(order, { items: [{ productId: 'photo-6', quantity: 1 }] });
+    assert.equal(plan.amount, 4999);
+    assert.deepEqual(plan.items, [{ productId: 'photo-6', quantity: 1 }]);
+  });
+
+  it('refuses more than the amount not yet refunded', () => {
+    assert.throws(() => planRefund(order, { amount: 7999 }), OrderError);
+  });
+
+  it('refuses quantities that were already refunded', () => {
+    assert.throws(() => planRefund(order, { items: [{ productId: 'photo-1', quantity: 2 }] }), /only 1 not yet refunded/);
+  });
+
+  it('ignores failed refunds when working out what is left', () => {
+    const withFailed = { ...order, refunds: [...order.refunds, { id: 'r2', status: 'FAILED', amount: 4999 }] };
+    assert.equal(planRefund(withFailed, {}).amount, 7998);
+  });
+
+  it('refunds by variant when the order has several variants of a product', () => {
+    const withVariants = {
+      total: 8998,
+      items: [
+        { productId: 'photo-1', variantId: 'photo-1-8x10-matte', unitPrice: 2999, quantity: 1, lineTotal: 2999 },
+        { productId: 'photo-1', variantId: 'photo-1-16x20-matte', unitPrice: 5999, quantity: 1, lineTotal: 5999 },
+      ],
+      refunds: [],
+    };
+    const plan = planRefund(withVariants, { items: [{ variantId: 'photo-1-16x20-matte', quantity: 1 }] });
+    assert.equal(plan.amount, 5999);
+    assert.throws(() => planRefund(withVariants, { items: [{ productId: 'photo-1', quantity: 1 }] }), /refund by variantId/);
+  });
+
+  it('rejects amount and items together', () => {
+    assert.throws(() => planRefund(order, { amount: 100, items: [] }), /either amount or items/);
+  });
+
+  it('rejects a non-integer amount', () => {
+    assert.throws(() => planRefund(order, { amount: 1.5 }), /positive integer/);
+  });
+});
+
+describe('issueRefund', () => {
+  let store;
+  let square;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    square = createRefundsStub();
+  });
+
+  it('marks the order partially_refunded after a partial refund', async () => {
+    const order = await createPaidOrder(store);
+    const { refund, order: updated } = await issueRefund(store, square, order.id, { amount: 1000 });
+
+    assert.equal(refund.amount, 1000);
+    assert.equal(updated.status, 'partially_refunded');
+    assert.equal(square.calls[0].paymentId, 'payment-1');
+    assert.equal(square.calls[0].amountMoney.amount, 1000n);
+  });
+
+  it('marks the order refunded once the full total is refunded', async () => {
+    const order = await createPaidOrder(store);
+    await issueRefund(store, square, order.id, { amount: 1000 });
+    const { order: updated } = await issueRefund(store, square, order.id, {});
+
+    assert.equal(updated.status, 'refunded');
+    assert.equal(updated.refunds.length, 2);
+    assert.equal(square.calls[1].amountMoney.amount, BigInt(order.total - 1000));
+  });
+
+  it('uses a stable idempotency key for the same refund', async () => {
+    const order = await createPaidOrder(store);
+    const failing = {
+      refunds: {
+        async refundPayment(request) {
+          square.calls.push(request);
+          throw new Error('Network error');
+        },
+      },
+    };
+
+    await assert.rejects(issueRefund(store, failing, order.id, { amount: 1000 }));
+    await issueRefund(store, square, order.id, { amount: 1000 });
+
+    assert.equal(square.calls[0].idempotencyKey, square.calls[1].idempotencyKey);
+  });
+
+  it('never refunds more than the total when requests race', async () => {
+    const order = await createPaidOrder(store);
+    const results = await Promise.allSettled([
+      issueRefund(store, square, order.id, { amount: 8000 }),
+      issueRefund(store, square, order.id, { amount: 8000 }),
+    ]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(square.calls.length, 1);
+    assert.equal((await getOrder(store, order.id)).refunds.length, 1);
+  });
+
+  it('refuses to refund an unpaid order', async () => {
+    const order = await createOrder(store, { items: ITEMS });
+    await assert.rejects(issueRefund(store, square, order.id, {}), { status: 409 });
+  });
+});
+
+describe('Refund API (server.js)', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+
+  function refund(orderId, body) {
+    return fetch(`${baseUrl}/api/orders/${orderId}/refunds`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-token' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => square.reset());
+
+  it('explains Square\'s refund errors to staff without Square\'s details', async () => {
+    const order = await createPaidOrder(app.locals.store);
+    const squareError = (code, detail) => ({
+      error: { statusCode: 400, code, category: 'REFUND_ERROR', detail },
+    });
+
+    square.script('refunds.refundPayment',
+      squareError('INSUFFICIENT_FUNDS', 'Secret detail from Square'),
+      squareError('PAYMENT_NOT_REFUNDABLE', 'Payment is older than 365 days'),
+      squareError('REFUND_AMOUNT_INVALID', 'Refund amount exceeds the remaining amount'),
+      { error: { statusCode: 400, code: 'SOMETHING_NEW', category: 'INVALID_REQUEST_ERROR' } },
+      'timeout');
+
+    const balance = await refund(order.id, { amount: 500 });
+    assert.equal(balance.status, 409);
+    const body = await balance.json();
+    assert.deepEqual(body, { error: body.error, code: 'refund_insufficient_balance', retryable: false });
+    assert.match(body.error, /account balance/);
+    assert.doesNotMatch(JSON.stringify(body), /Secret detail|INSUFFICIENT_FUNDS|card/i);
+
+    assert.match((await (await refund(order.id, { amount: 500 })).json()).error, /too old or disputed/);
+    assert.match((await (await refund(order.id, { amount: 500 })).json()).error, /already refunded/);
+
+    const other = await refund(order.id, { amount: 500 });
+    assert.equal(other.status, 502);
+    assert.equal((await other.json()).code, 'refund_failed');
+
+    const outage = await refund(order.id, { amount: 500 });
+    assert.equal(outage.status, 503);
+    assert.deepEqual(await outage.json(), {
+      error: "Square couldn't be reached. Try again in a moment; the customer won't be refunded twice.",
+      code: 'refund_unavailable',
+      retryable: true,
+    });
+  });
+
+  it('gives a generic message for other failures', async () => {
+    const order = await createPaidOrder(app.locals.store);
+    square.script('refunds.refundPayment', 'malformed');
+
+    const response = await refund(order.id, { amount: 500 });
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'Refund failed' });
+  });
+});
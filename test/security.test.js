@@ -0,0 +1,239 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.SQUARE_CLIENT = 'fake';
+process.env.SQUARE_LOCATION_ID = 'LOC-TEST';
+process.env.CORS_ORIGINS = 'https://partner.example, https://shop.example/';
+process.env.RATE_LIMIT_ORDERS_PER_IP = '8';
+process.env.RATE_LIMIT_ORDERS_PER_EMAIL = '2';
+process.env.RATE_LIMIT_PAYMENTS_PER_IP = '20';
+process.env.RATE_LIMIT_PAYMENTS_PER_EMAIL = '2';
+process.env.DECLINE_LIMIT = '2';
+
+const app = require('../server');
+const { createCounter, rateLimit, createDeclineTracker } = require('../lib/rate-limit');
+const { contentSecurityPolicy, parseCorsOrigins } = require('../lib/security');
+
+const PRINT = 'photo-1-8x10-glossy';
+
+describe('Rate limits (lib/rate-limit.js)', () => {
+  function clock() {
+    let time = 0;
+    const now = () => time;
+    now.advance = ms => { time += ms; };
+    return now;
+  }
+
+  it('counts events over a sliding window', () => {
+    const now = clock();
+    const counter = createCounter({ windowMs: 1000, max: 2, now });
+    counter.add('a');
+    now.advance(400);
+    counter.add('a');
+    assert.equal(counter.count('a'), 2);
+    assert.equal(counter.waitMs('a'), 600);
+    assert.equal(counter.waitMs('b'), 0);
+    now.advance(600);
+    assert.equal(counter.count('a'), 1);
+    assert.equal(counter.waitMs('a'), 0);
+  });
+
+  it('skips rules without a key or with a limit of 0, and fails open', async () => {
+    const run = async middleware => {
+      let status = 200;
+      const res = { set() {}, status(code) { status = code; return this; }, json() { return this; } };
+      await middleware({}, res, () => {});
+      return status;
+    };
+    const skipped = rateLimit([
+      { name: 'off', limit: 0, windowMs: 1000, key: () => 'a' },
+      { name: 'no_key', limit: 1, windowMs: 1000, key: () => null },
+    ]);
+    assert.equal(await run(skipped), 200);
+    assert.equal(await run(skipped), 200);
+
+    const broken = rateLimit([{ name: 'broken', limit: 1, windowMs: 1000, key: async () => { throw new Error('store down'); } }]);
+    assert.equal(await run(broken), 200);
+  });
+
+  it('trips the decline detector per key until the declines age out', () => {
+    const now = clock();
+    const tracker = createDeclineTracker({ limit: 2, windowMs: 1000, now });
+    tracker.recordDecline(['ip:1', null, 'email:a']);
+    now.advance(100);
+    tracker.recordDecline(['ip:1', 'session:b']);
+    assert.deepEqual(tracker.check(['ip:2', 'email:a']), null);
+    assert.deepEqual(tracker.check(['ip:1', 'email:a']), { key: 'ip:1', waitMs: 900 });
+    now.advance(900);
+    assert.equal(tracker.check(['ip:1']), null);
+    assert.equal(createDeclineTracker({ limit: 0, windowMs: 1000, now }).check(['ip:1']), null);
+  });
+});
+
+describe('Security (server.js)', () => {
+  let server;
+  let baseUrl;
+  const square = app.locals.squareClient;
+  const warnings = [];
+  let originalWrite;
+
+  function request(method, urlPath, body, headers = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  }
+
+  function placeOrder(customerEmail) {
+    return request('POST', '/api/orders', { items: [{ variantId: PRINT, quantity: 1 }], customerEmail });
+  }
+
+  async function orderId(customerEmail) {
+    const response = await placeOrder(customerEmail);
+    assert.equal(response.status, 200);
+    return (await response.json()).orderId;
+  }
+
+  function pay(id) {
+    return request('POST', '/api/payment', { orderId: id, sourceId: 'cnon:card-nonce-ok' });
+  }
+
+  function events(name) {
+    return warnings.filter(line => line.startsWith('{')).map(line => JSON.parse(line)).filter(event => event.event === name);
+  }
+
+  before(async () => {
+    // Security events are logged as JSON lines on stderr
+    originalWrite = process.stderr.write;
+    process.stderr.write = (chunk, ...rest) => {
+      if (!String(chunk).startsWith('{')) {
+        return originalWrite.call(process.stderr, chunk, ...rest);
+      }
+      warnings.push(...String(chunk).split('\n').filter(Boolean));
+      return true;
+    };
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    process.stderr.write = originalWrite;
+    server.close();
+  });
+
+  beforeEach(() => square.reset());
+
+  it('sends security headers and a CSP that allows the Square SDK', async () => {
+    const response = await request('GET', '/');
+    const policy = response.headers.get('content-security-policy');
+    assert.equal(policy, contentSecurityPolicy());
+    assert.match(policy, /script-src 'self' https:\/\/\*\.squarecdn\.com/);
+    assert.match(policy, /frame-ancestors 'none'/);
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(response.headers.get('x-frame-options'), 'DENY');
+    assert.equal(response.headers.get('strict-transport-security'), null);
+
+    const vercel = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vercel.json'), 'utf8'));
+    const headers = vercel.routes.find(route => route.headers).headers;
+    assert.equal(headers['Content-Security-Policy'], contentSecurityPolicy());
+  });
+
+  it('only answers cross-origin requests from allow-listed origins', async () => {
+    const allowed = await request('GET', '/api/products', undefined, { Origin: 'https://shop.example' });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://shop.example');
+
+    const other = await request('GET', '/api/products', undefined, { Origin: 'https://evil.example' });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+
+    const preflight = await request('OPTIONS', '/api/payment', undefined, {
+      Origin: 'https://partner.example',
+      'Access-Control-Request-Method': 'POST',
+      'Access-Control-Request-Headers': 'content-type,idempotency-key',
+    });
+    assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://partner.example');
+    assert.match(preflight.headers.get('access-control-allow-headers'), /Idempotency-Key/);
+
+    assert.deepEqual(parseCorsOrigins('*'), ['*']);
+    assert.throws(() => parseCorsOrigins('partner.example'), /Invalid origin/);
+  });
+
+  it('limits orders per email address', async () => {
+    await orderId('orders@example.com');
+    await orderId('Orders@Example.com');
+    const blocked = await placeOrder('orders@example.com');
+    assert.equal(blocked.status, 429);
+    assert.equal((await blocked.json()).code, 'rate_limited');
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+
+    await orderId('someone-else@example.com');
+    const [event] = events('request_blocked');
+    assert.equal(event.reason, 'orders_per_email');
+    assert.equal(event.path, '/api/orders');
+    assert.ok(!JSON.stringify(event).includes('orders@example.com'));
+  });
+
+  it('limits password guesses and login-link emails per email address', async () => {
+    for (let i = 0; i < 10; i++) {
+      const guess = await request('POST', '/api/account/login', { email: 'target@example.com', password: `guess number ${i}` });
+      assert.equal(guess.status, 401);
+    }
+    assert.equal((await request('POST', '/api/account/login', { email: 'Target@example.com', password: 'guess number 10' })).status, 429);
+
+    // Registering and asking for links share one limit on emails sent
+    assert.equal((await request('POST', '/api/account/login-link', { email: 'inbox@example.com' })).status, 202);
+    assert.equal((await request('POST', '/api/account/register', { email: 'inbox@example.com', password: 'a long password' })).status, 202);
+    assert.equal((await request('POST', '/api/account/login-link', { email: 'inbox@example.com' })).status, 202);
+    assert.equal((await request('POST', '/api/account/login-link', { email: 'inbox@example.com' })).status, 429);
+    assert.deepEqual(events('request_blocked').map(event => event.reason).slice(-2), ['logins_per_email', 'login_links_per_email']);
+  });
+
+  it('limits payment attempts per email address', async () => {
+    const first = await orderId('payments@example.com');
+    square.script('payments.create', 'timeout');
+    assert.equal((await pay(first)).status, 503);
+    assert.equal((await pay(first)).status, 200);
+
+    const second = await orderId('payments@example.com');
+    const blocked = await pay(second);
+    assert.equal(blocked.status, 429);
+    assert.equal((await blocked.json()).code, 'rate_limited');
+    assert.equal(square.calls.length, 2);
+  });
+
+  it('blocks card payments after repeated declines', async () => {
+    const first = await orderId('tester-1@example.com');
+    const second = await orderId('tester-2@example.com');
+    square.script('payments.create', { decline: 'GENERIC_DECLINE' }, { decline: 'INSUFFICIENT_FUNDS' });
+    assert.equal((await pay(first)).status, 402);
+    assert.equal((await pay(first)).status, 402);
+
+    // The IP address has declined twice, so another customer's card from it
+    // never reaches Square
+    const blocked = await pay(second);
+    assert.equal(blocked.status, 429);
+    const body = await blocked.json();
+    assert.equal(body.code, 'too_many_declines');
+    assert.equal(body.retryable, false);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.equal(square.calls.length, 2);
+
+    const [event] = events('card_testing_suspected');
+    assert.equal(event.action, 'block');
+    assert.equal(event.orderId, second);
+  });
+
+  it('limits orders per IP address', async () => {
+    let response;
+    for (let i = 0; i < 8; i++) {
+      response = await placeOrder(`visitor-${i}@example.com`);
+      if (response.status === 429) break;
+    }
+    assert.equal(response.status, 429);
+    assert.equal(events('request_blocked').at(-1).reason, 'orders_per_ip');
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { SquareClient, SquareError, SquareTimeoutError } = require('square');
+
+const { createSquareProvider } = require('../lib/payments/square');
+const { mapSquareError, paymentErrorBody, squareSetup, timeSquareCalls } = require('../lib/square');
+const samples = require('./fixtures/square/payment-errors.json');
+
+const ORDER = { id: 'order-1', total: 2999, currency: 'EUR', paymentAttempts: 0 };
+
+// What the SDK throws for a Square error response
+function apiError({ statusCode, body }) {
+  return new SquareError({ statusCode, body });
+}
+
+// Minimal stand-in for SquareClient#payments that records its calls
+function createPaymentsStub(status = 'COMPLETED') {
+  const calls = [];
+  return {
+    calls,
+    payments: {
+      async create(request) {
+        calls.push(request);
+        return {
+          payment: { id: 'payment-1', status, amountMoney: request.amountMoney, sourceType: 'CARD' },
+        };
+      },
+    },
+  };
+}
+
+describe('Square card payments', () => {
+  it('passes the buyer verification token on to Square', async () => {
+    const squareClient = createPaymentsStub();
+    const provider = createSquareProvider({ squareClient, locationId: 'LOC-1' });
+
+    const result = await provider.createPayment(ORDER, { sourceId: 'cnon:card-nonce-ok', verificationToken: 'verf:3ds-ok' });
+    assert.equal(squareClient.calls[0].verificationToken, 'verf:3ds-ok');
+    assert.equal(squareClient.calls[0].amountMoney.amount, 2999n);
+    assert.equal(result.orderStatus, 'paid');
+
+    await provider.createPayment(ORDER, { sourceId: 'cnon:card-nonce-ok' });
+    assert.equal(squareClient.calls[1].verificationToken, undefined);
+  });
+
+  it('works with the real SDK client', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+        const declined = requests.length > 1;
+        res.writeHead(declined ? samples.cvv_failure.statusCode : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(declined
+          ? samples.cvv_failure.body
+          : { payment: { id: 'payment-1', status: 'COMPLETED', amount_money: { amount: 2999, currency: 'EUR' }, source_type: 'CARD' } }));
+      });
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+      const observed = [];
+      const squareClient = timeSquareCalls(
+        new SquareClient({ token: 'sandbox-token', environment: `http://localhost:${server.address().port}` }),
+        labels => observed.push(labels),
+      );
+      const provider = createSquareProvider({ squareClient, locationId: 'LOC-1' });
+
+      const result = await provider.createPayment(ORDER, { sourceId: 'cnon:card-nonce-ok' });
+      assert.equal(result.orderStatus, 'paid');
+      assert.equal(requests[0].url, '/v2/payments');
+      assert.equal(requests[0].auth, 'Bearer sandbox-token');
+      assert.equal(requests[0].body.amount_money.amount, 2999);
+
+      const error = await provider.createPayment(ORDER, { sourceId: 'cnon:card-nonce-ok' }).catch(err => err);
+      assert.equal(mapSquareError(error).code, 'cvv_mismatch');
+      assert.deepEqual(observed, [
+        { method: 'payments.create', outcome: 'ok' },
+        { method: 'payments.create', outcome: 'error' },
+      ]);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('rejects malformed payment details', () => {
+    const provider = createSquareProvider({ squareClient: createPaymentsStub(), locationId: 'LOC-1' });
+    assert.equal(provider.validate({ sourceId: 'cnon:ok' }), null);
+    assert.match(provider.validate({}), /Missing required/);
+    assert.match(provider.validate({ sourceId: 'cnon:ok', verificationToken: 42 }), /verificationToken/);
+    assert.equal(provider.isConfigured(), true);
+    assert.equal(createSquareProvider({ squareClient: createPaymentsStub() }).isConfigured(), false);
+  });
+});
+
+describe('Square error mapping', () => {
+  it('reports declines as 402s with a customer message', () => {
+    const cvv = mapSquareError(apiError(samples.cvv_failure));
+    assert.deepEqual(
+      [cvv.code, cvv.category, cvv.status, cvv.retryable, cvv.squareCode],
+      ['cvv_mismatch', 'card_details', 402, true, 'CVV_FAILURE'],
+    );
+    assert.match(cvv.message, /security code/);
+
+    const funds = mapSquareError(apiError(samples.insufficient_funds));
+    assert.deepEqual([funds.code, funds.category, funds.status, funds.retryable], ['insufficient_funds', 'declined', 402, false]);
+
+    assert.equal(mapSquareError(apiError(samples.generic_decline)).code, 'card_declined');
+    // Decline codes we don't list still count as declines
+    assert.equal(mapSquareError(apiError(samples.unlisted_decline)).code, 'card_declined');
+    assert.equal(mapSquareError(apiError(samples.verification_required)).category, 'verification');
+  });
+
+  it('reports our own setup problems as non-retryable 502s', () => {
+    const auth = mapSquareError(apiError(samples.access_token_expired));
+    assert.deepEqual([auth.code, auth.status, auth.retryable], ['payment_configuration_error', 502, false]);
+
+    const location = mapSquareError(apiError(samples.invalid_location));
+    assert.deepEqual([location.code, location.status, location.retryable], ['payment_rejected', 502, false]);
+    assert.equal(location.detail, 'Location `L1234` not found.');
+  });
+
+  it('reports outages and rate limits as retryable 503s', () => {
+    const limited = mapSquareError(apiError(samples.rate_limited));
+    assert.deepEqual([limited.code, limited.status, limited.retryable], ['payment_rate_limited', 503, true]);
+
+    const outage = mapSquareError(apiError(samples.service_unavailable));
+    assert.deepEqual([outage.code, outage.status, outage.retryable], ['payment_unavailable', 503, true]);
+
+    const network = mapSquareError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    assert.deepEqual([network.code, network.status], ['payment_unavailable', 503]);
+
+    // How the SDK reports a timeout and a request that got no response
+    assert.equal(mapSquareError(new SquareTimeoutError('Timeout exceeded when calling POST /v2/payments.')).code, 'payment_unavailable');
+    assert.equal(mapSquareError(new SquareError({ message: 'fetch failed' })).code, 'payment_unavailable');
+
+    const unexpected = mapSquareError(new Error('Invalid payment response from Square'));
+    assert.deepEqual([unexpected.code, unexpected.status, unexpected.retryable], ['payment_provider_error', 502, true]);
+  });
+
+  it('keeps Square details out of the response body', () => {
+    const body = paymentErrorBody(mapSquareError(apiError(samples.invalid_location)));
+    assert.deepEqual(Object.keys(body).sort(), ['category', 'code', 'error', 'retryable']);
+    assert.doesNotMatch(body.error, /L1234/);
+  });
+});
+
+describe('Square environment', () => {
+  const credentials = { SQUARE_ACCESS_TOKEN: 'token', SQUARE_LOCATION_ID: 'LOC-1' };
+
+  it('picks the SDK for the environment', () => {
+    const sandbox = squareSetup({ ...credentials, SQUARE_APPLICATION_ID: 'sandbox-sq0idb-abc' });
+    assert.equal(sandbox.environment, 'sandbox');
+    assert.equal(sandbox.sdkUrl, 'https://sandbox.web.squarecdn.com/v1/square.js');
+    assert.equal(sandbox.configured, true);
+    assert.deepEqual(sandbox.problems, []);
+
+    const production = squareSetup({ ...credentials, SQUARE_ENVIRONMENT: 'production', SQUARE_APPLICATION_ID: 'sq0idp-abc' });
+    assert.equal(production.sdkUrl, 'https://web.squarecdn.com/v1/square.js');
+    assert.deepEqual(production.problems, []);
+  });
+
+  it('reports application IDs from the other environment', () => {
+    const live = squareSetup({ ...credentials, SQUARE_APPLICATION_ID: 'sq0idp-abc' });
+    assert.deepEqual(live.problems.map(problem => problem.code), ['application_id_mismatch']);
+    assert.match(live.problems[0].message, /production application ID but SQUARE_ENVIRONMENT is sandbox/);
+
+    const sandbox = squareSetup({ ...credentials, SQUARE_ENVIRONMENT: 'production', SQUARE_APPLICATION_ID: 'sandbox-sq0idb-abc' });
+    assert.match(sandbox.problems[0].message, /sandbox application ID but SQUARE_ENVIRONMENT is production/);
+  });
+
+  it('reports missing credentials and unknown environments', () => {
+    const setup = squareSetup({ SQUARE_ENVIRONMENT: 'live' });
+    assert.equal(setup.environment, 'sandbox');
+    assert.equal(setup.configured, false);
+    assert.deepEqual(setup.problems.map(problem => problem.code), ['missing_credentials', 'unknown_environment']);
+    assert.match(setup.problems[0].message, /SQUARE_ACCESS_TOKEN, SQUARE_APPLICATION_ID, SQUARE_LOCATION_ID/);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const associationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apple-pay-'));
+const associationFile = path.join(associationDir, 'apple-developer-merchantid-domain-association');
+fs.writeFileSync(associationFile, '7B2270737049...');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.STORE_COUNTRY = 'gb';
+process.env.APPLE_PAY_DOMAIN_ASSOCIATION_FILE = associationFile;
+
+const app = require('../server');
+
+describe('Digital wallets', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(associationDir, { recursive: true, force: true });
+  });
+
+  it('tells the storefront which country the payment sheets are for', async () => {
+    const config = await (await fetch(`${baseUrl}/api/config`)).json();
+    assert.equal(config.storeCountry, 'GB');
+  });
+
+  it('serves the Apple Pay domain verification file, and 404 without one', async () => {
+    const url = `${baseUrl}/.well-known/apple-developer-merchantid-domain-association`;
+    let response = await fetch(url);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.equal(await response.text(), '7B2270737049...');
+
+    fs.unlinkSync(associationFile);
+    response = await fetch(url);
+    assert.equal(response.status, 404);
+  });
+});
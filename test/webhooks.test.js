@@ -0,0 +1,199 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHmac } = require('crypto');
+
+const SIGNATURE_KEY = 'test-signature-key';
+const NOTIFICATION_URL = 'https://store.example.com/api/webhooks/square';
+
+process.env.STORE_DRIVER = 'memory';
+process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = SIGNATURE_KEY;
+process.env.SQUARE_WEBHOOK_NOTIFICATION_URL = NOTIFICATION_URL;
+
+const app = require('../server');
+const { createOrder, getOrder, setOrderPayment } = require('../lib/orders');
+const { verifySquareSignature } = require('../lib/webhooks');
+
+const paymentUpdated = require('./fixtures/square/payment.updated.json');
+const refundUpdated = require('./fixtures/square/refund.updated.json');
+const disputeCreated = require('./fixtures/square/dispute.created.json');
+
+const PAYMENT_ID = paymentUpdated.data.object.payment.id;
+
+function sign(body, key = SIGNATURE_KEY) {
+  return createHmac('sha256', key).update(NOTIFICATION_URL + body).digest('base64');
+}
+
+describe('Square webhooks', () => {
+  let server;
+  let baseUrl;
+  let order;
+
+  function deliver(event, { signature } = {}) {
+    const body = JSON.stringify(event);
+    return fetch(`${baseUrl}/api/webhooks/square`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-square-hmacsha256-signature': signature ?? sign(body),
+      },
+      body,
+    });
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  // Each test gets a fresh order whose Square payment is still APPROVED
+  beforeEach(async () => {
+    const store = app.locals.store;
+    for (const collection of ['orders', 'webhook_events']) {
+      for (const record of await store.list(collection)) {
+        await store.delete(collection, record.id);
+      }
+    }
+
+    order = await createOrder(store, {
+      items: [{ productId: 'photo-1', name: 'Mountain Sunset', unitPrice: 2999, quantity: 2 }],
+      customerEmail: 'buyer@example.com',
+    });
+    await setOrderPayment(store, order.id, {
+      provider: 'square',
+      id: PAYMENT_ID,
+      status: 'APPROVED',
+      amount: 5998,
+      currency: 'USD',
+      receiptUrl: null,
+    });
+  });
+
+  describe('verifySquareSignature', () => {
+    it('accepts a signature computed over the notification URL and body', () => {
+      const body = JSON.stringify(paymentUpdated);
+      assert.equal(verifySquareSignature({
+        signature: sign(body),
+        body: Buffer.from(body),
+        signatureKey: SIGNATURE_KEY,
+        notificationUrl: NOTIFICATION_URL,
+      }), true);
+    });
+
+    it('rejects a signature made with a different key', () => {
+      const body = JSON.stringify(paymentUpdated);
+      assert.equal(verifySquareSignature({
+        signature: sign(body, 'wrong-key'),
+        body: Buffer.from(body),
+        signatureKey: SIGNATURE_KEY,
+        notificationUrl: NOTIFICATION_URL,
+      }), false);
+    });
+
+    it('rejects a missing signature', () => {
+      assert.equal(verifySquareSignature({
+        signature: undefined,
+        body: Buffer.from('{}'),
+        signatureKey: SIGNATURE_KEY,
+        notificationUrl: NOTIFICATION_URL,
+      }), false);
+    });
+  });
+
+  it('rejects deliveries with an invalid signature', async () => {
+    const response = await deliver(paymentUpdated, { signature: 'bm90LXZhbGlk' });
+    assert.equal(response.status, 403);
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.status, 'pending');
+  });
+
+  it('rejects a body that was modified after signing', async () => {
+    const signature = sign(JSON.stringify(paymentUpdated));
+    const tampered = structuredClone(paymentUpdated);
+    tampered.data.object.payment.amount_money.amount = 1;
+
+    const response = await deliver(tampered, { signature });
+    assert.equal(response.status, 403);
+  });
+
+  it('marks the order paid when payment.updated reports COMPLETED', async () => {
+    const response = await deliver(paymentUpdated);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { received: true, orderId: order.id });
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.status, 'paid');
+    assert.equal(stored.payment.status, 'COMPLETED');
+    assert.equal(stored.payment.receiptUrl, paymentUpdated.data.object.payment.receipt_url);
+  });
+
+  it('ignores duplicate event IDs', async () => {
+    await deliver(paymentUpdated);
+    const response = await deliver(paymentUpdated);
+    assert.deepEqual(await response.json(), { received: true, duplicate: true });
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.history.filter(entry => entry.status === 'paid').length, 1);
+  });
+
+  it('ignores a stale payment version', async () => {
+    await deliver(paymentUpdated);
+
+    const stale = structuredClone(paymentUpdated);
+    stale.event_id = 'c8f4a6e2-0d4b-4c53-9d3e-1f7e2b9a0a11';
+    stale.data.object.payment.status = 'APPROVED';
+    stale.data.object.payment.version = 1;
+
+    const response = await deliver(stale);
+    assert.equal((await response.json()).ignored, 'Stale payment version');
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.payment.status, 'COMPLETED');
+  });
+
+  it('records refunds from refund.updated', async () => {
+    await deliver(paymentUpdated);
+    const response = await deliver(refundUpdated);
+    assert.equal(response.status, 200);
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(stored.refunds[0].amount, 2000);
+    assert.equal(stored.refunds[0].reason, 'Customer changed their mind');
+    assert.equal(stored.status, 'partially_refunded');
+  });
+
+  it('moves the order to refunded once the full total is refunded', async () => {
+    await deliver(paymentUpdated);
+
+    const fullRefund = structuredClone(refundUpdated);
+    fullRefund.data.object.refund.amount_money.amount = 5998;
+    await deliver(fullRefund);
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.status, 'refunded');
+  });
+
+  it('records disputes from dispute.* events', async () => {
+    const response = await deliver(disputeCreated);
+    assert.equal(response.status, 200);
+
+    const stored = await getOrder(app.locals.store, order.id);
+    assert.equal(stored.disputes.length, 1);
+    assert.equal(stored.disputes[0].state, 'EVIDENCE_REQUIRED');
+    assert.equal(stored.disputes[0].reason, 'NOT_AS_DESCRIBED');
+  });
+
+  it('acknowledges events for unknown payments without changing orders', async () => {
+    const unknown = structuredClone(paymentUpdated);
+    unknown.event_id = '0b1e5c2d-7c2f-4e43-a9a4-2f4d5c6b7a88';
+    unknown.data.object.payment.id = 'UNKNOWN_PAYMENT';
+
+    const response = await deliver(unknown);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).ignored, 'Unknown payment');
+  });
+});